@@ -0,0 +1,28 @@
+-- Migración para una base de datos creada antes de las subtareas anidadas.
+-- A diferencia de ProyectoFinalToDo.sql no borra ninguna tabla: las subtareas existentes
+-- quedan directamente bajo su tarea (idSubtareaPadre NULL) y las de las plantillas igual.
+-- Se puede ejecutar más de una vez: cada paso comprueba si ya está hecho.
+USE ProyectoToDo;
+GO
+
+IF COL_LENGTH('dbo.Subtareas', 'idSubtareaPadre') IS NULL
+    ALTER TABLE dbo.Subtareas ADD idSubtareaPadre INT NULL;
+GO
+
+-- SQL Server no admite ON DELETE CASCADE en una referencia a la propia tabla: deleteSubtask borra antes las descendientes
+IF OBJECT_ID('dbo.FK_Subtarea_Padre', 'F') IS NULL
+    ALTER TABLE dbo.Subtareas ADD CONSTRAINT FK_Subtarea_Padre FOREIGN KEY (idSubtareaPadre) REFERENCES dbo.Subtareas(idSubtarea);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Subtareas_Padre' AND object_id = OBJECT_ID('dbo.Subtareas'))
+    CREATE INDEX IX_Subtareas_Padre ON dbo.Subtareas (idSubtareaPadre);
+GO
+
+-- Plantillas (si la base de datos ya las tenía)
+IF OBJECT_ID('dbo.PlantillasSubtareas', 'U') IS NOT NULL AND COL_LENGTH('dbo.PlantillasSubtareas', 'idPlantillaSubtareaPadre') IS NULL
+    ALTER TABLE dbo.PlantillasSubtareas ADD idPlantillaSubtareaPadre INT NULL;
+GO
+
+IF OBJECT_ID('dbo.PlantillasSubtareas', 'U') IS NOT NULL AND OBJECT_ID('dbo.FK_PlantillaSubtarea_Padre', 'F') IS NULL
+    ALTER TABLE dbo.PlantillasSubtareas ADD CONSTRAINT FK_PlantillaSubtarea_Padre FOREIGN KEY (idPlantillaSubtareaPadre) REFERENCES dbo.PlantillasSubtareas(idPlantillaSubtarea);
+GO
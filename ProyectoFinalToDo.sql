@@ -6,6 +6,54 @@ GO
 -- (Ejecuta esto con precaución en un entorno de desarrollo.
 -- Si tienes datos, necesitarás un plan de migración más robusto.)
 
+IF OBJECT_ID('dbo.PlantillasParticipantes', 'U') IS NOT NULL
+DROP TABLE dbo.PlantillasParticipantes;
+
+IF OBJECT_ID('dbo.PlantillasSubtareas', 'U') IS NOT NULL
+DROP TABLE dbo.PlantillasSubtareas;
+
+IF OBJECT_ID('dbo.PlantillasTareas', 'U') IS NOT NULL
+DROP TABLE dbo.PlantillasTareas;
+
+IF OBJECT_ID('dbo.Plantillas', 'U') IS NOT NULL
+DROP TABLE dbo.Plantillas;
+
+IF OBJECT_ID('dbo.EtiquetasSubtareas', 'U') IS NOT NULL
+DROP TABLE dbo.EtiquetasSubtareas;
+
+IF OBJECT_ID('dbo.EtiquetasTareas', 'U') IS NOT NULL
+DROP TABLE dbo.EtiquetasTareas;
+
+IF OBJECT_ID('dbo.Etiquetas', 'U') IS NOT NULL
+DROP TABLE dbo.Etiquetas;
+
+IF OBJECT_ID('dbo.RegistrosTiempo', 'U') IS NOT NULL
+DROP TABLE dbo.RegistrosTiempo;
+
+IF OBJECT_ID('dbo.DependenciasTareas', 'U') IS NOT NULL
+DROP TABLE dbo.DependenciasTareas;
+
+IF OBJECT_ID('dbo.TokensAcceso', 'U') IS NOT NULL
+DROP TABLE dbo.TokensAcceso;
+
+IF OBJECT_ID('dbo.Sesiones', 'U') IS NOT NULL
+DROP TABLE dbo.Sesiones;
+
+IF OBJECT_ID('dbo.CodigosRecuperacion', 'U') IS NOT NULL
+DROP TABLE dbo.CodigosRecuperacion;
+
+IF OBJECT_ID('dbo.BloqueosAcceso', 'U') IS NOT NULL
+DROP TABLE dbo.BloqueosAcceso;
+
+IF OBJECT_ID('dbo.Actividad', 'U') IS NOT NULL
+DROP TABLE dbo.Actividad;
+
+IF OBJECT_ID('dbo.Comentarios', 'U') IS NOT NULL
+DROP TABLE dbo.Comentarios;
+
+IF OBJECT_ID('dbo.Adjuntos', 'U') IS NOT NULL
+DROP TABLE dbo.Adjuntos;
+
 IF OBJECT_ID('dbo.SubTareas', 'U') IS NOT NULL
 DROP TABLE dbo.SubTareas;
 
@@ -40,7 +88,14 @@ CREATE TABLE Usuarios (
     rol NVARCHAR(20) DEFAULT 'usuario', -- Rol general del sistema (ej. 'admin_general', 'usuario')
     fotoPerfil NVARCHAR(255),
     tokenRecuperacion NVARCHAR(255),
-    tokenExpiracion DATETIME
+    tokenExpiracion DATETIME,
+    correoVerificado BIT NOT NULL CONSTRAINT DF_Usuarios_CorreoVerificado DEFAULT 0, -- 1 tras abrir el enlace de verificación
+    correoPendiente NVARCHAR(100),        -- Correo nuevo pedido desde el perfil, hasta que se verifica
+    totpSecreto NVARCHAR(64),             -- Secreto base32 de la verificación en dos pasos
+    totpActivado BIT NOT NULL DEFAULT 0,
+    totpUltimoPaso BIGINT,                -- Último paso TOTP aceptado, para no admitir el mismo código dos veces
+    cuentaActiva BIT NOT NULL DEFAULT 1,  -- 0 si un administrador del sistema desactivó la cuenta (no puede entrar)
+    fechaEliminacion DATETIME             -- La cuenta la eliminó su titular: la fila queda anonimizada (ver backend/services/accountService.js)
 );
 
 
@@ -63,7 +118,7 @@ CREATE TABLE ParticipantesProyecto (
     idParticipante INT IDENTITY(1,1) PRIMARY KEY,
     idProyecto INT NOT NULL,
     idUsuario INT NOT NULL,
-    rolProyecto NVARCHAR(50) NOT NULL, -- 'admin' (para el creador), 'miembro' (para invitados)
+    rolProyecto NVARCHAR(50) NOT NULL, -- 'admin' (el creador), 'editor', 'miembro' (invitados por defecto) o 'lector'; ver backend/policies/projectPolicy.js
     estadoInvitacion NVARCHAR(50) DEFAULT 'pendiente', -- 'pendiente', 'aceptada', 'rechazada'
     fechaAsignacion DATETIME DEFAULT GETDATE(),
     CONSTRAINT FK_Participante_Proyecto FOREIGN KEY (idProyecto) REFERENCES Proyectos(idProyecto) ON DELETE CASCADE,
@@ -84,6 +139,9 @@ CREATE TABLE Tareas (
     fechaEntrega DATETIME,        -- Renombrado de fechaFinalizacionTarea
     estadoTarea NVARCHAR(50) DEFAULT 'Pendiente', -- Renombrado de estadoTarea, estados más claros
     prioridadTarea NVARCHAR(50) DEFAULT 'Media',  -- Renombrado de prioridadTarea
+    reglaRecurrencia NVARCHAR(200) NULL,          -- Subconjunto de RRULE (ver backend/services/recurrenceService.js); solo la lleva la ocurrencia abierta más reciente
+    recurrenciaPausada BIT NOT NULL DEFAULT 0,    -- Pausada: completar la tarea no crea la siguiente ocurrencia
+    horasEstimadas DECIMAL(6, 2) NULL,            -- Estimación; el tiempo real está en RegistrosTiempo
     CONSTRAINT FK_Tarea_Proyecto FOREIGN KEY (idProyecto) REFERENCES Proyectos(idProyecto) ON DELETE CASCADE,
     CONSTRAINT FK_Tarea_Creador FOREIGN KEY (idUsuarioCreador) REFERENCES Usuarios(idUsuario),
     CONSTRAINT FK_Tarea_Asignado FOREIGN KEY (idUsuarioAsignado) REFERENCES Usuarios(idUsuario)
@@ -102,11 +160,19 @@ CREATE TABLE Subtareas (
     fechaEntrega DATETIME,         -- Renombrado de fechaFinalizacionSubTarea
     estadoSubtarea NVARCHAR(50) DEFAULT 'Pendiente', -- Renombrado de estadoSubTarea
     prioridadSubtarea NVARCHAR(50) DEFAULT 'Media',  -- Renombrado de prioridadSubTarea
+    horasEstimadas DECIMAL(6, 2) NULL,
+    idSubtareaPadre INT NULL,      -- Subtarea de la que cuelga (de la misma tarea); NULL si cuelga directamente de la tarea
     CONSTRAINT FK_Subtarea_Tarea FOREIGN KEY (idTarea) REFERENCES Tareas(idTarea) ON DELETE CASCADE,
+    -- SQL Server no admite ON DELETE CASCADE en una referencia a la propia tabla: deleteSubtask borra antes las descendientes
+    CONSTRAINT FK_Subtarea_Padre FOREIGN KEY (idSubtareaPadre) REFERENCES Subtareas(idSubtarea),
     CONSTRAINT FK_Subtarea_Creador FOREIGN KEY (idUsuarioCreador) REFERENCES Usuarios(idUsuario),
     CONSTRAINT FK_Subtarea_Asignado FOREIGN KEY (idUsuarioAsignado) REFERENCES Usuarios(idUsuario)
 );
 
+CREATE INDEX IX_Subtareas_Padre ON Subtareas (idSubtareaPadre);
+
+-- Para añadir el anidamiento a una base de datos existente sin perder sus subtareas, ejecuta MigracionSubtareasAnidadas.sql en lugar de este script
+
 
 -- 7. Creación de la tabla Notificaciones (Nueva)
 CREATE TABLE Notificaciones (
@@ -141,4 +207,272 @@ FOREIGN KEY (idSubtareaRelacionada) REFERENCES Subtareas(idSubtarea) ON DELETE S
 
 ALTER TABLE Notificaciones
 ADD CONSTRAINT FK_Notificacion_UsuarioEmisor 
-FOREIGN KEY (idUsuarioEmisor) REFERENCES Usuarios(idUsuario);
\ No newline at end of file
+FOREIGN KEY (idUsuarioEmisor) REFERENCES Usuarios(idUsuario);
+
+
+-- 8. Creación de la tabla Comentarios (Nueva)
+-- Hilo de discusión de cada tarea. Si idSubtarea tiene valor, el comentario es sobre esa subtarea.
+CREATE TABLE Comentarios (
+    idComentario INT IDENTITY(1,1) PRIMARY KEY,
+    idTarea INT NOT NULL,
+    idSubtarea INT,               -- NULL si el comentario es sobre la tarea
+    idUsuarioAutor INT NOT NULL,
+    contenido NVARCHAR(MAX) NOT NULL,
+    fechaCreacion DATETIME DEFAULT GETDATE(),
+    fechaEdicion DATETIME,        -- NULL si nunca se editó
+    CONSTRAINT FK_Comentario_Tarea FOREIGN KEY (idTarea) REFERENCES Tareas(idTarea) ON DELETE CASCADE,
+    -- Sin ON DELETE CASCADE: SQL Server no admite dos rutas de cascada (Tareas -> Subtareas -> Comentarios).
+    -- Al eliminar una subtarea o una tarea se borran antes sus comentarios (ver deleteSubtask y deleteTask en backend/services/).
+    CONSTRAINT FK_Comentario_Subtarea FOREIGN KEY (idSubtarea) REFERENCES Subtareas(idSubtarea),
+    CONSTRAINT FK_Comentario_Autor FOREIGN KEY (idUsuarioAutor) REFERENCES Usuarios(idUsuario)
+);
+
+CREATE INDEX IX_Comentarios_Tarea ON Comentarios (idTarea, fechaCreacion);
+
+
+-- 9. Creación de la tabla Adjuntos (Nueva)
+-- Metadatos de los archivos adjuntos; el archivo está en storage/adjuntos con el nombre nombreArchivo.
+CREATE TABLE Adjuntos (
+    idAdjunto INT IDENTITY(1,1) PRIMARY KEY,
+    idTarea INT NOT NULL,
+    idSubtarea INT,                       -- NULL si el adjunto es de la tarea
+    idUsuarioSubida INT NOT NULL,
+    nombreOriginal NVARCHAR(255) NOT NULL, -- Nombre con el que se descarga
+    nombreArchivo NVARCHAR(255) NOT NULL,  -- Nombre en disco (aleatorio)
+    tipoMime NVARCHAR(100),
+    tamanoBytes INT NOT NULL,
+    fechaSubida DATETIME DEFAULT GETDATE(),
+    CONSTRAINT FK_Adjunto_Tarea FOREIGN KEY (idTarea) REFERENCES Tareas(idTarea) ON DELETE CASCADE,
+    -- Sin cascada por el mismo motivo que en Comentarios; deleteSubtask borra antes sus adjuntos
+    CONSTRAINT FK_Adjunto_Subtarea FOREIGN KEY (idSubtarea) REFERENCES Subtareas(idSubtarea),
+    CONSTRAINT FK_Adjunto_Usuario FOREIGN KEY (idUsuarioSubida) REFERENCES Usuarios(idUsuario)
+);
+
+CREATE INDEX IX_Adjuntos_Tarea ON Adjuntos (idTarea);
+
+
+-- 10. Creación de la tabla Actividad (Nueva)
+-- Registro de auditoría de proyectos, tareas, subtareas y participantes (ver backend/services/activityService.js).
+-- idProyecto no tiene clave foránea para que el historial se conserve al eliminar el proyecto.
+CREATE TABLE Actividad (
+    idActividad INT IDENTITY(1,1) PRIMARY KEY,
+    idProyecto INT NOT NULL,
+    idUsuarioActor INT,
+    tipoEntidad NVARCHAR(20) NOT NULL CHECK (tipoEntidad IN ('proyecto', 'tarea', 'subtarea', 'participante')),
+    idEntidad INT NOT NULL,
+    nombreEntidad NVARCHAR(255),          -- Nombre en el momento del cambio (la entidad puede haberse eliminado)
+    operacion NVARCHAR(20) NOT NULL CHECK (operacion IN ('crear', 'actualizar', 'eliminar')),
+    cambios NVARCHAR(MAX),                -- JSON { campo: { antes, despues } }
+    fechaActividad DATETIME DEFAULT GETDATE(),
+    CONSTRAINT FK_Actividad_Usuario FOREIGN KEY (idUsuarioActor) REFERENCES Usuarios(idUsuario)
+);
+
+CREATE INDEX IX_Actividad_Proyecto ON Actividad (idProyecto, fechaActividad);
+
+
+-- 11. Creación de la tabla BloqueosAcceso (Nueva)
+-- Contadores de intentos de login, registro y recuperación por cuenta o IP (ver backend/services/throttleService.js).
+-- Sustituye al objeto en memoria de loginAttempts.js: sobrevive a reinicios y se comparte entre procesos.
+CREATE TABLE BloqueosAcceso (
+    clave NVARCHAR(300) PRIMARY KEY,      -- accion:tipo:valor, p. ej. 'login:cuenta:ana@correo.com'
+    accion NVARCHAR(30) NOT NULL,         -- 'login', 'registro', 'recuperacion'
+    tipo NVARCHAR(10) NOT NULL CHECK (tipo IN ('cuenta', 'ip')),
+    valor NVARCHAR(255) NOT NULL,
+    intentos INT NOT NULL DEFAULT 0,
+    ultimoIntento DATETIME NOT NULL,
+    bloqueadoHasta DATETIME               -- NULL si nunca llegó al límite
+);
+
+CREATE INDEX IX_BloqueosAcceso_UltimoIntento ON BloqueosAcceso (ultimoIntento);
+
+
+-- 12. Creación de la tabla CodigosRecuperacion (Nueva)
+-- Códigos de un solo uso para entrar sin la aplicación de autenticación (ver backend/services/twoFactorService.js).
+-- Solo se guarda su hash SHA-256; el código en claro se muestra una vez al generarlo.
+CREATE TABLE CodigosRecuperacion (
+    idCodigo INT IDENTITY(1,1) PRIMARY KEY,
+    idUsuario INT NOT NULL,
+    codigoHash NVARCHAR(64) NOT NULL,
+    fechaCreacion DATETIME DEFAULT GETDATE(),
+    fechaUso DATETIME,                    -- NULL mientras no se haya usado
+    CONSTRAINT FK_CodigoRecuperacion_Usuario FOREIGN KEY (idUsuario) REFERENCES Usuarios(idUsuario) ON DELETE CASCADE
+);
+
+CREATE INDEX IX_CodigosRecuperacion_Usuario ON CodigosRecuperacion (idUsuario, codigoHash);
+
+
+-- 13. Creación de la tabla Sesiones (Nueva)
+-- Almacén de express-session (ver backend/services/sessionService.js): las sesiones sobreviven a reinicios
+-- y se comparten entre procesos. Las caducadas se borran solas; el usuario ve y cierra las suyas en /perfil/sesiones.
+CREATE TABLE Sesiones (
+    idSesion INT IDENTITY(1,1) PRIMARY KEY, -- Identificador público para cerrar la sesión (el sid no se muestra)
+    sid NVARCHAR(255) NOT NULL UNIQUE,
+    idUsuario INT,                        -- NULL mientras no se ha iniciado sesión
+    datos NVARCHAR(MAX) NOT NULL,         -- JSON de req.session
+    expira DATETIME NOT NULL,
+    agenteUsuario NVARCHAR(255),
+    ip NVARCHAR(64),
+    fechaCreacion DATETIME DEFAULT GETDATE(),
+    ultimaActividad DATETIME NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_Sesion_Usuario FOREIGN KEY (idUsuario) REFERENCES Usuarios(idUsuario) ON DELETE CASCADE
+);
+
+CREATE INDEX IX_Sesiones_Usuario ON Sesiones (idUsuario, expira);
+CREATE INDEX IX_Sesiones_Expira ON Sesiones (expira);
+
+
+-- 14. Creación de la tabla TokensAcceso (Nueva)
+-- Tokens de acceso personales para la API (Authorization: Bearer), ver backend/services/accessTokenService.js.
+-- Solo se guarda el hash SHA-256; prefijo son los primeros caracteres para reconocer el token en la lista.
+CREATE TABLE TokensAcceso (
+    idToken INT IDENTITY(1,1) PRIMARY KEY,
+    idUsuario INT NOT NULL,
+    nombre NVARCHAR(100) NOT NULL,
+    prefijo NVARCHAR(20) NOT NULL,
+    tokenHash NVARCHAR(64) NOT NULL UNIQUE,
+    alcance NVARCHAR(20) NOT NULL CHECK (alcance IN ('lectura', 'escritura')),
+    fechaCreacion DATETIME DEFAULT GETDATE(),
+    ultimoUso DATETIME,                   -- NULL si nunca se ha usado
+    CONSTRAINT FK_TokenAcceso_Usuario FOREIGN KEY (idUsuario) REFERENCES Usuarios(idUsuario) ON DELETE CASCADE
+);
+
+CREATE INDEX IX_TokensAcceso_Usuario ON TokensAcceso (idUsuario);
+
+
+-- 15. Creación de la tabla DependenciasTareas (Nueva)
+-- "idTareaBloqueante bloquea a idTarea": idTarea no se puede completar mientras idTareaBloqueante siga abierta.
+-- Las dos tareas son del mismo proyecto y los ciclos se rechazan al insertar (ver backend/services/dependencyService.js).
+CREATE TABLE DependenciasTareas (
+    idDependencia INT IDENTITY(1,1) PRIMARY KEY,
+    idTarea INT NOT NULL,                 -- Tarea bloqueada
+    idTareaBloqueante INT NOT NULL,       -- Tarea que hay que completar antes
+    idUsuarioCreador INT,
+    fechaCreacion DATETIME DEFAULT GETDATE(),
+    CONSTRAINT UQ_Dependencia UNIQUE (idTarea, idTareaBloqueante),
+    CONSTRAINT CK_Dependencia_Distintas CHECK (idTarea <> idTareaBloqueante),
+    CONSTRAINT FK_Dependencia_Tarea FOREIGN KEY (idTarea) REFERENCES Tareas(idTarea) ON DELETE CASCADE,
+    -- Sin ON DELETE CASCADE: SQL Server no admite dos rutas de cascada desde Tareas.
+    -- Al eliminar una tarea se borran antes sus dependencias (ver deleteTask en backend/services/taskService.js).
+    CONSTRAINT FK_Dependencia_Bloqueante FOREIGN KEY (idTareaBloqueante) REFERENCES Tareas(idTarea),
+    CONSTRAINT FK_Dependencia_Creador FOREIGN KEY (idUsuarioCreador) REFERENCES Usuarios(idUsuario)
+);
+
+CREATE INDEX IX_DependenciasTareas_Bloqueante ON DependenciasTareas (idTareaBloqueante);
+
+
+-- 16. Creación de la tabla RegistrosTiempo (Nueva)
+-- Tiempo dedicado por cada usuario a una tarea o a una de sus subtareas (ver backend/services/timeService.js).
+-- Un registro con fin NULL es un temporizador en marcha; cada usuario tiene como mucho uno.
+-- minutos se calcula al detener el temporizador o se indica al registrar el tiempo a mano.
+CREATE TABLE RegistrosTiempo (
+    idRegistro INT IDENTITY(1,1) PRIMARY KEY,
+    idTarea INT NOT NULL,
+    idSubtarea INT,                       -- NULL si el tiempo es de la tarea
+    idUsuario INT NOT NULL,
+    inicio DATETIME NOT NULL,
+    fin DATETIME,
+    minutos INT CHECK (minutos >= 0),
+    nota NVARCHAR(255),
+    manual BIT NOT NULL DEFAULT 0,        -- 1 si se introdujo a mano en lugar de con el temporizador
+    fechaCreacion DATETIME DEFAULT GETDATE(),
+    CONSTRAINT FK_RegistroTiempo_Tarea FOREIGN KEY (idTarea) REFERENCES Tareas(idTarea) ON DELETE CASCADE,
+    -- Sin ON DELETE CASCADE por las dos rutas de cascada (igual que Comentarios): deleteSubtask y deleteTask los borran antes.
+    CONSTRAINT FK_RegistroTiempo_Subtarea FOREIGN KEY (idSubtarea) REFERENCES Subtareas(idSubtarea),
+    CONSTRAINT FK_RegistroTiempo_Usuario FOREIGN KEY (idUsuario) REFERENCES Usuarios(idUsuario)
+);
+
+CREATE INDEX IX_RegistrosTiempo_Tarea ON RegistrosTiempo (idTarea);
+CREATE INDEX IX_RegistrosTiempo_Usuario ON RegistrosTiempo (idUsuario, inicio);
+CREATE UNIQUE INDEX UX_RegistrosTiempo_EnMarcha ON RegistrosTiempo (idUsuario) WHERE fin IS NULL;
+
+
+-- 17. Creación de las tablas Etiquetas, EtiquetasTareas y EtiquetasSubtareas (Nuevas)
+-- Etiquetas de cada proyecto (nombre y color) que se ponen en sus tareas y subtareas (ver backend/services/labelService.js).
+-- El admin del proyecto las gestiona desde la página de edición del proyecto.
+CREATE TABLE Etiquetas (
+    idEtiqueta INT IDENTITY(1,1) PRIMARY KEY,
+    idProyecto INT NOT NULL,
+    nombreEtiqueta NVARCHAR(50) NOT NULL,
+    color CHAR(7) NOT NULL DEFAULT '#3B82F6',   -- '#RRGGBB'
+    fechaCreacion DATETIME DEFAULT GETDATE(),
+    CONSTRAINT UQ_Etiqueta_Nombre UNIQUE (idProyecto, nombreEtiqueta),
+    CONSTRAINT CK_Etiqueta_Color CHECK (color LIKE '#[0-9A-Fa-f][0-9A-Fa-f][0-9A-Fa-f][0-9A-Fa-f][0-9A-Fa-f][0-9A-Fa-f]'),
+    CONSTRAINT FK_Etiqueta_Proyecto FOREIGN KEY (idProyecto) REFERENCES Proyectos(idProyecto) ON DELETE CASCADE
+);
+
+CREATE TABLE EtiquetasTareas (
+    idEtiqueta INT NOT NULL,
+    idTarea INT NOT NULL,
+    CONSTRAINT PK_EtiquetasTareas PRIMARY KEY (idEtiqueta, idTarea),
+    -- Sin ON DELETE CASCADE por las dos rutas de cascada desde Proyectos: deleteLabel borra antes sus usos.
+    CONSTRAINT FK_EtiquetaTarea_Etiqueta FOREIGN KEY (idEtiqueta) REFERENCES Etiquetas(idEtiqueta),
+    CONSTRAINT FK_EtiquetaTarea_Tarea FOREIGN KEY (idTarea) REFERENCES Tareas(idTarea) ON DELETE CASCADE
+);
+
+CREATE INDEX IX_EtiquetasTareas_Tarea ON EtiquetasTareas (idTarea);
+
+CREATE TABLE EtiquetasSubtareas (
+    idEtiqueta INT NOT NULL,
+    idSubtarea INT NOT NULL,
+    CONSTRAINT PK_EtiquetasSubtareas PRIMARY KEY (idEtiqueta, idSubtarea),
+    -- Igual que en EtiquetasTareas: sin ON DELETE CASCADE hacia Etiquetas
+    CONSTRAINT FK_EtiquetaSubtarea_Etiqueta FOREIGN KEY (idEtiqueta) REFERENCES Etiquetas(idEtiqueta),
+    CONSTRAINT FK_EtiquetaSubtarea_Subtarea FOREIGN KEY (idSubtarea) REFERENCES Subtareas(idSubtarea) ON DELETE CASCADE
+);
+
+CREATE INDEX IX_EtiquetasSubtareas_Subtarea ON EtiquetasSubtareas (idSubtarea);
+
+
+-- 18. Creación de las tablas Plantillas, PlantillasTareas, PlantillasSubtareas y PlantillasParticipantes (Nuevas)
+-- Copia de un proyecto (tareas, subtareas y participantes) para crear otros iguales (ver backend/services/templateService.js).
+-- Las fechas se guardan como días antes de la entrega del proyecto y se recalculan con la fecha del proyecto nuevo.
+-- Cada plantilla es del usuario que la guardó.
+CREATE TABLE Plantillas (
+    idPlantilla INT IDENTITY(1,1) PRIMARY KEY,
+    idUsuarioCreador INT NOT NULL,
+    nombrePlantilla NVARCHAR(255) NOT NULL,
+    descripcionProyecto NVARCHAR(MAX),   -- Descripción que se propone para los proyectos creados con ella
+    nombreProyectoOrigen NVARCHAR(255),  -- Solo informativo: el proyecto puede haberse eliminado después
+    fechaCreacion DATETIME DEFAULT GETDATE(),
+    CONSTRAINT UQ_Plantilla_Nombre UNIQUE (idUsuarioCreador, nombrePlantilla),
+    CONSTRAINT FK_Plantilla_Usuario FOREIGN KEY (idUsuarioCreador) REFERENCES Usuarios(idUsuario)
+);
+
+CREATE TABLE PlantillasTareas (
+    idPlantillaTarea INT IDENTITY(1,1) PRIMARY KEY,
+    idPlantilla INT NOT NULL,
+    nombreTarea NVARCHAR(255) NOT NULL,
+    descripcionTarea NVARCHAR(MAX),
+    prioridadTarea NVARCHAR(50) DEFAULT 'Media',
+    horasEstimadas DECIMAL(6, 2) NULL,
+    diasAntesEntrega INT NOT NULL DEFAULT 0, -- Negativo si la tarea se entregaba después que el proyecto
+    CONSTRAINT FK_PlantillaTarea_Plantilla FOREIGN KEY (idPlantilla) REFERENCES Plantillas(idPlantilla) ON DELETE CASCADE
+);
+
+CREATE INDEX IX_PlantillasTareas_Plantilla ON PlantillasTareas (idPlantilla);
+
+CREATE TABLE PlantillasSubtareas (
+    idPlantillaSubtarea INT IDENTITY(1,1) PRIMARY KEY,
+    idPlantillaTarea INT NOT NULL,
+    nombreSubtarea NVARCHAR(255) NOT NULL,
+    descripcionSubtarea NVARCHAR(MAX),
+    prioridadSubtarea NVARCHAR(50) DEFAULT 'Media',
+    horasEstimadas DECIMAL(6, 2) NULL,
+    diasAntesEntrega INT NOT NULL DEFAULT 0,
+    idPlantillaSubtareaPadre INT NULL,   -- Anidamiento, igual que idSubtareaPadre en Subtareas
+    CONSTRAINT FK_PlantillaSubtarea_Tarea FOREIGN KEY (idPlantillaTarea) REFERENCES PlantillasTareas(idPlantillaTarea) ON DELETE CASCADE,
+    -- Sin cascada por ser una referencia a la propia tabla; las subtareas de una plantilla solo se borran con toda la plantilla
+    CONSTRAINT FK_PlantillaSubtarea_Padre FOREIGN KEY (idPlantillaSubtareaPadre) REFERENCES PlantillasSubtareas(idPlantillaSubtarea)
+);
+
+CREATE INDEX IX_PlantillasSubtareas_Tarea ON PlantillasSubtareas (idPlantillaTarea);
+
+-- Participantes (sin el admin) que se invitan al proyecto nuevo si se elige conservarlos
+CREATE TABLE PlantillasParticipantes (
+    idPlantilla INT NOT NULL,
+    idUsuario INT NOT NULL,
+    rolProyecto NVARCHAR(50) NOT NULL,
+    CONSTRAINT PK_PlantillasParticipantes PRIMARY KEY (idPlantilla, idUsuario),
+    CONSTRAINT FK_PlantillaParticipante_Plantilla FOREIGN KEY (idPlantilla) REFERENCES Plantillas(idPlantilla) ON DELETE CASCADE,
+    CONSTRAINT FK_PlantillaParticipante_Usuario FOREIGN KEY (idUsuario) REFERENCES Usuarios(idUsuario)
+);
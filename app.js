@@ -3,6 +3,9 @@ const express = require('express');
 const session = require('express-session');
 const path = require('path');
 const { generateCsrfToken } = require('./backend/middlewares/csrf');
+const { recordSessionDevice } = require('./backend/middlewares/sessionDevice');
+const { sessionOrBearerToken } = require('./backend/middlewares/apiToken');
+const sessionService = require('./backend/services/sessionService');
 const helmet = require('helmet');
 const projectRoutes = require('./backend/routes/project');
 const apiRoutes = require('./backend/routes/api'); // 🔥 NUEVA LÍNEA
@@ -17,7 +20,9 @@ app.use(express.static(path.join(__dirname, 'frontend', 'public')));
 app.use(helmet({
   crossOriginEmbedderPolicy: false,
 }));
-app.use(session({
+// Las peticiones a /api con "Authorization: Bearer" usan el token en lugar de la sesión
+app.use(sessionOrBearerToken(session({
+  store: sessionService.createSqlStore(), // Tabla Sesiones: no se pierden al reiniciar y se comparten entre procesos
   secret: process.env.SESSION_SECRET,
   resave: false,
   saveUninitialized: true,
@@ -27,8 +32,9 @@ app.use(session({
     maxAge: 1000 * 60 * 60 * 24, // 24 horas
     sameSite: 'Lax'
   }
-}));
+})));
 app.use(generateCsrfToken);
+app.use(recordSessionDevice);
 
 // Configura el motor de vista para los archivos .ejs
 app.set('view engine', 'ejs');
@@ -36,8 +42,10 @@ app.set('views', path.join(__dirname,'frontend', 'views'));
 
 // Rutas
 const authRoutes = require('./backend/routes/auth');
+const adminRoutes = require('./backend/routes/admin');
 app.use('/', authRoutes);
 app.use('/', projectRoutes); // Rutas tradicionales (formularios)
+app.use('/', adminRoutes); // Administración del sistema (rol admin_general)
 app.use('/api', apiRoutes); // 🔥 NUEVA LÍNEA: Rutas API (JSON)
 
 // Middleware para manejo de errores 
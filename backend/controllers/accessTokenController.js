@@ -0,0 +1,54 @@
+// backend/controllers/accessTokenController.js
+// Página de tokens de acceso personales (/perfil/tokens) para usar la API desde scripts o CI.
+const accessTokenService = require('../services/accessTokenService');
+
+// Lista de tokens y, justo después de crear uno, su valor completo (solo se muestra una vez)
+exports.getTokens = async (req, res, next) => {
+    try {
+        const tokens = await accessTokenService.listTokens(req.session.usuario.id);
+        res.render('access-tokens', {
+            usuario: req.session.usuario,
+            tokens: tokens,
+            alcances: accessTokenService.ALCANCES,
+            tokenNuevo: req.session.tokenAccesoNuevo || null,
+            mensaje: req.session.mensaje
+        });
+        req.session.tokenAccesoNuevo = null;
+        req.session.mensaje = null;
+    } catch (error) {
+        console.error("Error al cargar los tokens de acceso:", error);
+        req.session.mensaje = 'Error al cargar los tokens de acceso.';
+        next(error);
+    }
+};
+
+// POST para crear un token (nombre y alcance)
+exports.postCreateToken = async (req, res, next) => {
+    try {
+        const result = await accessTokenService.createToken(req.session.usuario.id, req.body.nombre, req.body.alcance);
+        if (result.success) {
+            req.session.tokenAccesoNuevo = { nombre: result.data.nombre, token: result.data.token };
+            req.session.mensaje = 'Token creado. Cópialo ahora: no se volverá a mostrar.';
+        } else {
+            req.session.mensaje = result.error;
+        }
+        res.redirect('/perfil/tokens');
+    } catch (error) {
+        console.error("Error al crear el token de acceso:", error);
+        req.session.mensaje = 'Error al crear el token de acceso.';
+        next(error);
+    }
+};
+
+// POST para revocar un token
+exports.postRevokeToken = async (req, res, next) => {
+    try {
+        const result = await accessTokenService.revokeToken(req.session.usuario.id, req.params.idToken);
+        req.session.mensaje = result.success ? 'Token revocado.' : result.error;
+        res.redirect('/perfil/tokens');
+    } catch (error) {
+        console.error("Error al revocar el token de acceso:", error);
+        req.session.mensaje = 'Error al revocar el token de acceso.';
+        next(error);
+    }
+};
@@ -0,0 +1,160 @@
+// backend/controllers/adminController.js
+// Administración del sistema (solo Usuarios.rol = 'admin_general', ver middlewares/auth.isSystemAdmin)
+const throttleService = require('../services/throttleService');
+const adminService = require('../services/adminService');
+
+// Vuelve a la lista con la misma búsqueda y página (campos ocultos buscar y pagina de cada formulario)
+function backTo(req, ruta) {
+    const params = new URLSearchParams();
+    if (req.body.buscar) params.set('buscar', req.body.buscar);
+    if (req.body.pagina) params.set('pagina', req.body.pagina);
+    if (req.body.sinAdmin) params.set('sinAdmin', req.body.sinAdmin);
+    const query = params.toString();
+    return query ? `${ruta}?${query}` : ruta;
+}
+
+// Lista de contadores de intentos y bloqueos de login, registro y recuperación
+exports.getLockouts = async (req, res, next) => {
+    try {
+        const registros = await throttleService.listLockouts();
+        res.render('admin-lockouts', {
+            registros: registros,
+            limites: throttleService.LIMITES,
+            usuarioActual: req.session.usuario,
+            mensaje: req.session.mensaje
+        });
+        req.session.mensaje = null;
+    } catch (error) {
+        console.error("Error al obtener bloqueos:", error);
+        req.session.mensaje = 'Error al cargar los bloqueos.';
+        next(error);
+    }
+};
+
+// POST para quitar un bloqueo (o reiniciar un contador)
+exports.postClearLockout = async (req, res, next) => {
+    try {
+        const result = await throttleService.clearLockout(req.body.clave);
+        req.session.mensaje = result.success ? `Bloqueo "${result.data.clave}" eliminado.` : result.error;
+        res.redirect('/admin/bloqueos');
+    } catch (error) {
+        console.error("Error al eliminar bloqueo:", error);
+        req.session.mensaje = 'Error al eliminar el bloqueo. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// Lista de usuarios con búsqueda por nombre, correo o ID
+exports.getUsers = async (req, res, next) => {
+    try {
+        const buscar = (req.query.buscar || '').trim();
+        const { usuarios, paginacion } = await adminService.listUsers({ search: buscar || null, pagina: req.query.pagina });
+        res.render('admin-users', {
+            usuarios: usuarios,
+            paginacion: paginacion,
+            buscar: buscar,
+            roles: Object.values(adminService.ROLES_SISTEMA),
+            usuarioActual: req.session.usuario,
+            mensaje: req.session.mensaje
+        });
+        req.session.mensaje = null;
+    } catch (error) {
+        console.error("Error al obtener usuarios:", error);
+        req.session.mensaje = 'Error al cargar los usuarios.';
+        next(error);
+    }
+};
+
+// POST para desactivar (activa=false) o reactivar una cuenta
+function setAccountActive(activa) {
+    return async (req, res, next) => {
+        try {
+            const result = await adminService.setAccountActive(req.session.usuario.id, req.params.idUsuario, activa);
+            if (!result.success) {
+                req.session.mensaje = result.error;
+            } else if (activa) {
+                req.session.mensaje = `Cuenta de ${result.data.nombreUsuario} reactivada.`;
+            } else {
+                req.session.mensaje = `Cuenta de ${result.data.nombreUsuario} desactivada. Se cerraron sus sesiones abiertas.`;
+            }
+            res.redirect(backTo(req, '/admin/usuarios'));
+        } catch (error) {
+            console.error("Error al cambiar el estado de la cuenta:", error);
+            req.session.mensaje = 'Error al cambiar el estado de la cuenta.';
+            next(error);
+        }
+    };
+}
+exports.postDisableUser = setAccountActive(false);
+exports.postEnableUser = setAccountActive(true);
+
+// POST para cambiar el rol del sistema
+exports.postChangeRole = async (req, res, next) => {
+    try {
+        const result = await adminService.changeSystemRole(req.session.usuario.id, req.params.idUsuario, req.body.rol);
+        req.session.mensaje = result.success
+            ? `${result.data.nombreUsuario} ahora tiene el rol "${result.data.rol}".`
+            : result.error;
+        res.redirect(backTo(req, '/admin/usuarios'));
+    } catch (error) {
+        console.error("Error al cambiar el rol:", error);
+        req.session.mensaje = 'Error al cambiar el rol.';
+        next(error);
+    }
+};
+
+// POST para restablecer la contraseña: se envía al usuario un enlace para elegir una nueva
+exports.postResetPassword = async (req, res, next) => {
+    try {
+        const result = await adminService.resetPassword(req.params.idUsuario);
+        req.session.mensaje = result.success
+            ? `Contraseña de ${result.data.nombreUsuario} restablecida. Se envió un enlace a ${result.data.correoUsuario} para elegir una nueva.`
+            : result.error;
+        res.redirect(backTo(req, '/admin/usuarios'));
+    } catch (error) {
+        console.error("Error al restablecer la contraseña:", error);
+        req.session.mensaje = 'Error al restablecer la contraseña o al enviar el correo.';
+        next(error);
+    }
+};
+
+// Lista de todos los proyectos; sinAdmin=1 muestra solo los que tienen el administrador desactivado
+exports.getProjects = async (req, res, next) => {
+    try {
+        const buscar = (req.query.buscar || '').trim();
+        const sinAdmin = req.query.sinAdmin === '1';
+        const { proyectos, paginacion } = await adminService.listProjects({
+            search: buscar || null,
+            soloSinAdmin: sinAdmin,
+            pagina: req.query.pagina
+        });
+        res.render('admin-projects', {
+            proyectos: proyectos,
+            paginacion: paginacion,
+            buscar: buscar,
+            sinAdmin: sinAdmin,
+            usuarioActual: req.session.usuario,
+            mensaje: req.session.mensaje
+        });
+        req.session.mensaje = null;
+    } catch (error) {
+        console.error("Error al obtener proyectos:", error);
+        req.session.mensaje = 'Error al cargar los proyectos.';
+        next(error);
+    }
+};
+
+// POST para transferir un proyecto a otro usuario (campo nuevoAdmin: ID o correo)
+exports.postTransferProject = async (req, res, next) => {
+    try {
+        const result = await adminService.transferProject(req.session.usuario, req.params.idProyecto, req.body.nuevoAdmin);
+        req.session.mensaje = result.success
+            ? `El proyecto "${result.data.nombreProyecto}" ahora lo administra ${result.data.nombreAdmin}.`
+            : result.error;
+        res.redirect(backTo(req, '/admin/proyectos'));
+    } catch (error) {
+        console.error("Error al transferir el proyecto:", error);
+        req.session.mensaje = 'Error al transferir el proyecto.';
+        next(error);
+    }
+};
@@ -0,0 +1,68 @@
+// backend/controllers/attachmentController.js
+const { createAttachment, deleteAttachment, getAttachmentDownload } = require('../services/attachmentService');
+
+// Vuelve a la tarea dentro de project-details
+function redirectToTask(res, projectId, taskId) {
+    res.redirect(`/proyectos/${projectId}${taskId ? `#tarea-${taskId}` : ''}`);
+}
+
+// POST para adjuntar un archivo a una tarea (o a una subtarea si la ruta trae :idSubtarea).
+// El middleware uploadAttachment ya guardó el archivo en req.file o dejó el error en req.uploadError.
+exports.postUploadAttachment = async (req, res, next) => {
+    const { idProyecto: projectId, idTarea: taskId, idSubtarea } = req.params;
+
+    if (req.uploadError) {
+        req.session.mensaje = 'Error al adjuntar el archivo: ' + req.uploadError;
+        return redirectToTask(res, projectId, taskId);
+    }
+
+    try {
+        const result = await createAttachment(projectId, taskId, idSubtarea || null, req.session.usuario, req.file);
+        req.session.mensaje = result.success ? `Archivo "${result.data.nombreOriginal}" adjuntado.` : result.error;
+        redirectToTask(res, projectId, taskId);
+    } catch (error) {
+        console.error("Error al adjuntar archivo:", error);
+        req.session.mensaje = 'Error al adjuntar el archivo. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// GET para descargar un adjunto (solo participantes del proyecto)
+exports.getDownloadAttachment = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
+    try {
+        const result = await getAttachmentDownload(projectId, req.params.idAdjunto, req.session.usuario.id);
+        if (!result.success) {
+            req.session.mensaje = result.error;
+            return res.redirect(`/proyectos/${projectId}`);
+        }
+
+        res.download(result.data.ruta, result.data.nombreOriginal, (error) => {
+            if (error && !res.headersSent) {
+                console.error("Error al descargar adjunto:", error);
+                req.session.mensaje = 'El archivo ya no está disponible.';
+                res.redirect(`/proyectos/${projectId}`);
+            }
+        });
+    } catch (error) {
+        console.error("Error al descargar adjunto:", error);
+        req.session.mensaje = 'Error al descargar el archivo. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// POST para eliminar un adjunto
+exports.postDeleteAttachment = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
+    try {
+        const result = await deleteAttachment(projectId, req.params.idAdjunto, req.session.usuario);
+        req.session.mensaje = result.success ? 'Adjunto eliminado.' : result.error;
+        redirectToTask(res, projectId, result.success && result.data.idTarea);
+    } catch (error) {
+        console.error("Error al eliminar adjunto:", error);
+        req.session.mensaje = 'Error al eliminar el adjunto. Inténtalo de nuevo.';
+        next(error);
+    }
+};
@@ -5,8 +5,10 @@ const config = require('../db.js');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
 const { body, validationResult } = require('express-validator');
+const emailVerificationService = require('../services/emailVerificationService');
+const mailService = require('../services/mailService');
+const sessionService = require('../services/sessionService');
 
 // Validaciones para el registro de usuario
 exports.validateRegister = [
@@ -40,6 +42,13 @@ exports.validateSendRecoverEmail = [
         .normalizeEmail()
 ];
 
+// Validaciones para reenviar el correo de verificación
+exports.validateResendVerification = [
+    body('correo')
+        .isEmail().withMessage('El correo es obligatorio y debe ser válido')
+        .normalizeEmail()
+];
+
 // Validaciones para resetear contraseña
 exports.validateResetPassword = [
     body('contrasena')
@@ -66,9 +75,10 @@ exports.getRegister = (req, res) => {
     res.render('register', {
         imagenes,
         oldInput: {},
-        mensaje: null,
+        mensaje: req.session.mensaje, // p. ej. el aviso de demasiados intentos
         csrfToken: req.session.csrfToken
     });
+    req.session.mensaje = null;
 };
 
 exports.getIndex = (req, res) => {
@@ -98,13 +108,8 @@ exports.postLogin = async (req, res, next) => {
         return res.redirect('/');
     }
 
+    // El middleware throttle('login') ya rechazó la petición si la cuenta o la IP están bloqueadas
     const { correo, contrasena } = req.body;
-    const loginLimiter = require('../middlewares/loginAttempts.js');
-
-    if (loginLimiter.isBlocked(correo)) {
-        req.session.mensaje = 'Demasiados intentos fallidos. Intenta nuevamente en unos minutos.';
-        return res.redirect('/');
-    }
 
     try {
         const pool = await sql.connect(config);
@@ -116,18 +121,40 @@ exports.postLogin = async (req, res, next) => {
 
         if (!usuario || !bcrypt.compareSync(contrasena, usuario.contrasenia)) {
             req.session.mensaje = 'Credenciales incorrectas';
-            loginLimiter.registerFailedAttempt(correo);
+            await req.limiteIntentos.registrarFallo();
+            return res.redirect('/');
+        }
+
+        // La contraseña es correcta, pero la cuenta no entra si está desactivada o sin verificar el correo
+        await req.limiteIntentos.reiniciar();
+        if (!usuario.cuentaActiva) {
+            req.session.mensaje = 'Tu cuenta está desactivada. Contacta con un administrador.';
             return res.redirect('/');
         }
+        if (!usuario.correoVerificado) {
+            req.session.mensaje = 'Debes verificar tu correo antes de iniciar sesión. Revisa tu bandeja de entrada o solicita un nuevo enlace.';
+            return res.redirect('/');
+        }
+
+        // Con la verificación en dos pasos activada, la sesión se inicia tras el código (twoFactorController)
+        if (usuario.totpActivado) {
+            req.session.loginPendiente = {
+                idUsuario: usuario.idUsuario,
+                nombre: usuario.nombreUsuario,
+                foto: usuario.fotoPerfil,
+                rol: usuario.rol,
+                expira: Date.now() + 5 * 60 * 1000 // 5 minutos para introducir el código
+            };
+            return res.redirect('/login/2fa');
+        }
 
         req.session.usuario = {
             id: usuario.idUsuario,
             nombre: usuario.nombreUsuario,
-            foto: usuario.fotoPerfil
+            foto: usuario.fotoPerfil,
+            rol: usuario.rol
         };
 
-        loginLimiter.resetAttempts(correo);
-
         res.redirect('/index');
     } catch (error) {
         console.error("Error en postLogin:", error); // Mensaje específico de en donde se produce el error
@@ -166,17 +193,29 @@ exports.postRegister = async (req, res, next) => {
         const hash = bcrypt.hashSync(contrasena, 10);
         const pool = await sql.connect(config);
 
-        await pool.request()
+        const insertResult = await pool.request()
             .input('nombreUsuario', sql.VarChar, nombre)
             .input('correoUsuario', sql.VarChar, correo)
             .input('contrasenia', sql.VarChar, hash)
             .input('fotoPerfil', sql.VarChar, fotoPerfil)
             .query(`
-                INSERT INTO Usuarios (nombreUsuario, correoUsuario, contrasenia, fotoPerfil, rol)
-                VALUES (@nombreUsuario, @correoUsuario, @contrasenia, @fotoPerfil, 'usuario')
+                INSERT INTO Usuarios (nombreUsuario, correoUsuario, contrasenia, fotoPerfil, rol, correoVerificado)
+                OUTPUT INSERTED.idUsuario
+                VALUES (@nombreUsuario, @correoUsuario, @contrasenia, @fotoPerfil, 'usuario', 0)
             `);
 
-        req.session.mensaje = '¡Registro exitoso! Por favor, inicia sesión.';
+        // La cuenta queda creada aunque falle el envío: el usuario puede pedir otro enlace
+        try {
+            await emailVerificationService.sendVerificationEmail({
+                idUsuario: insertResult.recordset[0].idUsuario,
+                nombreUsuario: nombre,
+                correoUsuario: correo
+            });
+            req.session.mensaje = '¡Registro exitoso! Te enviamos un enlace para verificar tu correo antes de iniciar sesión.';
+        } catch (mailError) {
+            console.error("Error al enviar correo de verificación:", mailError);
+            req.session.mensaje = 'Registro exitoso, pero no pudimos enviar el correo de verificación. Solicita un nuevo enlace.';
+        }
         res.redirect('/');
     } catch (error) {
         console.error("Error general en postRegister:", error);
@@ -192,9 +231,59 @@ exports.postRegister = async (req, res, next) => {
     }
 };
 
+// Verifica el correo con el enlace enviado al registrarse
+exports.getVerifyEmail = async (req, res, next) => {
+    try {
+        const result = await emailVerificationService.verifyEmail(req.params.token);
+
+        // Cambio de correo desde el perfil: se vuelve al perfil si la sesión sigue abierta
+        if (result.success && result.data.cambioCorreo) {
+            req.session.mensaje = `Tu correo se cambió a ${result.data.correo}.`;
+            return res.redirect(req.session.usuario ? '/perfil' : '/');
+        }
+        if (!result.success && req.session.usuario) {
+            req.session.mensaje = result.error;
+            return res.redirect('/perfil');
+        }
+
+        req.session.mensaje = result.success ? '¡Correo verificado! Ya puedes iniciar sesión.' : result.error;
+        res.redirect(result.success ? '/' : '/verificar-correo/reenviar');
+    } catch (error) {
+        console.error("Error en getVerifyEmail:", error);
+        req.session.mensaje = 'Error al verificar el correo. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// Formulario para pedir otro enlace de verificación
+exports.getResendVerification = (req, res) => {
+    res.render('resend-verification', { mensaje: req.session.mensaje });
+    req.session.mensaje = null;
+};
+
+// Reenvía el enlace de verificación (limitado por throttle('verificacion'))
+exports.postResendVerification = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        req.session.mensaje = errors.array().map(e => e.msg).join(', ');
+        return res.redirect('/verificar-correo/reenviar');
+    }
+
+    try {
+        await emailVerificationService.resendVerification(req.body.correo);
+        req.session.mensaje = 'Si la cuenta existe y no está verificada, te enviamos un nuevo enlace.'; // Mensaje genérico por seguridad
+        res.redirect('/');
+    } catch (error) {
+        console.error("Error en postResendVerification:", error);
+        req.session.mensaje = 'Error al enviar el correo de verificación.';
+        next(error);
+    }
+};
+
 // Muestra la vista para recuperrar contraseña
 exports.getRecoverForm = (req, res) => {
-    res.render('recover');
+    res.render('recover', { mensaje: req.session.mensaje });
+    req.session.mensaje = null;
 };
 
 // Envia un correo con un token unico
@@ -233,28 +322,18 @@ exports.sendRecoverEmail = async (req, res, next) => {
                 WHERE idUsuario = @id
             `);
 
-        // Configura el envio de correo
-        const transporter = nodemailer.createTransport({
-            service: 'gmail',
-            auth: {
-                user: process.env.EMAIL_USER,
-                pass: process.env.EMAIL_PASS
+        // Enlace para recuperar la contraseña (incluye el token)
+        await mailService.sendMail({
+            para: correo,
+            asunto: 'Recuperación de contraseña',
+            plantilla: 'recuperacion',
+            datos: {
+                nombre: usuario.nombreUsuario,
+                enlace: mailService.appUrl(`/reset-password/${token}`),
+                horas: 1
             }
         });
 
-        // Enlace para recuperar la contraseña(incluye el token)
-        const enlace = `http://localhost:3000/reset-password/${token}`;
-
-        // Formato del correo y envio
-        await transporter.sendMail({
-            from: '@gmail.com',
-            to: correo,
-            subject: 'Recuperación de contraseña',
-            html: `<p>Haz clic en el siguiente enlace para cambiar tu contraseña:</p>
-                   <a href="${enlace}">${enlace}</a>
-                   <p>Este enlace expirará en 1 hora.</p>`
-        });
-
         req.session.mensaje = 'Se ha enviado un correo de recuperación (si el correo existe).';
         res.redirect('/');
     } catch (e) {
@@ -273,7 +352,7 @@ exports.getResetForm = async (req, res) => {
         .input('tokenRecuperacion', sql.VarChar, token)
         .query(`
             SELECT * FROM Usuarios
-            WHERE tokenRecuperacion = @token AND tokenExpiracion > GETDATE()
+            WHERE tokenRecuperacion = @tokenRecuperacion AND tokenExpiracion > GETDATE()
         `);
 
     // Muestra error si no es valido o ya expiro el token
@@ -281,7 +360,7 @@ exports.getResetForm = async (req, res) => {
         return res.send('Enlace inválido o expirado');
     }
 
-    res.render('reset-password', { token });
+    res.render('reset_password', { token });
 };
 
 // Guarda la nueva contraseña
@@ -291,7 +370,7 @@ exports.postResetPassword = async (req, res, next) => {
     if (!errors.isEmpty()) {
         // Si hay errores de validación de contraseña, re-renderiza el formulario con el token
         const { token } = req.params;
-        return res.render('reset-password', {
+        return res.render('reset_password', {
             token,
             errors: errors.array(),
             mensaje: null // Limpia cualquier mensaje de sesión
@@ -326,6 +405,9 @@ exports.postResetPassword = async (req, res, next) => {
                 WHERE tokenRecuperacion = @tokenRecuperacion
             `);
 
+        // Quien tuviera la contraseña anterior pierde las sesiones que hubiera abierto
+        await sessionService.revokeAllSessions(result.recordset[0].idUsuario);
+
         req.session.mensaje = '¡Contraseña actualizada exitosamente! Ahora puedes iniciar sesión.';
         res.redirect('/');
     } catch (error) {
@@ -0,0 +1,74 @@
+// backend/controllers/commentController.js
+const { body, validationResult } = require('express-validator');
+const { createComment, updateComment, deleteComment, MAX_LONGITUD_COMENTARIO } = require('../services/commentService');
+
+// Validaciones para crear/editar un comentario (desde project-details.ejs)
+exports.validateComment = [
+    body('contenido')
+        .trim()
+        .notEmpty().withMessage('El comentario no puede estar vacío')
+        .isLength({ max: MAX_LONGITUD_COMENTARIO }).withMessage(`El comentario no puede superar los ${MAX_LONGITUD_COMENTARIO} caracteres`),
+    body('idSubtarea').optional({ checkFalsy: true }).isInt().withMessage('Subtarea inválida')
+];
+
+// Vuelve al hilo de la tarea dentro de project-details
+function redirectToTask(res, projectId, taskId) {
+    res.redirect(`/proyectos/${projectId}${taskId ? `#tarea-${taskId}` : ''}`);
+}
+
+// POST para comentar una tarea (o una de sus subtareas si se envía idSubtarea)
+exports.postCreateComment = async (req, res, next) => {
+    const { idProyecto: projectId, idTarea: taskId } = req.params;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        req.session.mensaje = 'Error al publicar el comentario: ' + errors.array().map(e => e.msg).join(', ');
+        return redirectToTask(res, projectId, taskId);
+    }
+
+    try {
+        const result = await createComment(projectId, taskId, req.body.idSubtarea || null, req.session.usuario, req.body.contenido);
+        req.session.mensaje = result.success ? 'Comentario publicado.' : result.error;
+        redirectToTask(res, projectId, taskId);
+    } catch (error) {
+        console.error("Error al crear comentario:", error);
+        req.session.mensaje = 'Error al publicar el comentario. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// POST para editar un comentario (solo su autor)
+exports.postEditComment = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        req.session.mensaje = 'Error al editar el comentario: ' + errors.array().map(e => e.msg).join(', ');
+        return redirectToTask(res, projectId, req.permiso && req.permiso.comentario.idTarea);
+    }
+
+    try {
+        const result = await updateComment(projectId, req.params.idComentario, req.session.usuario, req.body.contenido);
+        req.session.mensaje = result.success ? 'Comentario actualizado.' : result.error;
+        redirectToTask(res, projectId, result.success && result.data.idTarea);
+    } catch (error) {
+        console.error("Error al editar comentario:", error);
+        req.session.mensaje = 'Error al editar el comentario. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// POST para eliminar un comentario
+exports.postDeleteComment = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
+    try {
+        const result = await deleteComment(projectId, req.params.idComentario, req.session.usuario);
+        req.session.mensaje = result.success ? 'Comentario eliminado.' : result.error;
+        redirectToTask(res, projectId, result.success && result.data.idTarea);
+    } catch (error) {
+        console.error("Error al eliminar comentario:", error);
+        req.session.mensaje = 'Error al eliminar el comentario. Inténtalo de nuevo.';
+        next(error);
+    }
+};
@@ -0,0 +1,37 @@
+// backend/controllers/dependencyController.js
+const { addDependency, removeDependency } = require('../services/dependencyService');
+
+// Vuelve a la tarjeta de la tarea dentro de project-details
+function redirectToTask(res, projectId, taskId) {
+    res.redirect(`/proyectos/${projectId}#tarea-${taskId}`);
+}
+
+// POST para indicar que la tarea está bloqueada por otra (idTareaBloqueante)
+exports.postAddDependency = async (req, res, next) => {
+    const { idProyecto: projectId, idTarea: taskId } = req.params;
+
+    try {
+        const result = await addDependency(projectId, taskId, req.body.idTareaBloqueante, req.session.usuario);
+        req.session.mensaje = result.success ? 'Dependencia añadida.' : result.error;
+        redirectToTask(res, projectId, taskId);
+    } catch (error) {
+        console.error("Error al añadir dependencia:", error);
+        req.session.mensaje = 'Error al añadir la dependencia. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// POST para quitar una tarea bloqueante
+exports.postRemoveDependency = async (req, res, next) => {
+    const { idProyecto: projectId, idTarea: taskId } = req.params;
+
+    try {
+        const result = await removeDependency(projectId, taskId, req.params.idTareaBloqueante, req.session.usuario);
+        req.session.mensaje = result.success ? 'Dependencia eliminada.' : result.error;
+        redirectToTask(res, projectId, taskId);
+    } catch (error) {
+        console.error("Error al eliminar dependencia:", error);
+        req.session.mensaje = 'Error al eliminar la dependencia. Inténtalo de nuevo.';
+        next(error);
+    }
+};
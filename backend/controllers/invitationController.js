@@ -0,0 +1,110 @@
+// backend/controllers/invitationController.js
+const { body, validationResult } = require('express-validator');
+const { createInvitation, revokeInvitation, changeParticipantRole, respondToInvitation } = require('../services/participantService');
+const { ROLES } = require('../policies/projectPolicy');
+
+// Validaciones para invitar a un usuario por correo
+exports.validateInvitation = [
+    body('correoInvitado')
+        .isEmail().withMessage('Debe ser un correo electrónico válido')
+        .normalizeEmail(),
+    body('rolProyecto')
+        .optional({ checkFalsy: true })
+        .isIn(ROLES).withMessage('Rol de proyecto inválido')
+];
+
+// Validaciones para cambiar el rol de un participante
+exports.validateRoleChange = [
+    body('rolProyecto').isIn(ROLES).withMessage('Rol de proyecto inválido')
+];
+
+// POST para invitar a un usuario (desde project-details.ejs)
+exports.postInvite = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        req.session.mensaje = 'Error al enviar la invitación: ' + errors.array().map(e => e.msg).join(', ');
+        return res.redirect(`/proyectos/${projectId}`);
+    }
+
+    try {
+        const result = await createInvitation(projectId, req.session.usuario.id, req.body.correoInvitado, req.body.rolProyecto || undefined);
+        req.session.mensaje = result.success
+            ? `¡Invitación enviada a ${result.data.name}!`
+            : result.error;
+        res.redirect(`/proyectos/${projectId}`);
+    } catch (error) {
+        console.error("Error al enviar invitación:", error);
+        req.session.mensaje = 'Error al enviar la invitación. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// POST para revocar una invitación pendiente (solo admin)
+exports.postRevoke = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
+    try {
+        const result = await revokeInvitation(projectId, req.session.usuario.id, req.params.idParticipante);
+        req.session.mensaje = result.success ? 'Invitación revocada.' : result.error;
+        res.redirect(`/proyectos/${projectId}`);
+    } catch (error) {
+        console.error("Error al revocar invitación:", error);
+        req.session.mensaje = 'Error al revocar la invitación. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// POST para cambiar el rol de un participante (solo admin)
+exports.postChangeRole = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        req.session.mensaje = 'Error al cambiar el rol: ' + errors.array().map(e => e.msg).join(', ');
+        return res.redirect(`/proyectos/${projectId}`);
+    }
+
+    try {
+        const result = await changeParticipantRole(projectId, req.session.usuario.id, req.params.idParticipante, req.body.rolProyecto);
+        req.session.mensaje = result.success
+            ? `${result.data.name} ahora tiene el rol ${result.data.role}.`
+            : result.error;
+        res.redirect(`/proyectos/${projectId}`);
+    } catch (error) {
+        console.error("Error al cambiar el rol:", error);
+        req.session.mensaje = 'Error al cambiar el rol. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// POST para aceptar una invitación recibida
+exports.postAccept = async (req, res, next) => {
+    try {
+        const result = await respondToInvitation(req.params.idParticipante, req.session.usuario.id, true);
+        if (!result.success) {
+            req.session.mensaje = result.error;
+            return res.redirect('/proyectos');
+        }
+        req.session.mensaje = '¡Te has unido al proyecto!';
+        res.redirect(`/proyectos/${result.data.projectId}`);
+    } catch (error) {
+        console.error("Error al aceptar invitación:", error);
+        req.session.mensaje = 'Error al aceptar la invitación. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// POST para rechazar una invitación recibida
+exports.postReject = async (req, res, next) => {
+    try {
+        const result = await respondToInvitation(req.params.idParticipante, req.session.usuario.id, false);
+        req.session.mensaje = result.success ? 'Invitación rechazada.' : result.error;
+        res.redirect('/proyectos');
+    } catch (error) {
+        console.error("Error al rechazar invitación:", error);
+        req.session.mensaje = 'Error al rechazar la invitación. Inténtalo de nuevo.';
+        next(error);
+    }
+};
@@ -0,0 +1,78 @@
+// backend/controllers/labelController.js
+const { body, validationResult } = require('express-validator');
+const { createLabel, updateLabel, deleteLabel, MAX_LONGITUD_NOMBRE_ETIQUETA } = require('../services/labelService');
+
+// Validaciones para crear/editar una etiqueta (desde edit-project.ejs)
+exports.validateLabel = [
+    body('nombreEtiqueta')
+        .trim()
+        .notEmpty().withMessage('El nombre de la etiqueta es obligatorio')
+        .isLength({ max: MAX_LONGITUD_NOMBRE_ETIQUETA }).withMessage(`El nombre de la etiqueta no puede superar los ${MAX_LONGITUD_NOMBRE_ETIQUETA} caracteres`),
+    body('color')
+        .optional({ checkFalsy: true })
+        .matches(/^#[0-9A-Fa-f]{6}$/).withMessage('El color debe tener el formato #RRGGBB')
+];
+
+// Vuelve a la sección de etiquetas de la página de edición del proyecto
+function redirectToLabels(res, projectId) {
+    res.redirect(`/proyectos/editar/${projectId}#etiquetas`);
+}
+
+// POST para crear una etiqueta del proyecto
+exports.postCreateLabel = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        req.session.mensaje = 'Error al crear la etiqueta: ' + errors.array().map(e => e.msg).join(', ');
+        return redirectToLabels(res, projectId);
+    }
+
+    try {
+        const { nombreEtiqueta, color } = req.body;
+        const result = await createLabel(projectId, req.session.usuario, { nombreEtiqueta, color });
+        req.session.mensaje = result.success ? `Etiqueta "${result.data.nombreEtiqueta}" creada.` : result.error;
+        redirectToLabels(res, projectId);
+    } catch (error) {
+        console.error("Error al crear etiqueta:", error);
+        req.session.mensaje = 'Error al crear la etiqueta. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// POST para cambiar el nombre o el color de una etiqueta
+exports.postEditLabel = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        req.session.mensaje = 'Error al editar la etiqueta: ' + errors.array().map(e => e.msg).join(', ');
+        return redirectToLabels(res, projectId);
+    }
+
+    try {
+        const { nombreEtiqueta, color } = req.body;
+        const result = await updateLabel(projectId, req.params.idEtiqueta, req.session.usuario, { nombreEtiqueta, color });
+        req.session.mensaje = result.success ? `Etiqueta "${result.data.nombreEtiqueta}" actualizada.` : result.error;
+        redirectToLabels(res, projectId);
+    } catch (error) {
+        console.error("Error al editar etiqueta:", error);
+        req.session.mensaje = 'Error al editar la etiqueta. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// POST para eliminar una etiqueta (se quita de todas las tareas y subtareas)
+exports.postDeleteLabel = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
+    try {
+        const result = await deleteLabel(projectId, req.params.idEtiqueta, req.session.usuario);
+        req.session.mensaje = result.success ? `Etiqueta "${result.data.nombreEtiqueta}" eliminada.` : result.error;
+        redirectToLabels(res, projectId);
+    } catch (error) {
+        console.error("Error al eliminar etiqueta:", error);
+        req.session.mensaje = 'Error al eliminar la etiqueta. Inténtalo de nuevo.';
+        next(error);
+    }
+};
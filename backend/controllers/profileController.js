@@ -0,0 +1,254 @@
+// backend/controllers/profileController.js
+// Página "Mi perfil" (/perfil): nombre, contraseña, correo y foto del usuario de la sesión,
+// exportación de sus datos y eliminación de la cuenta.
+const fs = require('fs');
+const { body, validationResult } = require('express-validator');
+const profileService = require('../services/profileService');
+const sessionService = require('../services/sessionService');
+const accountService = require('../services/accountService');
+
+// Validaciones para el cambio de correo (la contraseña la comprueba el servicio)
+exports.validateEmailChange = [
+    body('correo')
+        .isEmail().withMessage('Debe ser un correo electrónico válido')
+        .normalizeEmail()
+];
+
+function sessionsText(numero) {
+    return `${numero} ${numero === 1 ? 'sesión' : 'sesiones'}`;
+}
+
+// Mantiene el nombre y la foto de la sesión iguales a los guardados (se muestran en la cabecera)
+function syncSession(req, cambios) {
+    req.session.usuario = { ...req.session.usuario, ...cambios };
+}
+
+// Muestra el perfil con los formularios de cada cambio
+exports.getProfile = async (req, res, next) => {
+    try {
+        const result = await profileService.getProfile(req.session.usuario.id);
+        if (!result.success) {
+            req.session.mensaje = result.error;
+            return res.redirect('/index');
+        }
+
+        res.render('profile', {
+            usuario: req.session.usuario,
+            perfil: result.data,
+            imagenes: profileService.IMAGENES_PREDETERMINADAS,
+            mensaje: req.session.mensaje
+        });
+        req.session.mensaje = null;
+    } catch (error) {
+        console.error("Error al cargar el perfil:", error);
+        req.session.mensaje = 'Error al cargar el perfil.';
+        next(error);
+    }
+};
+
+// POST para cambiar el nombre visible
+exports.postName = async (req, res, next) => {
+    try {
+        const result = await profileService.updateName(req.session.usuario.id, req.body.nombre);
+        if (result.success) {
+            syncSession(req, { nombre: result.data.nombreUsuario });
+            req.session.mensaje = 'Nombre actualizado.';
+        } else {
+            req.session.mensaje = result.error;
+        }
+        res.redirect('/perfil');
+    } catch (error) {
+        console.error("Error al cambiar el nombre:", error);
+        req.session.mensaje = 'Error al cambiar el nombre.';
+        next(error);
+    }
+};
+
+// POST para cambiar la contraseña (pide la actual)
+exports.postPassword = async (req, res, next) => {
+    const { contrasenaActual, contrasenaNueva, confirmarContrasena } = req.body;
+    if (contrasenaNueva !== confirmarContrasena) {
+        req.session.mensaje = 'Las contraseñas nuevas no coinciden.';
+        return res.redirect('/perfil');
+    }
+
+    try {
+        const result = await profileService.changePassword(req.session.usuario.id, contrasenaActual, contrasenaNueva, req.sessionID);
+        if (result.success) {
+            req.session.mensaje = result.data.sesionesCerradas > 0
+                ? `¡Contraseña actualizada! Se cerraron ${sessionsText(result.data.sesionesCerradas)} en otros dispositivos.`
+                : '¡Contraseña actualizada!';
+        } else {
+            req.session.mensaje = result.error;
+        }
+        res.redirect('/perfil');
+    } catch (error) {
+        console.error("Error al cambiar la contraseña:", error);
+        req.session.mensaje = 'Error al cambiar la contraseña.';
+        next(error);
+    }
+};
+
+// POST para cambiar el correo: no se aplica hasta abrir el enlace enviado a la dirección nueva
+exports.postEmail = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        req.session.mensaje = errors.array().map(e => e.msg).join(', ');
+        return res.redirect('/perfil');
+    }
+
+    try {
+        const result = await profileService.requestEmailChange(req.session.usuario.id, req.body.correo, req.body.contrasena);
+        req.session.mensaje = result.success
+            ? `Te enviamos un enlace a ${result.data.correoPendiente}. Tu correo cambiará cuando lo abras; hasta entonces sigue valiendo el actual.`
+            : result.error;
+        res.redirect('/perfil');
+    } catch (error) {
+        console.error("Error al cambiar el correo:", error);
+        req.session.mensaje = 'Error al enviar el correo de verificación.';
+        next(error);
+    }
+};
+
+// POST para anular un cambio de correo sin confirmar
+exports.postCancelEmail = async (req, res, next) => {
+    try {
+        await profileService.cancelEmailChange(req.session.usuario.id);
+        req.session.mensaje = 'Cambio de correo cancelado.';
+        res.redirect('/perfil');
+    } catch (error) {
+        console.error("Error al cancelar el cambio de correo:", error);
+        req.session.mensaje = 'Error al cancelar el cambio de correo.';
+        next(error);
+    }
+};
+
+// POST para cambiar la foto: imagen subida (campo fotoPerfil) o una predeterminada (imagenSeleccionada)
+exports.postPhoto = async (req, res, next) => {
+    if (req.uploadError) {
+        req.session.mensaje = req.uploadError;
+        return res.redirect('/perfil');
+    }
+
+    try {
+        const result = await profileService.updatePhoto(req.session.usuario.id, {
+            archivo: req.file,
+            imagen: req.body.imagenSeleccionada
+        });
+        if (result.success) {
+            syncSession(req, { foto: result.data.fotoPerfil });
+            req.session.mensaje = 'Foto de perfil actualizada.';
+        } else {
+            req.session.mensaje = result.error;
+        }
+        res.redirect('/perfil');
+    } catch (error) {
+        console.error("Error al cambiar la foto de perfil:", error);
+        req.session.mensaje = 'Error al cambiar la foto de perfil.';
+
+        if (req.file) { // La foto no llegó a guardarse en el perfil
+            fs.unlink(req.file.path, (unlinkErr) => {
+                if (unlinkErr) console.error('Error al eliminar archivo subido (catch):', unlinkErr);
+            });
+        }
+        next(error);
+    }
+};
+
+// Sesiones activas del usuario (dispositivo, IP y última actividad)
+exports.getSessions = async (req, res, next) => {
+    try {
+        const sesiones = await sessionService.listSessions(req.session.usuario.id, req.sessionID);
+        res.render('sessions', {
+            usuario: req.session.usuario,
+            sesiones: sesiones,
+            mensaje: req.session.mensaje
+        });
+        req.session.mensaje = null;
+    } catch (error) {
+        console.error("Error al cargar las sesiones activas:", error);
+        req.session.mensaje = 'Error al cargar las sesiones activas.';
+        next(error);
+    }
+};
+
+// POST para cerrar una sesión; si es la actual se vuelve al login
+exports.postRevokeSession = async (req, res, next) => {
+    try {
+        const result = await sessionService.revokeSession(req.session.usuario.id, req.params.idSesion, req.sessionID);
+        if (result.success && result.data.actual) {
+            return req.session.destroy(() => res.redirect('/'));
+        }
+
+        req.session.mensaje = result.success ? 'Sesión cerrada.' : result.error;
+        res.redirect('/perfil/sesiones');
+    } catch (error) {
+        console.error("Error al cerrar la sesión:", error);
+        req.session.mensaje = 'Error al cerrar la sesión.';
+        next(error);
+    }
+};
+
+// POST para cerrar todas las sesiones menos la actual
+exports.postRevokeOtherSessions = async (req, res, next) => {
+    try {
+        const result = await sessionService.revokeAllSessions(req.session.usuario.id, req.sessionID);
+        req.session.mensaje = `Se cerraron ${sessionsText(result.data.cerradas)}.`;
+        res.redirect('/perfil/sesiones');
+    } catch (error) {
+        console.error("Error al cerrar las demás sesiones:", error);
+        req.session.mensaje = 'Error al cerrar las demás sesiones.';
+        next(error);
+    }
+};
+
+// Descarga un JSON con los datos personales del usuario (ver accountService.exportUserData)
+exports.getExport = async (req, res, next) => {
+    try {
+        const result = await accountService.exportUserData(req.session.usuario.id);
+        if (!result.success) {
+            req.session.mensaje = result.error;
+            return res.redirect('/perfil');
+        }
+
+        const fecha = new Date().toISOString().slice(0, 10);
+        res.attachment(`mis-datos-${fecha}.json`);
+        res.type('application/json');
+        res.send(JSON.stringify(result.data, null, 2));
+    } catch (error) {
+        console.error("Error al exportar los datos:", error);
+        req.session.mensaje = 'Error al exportar tus datos.';
+        next(error);
+    }
+};
+
+// Resumen de lo que pasó con los proyectos que administraba el usuario
+function ownedProjectsText({ transferidos, eliminados, sinAdministrador }) {
+    const partes = [];
+    if (transferidos > 0) partes.push(`${transferidos} ${transferidos === 1 ? 'proyecto pasó' : 'proyectos pasaron'} a otro participante`);
+    if (eliminados > 0) partes.push(`${eliminados} ${eliminados === 1 ? 'proyecto sin más participantes se eliminó' : 'proyectos sin más participantes se eliminaron'}`);
+    if (sinAdministrador > 0) partes.push(`${sinAdministrador} ${sinAdministrador === 1 ? 'proyecto queda' : 'proyectos quedan'} pendiente${sinAdministrador === 1 ? '' : 's'} de que un administrador del sistema ${sinAdministrador === 1 ? 'lo' : 'los'} asigne`);
+    return partes.length > 0 ? ` ${partes.join('; ')}.` : '';
+}
+
+// POST para eliminar la cuenta (pide la contraseña). La sesión se cierra y se vuelve al login.
+exports.postDeleteAccount = async (req, res, next) => {
+    try {
+        const result = await accountService.deleteAccount(req.session.usuario.id, req.body.contrasena);
+        if (!result.success) {
+            req.session.mensaje = result.error;
+            return res.redirect('/perfil');
+        }
+
+        const mensaje = `Tu cuenta se eliminó.${ownedProjectsText(result.data.proyectos)}`;
+        req.session.regenerate((error) => {
+            if (error) return next(error);
+            req.session.mensaje = mensaje;
+            res.redirect('/');
+        });
+    } catch (error) {
+        console.error("Error al eliminar la cuenta:", error);
+        req.session.mensaje = 'Error al eliminar la cuenta.';
+        next(error);
+    }
+};
@@ -1,83 +1,169 @@
-const sql = require('mssql');
-const config = require('../db.js');
 const { body, validationResult } = require('express-validator');
+const projectService = require('../services/projectService');
+const taskService = require('../services/taskService');
+const subtaskService = require('../services/subtaskService');
+const timeService = require('../services/timeService');
+const templateService = require('../services/templateService');
+const { getProjectLabels, filterByLabel, normalizeLabelIds } = require('../services/labelService');
+const { parseRule, buildRule, FRECUENCIAS } = require('../services/recurrenceService');
+const { getPendingInvitationsForUser } = require('../services/participantService');
+const { ETIQUETAS_CAMPOS, VERBOS_OPERACION } = require('../services/activityService');
+const { can, ACCIONES, ROLES } = require('../policies/projectPolicy');
+
+// Las consultas y las reglas de permisos viven en backend/services/ (compartidas con routes/api.js).
+// Aquí solo se traducen los resultados { success, data, error, code } a vistas y mensajes flash.
+
+
+// --- Función Auxiliar: permisos para las vistas project-details y project-board ---
+// puede(accion, { tarea, subtarea }) aplica la misma política que los servicios y el middleware authorize.
+function permissionHelpers(usuario, proyecto) {
+    return {
+        ACCIONES,
+        ROLES,
+        puede: (accion, recurso = {}) => can(usuario, accion, { rolProyecto: proyecto.rolProyecto, proyecto, ...recurso })
+    };
+}
 
+// --- Función Auxiliar: filtro por etiqueta de project-details y project-board (?etiqueta=idEtiqueta) ---
+// Devuelve la etiqueta del proyecto por la que se filtra, o null si no hay filtro (o la etiqueta no es del proyecto).
+function labelFilter(query, etiquetas) {
+    const idEtiqueta = Number(query.etiqueta);
+    return etiquetas.find(e => e.idEtiqueta === idEtiqueta) || null;
+}
 
+// IDs de etiqueta marcados en un formulario, para volver a mostrarlo con errores
+function selectedLabelIds(value) {
+    return normalizeLabelIds(value) || [];
+}
 
+// --- Función Auxiliar: regla de repetición a partir de los campos de _recurrencia.ejs ---
+// Devuelve { success, data } con el texto RRULE, o data null si la tarea no se repite.
+function recurrenceFromForm(body) {
+    const frecuencia = body.frecuenciaRecurrencia;
+    if (!frecuencia) return { success: true, data: null };
 
-// --- Función Auxiliar para Cargar Datos del Proyecto (¡ALTAMENTE RECOMENDADA!) ---
-// Para evitar repetir este código en varios lugares (getProjectDetails, postCreateTask, postCreateSubtask),
-// es una buena práctica crear una función auxiliar que cargue todos los datos necesarios
-// para renderizar la vista 'project-details'.
-async function loadProjectDetailsData(projectId, currentUserId) {
-    const pool = await sql.connect(config);
-
-    const projectResult = await pool.request()
-        .input('idProyecto', sql.Int, projectId)
-        .input('currentUserId', sql.Int, currentUserId)
-        .query(`
-            SELECT
-                P.idProyecto, P.nombreProyecto, CAST(P.descripcionProyecto AS NVARCHAR(MAX)) AS descripcionProyecto,
-                P.fechaCreacion, P.fechaEntrega, P.estadoProyecto, P.idUsuarioAdmin,
-                U_Admin.nombreUsuario AS nombreAdmin, PP.rolProyecto
-            FROM Proyectos P
-            JOIN Usuarios U_Admin ON P.idUsuarioAdmin = U_Admin.idUsuario
-            JOIN ParticipantesProyecto PP ON P.idProyecto = PP.idProyecto AND PP.idUsuario = @currentUserId
-            WHERE P.idProyecto = @idProyecto AND PP.estadoInvitacion = 'aceptada';
-        `);
-    const proyecto = projectResult.recordset[0];
-
-    if (!proyecto) {
-        throw new Error('Proyecto no encontrado o acceso denegado.');
+    if (frecuencia === 'personalizada') {
+        if (!body.reglaRecurrencia || !body.reglaRecurrencia.trim()) {
+            return { success: false, error: 'Escribe la regla de repetición personalizada (por ejemplo FREQ=WEEKLY;BYDAY=MO).', code: 'VALIDATION_ERROR' };
+        }
+        return { success: true, data: body.reglaRecurrencia };
     }
 
-    const participantsResult = await pool.request()
-        .input('idProyecto', sql.Int, projectId)
-        .query(`SELECT U.idUsuario, U.nombreUsuario, U.correoUsuario, PP.rolProyecto, PP.estadoInvitacion FROM ParticipantesProyecto PP JOIN Usuarios U ON PP.idUsuario = U.idUsuario WHERE PP.idProyecto = @idProyecto;`);
-    const participantes = participantsResult.recordset;
-
-    const tasksResult = await pool.request()
-        .input('idProyecto', sql.Int, projectId)
-        .query(`
-            SELECT T.idTarea, T.nombreTarea, CAST(T.descripcionTarea AS NVARCHAR(MAX)) AS descripcionTarea,
-            T.fechaCreacion, T.fechaEntrega, T.estadoTarea, T.prioridadTarea,
-            T.idUsuarioCreador, T.idUsuarioAsignado, U_Creador.nombreUsuario AS nombreCreador, U_Asignado.nombreUsuario AS nombreAsignado
-            FROM Tareas T LEFT JOIN Usuarios U_Creador ON T.idUsuarioCreador = U_Creador.idUsuario
-            LEFT JOIN Usuarios U_Asignado ON T.idUsuarioAsignado = U_Asignado.idUsuario
-            WHERE T.idProyecto = @idProyecto ORDER BY T.fechaEntrega ASC;
-        `);
-    let tareas = tasksResult.recordset;
-
-    const taskIds = tareas.map(t => t.idTarea);
-    let subtareas = [];
-    if (taskIds.length > 0) {
-        const subtareasRequest = pool.request();
-        const taskIdsPlaceholders = taskIds.map((id, index) => {
-            subtareasRequest.input(`p${index}`, sql.Int, id);
-            return `@p${index}`;
-        }).join(',');
-        const subtareasResult = await subtareasRequest.query(`
-            SELECT ST.idSubtarea, ST.idTarea, ST.nombreSubtarea, CAST(ST.descripcionSubtarea AS NVARCHAR(MAX)) AS descripcionSubtarea,
-            ST.fechaCreacion, ST.fechaEntrega, ST.estadoSubtarea, ST.prioridadSubtarea, ST.idUsuarioCreador, ST.idUsuarioAsignado,
-            U_Creador_ST.nombreUsuario AS nombreCreadorSubtarea, U_Asignado_ST.nombreUsuario AS nombreAsignadoSubtarea
-            FROM Subtareas ST LEFT JOIN Usuarios U_Creador_ST ON ST.idUsuarioCreador = U_Creador_ST.idUsuario
-            LEFT JOIN Usuarios U_Asignado_ST ON ST.idUsuarioAsignado = U_Asignado_ST.idUsuario
-            WHERE ST.idTarea IN (${taskIdsPlaceholders}) ORDER BY ST.fechaEntrega ASC;
-        `);
-        subtareas = subtareasResult.recordset;
+    // Los campos ocultos de otras frecuencias se ignoran
+    return buildRule({
+        frecuencia,
+        intervalo: body.intervaloRecurrencia,
+        diasSemana: frecuencia === FRECUENCIAS.SEMANAL ? body.diasRecurrencia : undefined,
+        diaMes: frecuencia === FRECUENCIAS.MENSUAL ? body.diaMesRecurrencia : undefined,
+        hasta: body.hastaRecurrencia,
+        repeticiones: body.repeticionesRecurrencia
+    });
+}
+
+// --- Función Auxiliar: valores iniciales de _recurrencia.ejs ---
+// Con oldInput se repite lo enviado; si no, se rellenan con la regla guardada de la tarea.
+function recurrenceFormValues(tarea, oldInput) {
+    if (oldInput) {
+        return {
+            frecuencia: oldInput.frecuenciaRecurrencia || '',
+            intervalo: oldInput.intervaloRecurrencia || '',
+            dias: [].concat(oldInput.diasRecurrencia || []),
+            diaMes: oldInput.diaMesRecurrencia || '',
+            hasta: oldInput.hastaRecurrencia || '',
+            repeticiones: oldInput.repeticionesRecurrencia || '',
+            regla: oldInput.reglaRecurrencia || '',
+            pausada: Boolean(oldInput.recurrenciaPausada)
+        };
     }
 
-    tareas = tareas.map(tarea => {
-        tarea.subtareas = subtareas.filter(subtarea => subtarea.idTarea === tarea.idTarea);
-        return tarea;
-    });
+    const parsed = tarea.reglaRecurrencia ? parseRule(tarea.reglaRecurrencia) : null;
+    const regla = parsed && parsed.success ? parsed.data : null;
+    return {
+        frecuencia: regla ? regla.frecuencia : '',
+        intervalo: regla && regla.intervalo > 1 ? regla.intervalo : '',
+        dias: regla ? regla.diasSemana : [],
+        diaMes: regla && regla.diaMes !== null ? regla.diaMes : '',
+        hasta: regla && regla.hasta ? regla.hasta.toISOString().split('T')[0] : '',
+        repeticiones: regla && regla.repeticiones !== null ? regla.repeticiones : '',
+        regla: tarea.reglaRecurrencia || '',
+        pausada: Boolean(tarea.recurrenciaPausada)
+    };
+}
 
-    return { proyecto, participantes, tareas };
+// Mensaje flash tras actualizar una tarea: avisa si se creó la siguiente ocurrencia
+function taskUpdatedMessage(tarea) {
+    if (!tarea.siguienteOcurrencia) return '¡Tarea actualizada exitosamente!';
+    const fecha = new Date(tarea.siguienteOcurrencia.fechaEntrega).toLocaleDateString('es-ES');
+    return `¡Tarea actualizada exitosamente! Se creó la siguiente repetición para el ${fecha}.`;
 }
 
+// --- Función Auxiliar: volver a mostrar project-details con errores de validación ---
+// La usan postCreateTask y postCreateSubtask para no perder el contexto del formulario.
+async function renderProjectDetailsWithErrors(req, res, projectId, errors) {
+    try {
+        const result = await projectService.getProjectDetails(projectId, req.session.usuario.id);
+        if (!result.success) {
+            req.session.mensaje = result.error;
+            return res.redirect('/proyectos');
+        }
+
+        const { proyecto, participantes, tareas, tiempo, etiquetas, actividad } = result.data;
+        return res.render('project-details', {
+            csrfToken: req.session.csrfToken,
+            proyecto: proyecto,
+            participantes: participantes,
+            tareas: tareas,
+            tareasProyecto: tareas,
+            etiquetas: etiquetas,
+            etiquetaFiltro: null,
+            tiempo: tiempo,
+            temporizador: await timeService.getActiveTimer(req.session.usuario.id),
+            formatDuration: timeService.formatDuration,
+            actividad: actividad,
+            etiquetasCampos: ETIQUETAS_CAMPOS,
+            verbosOperacion: VERBOS_OPERACION,
+            usuarioActual: req.session.usuario,
+            ...permissionHelpers(req.session.usuario, proyecto),
+            mensaje: null, // No hay mensaje de éxito si hay errores
+            errors: errors.array(), // Aquí pasamos los errores de validación
+            oldInput: req.body // Para repoblar el formulario
+        });
+    } catch (error) {
+        console.error("Error al re-renderizar la página con errores:", error);
+        req.session.mensaje = 'Error al procesar el formulario.';
+        return res.redirect(`/proyectos/${projectId}`);
+    }
+}
 
+// --- Función Auxiliar: mostrar edit-subtask con los datos de subtaskService.getSubtaskForEdit ---
+// La usan getEditSubtask y postEditSubtask (esta con los errores y lo enviado para repoblar el formulario).
+async function renderEditSubtask(req, res, editData, { idsEtiquetas = editData.idsEtiquetas, mensaje = null, errors = null, oldInput = null } = {}) {
+    const { idProyecto, idTarea, idSubtarea } = req.params;
+    res.render('edit-subtask', {
+        csrfToken: req.session.csrfToken,
+        proyectoId: idProyecto,
+        tareaId: idTarea,
+        subtarea: editData.subtarea,
+        participantes: editData.participantes,
+        etiquetas: editData.etiquetas,
+        idsEtiquetas: idsEtiquetas,
+        destinos: editData.destinos,
+        minutosReales: await timeService.getTrackedMinutes(idTarea, idSubtarea),
+        formatDuration: timeService.formatDuration,
+        usuarioActual: req.session.usuario,
+        mensaje: mensaje,
+        errors: errors,
+        oldInput: oldInput
+    });
+}
 
 
+// Mensaje flash tras crear un proyecto con una plantilla o clonarlo (templateService)
+function copiedProjectMessage({ proyecto, numTareas, numInvitados }) {
+    const tareas = numTareas === 1 ? '1 tarea' : `${numTareas} tareas`;
+    const invitados = numInvitados === 0 ? '' : ` y ${numInvitados === 1 ? '1 participante invitado' : `${numInvitados} participantes invitados`}`;
+    return `Proyecto "${proyecto.nombreProyecto}" creado con ${tareas}${invitados}.`;
+}
 
 // Validaciones para crear/editar un proyecto
 exports.validateProject = [
@@ -98,64 +184,66 @@ exports.validateProject = [
 ];
 
 // Obtener la vista para crear un nuevo proyecto
-exports.getCreateProject = (req, res) => {
+// ?plantilla=idPlantilla (enlace "Crear proyecto" de la página de plantillas) la deja elegida con su descripción
+exports.getCreateProject = async (req, res, next) => {
     // Asegúrate de que el usuario esté logueado
     if (!req.session.usuario) {
         req.session.mensaje = 'Necesitas iniciar sesión para crear un proyecto.';
         return res.redirect('/');
     }
-    res.render('create-project', {
-        csrfToken: req.session.csrfToken,
-        errors: null,
-        oldInput: {}
-    });
-};
 
-// Lógica para crear un nuevo proyecto
-exports.postCreateProject = async (req, res, next) => {
-    // 1. Verificar errores de validación
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        return res.render('create-project', {
+    try {
+        const plantillas = await templateService.getTemplatesForUser(req.session.usuario.id);
+        const plantilla = plantillas.find(p => String(p.idPlantilla) === req.query.plantilla);
+
+        res.render('create-project', {
             csrfToken: req.session.csrfToken,
-            errors: errors.array(),
-            oldInput: req.body
+            plantillas: plantillas,
+            errors: null,
+            oldInput: plantilla ? { idPlantilla: plantilla.idPlantilla, descripcionProyecto: plantilla.descripcionProyecto } : {}
         });
+    } catch (error) {
+        console.error("Error al cargar el formulario de creación de proyecto:", error);
+        next(error);
     }
+};
 
+// Lógica para crear un nuevo proyecto (vacío o a partir de una plantilla del usuario)
+exports.postCreateProject = async (req, res, next) => {
     if (!req.session.usuario) {
         req.session.mensaje = 'Necesitas iniciar sesión para crear un proyecto.';
         return res.redirect('/');
     }
 
-    const { nombreProyecto, descripcionProyecto, fechaEntrega } = req.body;
-    const idUsuarioAdmin = req.session.usuario.id; // El usuario logueado es el admin
+    const { nombreProyecto, descripcionProyecto, fechaEntrega, idPlantilla, copiarParticipantes } = req.body;
 
     try {
-        const pool = await sql.connect(config);
-        const result = await pool.request()
-            .input('nombreProyecto', sql.VarChar, nombreProyecto)
-            .input('descripcionProyecto', sql.Text, descripcionProyecto)
-            .input('fechaEntrega', sql.DateTime, fechaEntrega)
-            .input('idUsuarioAdmin', sql.Int, idUsuarioAdmin)
-            .query(`
-                INSERT INTO Proyectos (nombreProyecto, descripcionProyecto, fechaEntrega, fechaCreacion, idUsuarioAdmin)
-                VALUES (@nombreProyecto, @descripcionProyecto, @fechaEntrega, GETDATE(), @idUsuarioAdmin);
-                SELECT SCOPE_IDENTITY() AS idProyecto; -- Retorna el ID del proyecto recién creado
-            `);
-
-        const newProjectId = result.recordset[0].idProyecto;
-
-        // Opcional: Registrar al admin como participante del proyecto también (aunque ya está en idUsuarioAdmin)
-        await pool.request()
-            .input('idProyecto', sql.Int, newProjectId)
-            .input('idUsuario', sql.Int, idUsuarioAdmin)
-            .input('rolProyecto', sql.VarChar, 'admin')
-            .input('estadoInvitacion', sql.VarChar, 'aceptada')
-            .query(`
-                INSERT INTO ParticipantesProyecto (idProyecto, idUsuario, rolProyecto, estadoInvitacion)
-                VALUES (@idProyecto, @idUsuario, @rolProyecto, @estadoInvitacion);
-            `);
+        // 1. Verificar errores de validación
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.render('create-project', {
+                csrfToken: req.session.csrfToken,
+                plantillas: await templateService.getTemplatesForUser(req.session.usuario.id),
+                errors: errors.array(),
+                oldInput: req.body
+            });
+        }
+
+        if (idPlantilla) {
+            const result = await templateService.createProjectFromTemplate(idPlantilla, req.session.usuario, {
+                nombreProyecto, descripcionProyecto, fechaEntrega, copiarParticipantes: Boolean(copiarParticipantes)
+            });
+            if (!result.success) {
+                req.session.mensaje = result.error;
+                return res.redirect('/proyectos');
+            }
+
+            req.session.mensaje = copiedProjectMessage(result.data);
+            return res.redirect(`/proyectos/${result.data.proyecto.idProyecto}`);
+        }
+
+        // El usuario logueado es el admin
+        await projectService.createProject(req.session.usuario.id, { nombreProyecto, descripcionProyecto, fechaEntrega });
 
         req.session.mensaje = '¡Proyecto creado exitosamente!';
         res.redirect('/proyectos'); // Redirige a una vista donde se listan los proyectos
@@ -174,32 +262,20 @@ exports.getProjects = async (req, res, next) => {
     }
 
     try {
-        const pool = await sql.connect(config);
-        const proyectosResult = await pool.request()
-            .input('idUsuario', sql.Int, req.session.usuario.id)
-            .query(`
-                SELECT
-                    P.idProyecto,
-                    P.nombreProyecto,
-                    CAST(P.descripcionProyecto AS NVARCHAR(MAX)) AS descripcionProyecto, -- Convertir a NVARCHAR(MAX)
-                    P.fechaCreacion,
-                    P.fechaEntrega,
-                    P.estadoProyecto,
-                    P.idUsuarioAdmin,
-                    U_Admin.nombreUsuario AS nombreAdmin,
-                    PP.rolProyecto
-                FROM Proyectos P
-                JOIN ParticipantesProyecto PP ON P.idProyecto = PP.idProyecto
-                JOIN Usuarios U_Admin ON P.idUsuarioAdmin = U_Admin.idUsuario
-                WHERE PP.idUsuario = @idUsuario AND PP.estadoInvitacion = 'aceptada'
-                ORDER BY P.fechaEntrega ASC;
-            `);
-        
+        const proyectos = await projectService.getProjectsForUser(req.session.usuario.id);
+
+        // Invitaciones pendientes que el usuario puede aceptar o rechazar
+        const invitaciones = await getPendingInvitationsForUser(req.session.usuario.id);
+
         res.render('projects', {
             csrfToken: req.session.csrfToken,
-            proyectos: proyectosResult.recordset,
+            proyectos: proyectos,
+            invitaciones: invitaciones,
             mensaje: req.session.mensaje,
-            usuario: req.session.usuario
+            usuario: req.session.usuario,
+            ACCIONES,
+            // Cada proyecto de la lista trae el rol del usuario (rolProyecto)
+            puedeEnProyecto: (proyecto, accion) => can(req.session.usuario, accion, { rolProyecto: proyecto.rolProyecto, proyecto })
         });
         req.session.mensaje = null;
     } catch (error) {
@@ -209,142 +285,49 @@ exports.getProjects = async (req, res, next) => {
     }
 };
 
-
-
-
-// NUEVA FUNCIÓN: Obtener detalles de un proyecto específico
+// Obtener detalles de un proyecto específico
 exports.getProjectDetails = async (req, res, next) => {
     if (!req.session.usuario || !req.session.usuario.id) {
         req.session.mensaje = 'Necesitas iniciar sesión para ver los detalles del proyecto.';
         return res.redirect('/');
     }
 
-    const projectId = req.params.idProyecto;
-    const currentUserId = req.session.usuario.id;
-
     try {
-        const pool = await sql.connect(config);
-
-        // 1. Obtener detalles del proyecto
-        const projectResult = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('currentUserId', sql.Int, currentUserId)
-            .query(`
-                SELECT
-                    P.idProyecto,
-                    P.nombreProyecto,
-                    CAST(P.descripcionProyecto AS NVARCHAR(MAX)) AS descripcionProyecto,
-                    P.fechaCreacion,
-                    P.fechaEntrega,
-                    P.estadoProyecto,
-                    P.idUsuarioAdmin,
-                    U_Admin.nombreUsuario AS nombreAdmin,
-                    PP.rolProyecto
-                FROM Proyectos P
-                JOIN Usuarios U_Admin ON P.idUsuarioAdmin = U_Admin.idUsuario
-                JOIN ParticipantesProyecto PP ON P.idProyecto = PP.idProyecto AND PP.idUsuario = @currentUserId
-                WHERE P.idProyecto = @idProyecto AND PP.estadoInvitacion = 'aceptada';
-            `);
-
-        const proyecto = projectResult.recordset[0];
-
-        if (!proyecto) {
-            req.session.mensaje = 'Proyecto no encontrado o no tienes acceso a él.';
-            return res.redirect('/proyectos');
-        }
+        // ?paginaActividad=N pagina el registro de actividad del proyecto
+        const result = await projectService.getProjectDetails(req.params.idProyecto, req.session.usuario.id, {
+            paginaActividad: req.query.paginaActividad
+        });
 
-        // 2. Obtener los participantes del proyecto
-        const participantsResult = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .query(`
-                SELECT
-                    U.idUsuario,
-                    U.nombreUsuario,
-                    U.correoUsuario,
-                    PP.rolProyecto,
-                    PP.estadoInvitacion
-                FROM ParticipantesProyecto PP
-                JOIN Usuarios U ON PP.idUsuario = U.idUsuario
-                WHERE PP.idProyecto = @idProyecto;
-            `);
-        const participantes = participantsResult.recordset;
-
-        // 3. Obtener las tareas del proyecto
-        const tasksResult = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .query(`
-                SELECT
-                    T.idTarea,
-                    T.nombreTarea,
-                    CAST(T.descripcionTarea AS NVARCHAR(MAX)) AS descripcionTarea,
-                    T.fechaCreacion,
-                    T.fechaEntrega,
-                    T.estadoTarea,
-                    T.prioridadTarea,
-                    T.idUsuarioCreador,
-                    T.idUsuarioAsignado,
-                    U_Creador.nombreUsuario AS nombreCreador,
-                    U_Asignado.nombreUsuario AS nombreAsignado
-                FROM Tareas T
-                LEFT JOIN Usuarios U_Creador ON T.idUsuarioCreador = U_Creador.idUsuario
-                LEFT JOIN Usuarios U_Asignado ON T.idUsuarioAsignado = U_Asignado.idUsuario
-                WHERE T.idProyecto = @idProyecto
-                ORDER BY T.fechaEntrega ASC;
-            `);
-        let tareas = tasksResult.recordset;
-
-        // 4. Obtener todas las subtareas para las tareas de este proyecto
-        const taskIds = tareas.map(t => t.idTarea);
-        let subtareas = [];
-        if (taskIds.length > 0) {
-            // **CORRECCIÓN AQUÍ:** Construir la lista de placeholders y añadir inputs dinámicamente
-            const subtareasRequest = pool.request();
-            const taskIdsPlaceholders = taskIds.map((id, index) => {
-                subtareasRequest.input(`p${index}`, sql.Int, id); // Añade cada ID como un parámetro separado
-                return `@p${index}`; // Retorna el placeholder para el SQL
-            }).join(','); // Une todos los placeholders con comas
-
-            const subtareasResult = await subtareasRequest.query(`
-                SELECT
-                    ST.idSubtarea,
-                    ST.idTarea,
-                    ST.nombreSubtarea,
-                    CAST(ST.descripcionSubtarea AS NVARCHAR(MAX)) AS descripcionSubtarea,
-                    ST.fechaCreacion,
-                    ST.fechaEntrega,
-                    ST.estadoSubtarea,
-                    ST.prioridadSubtarea,
-                    ST.idUsuarioCreador,
-                    ST.idUsuarioAsignado,
-                    U_Creador_ST.nombreUsuario AS nombreCreadorSubtarea,
-                    U_Asignado_ST.nombreUsuario AS nombreAsignadoSubtarea
-                FROM Subtareas ST
-                LEFT JOIN Usuarios U_Creador_ST ON ST.idUsuarioCreador = U_Creador_ST.idUsuario
-                LEFT JOIN Usuarios U_Asignado_ST ON ST.idUsuarioAsignado = U_Asignado_ST.idUsuario
-                WHERE ST.idTarea IN (${taskIdsPlaceholders})
-                ORDER BY ST.fechaEntrega ASC;
-            `);
-            subtareas = subtareasResult.recordset;
+        if (!result.success) {
+            req.session.mensaje = result.error;
+            return res.redirect('/proyectos');
         }
 
-        // 5. Anidar subtareas dentro de sus tareas correspondientes
-        tareas = tareas.map(tarea => {
-            tarea.subtareas = subtareas.filter(subtarea => subtarea.idTarea === tarea.idTarea);
-            return tarea;
-        });
-        
-        // **CORRECCIÓN AQUÍ:** Pasar las variables 'mensaje' y 'errors' a la vista
+        const { proyecto, participantes, tareas, tiempo, etiquetas, actividad } = result.data;
+        // ?etiqueta=N muestra solo las tareas con esa etiqueta (en la tarea o en alguna subtarea);
+        // los totales y las tareas que se pueden elegir como bloqueantes siguen siendo las de todo el proyecto
+        const etiquetaFiltro = labelFilter(req.query, etiquetas);
         res.render('project-details', {
             csrfToken: req.session.csrfToken,
             proyecto: proyecto,
             participantes: participantes,
-            tareas: tareas,
+            tareas: etiquetaFiltro ? filterByLabel(tareas, etiquetaFiltro.idEtiqueta) : tareas,
+            tareasProyecto: tareas,
+            etiquetas: etiquetas,
+            etiquetaFiltro: etiquetaFiltro,
+            tiempo: tiempo,
+            temporizador: await timeService.getActiveTimer(req.session.usuario.id),
+            formatDuration: timeService.formatDuration,
+            actividad: actividad,
+            etiquetasCampos: ETIQUETAS_CAMPOS,
+            verbosOperacion: VERBOS_OPERACION,
             usuarioActual: req.session.usuario,
-            mensaje: req.session.mensaje, // <-- Pasa el mensaje de la sesión
-            errors: null // <-- Inicializa 'errors' a null para las cargas de página normales
+            ...permissionHelpers(req.session.usuario, proyecto),
+            mensaje: req.session.mensaje,
+            errors: null // 'errors' es null en las cargas de página normales
         });
         // Limpia el mensaje de la sesión después de pasarlo para que no se muestre de nuevo al recargar
-        req.session.mensaje = null; 
+        req.session.mensaje = null;
 
     } catch (error) {
         console.error("Error al obtener detalles del proyecto:", error);
@@ -353,49 +336,111 @@ exports.getProjectDetails = async (req, res, next) => {
     }
 };
 
+// Tablero Kanban: una columna por cada estado de tarea
+exports.getProjectBoard = async (req, res, next) => {
+    try {
+        const result = await projectService.getProjectDetails(req.params.idProyecto, req.session.usuario.id);
+
+        if (!result.success) {
+            req.session.mensaje = result.error;
+            return res.redirect('/proyectos');
+        }
+
+        const { proyecto, tareas, etiquetas } = result.data;
+        const etiquetaFiltro = labelFilter(req.query, etiquetas);
+        const visibles = etiquetaFiltro ? filterByLabel(tareas, etiquetaFiltro.idEtiqueta) : tareas;
+        const columnas = taskService.ESTADOS_TAREA.map(estado => ({
+            estado,
+            tareas: visibles.filter(tarea => tarea.estadoTarea === estado)
+        }));
+
+        res.render('project-board', {
+            proyecto: proyecto,
+            columnas: columnas,
+            etiquetas: etiquetas,
+            etiquetaFiltro: etiquetaFiltro,
+            formatDuration: timeService.formatDuration,
+            usuarioActual: req.session.usuario,
+            ...permissionHelpers(req.session.usuario, proyecto),
+            mensaje: req.session.mensaje
+        });
+        req.session.mensaje = null;
+    } catch (error) {
+        console.error("Error al obtener el tablero del proyecto:", error);
+        req.session.mensaje = 'Error al cargar el tablero del proyecto. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// Validaciones para clonar un proyecto (desde edit-project.ejs)
+exports.validateCloneProject = [
+    body('nombreProyecto')
+        .trim()
+        .notEmpty().withMessage('El nombre del nuevo proyecto es obligatorio')
+        .isLength({ max: templateService.MAX_LONGITUD_NOMBRE }).withMessage(`El nombre no puede superar los ${templateService.MAX_LONGITUD_NOMBRE} caracteres`),
+    body('fechaEntrega')
+        .isISO8601().toDate().withMessage('La fecha de entrega debe ser una fecha válida')
+        .custom(value => {
+            if (new Date(value) < new Date()) {
+                throw new Error('La fecha de entrega no puede ser en el pasado');
+            }
+            return true;
+        })
+];
+
+// POST para clonar el proyecto: lleva al proyecto nuevo
+exports.postCloneProject = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        req.session.mensaje = 'Error al clonar el proyecto: ' + errors.array().map(e => e.msg).join(', ');
+        return res.redirect(`/proyectos/editar/${projectId}#copiar`);
+    }
 
+    try {
+        const { nombreProyecto, fechaEntrega, copiarParticipantes } = req.body;
+        const result = await templateService.cloneProject(projectId, req.session.usuario, {
+            nombreProyecto, fechaEntrega, copiarParticipantes: Boolean(copiarParticipantes)
+        });
+        if (!result.success) {
+            req.session.mensaje = result.error;
+            return res.redirect(`/proyectos/editar/${projectId}#copiar`);
+        }
 
+        req.session.mensaje = copiedProjectMessage(result.data);
+        res.redirect(`/proyectos/${result.data.proyecto.idProyecto}`);
+    } catch (error) {
+        console.error("Error al clonar proyecto:", error);
+        req.session.mensaje = 'Error al clonar el proyecto. Inténtalo de nuevo.';
+        next(error);
+    }
+};
 
-// NUEVA FUNCIÓN: Obtener formulario de edición de proyecto
+// Obtener formulario de edición de proyecto
 exports.getEditProject = async (req, res, next) => {
     if (!req.session.usuario || !req.session.usuario.id) {
         req.session.mensaje = 'Necesitas iniciar sesión para editar proyectos.';
         return res.redirect('/');
     }
 
-    const projectId = req.params.idProyecto;
-    const currentUserId = req.session.usuario.id;
-
     try {
-        const pool = await sql.connect(config);
-        const projectResult = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idUsuarioAdmin', sql.Int, currentUserId) // Verificar que el usuario logueado es el admin
-            .query(`
-                SELECT
-                    P.idProyecto,
-                    P.nombreProyecto,
-                    CAST(P.descripcionProyecto AS NVARCHAR(MAX)) AS descripcionProyecto,
-                    P.fechaEntrega,
-                    P.estadoProyecto,
-                    P.idUsuarioAdmin
-                FROM Proyectos P
-                WHERE P.idProyecto = @idProyecto AND P.idUsuarioAdmin = @idUsuarioAdmin;
-            `);
-
-        const proyecto = projectResult.recordset[0];
-
-        if (!proyecto) {
-            req.session.mensaje = 'Proyecto no encontrado o no tienes permiso para editarlo.';
+        const result = await projectService.getManageableProject(req.params.idProyecto, req.session.usuario.id);
+
+        if (!result.success) {
+            req.session.mensaje = result.error;
             return res.redirect('/proyectos');
         }
 
         res.render('edit-project', {
             csrfToken: req.session.csrfToken,
-            proyecto: proyecto,
+            proyecto: result.data,
+            etiquetas: await getProjectLabels(req.params.idProyecto), // Se gestionan en la misma página
+            mensaje: req.session.mensaje,
             errors: null,
-            oldInput: proyecto // precarga los datos actuales del proyecto
+            oldInput: result.data // precarga los datos actuales del proyecto
         });
+        req.session.mensaje = null;
 
     } catch (error) {
         console.error("Error al obtener proyecto para edición:", error);
@@ -404,12 +449,13 @@ exports.getEditProject = async (req, res, next) => {
     }
 };
 
-// NUEVA FUNCIÓN: Manejar el envío del formulario de edición de proyecto
+// Manejar el envío del formulario de edición de proyecto
 exports.postEditProject = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
     // 1. Verificar errores de validación
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-        const projectId = req.params.idProyecto;
         // Si hay errores, re-renderiza el formulario con los datos y errores
         const proyecto = { // Necesitamos pasar un objeto proyecto para que la vista no falle
             idProyecto: projectId,
@@ -421,6 +467,8 @@ exports.postEditProject = async (req, res, next) => {
         return res.render('edit-project', {
             csrfToken: req.session.csrfToken,
             proyecto: proyecto,
+            etiquetas: await getProjectLabels(projectId),
+            mensaje: null,
             errors: errors.array(),
             oldInput: req.body
         });
@@ -431,40 +479,18 @@ exports.postEditProject = async (req, res, next) => {
         return res.redirect('/');
     }
 
-    const projectId = req.params.idProyecto;
-    const currentUserId = req.session.usuario.id;
     const { nombreProyecto, descripcionProyecto, fechaEntrega, estadoProyecto } = req.body;
 
     try {
-        const pool = await sql.connect(config);
-
-        // Primero, verifica si el usuario actual es el administrador de este proyecto
-        const checkAdmin = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idUsuarioAdmin', sql.Int, currentUserId)
-            .query('SELECT 1 FROM Proyectos WHERE idProyecto = @idProyecto AND idUsuarioAdmin = @idUsuarioAdmin;');
-        
-        if (checkAdmin.recordset.length === 0) {
-            req.session.mensaje = 'No tienes permiso para editar este proyecto.';
+        const result = await projectService.updateProject(projectId, req.session.usuario.id, {
+            nombreProyecto, descripcionProyecto, fechaEntrega, estadoProyecto
+        });
+
+        if (!result.success) {
+            req.session.mensaje = result.error;
             return res.redirect('/proyectos');
         }
 
-        // Si es el admin, procede con la actualización
-        await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('nombreProyecto', sql.NVarChar, nombreProyecto)
-            .input('descripcionProyecto', sql.Text, descripcionProyecto)
-            .input('fechaEntrega', sql.DateTime, fechaEntrega)
-            .input('estadoProyecto', sql.NVarChar, estadoProyecto)
-            .query(`
-                UPDATE Proyectos
-                SET nombreProyecto = @nombreProyecto,
-                    descripcionProyecto = @descripcionProyecto,
-                    fechaEntrega = @fechaEntrega,
-                    estadoProyecto = @estadoProyecto
-                WHERE idProyecto = @idProyecto;
-            `);
-
         req.session.mensaje = '¡Proyecto actualizado exitosamente!';
         res.redirect(`/proyectos/${projectId}`); // Redirige a los detalles del proyecto actualizado
     } catch (error) {
@@ -474,38 +500,17 @@ exports.postEditProject = async (req, res, next) => {
     }
 };
 
-// NUEVA FUNCIÓN: Eliminar un proyecto
+// Eliminar un proyecto
 exports.deleteProject = async (req, res, next) => {
     if (!req.session.usuario || !req.session.usuario.id) {
         req.session.mensaje = 'Necesitas iniciar sesión para eliminar proyectos.';
         return res.redirect('/');
     }
 
-    const projectId = req.params.idProyecto;
-    const currentUserId = req.session.usuario.id;
-
     try {
-        const pool = await sql.connect(config);
-
-        // Primero, verifica si el usuario actual es el administrador de este proyecto
-        const checkAdmin = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idUsuarioAdmin', sql.Int, currentUserId)
-            .query('SELECT 1 FROM Proyectos WHERE idProyecto = @idProyecto AND idUsuarioAdmin = @idUsuarioAdmin;');
-        
-        if (checkAdmin.recordset.length === 0) {
-            req.session.mensaje = 'No tienes permiso para eliminar este proyecto.';
-            return res.redirect('/proyectos');
-        }
-
-        // Si es el admin, procede con la eliminación.
-        // Las restricciones ON DELETE CASCADE en ParticipantesProyecto, Tareas y Subtareas
-        // deberían manejar la eliminación de elementos relacionados automáticamente.
-        await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .query('DELETE FROM Proyectos WHERE idProyecto = @idProyecto;');
+        const result = await projectService.deleteProject(req.params.idProyecto, req.session.usuario);
 
-        req.session.mensaje = '¡Proyecto eliminado exitosamente!';
+        req.session.mensaje = result.success ? '¡Proyecto eliminado exitosamente!' : result.error;
         res.redirect('/proyectos'); // Redirige a la lista de proyectos
     } catch (error) {
         console.error("Error al eliminar proyecto:", error);
@@ -537,7 +542,10 @@ exports.validateTask = [
         }),
     body('idUsuarioAsignado')
         .optional({ nullable: true, checkFalsy: true }) // Permite que sea opcional
-        .isInt().withMessage('El usuario asignado debe ser un ID válido si se especifica.')
+        .isInt().withMessage('El usuario asignado debe ser un ID válido si se especifica.'),
+    body('horasEstimadas')
+        .optional({ nullable: true, checkFalsy: true })
+        .isFloat({ min: 0, max: taskService.MAX_HORAS_ESTIMADAS }).withMessage(`Las horas estimadas deben ser un número entre 0 y ${taskService.MAX_HORAS_ESTIMADAS}.`)
 ];
 
 exports.validateSubtask = [
@@ -560,325 +568,86 @@ exports.validateSubtask = [
         }),
     body('idUsuarioAsignadoSubtarea') // Este nombre lo usaremos en el formulario
         .optional({ nullable: true, checkFalsy: true })
-        .isInt().withMessage('El usuario asignado a la subtarea debe ser un ID válido si se especifica.')
+        .isInt().withMessage('El usuario asignado a la subtarea debe ser un ID válido si se especifica.'),
+    body('horasEstimadasSubtarea')
+        .optional({ nullable: true, checkFalsy: true })
+        .isFloat({ min: 0, max: taskService.MAX_HORAS_ESTIMADAS }).withMessage(`Las horas estimadas deben ser un número entre 0 y ${taskService.MAX_HORAS_ESTIMADAS}.`)
 ];
 
 
-// NUEVA FUNCIÓN: Post para crear Tarea (en la página de detalles del proyecto)
+// --- POST para Crear Tarea (en la página de detalles del proyecto) ---
 exports.postCreateTask = async (req, res, next) => {
-    console.log("--- Inicia postCreateTask ---");
-    console.log("Datos recibidos:", req.body);
-    console.log("ID del Proyecto:", req.params.idProyecto);
-
-    const projectId = req.params.idProyecto; 
-
-    // 1. Validaciones
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        console.log("Errores de validación:", errors.array());
-        req.session.mensaje = 'Error al crear la tarea: ' + errors.array().map(e => e.msg).join(', ');
-        // Ya tienes la lógica para re-renderizar con errores aquí, debería redirigir.
-        // Asegúrate de que este bloque esté llamando a `res.render` o `res.redirect`.
-        // Por ahora, solo queremos que redireccione para ver el mensaje.
-        return res.redirect(`/proyectos/${projectId}`);
-    }
+    const projectId = req.params.idProyecto;
 
-    // 2. Verificar autenticación y permisos de admin
     if (!req.session.usuario || !req.session.usuario.id) {
-        console.log("Usuario no autenticado o ID de usuario no encontrado.");
         req.session.mensaje = 'Necesitas iniciar sesión para crear tareas.';
         return res.redirect('/');
     }
-    const currentUserId = req.session.usuario.id;
-    console.log("ID de usuario actual:", currentUserId);
-
-
-    try {
-        const pool = await sql.connect(config);
-        console.log("Conexión a la base de datos establecida.");
-
-        // Verificar si el usuario actual es admin del proyecto
-        const checkAdmin = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idUsuario', sql.Int, currentUserId)
-            .query(`
-                SELECT 1
-                FROM ParticipantesProyecto
-                WHERE idProyecto = @idProyecto
-                AND idUsuario = @idUsuario
-                AND rolProyecto = 'admin'
-                AND estadoInvitacion = 'aceptada';
-            `);
-        
-        if (checkAdmin.recordset.length === 0) {
-            console.log("El usuario no es administrador del proyecto.");
-            req.session.mensaje = 'No tienes permiso para crear tareas en este proyecto.';
-            return res.redirect(`/proyectos/${projectId}`);
-        }
-        console.log("Usuario verificado como administrador del proyecto.");
-
-        const { nombreTarea, descripcionTarea, fechaEntrega, estadoTarea, prioridadTarea, idUsuarioAsignado } = req.body;
-        console.log("Datos de la tarea a insertar:", { nombreTarea, descripcionTarea, fechaEntrega, estadoTarea, prioridadTarea, idUsuarioAsignado });
-
-        const result = await pool.request() // Captura el resultado de la inserción
-            .input('idProyecto', sql.Int, projectId)
-            .input('nombreTarea', sql.NVarChar, nombreTarea)
-            .input('descripcionTarea', sql.Text, descripcionTarea)
-            .input('idUsuarioCreador', sql.Int, currentUserId)
-            .input('idUsuarioAsignado', sql.Int, idUsuarioAsignado || null) // Puede ser NULL
-            .input('fechaEntrega', sql.DateTime, fechaEntrega)
-            .input('estadoTarea', sql.NVarChar, estadoTarea || 'Pendiente')
-            .input('prioridadTarea', sql.NVarChar, prioridadTarea || 'Media')
-            .query(`
-                INSERT INTO Tareas (idProyecto, nombreTarea, descripcionTarea, idUsuarioCreador, idUsuarioAsignado, fechaCreacion, fechaEntrega, estadoTarea, prioridadTarea)
-                VALUES (@idProyecto, @nombreTarea, @descripcionTarea, @idUsuarioCreador, @idUsuarioAsignado, GETDATE(), @fechaEntrega, @estadoTarea, @prioridadTarea);
-            `);
-        console.log("Resultado de la inserción de tarea:", result); // Esto te dirá si se insertó algo
-
-        req.session.mensaje = '¡Tarea creada exitosamente!';
-        console.log("Tarea creada exitosamente. Redirigiendo a:", `/proyectos/${projectId}`);
-        return res.redirect(`/proyectos/${projectId}`); // Asegúrate de que haya un return aquí
-
-    } catch (error) {
-        console.error("--- Error en postCreateTask ---", error); // Esto te dará el error completo
-        req.session.mensaje = 'Error al crear la tarea. Inténtalo de nuevo.';
-        return res.redirect(`/proyectos/${projectId}`); // Redirige incluso en caso de error
-    }
-};
-
 
-// NUEVA FUNCIÓN: Post para crear Subtarea (en la página de detalles de la tarea o proyecto)
-// Por ahora, la haremos en una página aparte y luego podemos integrar si es necesario.
-// Esto implica una nueva ruta como /proyectos/:idProyecto/tareas/:idTarea/subtareas/crear
-exports.postCreateSubtask = async (req, res, next) => {
-    // 1. Validaciones
     const errors = validationResult(req);
-    const projectId = req.params.idProyecto;
-    const taskId = req.params.idTarea; // Obtén el ID de la tarea de los parámetros de la URL
-
     if (!errors.isEmpty()) {
-        req.session.mensaje = 'Error al crear la subtarea: ' + errors.array().map(e => e.msg).join(', ');
-        return res.redirect(`/proyectos/${projectId}`); // Redirige a los detalles del proyecto o de la tarea
-    }
-
-    // 2. Verificar autenticación y permisos de admin
-    if (!req.session.usuario || !req.session.usuario.id) {
-        req.session.mensaje = 'Necesitas iniciar sesión para crear subtareas.';
-        return res.redirect('/');
+        return renderProjectDetailsWithErrors(req, res, projectId, errors);
     }
-    const currentUserId = req.session.usuario.id;
 
     try {
-        const pool = await sql.connect(config);
-
-        // Verificar si el usuario actual es admin del proyecto al que pertenece la tarea
-        const checkAdmin = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idUsuario', sql.Int, currentUserId)
-            .input('idTarea', sql.Int, taskId)
-            .query(`
-                SELECT 1
-                FROM ParticipantesProyecto PP
-                JOIN Proyectos P ON PP.idProyecto = P.idProyecto
-                JOIN Tareas T ON T.idProyecto = P.idProyecto
-                WHERE PP.idProyecto = @idProyecto
-                AND PP.idUsuario = @idUsuario
-                AND PP.rolProyecto = 'admin'
-                AND PP.estadoInvitacion = 'aceptada'
-                AND T.idTarea = @idTarea; -- Asegurarse de que la tarea pertenezca a este proyecto
-            `);
-        
-        if (checkAdmin.recordset.length === 0) {
-            req.session.mensaje = 'No tienes permiso para crear subtareas en este proyecto/tarea.';
+        const recurrencia = recurrenceFromForm(req.body);
+        if (!recurrencia.success) {
+            req.session.mensaje = recurrencia.error;
             return res.redirect(`/proyectos/${projectId}`);
         }
 
-        const { nombreSubtarea, descripcionSubtarea, fechaEntregaSubtarea, estadoSubtarea, prioridadSubtarea, idUsuarioAsignadoSubtarea } = req.body;
-
-        await pool.request()
-            .input('idTarea', sql.Int, taskId)
-            .input('nombreSubtarea', sql.NVarChar, nombreSubtarea)
-            .input('descripcionSubtarea', sql.Text, descripcionSubtarea)
-            .input('idUsuarioCreador', sql.Int, currentUserId)
-            .input('idUsuarioAsignado', sql.Int, idUsuarioAsignadoSubtarea || null) // Puede ser NULL
-            .input('fechaEntrega', sql.DateTime, fechaEntregaSubtarea)
-            .input('estadoSubtarea', sql.NVarChar, estadoSubtarea || 'Pendiente')
-            .input('prioridadSubtarea', sql.NVarChar, prioridadSubtarea || 'Media')
-            .query(`
-                INSERT INTO Subtareas (idTarea, nombreSubtarea, descripcionSubtarea, idUsuarioCreador, idUsuarioAsignado, fechaCreacion, fechaEntrega, estadoSubtarea, prioridadSubtarea)
-                VALUES (@idTarea, @nombreSubtarea, @descripcionSubtarea, @idUsuarioCreador, @idUsuarioAsignado, GETDATE(), @fechaEntrega, @estadoSubtarea, @prioridadSubtarea);
-            `);
-
-        req.session.mensaje = '¡Subtarea creada exitosamente!';
-        res.redirect(`/proyectos/${projectId}`); // Redirige de vuelta a los detalles del proyecto
+        const { nombreTarea, descripcionTarea, fechaEntrega, estadoTarea, prioridadTarea, idUsuarioAsignado, horasEstimadas, idsEtiquetas } = req.body;
+        const result = await taskService.createTask(projectId, req.session.usuario, {
+            nombreTarea, descripcionTarea, fechaEntrega, estadoTarea, prioridadTarea, idUsuarioAsignado, horasEstimadas, idsEtiquetas,
+            reglaRecurrencia: recurrencia.data
+        });
+
+        req.session.mensaje = result.success ? '¡Tarea creada exitosamente!' : result.error;
+        res.redirect(`/proyectos/${projectId}`);
 
     } catch (error) {
-        console.error("Error al crear subtarea:", error);
-        req.session.mensaje = 'Error al crear la subtarea. Inténtalo de nuevo.';
+        console.error("Error al crear tarea:", error);
+        req.session.mensaje = 'Error al crear la tarea. Inténtalo de nuevo.';
         next(error);
     }
 };
 
-
-
-
-// --- POST para Crear Subtarea ---
+// --- POST para Crear Subtarea (desde la tarjeta de la tarea en project-details) ---
 exports.postCreateSubtask = async (req, res, next) => {
     const projectId = req.params.idProyecto;
     const taskId = req.params.idTarea;
-    const currentUserId = req.session.usuario ? req.session.usuario.id : null;
-
-    // 1. Validaciones
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        try {
-            // Recargar todos los datos para renderizar la página con los errores
-            const { proyecto, participantes, tareas } = await loadProjectDetailsData(projectId, currentUserId);
-            return res.render('project-details', {
-                csrfToken: req.session.csrfToken,
-                proyecto: proyecto,
-                participantes: participantes,
-                tareas: tareas,
-                usuarioActual: req.session.usuario,
-                mensaje: null, // No hay mensaje de éxito si hay errores
-                errors: errors.array(), // Aquí pasamos los errores de validación
-                oldInput: req.body // Para repoblar el formulario (opcional, pero buena práctica)
-            });
-        } catch (error) {
-            console.error("Error al re-renderizar la página con errores de subtarea:", error);
-            req.session.mensaje = 'Error al procesar la subtarea.';
-            return res.redirect(`/proyectos/${projectId}`);
-        }
-    }
 
-    if (!currentUserId) {
+    if (!req.session.usuario || !req.session.usuario.id) {
         req.session.mensaje = 'Necesitas iniciar sesión para crear subtareas.';
         return res.redirect('/');
     }
 
-    try {
-        const pool = await sql.connect(config);
-
-        // Verificar si el usuario actual es admin del proyecto o el asignado a la tarea principal
-        const checkPermission = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idTarea', sql.Int, taskId)
-            .input('idUsuario', sql.Int, currentUserId)
-            .query(`
-                SELECT 1
-                FROM Proyectos P
-                JOIN Tareas T ON P.idProyecto = T.idProyecto
-                JOIN ParticipantesProyecto PP ON P.idProyecto = PP.idProyecto
-                WHERE P.idProyecto = @idProyecto
-                AND T.idTarea = @idTarea
-                AND PP.idUsuario = @idUsuario
-                AND (PP.rolProyecto = 'admin' OR T.idUsuarioAsignado = @idUsuario);
-            `);
-        
-        if (checkPermission.recordset.length === 0) {
-            req.session.mensaje = 'No tienes permiso para crear subtareas para esta tarea.';
-            return res.redirect(`/proyectos/${projectId}`);
-        }
-
-        const { nombreSubtarea, descripcionSubtarea, fechaEntregaSubtarea, estadoSubtarea, prioridadSubtarea, idUsuarioAsignadoSubtarea } = req.body;
-
-        await pool.request()
-            .input('idTarea', sql.Int, taskId)
-            .input('nombreSubtarea', sql.NVarChar, nombreSubtarea)
-            .input('descripcionSubtarea', sql.Text, descripcionSubtarea)
-            .input('idUsuarioCreador', sql.Int, currentUserId)
-            .input('idUsuarioAsignado', sql.Int, idUsuarioAsignadoSubtarea || null)
-            .input('fechaEntrega', sql.DateTime, fechaEntregaSubtarea)
-            .input('estadoSubtarea', sql.NVarChar, estadoSubtarea || 'Pendiente')
-            .input('prioridadSubtarea', sql.NVarChar, prioridadSubtarea || 'Media')
-            .query(`
-                INSERT INTO Subtareas (idTarea, nombreSubtarea, descripcionSubtarea, idUsuarioCreador, idUsuarioAsignado, fechaCreacion, fechaEntrega, estadoSubtarea, prioridadSubtarea)
-                VALUES (@idTarea, @nombreSubtarea, @descripcionSubtarea, @idUsuarioCreador, @idUsuarioAsignado, GETDATE(), @fechaEntrega, @estadoSubtarea, @prioridadSubtarea);
-            `);
-
-        req.session.mensaje = '¡Subtarea creada exitosamente!';
-        res.redirect(`/proyectos/${projectId}`);
-
-    } catch (error) {
-        console.error("Error al crear subtarea:", error);
-        req.session.mensaje = 'Error al crear la subtarea. Inténtalo de nuevo.';
-        next(error); // Pasa el error al siguiente middleware de manejo de errores
-    }
-};
-
-// --- POST para Crear Tarea (ajustado para usar loadProjectDetailsData si falla validación) ---
-exports.postCreateTask = async (req, res, next) => {
-    const projectId = req.params.idProyecto; 
-    const currentUserId = req.session.usuario ? req.session.usuario.id : null;
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-        try {
-            const { proyecto, participantes, tareas } = await loadProjectDetailsData(projectId, currentUserId);
-            return res.render('project-details', {
-                csrfToken: req.session.csrfToken,
-                proyecto: proyecto,
-                participantes: participantes,
-                tareas: tareas,
-                usuarioActual: req.session.usuario,
-                mensaje: null,
-                errors: errors.array(),
-                oldInput: req.body 
-            });
-        } catch (error) {
-            console.error("Error al re-renderizar la página con errores de tarea:", error);
-            req.session.mensaje = 'Error interno al procesar la tarea.';
-            return res.redirect(`/proyectos/${projectId}`);
-        }
-    }
-
-    if (!currentUserId) {
-        req.session.mensaje = 'Necesitas iniciar sesión para crear tareas.';
-        return res.redirect('/');
+        return renderProjectDetailsWithErrors(req, res, projectId, errors);
     }
 
     try {
-        const pool = await sql.connect(config);
-        const checkAdmin = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idUsuario', sql.Int, currentUserId)
-            .query(`
-                SELECT 1
-                FROM ParticipantesProyecto
-                WHERE idProyecto = @idProyecto
-                AND idUsuario = @idUsuario
-                AND rolProyecto = 'admin'
-                AND estadoInvitacion = 'aceptada';
-            `);
-        
-        if (checkAdmin.recordset.length === 0) {
-            req.session.mensaje = 'No tienes permiso para crear tareas en este proyecto.';
-            return res.redirect(`/proyectos/${projectId}`);
-        }
+        const { nombreSubtarea, descripcionSubtarea, fechaEntregaSubtarea, estadoSubtarea, prioridadSubtarea, idUsuarioAsignadoSubtarea, horasEstimadasSubtarea, idsEtiquetasSubtarea, idSubtareaPadre } = req.body;
+        const result = await subtaskService.createSubtask(projectId, taskId, req.session.usuario, {
+            nombreSubtarea,
+            descripcionSubtarea,
+            fechaEntrega: fechaEntregaSubtarea,
+            estadoSubtarea,
+            prioridadSubtarea,
+            idUsuarioAsignado: idUsuarioAsignadoSubtarea,
+            horasEstimadas: horasEstimadasSubtarea,
+            idsEtiquetas: idsEtiquetasSubtarea,
+            idSubtareaPadre // Vacío significa "directamente en la tarea"
+        });
 
-        const { nombreTarea, descripcionTarea, fechaEntrega, estadoTarea, prioridadTarea, idUsuarioAsignado } = req.body;
-
-        await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('nombreTarea', sql.NVarChar, nombreTarea)
-            .input('descripcionTarea', sql.Text, descripcionTarea)
-            .input('idUsuarioCreador', sql.Int, currentUserId)
-            .input('idUsuarioAsignado', sql.Int, idUsuarioAsignado || null)
-            .input('fechaEntrega', sql.DateTime, fechaEntrega)
-            .input('estadoTarea', sql.NVarChar, estadoTarea || 'Pendiente')
-            .input('prioridadTarea', sql.NVarChar, prioridadTarea || 'Media')
-            .query(`
-                INSERT INTO Tareas (idProyecto, nombreTarea, descripcionTarea, idUsuarioCreador, idUsuarioAsignado, fechaCreacion, fechaEntrega, estadoTarea, prioridadTarea)
-                VALUES (@idProyecto, @nombreTarea, @descripcionTarea, @idUsuarioCreador, @idUsuarioAsignado, GETDATE(), @fechaEntrega, @estadoTarea, @prioridadTarea);
-            `);
-
-        req.session.mensaje = '¡Tarea creada exitosamente!';
-        res.redirect(`/proyectos/${projectId}`);
+        req.session.mensaje = result.success ? '¡Subtarea creada exitosamente!' : result.error;
+        res.redirect(result.success ? `/proyectos/${projectId}#subtarea-${result.data.idSubtarea}` : `/proyectos/${projectId}`);
 
     } catch (error) {
-        console.error("Error al crear tarea:", error);
-        req.session.mensaje = 'Error al crear la tarea. Inténtalo de nuevo.';
-        next(error);
+        console.error("Error al crear subtarea:", error);
+        req.session.mensaje = 'Error al crear la subtarea. Inténtalo de nuevo.';
+        next(error); // Pasa el error al siguiente middleware de manejo de errores
     }
 };
 
@@ -888,67 +657,35 @@ exports.postCreateTask = async (req, res, next) => {
 // --- GET para Mostrar Formulario de Edición de Tarea ---
 exports.getEditTask = async (req, res, next) => {
     const projectId = req.params.idProyecto;
-    const taskId = req.params.idTarea;
-    const currentUserId = req.session.usuario ? req.session.usuario.id : null;
 
-    if (!currentUserId) {
+    if (!req.session.usuario || !req.session.usuario.id) {
         req.session.mensaje = 'Necesitas iniciar sesión para editar tareas.';
         return res.redirect('/');
     }
 
     try {
-        const pool = await sql.connect(config);
-
-        // Verificar si el usuario es admin del proyecto o el creador/asignado de la tarea
-        const taskResult = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idTarea', sql.Int, taskId)
-            .query(`
-                SELECT T.*, P.idUsuarioAdmin
-                FROM Tareas T
-                JOIN Proyectos P ON T.idProyecto = P.idProyecto
-                WHERE T.idTarea = @idTarea AND T.idProyecto = @idProyecto;
-            `);
-        const tarea = taskResult.recordset[0];
-
-        if (!tarea) {
-            req.session.mensaje = 'Tarea no encontrada o no pertenece a este proyecto.';
-            return res.redirect(`/proyectos/${projectId}`);
-        }
-
-        // Obtener rol del usuario en el proyecto
-        const participantRole = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idUsuario', sql.Int, currentUserId)
-            .query(`SELECT rolProyecto FROM ParticipantesProyecto WHERE idProyecto = @idProyecto AND idUsuario = @idUsuario;`);
-        const rolProyecto = participantRole.recordset[0] ? participantRole.recordset[0].rolProyecto : null;
+        const result = await taskService.getTaskForEdit(projectId, req.params.idTarea, req.session.usuario.id);
 
-        // Si no es admin y no es el creador/asignado, denegar acceso
-        if (rolProyecto !== 'admin' && tarea.idUsuarioCreador !== currentUserId && tarea.idUsuarioAsignado !== currentUserId) {
-            req.session.mensaje = 'No tienes permiso para editar esta tarea.';
+        if (!result.success) {
+            req.session.mensaje = result.error;
             return res.redirect(`/proyectos/${projectId}`);
         }
 
-        // Obtener participantes para el dropdown de "Asignar a"
-        const participantsResult = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .query(`
-                SELECT U.idUsuario, U.nombreUsuario
-                FROM ParticipantesProyecto PP
-                JOIN Usuarios U ON PP.idUsuario = U.idUsuario
-                WHERE PP.idProyecto = @idProyecto AND PP.estadoInvitacion = 'aceptada';
-            `);
-        const participantes = participantsResult.recordset;
-
         res.render('edit-task', {
             csrfToken: req.session.csrfToken,
             proyectoId: projectId,
-            tarea: tarea,
-            participantes: participantes,
+            tarea: result.data.tarea,
+            participantes: result.data.participantes,
+            bloqueantes: result.data.bloqueantes,
+            etiquetas: result.data.etiquetas,
+            idsEtiquetas: result.data.idsEtiquetas,
+            recurrencia: recurrenceFormValues(result.data.tarea, null),
+            minutosReales: await timeService.getTrackedMinutes(req.params.idTarea),
+            formatDuration: timeService.formatDuration,
             usuarioActual: req.session.usuario,
             mensaje: req.session.mensaje,
             errors: null,
-            oldInput: null // <--- ¡AGREGA ESTA LÍNEA!
+            oldInput: null
         });
         req.session.mensaje = null;
 
@@ -964,87 +701,58 @@ exports.getEditTask = async (req, res, next) => {
 exports.postEditTask = async (req, res, next) => {
     const projectId = req.params.idProyecto;
     const taskId = req.params.idTarea;
-    const currentUserId = req.session.usuario ? req.session.usuario.id : null;
 
-    if (!currentUserId) {
+    if (!req.session.usuario || !req.session.usuario.id) {
         req.session.mensaje = 'Necesitas iniciar sesión para editar tareas.';
         return res.redirect('/');
     }
 
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        try {
-            const pool = await sql.connect(config);
-            const taskResult = await pool.request()
-                .input('idTarea', sql.Int, taskId)
-                .query(`SELECT T.* FROM Tareas T WHERE T.idTarea = @idTarea;`);
-            const tarea = taskResult.recordset[0];
+    try {
+        const errors = validationResult(req);
+        const recurrencia = recurrenceFromForm(req.body);
+        if (!errors.isEmpty() || !recurrencia.success) {
+            const editData = await taskService.getTaskForEdit(projectId, taskId, req.session.usuario.id);
+            if (!editData.success) {
+                req.session.mensaje = editData.error;
+                return res.redirect(`/proyectos/${projectId}`);
+            }
 
-            const participantsResult = await pool.request()
-                .input('idProyecto', sql.Int, projectId)
-                .query(`SELECT U.idUsuario, U.nombreUsuario FROM ParticipantesProyecto PP JOIN Usuarios U ON PP.idUsuario = U.idUsuario WHERE PP.idProyecto = @idProyecto AND PP.estadoInvitacion = 'aceptada';`);
-            const participantes = participantsResult.recordset;
+            const listaErrores = errors.array();
+            if (!recurrencia.success) listaErrores.push({ msg: recurrencia.error });
 
             return res.render('edit-task', {
                 csrfToken: req.session.csrfToken,
                 proyectoId: projectId,
-                tarea: tarea,
-                participantes: participantes,
+                tarea: editData.data.tarea,
+                participantes: editData.data.participantes,
+                bloqueantes: editData.data.bloqueantes,
+                etiquetas: editData.data.etiquetas,
+                idsEtiquetas: selectedLabelIds(req.body.idsEtiquetas),
+                recurrencia: recurrenceFormValues(editData.data.tarea, req.body),
+                minutosReales: await timeService.getTrackedMinutes(taskId),
+                formatDuration: timeService.formatDuration,
                 usuarioActual: req.session.usuario,
                 mensaje: null,
-                errors: errors.array(),
+                errors: listaErrores,
                 oldInput: req.body
             });
-        } catch (error) {
-            console.error("Error al re-renderizar la edición de tarea con errores:", error);
-            req.session.mensaje = 'Error al validar la edición de la tarea.';
-            return res.redirect(`/proyectos/${projectId}`);
         }
-    }
 
-    try {
-        const pool = await sql.connect(config);
-
-        // Verificar si el usuario es admin del proyecto o el creador/asignado de la tarea antes de actualizar
-        const taskPermissionCheck = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idTarea', sql.Int, taskId)
-            .input('idUsuario', sql.Int, currentUserId) // <--- ¡AGREGA ESTA LÍNEA AQUÍ!
-            .query(`
-                SELECT T.idUsuarioCreador, T.idUsuarioAsignado, PP.rolProyecto
-                FROM Tareas T
-                JOIN ParticipantesProyecto PP ON T.idProyecto = PP.idProyecto AND PP.idUsuario = @idUsuario
-                WHERE T.idTarea = @idTarea AND T.idProyecto = @idProyecto;
-            `);
-        const permissionInfo = taskPermissionCheck.recordset[0];
-
-        if (!permissionInfo || (permissionInfo.rolProyecto !== 'admin' && permissionInfo.idUsuarioCreador !== currentUserId && permissionInfo.idUsuarioAsignado !== currentUserId)) {
-            req.session.mensaje = 'No tienes permiso para editar esta tarea.';
-            return res.redirect(`/proyectos/${projectId}`);
-        }
+        const { nombreTarea, descripcionTarea, fechaEntrega, estadoTarea, prioridadTarea, idUsuarioAsignado, horasEstimadas } = req.body;
+        const result = await taskService.updateTask(projectId, taskId, req.session.usuario, {
+            nombreTarea,
+            descripcionTarea,
+            fechaEntrega,
+            estadoTarea,
+            prioridadTarea,
+            idUsuarioAsignado: idUsuarioAsignado || null, // El select vacío significa "sin asignar"
+            horasEstimadas, // Vacío significa "sin estimación"
+            idsEtiquetas: req.body.idsEtiquetas || [], // Sin ninguna casilla marcada el navegador no envía el campo
+            reglaRecurrencia: recurrencia.data,
+            recurrenciaPausada: Boolean(recurrencia.data && req.body.recurrenciaPausada)
+        });
 
-        const { nombreTarea, descripcionTarea, fechaEntrega, estadoTarea, prioridadTarea, idUsuarioAsignado } = req.body;
-
-        await pool.request()
-            .input('idTarea', sql.Int, taskId)
-            .input('nombreTarea', sql.NVarChar, nombreTarea)
-            .input('descripcionTarea', sql.Text, descripcionTarea)
-            .input('idUsuarioAsignado', sql.Int, idUsuarioAsignado || null)
-            .input('fechaEntrega', sql.DateTime, fechaEntrega)
-            .input('estadoTarea', sql.NVarChar, estadoTarea)
-            .input('prioridadTarea', sql.NVarChar, prioridadTarea)
-            .query(`
-                UPDATE Tareas
-                SET nombreTarea = @nombreTarea,
-                    descripcionTarea = @descripcionTarea,
-                    idUsuarioAsignado = @idUsuarioAsignado,
-                    fechaEntrega = @fechaEntrega,
-                    estadoTarea = @estadoTarea,
-                    prioridadTarea = @prioridadTarea
-                WHERE idTarea = @idTarea;
-            `);
-
-        req.session.mensaje = '¡Tarea actualizada exitosamente!';
+        req.session.mensaje = result.success ? taskUpdatedMessage(result.data) : result.error;
         res.redirect(`/proyectos/${projectId}`);
 
     } catch (error) {
@@ -1055,49 +763,48 @@ exports.postEditTask = async (req, res, next) => {
 };
 
 
+// --- POST para Pausar/Reanudar la repetición de una tarea (desde la tarjeta en project-details) ---
+function setRecurrencePaused(pausada) {
+    return async (req, res, next) => {
+        const projectId = req.params.idProyecto;
+
+        try {
+            const result = await taskService.setRecurrencePaused(projectId, req.params.idTarea, req.session.usuario, pausada);
+
+            if (result.success) {
+                req.session.mensaje = pausada
+                    ? 'Repetición pausada: al completar la tarea no se creará la siguiente.'
+                    : 'Repetición reanudada.';
+            } else {
+                req.session.mensaje = result.error;
+            }
+            res.redirect(`/proyectos/${projectId}#tarea-${req.params.idTarea}`);
+
+        } catch (error) {
+            console.error("Error al cambiar la repetición de la tarea:", error);
+            req.session.mensaje = 'Error al cambiar la repetición de la tarea. Inténtalo de nuevo.';
+            next(error);
+        }
+    };
+}
+
+exports.postPauseRecurrence = setRecurrencePaused(true);
+exports.postResumeRecurrence = setRecurrencePaused(false);
+
+
 // --- POST para Eliminar Tarea ---
 exports.postDeleteTask = async (req, res, next) => {
     const projectId = req.params.idProyecto;
-    const taskId = req.params.idTarea;
-    const currentUserId = req.session.usuario ? req.session.usuario.id : null;
 
-    if (!currentUserId) {
+    if (!req.session.usuario || !req.session.usuario.id) {
         req.session.mensaje = 'Necesitas iniciar sesión para eliminar tareas.';
         return res.redirect('/');
     }
 
     try {
-        const pool = await sql.connect(config);
-
-        // Verificar si el usuario es admin del proyecto o el creador de la tarea
-        const taskPermissionCheck = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idTarea', sql.Int, taskId)
-            .input('idUsuario', sql.Int, currentUserId) // <--- ¡AGREGA ESTA LÍNEA!
-            .query(`
-                SELECT T.idUsuarioCreador, PP.rolProyecto
-                FROM Tareas T
-                JOIN ParticipantesProyecto PP ON T.idProyecto = PP.idProyecto AND PP.idUsuario = @idUsuario
-                WHERE T.idTarea = @idTarea AND T.idProyecto = @idProyecto;
-            `);
-        const permissionInfo = taskPermissionCheck.recordset[0];
-
-        if (!permissionInfo || (permissionInfo.rolProyecto !== 'admin' && permissionInfo.idUsuarioCreador !== currentUserId)) {
-            req.session.mensaje = 'No tienes permiso para eliminar esta tarea.';
-            return res.redirect(`/proyectos/${projectId}`);
-        }
-
-        // Eliminar subtareas asociadas primero (debido a la clave foránea)
-        await pool.request()
-            .input('idTarea', sql.Int, taskId)
-            .query(`DELETE FROM Subtareas WHERE idTarea = @idTarea;`);
-
-        // Luego eliminar la tarea
-        await pool.request()
-            .input('idTarea', sql.Int, taskId)
-            .query(`DELETE FROM Tareas WHERE idTarea = @idTarea;`);
+        const result = await taskService.deleteTask(projectId, req.params.idTarea, req.session.usuario);
 
-        req.session.mensaje = '¡Tarea eliminada exitosamente!';
+        req.session.mensaje = result.success ? '¡Tarea eliminada exitosamente!' : result.error;
         res.redirect(`/proyectos/${projectId}`);
 
     } catch (error) {
@@ -1110,81 +817,106 @@ exports.postDeleteTask = async (req, res, next) => {
 
 
 
+// --- Acciones en lote sobre las tareas seleccionadas en project-details ---
+
+// Qué cambia cada acción del formulario (la de eliminar no cambia nada: usa bulkDeleteTasks)
+const CAMBIOS_LOTE = {
+    estado: body => ({ estadoTarea: body.estadoTarea }),
+    prioridad: body => ({ prioridadTarea: body.prioridadTarea }),
+    asignado: body => ({ idUsuarioAsignado: body.idUsuarioAsignado || null }), // El select vacío significa "sin asignar"
+    fecha: body => ({ fechaEntrega: body.fechaEntrega })
+};
+
+// Mensaje flash con lo que se hizo y, una por una, las tareas que no se pudieron cambiar y por qué
+function bulkResultMessage(hechas, fallidas, participio, infinitivo, avisos = []) {
+    const partes = [];
+    if (hechas.length > 0) {
+        partes.push(hechas.length === 1 ? `1 tarea ${participio}.` : `${hechas.length} tareas ${participio}s.`);
+    }
+    const repeticiones = hechas.filter(t => t.siguienteOcurrencia).length;
+    if (repeticiones > 0) {
+        partes.push(repeticiones === 1 ? 'Se creó la siguiente repetición de 1 tarea.' : `Se creó la siguiente repetición de ${repeticiones} tareas.`);
+    }
+    if (fallidas.length > 0) {
+        const detalle = fallidas.map(f => `${f.nombreTarea ? `"${f.nombreTarea}"` : `tarea ${f.idTarea}`} (${f.error})`).join('; ');
+        partes.push(fallidas.length === 1 ? `No se pudo ${infinitivo} 1 tarea: ${detalle}.` : `No se pudieron ${infinitivo} ${fallidas.length} tareas: ${detalle}.`);
+    }
+    if (avisos.length > 0) {
+        partes.push(`Aviso: ${avisos.map(a => `"${a.nombreTarea}" (${a.error})`).join('; ')}.`);
+    }
+    return partes.join(' ');
+}
+
+exports.validateBulkTasks = [
+    body('accion')
+        .isIn([...Object.keys(CAMBIOS_LOTE), 'eliminar']).withMessage('Elige qué hacer con las tareas seleccionadas'),
+    body('idsTareas')
+        .custom(value => [].concat(value || []).length > 0).withMessage('Selecciona al menos una tarea'),
+    body('fechaEntrega')
+        .if(body('accion').equals('fecha'))
+        .isISO8601().toDate().withMessage('La fecha de entrega debe ser una fecha válida')
+        .custom(value => {
+            const hoy = new Date();
+            hoy.setHours(0, 0, 0, 0);
+            if (new Date(value) < hoy) {
+                throw new Error('La fecha de entrega de la tarea no puede ser en el pasado');
+            }
+            return true;
+        })
+];
+
+// --- POST para Cambiar o Eliminar Varias Tareas a la Vez ---
+exports.postBulkTasks = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        req.session.mensaje = 'Error en las tareas seleccionadas: ' + errors.array().map(e => e.msg).join(', ');
+        return res.redirect(`/proyectos/${projectId}`);
+    }
+
+    try {
+        const idsTareas = [].concat(req.body.idsTareas); // Con una sola casilla marcada llega un valor, no una lista
+        const { accion } = req.body;
+
+        if (accion === 'eliminar') {
+            const result = await taskService.bulkDeleteTasks(projectId, idsTareas, req.session.usuario);
+            req.session.mensaje = result.success ? bulkResultMessage(result.data.eliminadas, result.data.fallidas, 'eliminada', 'eliminar') : result.error;
+        } else {
+            const result = await taskService.bulkUpdateTasks(projectId, idsTareas, req.session.usuario, CAMBIOS_LOTE[accion](req.body));
+            req.session.mensaje = result.success ? bulkResultMessage(result.data.actualizadas, result.data.fallidas, 'actualizada', 'actualizar', result.data.avisos) : result.error;
+        }
+        res.redirect(`/proyectos/${projectId}`);
+
+    } catch (error) {
+        console.error("Error al cambiar las tareas seleccionadas:", error);
+        req.session.mensaje = 'Error al cambiar las tareas seleccionadas. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+
+
+
+// --- GET para Mostrar Formulario de Edición de Subtarea ---
 exports.getEditSubtask = async (req, res, next) => {
     const projectId = req.params.idProyecto;
     const taskId = req.params.idTarea;
-    const subtaskId = req.params.idSubtarea;
-    const currentUserId = req.session.usuario ? req.session.usuario.id : null;
 
-    if (!currentUserId) {
+    if (!req.session.usuario || !req.session.usuario.id) {
         req.session.mensaje = 'Necesitas iniciar sesión para editar subtareas.';
         return res.redirect('/');
     }
 
     try {
-        const pool = await sql.connect(config);
-
-        // Verificar si la subtarea existe y pertenece a la tarea/proyecto correctos
-        const subtaskResult = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idTarea', sql.Int, taskId)
-            .input('idSubtarea', sql.Int, subtaskId)
-            .query(`
-                SELECT ST.*, T.idUsuarioCreador AS idCreadorTarea, T.idUsuarioAsignado AS idAsignadoTarea, P.idUsuarioAdmin
-                FROM Subtareas ST
-                JOIN Tareas T ON ST.idTarea = T.idTarea
-                JOIN Proyectos P ON T.idProyecto = P.idProyecto
-                WHERE ST.idSubtarea = @idSubtarea
-                AND ST.idTarea = @idTarea
-                AND T.idProyecto = @idProyecto;
-            `);
-        const subtarea = subtaskResult.recordset[0];
-
-        if (!subtarea) {
-            req.session.mensaje = 'Subtarea no encontrada o no pertenece a este proyecto/tarea.';
-            return res.redirect(`/proyectos/${projectId}`);
-        }
+        const result = await subtaskService.getSubtaskForEdit(projectId, taskId, req.params.idSubtarea, req.session.usuario.id);
 
-        // Obtener rol del usuario en el proyecto
-        const participantRole = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idUsuario', sql.Int, currentUserId)
-            .query(`SELECT rolProyecto FROM ParticipantesProyecto WHERE idProyecto = @idProyecto AND idUsuario = @idUsuario;`);
-        const rolProyecto = participantRole.recordset[0] ? participantRole.recordset[0].rolProyecto : null;
-
-        // Permisos para editar subtarea:
-        // - Admin del proyecto
-        // - Creador de la subtarea
-        // - Asignado a la subtarea
-        // - Creador de la tarea principal
-        // - Asignado a la tarea principal
-        if (rolProyecto !== 'admin' &&
-            subtarea.idUsuarioCreador !== currentUserId &&
-            subtarea.idUsuarioAsignado !== currentUserId &&
-            subtarea.idCreadorTarea !== currentUserId &&
-            subtarea.idAsignadoTarea !== currentUserId
-        ) {
-            req.session.mensaje = 'No tienes permiso para editar esta subtarea.';
+        if (!result.success) {
+            req.session.mensaje = result.error;
             return res.redirect(`/proyectos/${projectId}`);
         }
 
-        // Obtener participantes del proyecto para el dropdown de "Asignar a"
-        const participantsResult = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .query(`SELECT U.idUsuario, U.nombreUsuario FROM ParticipantesProyecto PP JOIN Usuarios U ON PP.idUsuario = U.idUsuario WHERE PP.idProyecto = @idProyecto AND PP.estadoInvitacion = 'aceptada';`);
-        const participantes = participantsResult.recordset;
-
-        res.render('edit-subtask', { // Necesitarás una nueva vista EJS para esto
-            csrfToken: req.session.csrfToken,
-            proyectoId: projectId,
-            tareaId: taskId,
-            subtarea: subtarea,
-            participantes: participantes,
-            usuarioActual: req.session.usuario,
-            mensaje: req.session.mensaje,
-            errors: null,
-            oldInput: null // Para la primera carga
-        });
+        await renderEditSubtask(req, res, result.data, { mensaje: req.session.mensaje });
         req.session.mensaje = null;
 
     } catch (error) {
@@ -1199,98 +931,41 @@ exports.postEditSubtask = async (req, res, next) => {
     const projectId = req.params.idProyecto;
     const taskId = req.params.idTarea;
     const subtaskId = req.params.idSubtarea;
-    const currentUserId = req.session.usuario ? req.session.usuario.id : null;
 
-    if (!currentUserId) {
+    if (!req.session.usuario || !req.session.usuario.id) {
         req.session.mensaje = 'Necesitas iniciar sesión para editar subtareas.';
         return res.redirect('/');
     }
 
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        try {
-            const pool = await sql.connect(config);
-            const subtaskResult = await pool.request()
-                .input('idSubtarea', sql.Int, subtaskId)
-                .query(`SELECT ST.* FROM Subtareas ST WHERE ST.idSubtarea = @idSubtarea;`);
-            const subtarea = subtaskResult.recordset[0];
-
-            const participantsResult = await pool.request()
-                .input('idProyecto', sql.Int, projectId)
-                .query(`SELECT U.idUsuario, U.nombreUsuario FROM ParticipantesProyecto PP JOIN Usuarios U ON PP.idUsuario = U.idUsuario WHERE PP.idProyecto = @idProyecto AND PP.estadoInvitacion = 'aceptada';`);
-            const participantes = participantsResult.recordset;
-
-            return res.render('edit-subtask', {
-                csrfToken: req.session.csrfToken,
-                proyectoId: projectId,
-                tareaId: taskId,
-                subtarea: subtarea,
-                participantes: participantes,
-                usuarioActual: req.session.usuario,
-                mensaje: null,
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const editData = await subtaskService.getSubtaskForEdit(projectId, taskId, subtaskId, req.session.usuario.id);
+            if (!editData.success) {
+                req.session.mensaje = editData.error;
+                return res.redirect(`/proyectos/${projectId}`);
+            }
+
+            return renderEditSubtask(req, res, editData.data, {
+                idsEtiquetas: selectedLabelIds(req.body.idsEtiquetasSubtarea),
                 errors: errors.array(),
                 oldInput: req.body
             });
-        } catch (error) {
-            console.error("Error al re-renderizar la edición de subtarea con errores:", error);
-            req.session.mensaje = 'Error al validar la edición de la subtarea.';
-            return res.redirect(`/proyectos/${projectId}`);
         }
-    }
 
-    try {
-        const pool = await sql.connect(config);
-
-        // Verificar permisos antes de actualizar
-        const subtaskPermissionCheck = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idTarea', sql.Int, taskId)
-            .input('idSubtarea', sql.Int, subtaskId)
-            .input('idUsuario', sql.Int, currentUserId)
-            .query(`
-                SELECT ST.idUsuarioCreador, ST.idUsuarioAsignado, T.idUsuarioCreador AS idCreadorTarea, T.idUsuarioAsignado AS idAsignadoTarea, PP.rolProyecto
-                FROM Subtareas ST
-                JOIN Tareas T ON ST.idTarea = T.idTarea
-                JOIN ParticipantesProyecto PP ON T.idProyecto = PP.idProyecto AND PP.idUsuario = @idUsuario
-                WHERE ST.idSubtarea = @idSubtarea
-                AND ST.idTarea = @idTarea
-                AND T.idProyecto = @idProyecto;
-            `);
-        const permissionInfo = subtaskPermissionCheck.recordset[0];
-
-        if (!permissionInfo || (
-            permissionInfo.rolProyecto !== 'admin' &&
-            permissionInfo.idUsuarioCreador !== currentUserId &&
-            permissionInfo.idUsuarioAsignado !== currentUserId &&
-            permissionInfo.idCreadorTarea !== currentUserId &&
-            permissionInfo.idAsignadoTarea !== currentUserId
-        )) {
-            req.session.mensaje = 'No tienes permiso para editar esta subtarea.';
-            return res.redirect(`/proyectos/${projectId}`);
-        }
+        const { nombreSubtarea, descripcionSubtarea, fechaEntregaSubtarea, estadoSubtarea, prioridadSubtarea, idUsuarioAsignadoSubtarea, horasEstimadasSubtarea } = req.body;
+        const result = await subtaskService.updateSubtask(projectId, taskId, subtaskId, req.session.usuario, {
+            nombreSubtarea,
+            descripcionSubtarea,
+            fechaEntrega: fechaEntregaSubtarea,
+            estadoSubtarea,
+            prioridadSubtarea,
+            idUsuarioAsignado: idUsuarioAsignadoSubtarea || null, // El select vacío significa "sin asignar"
+            horasEstimadas: horasEstimadasSubtarea, // Vacío significa "sin estimación"
+            idsEtiquetas: req.body.idsEtiquetasSubtarea || [] // Sin ninguna casilla marcada el navegador no envía el campo
+        });
 
-        const { nombreSubtarea, descripcionSubtarea, fechaEntregaSubtarea, estadoSubtarea, prioridadSubtarea, idUsuarioAsignadoSubtarea } = req.body;
-
-        await pool.request()
-            .input('idSubtarea', sql.Int, subtaskId)
-            .input('nombreSubtarea', sql.NVarChar, nombreSubtarea)
-            .input('descripcionSubtarea', sql.Text, descripcionSubtarea)
-            .input('idUsuarioAsignado', sql.Int, idUsuarioAsignadoSubtarea || null)
-            .input('fechaEntrega', sql.DateTime, fechaEntregaSubtarea)
-            .input('estadoSubtarea', sql.NVarChar, estadoSubtarea)
-            .input('prioridadSubtarea', sql.NVarChar, prioridadSubtarea)
-            .query(`
-                UPDATE Subtareas
-                SET nombreSubtarea = @nombreSubtarea,
-                    descripcionSubtarea = @descripcionSubtarea,
-                    idUsuarioAsignado = @idUsuarioAsignado,
-                    fechaEntrega = @fechaEntrega,
-                    estadoSubtarea = @estadoSubtarea,
-                    prioridadSubtarea = @prioridadSubtarea
-                WHERE idSubtarea = @idSubtarea;
-            `);
-
-        req.session.mensaje = '¡Subtarea actualizada exitosamente!';
+        req.session.mensaje = result.success ? '¡Subtarea actualizada exitosamente!' : result.error;
         res.redirect(`/proyectos/${projectId}`);
 
     } catch (error) {
@@ -1300,55 +975,58 @@ exports.postEditSubtask = async (req, res, next) => {
     }
 };
 
+// --- POST para Mover Subtarea (desde edit-subtask, con todas sus descendientes) ---
+// destino llega como "idTarea" (directamente en esa tarea) o "idTarea-idSubtarea" (dentro de esa subtarea)
+exports.postMoveSubtask = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+    const subtaskId = req.params.idSubtarea;
+    const volver = `/proyectos/${projectId}/tareas/${req.params.idTarea}/subtareas/editar/${subtaskId}#mover`;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        req.session.mensaje = 'Error al mover la subtarea: ' + errors.array().map(e => e.msg).join(', ');
+        return res.redirect(volver);
+    }
+
+    try {
+        const [idTarea, idSubtareaPadre] = req.body.destino.split('-');
+        const result = await subtaskService.moveSubtask(projectId, req.params.idTarea, subtaskId, req.session.usuario, { idTarea, idSubtareaPadre });
+
+        if (!result.success) {
+            req.session.mensaje = result.error;
+            return res.redirect(volver);
+        }
+
+        req.session.mensaje = '¡Subtarea movida exitosamente!';
+        res.redirect(`/proyectos/${projectId}#subtarea-${subtaskId}`);
+
+    } catch (error) {
+        console.error("Error al mover subtarea:", error);
+        req.session.mensaje = 'Error al mover la subtarea. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
 // --- POST para Eliminar Subtarea ---
 exports.postDeleteSubtask = async (req, res, next) => {
     const projectId = req.params.idProyecto;
-    const taskId = req.params.idTarea;
-    const subtaskId = req.params.idSubtarea;
-    const currentUserId = req.session.usuario ? req.session.usuario.id : null;
 
-    if (!currentUserId) {
+    if (!req.session.usuario || !req.session.usuario.id) {
         req.session.mensaje = 'Necesitas iniciar sesión para eliminar subtareas.';
         return res.redirect('/');
     }
 
     try {
-        const pool = await sql.connect(config);
-
-        // Verificar permisos antes de eliminar
-        const subtaskPermissionCheck = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idTarea', sql.Int, taskId)
-            .input('idSubtarea', sql.Int, subtaskId)
-            .input('idUsuario', sql.Int, currentUserId)
-            .query(`
-                SELECT ST.idUsuarioCreador, ST.idUsuarioAsignado, T.idUsuarioCreador AS idCreadorTarea, T.idUsuarioAsignado AS idAsignadoTarea, PP.rolProyecto
-                FROM Subtareas ST
-                JOIN Tareas T ON ST.idTarea = T.idTarea
-                JOIN ParticipantesProyecto PP ON T.idProyecto = PP.idProyecto AND PP.idUsuario = @idUsuario
-                WHERE ST.idSubtarea = @idSubtarea
-                AND ST.idTarea = @idTarea
-                AND T.idProyecto = @idProyecto;
-            `);
-        const permissionInfo = subtaskPermissionCheck.recordset[0];
-
-        if (!permissionInfo || (
-            permissionInfo.rolProyecto !== 'admin' &&
-            permissionInfo.idUsuarioCreador !== currentUserId &&
-            permissionInfo.idUsuarioAsignado !== currentUserId &&
-            permissionInfo.idCreadorTarea !== currentUserId &&
-            permissionInfo.idAsignadoTarea !== currentUserId
-        )) {
-            req.session.mensaje = 'No tienes permiso para eliminar esta subtarea.';
-            return res.redirect(`/proyectos/${projectId}`);
+        const result = await subtaskService.deleteSubtask(projectId, req.params.idTarea, req.params.idSubtarea, req.session.usuario);
+
+        if (result.success) {
+            const descendientes = result.data.numEliminadas - 1;
+            req.session.mensaje = descendientes > 0
+                ? `¡Subtarea eliminada exitosamente junto con ${descendientes} ${descendientes === 1 ? 'subtarea' : 'subtareas'}!`
+                : '¡Subtarea eliminada exitosamente!';
+        } else {
+            req.session.mensaje = result.error;
         }
-
-        // Eliminar la subtarea
-        await pool.request()
-            .input('idSubtarea', sql.Int, subtaskId)
-            .query(`DELETE FROM Subtareas WHERE idSubtarea = @idSubtarea;`);
-
-        req.session.mensaje = '¡Subtarea eliminada exitosamente!';
         res.redirect(`/proyectos/${projectId}`);
 
     } catch (error) {
@@ -1357,11 +1035,3 @@ exports.postDeleteSubtask = async (req, res, next) => {
         next(error);
     }
 };
-
-// ... (exportaciones al final del archivo si no estás usando export default)
-
-
-
-
-
-// ... Aquí irían más funciones para editar y eliminar proyectos
\ No newline at end of file
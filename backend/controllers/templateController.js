@@ -0,0 +1,77 @@
+// backend/controllers/templateController.js
+const { body, validationResult } = require('express-validator');
+const templateService = require('../services/templateService');
+
+// "3 días antes de la entrega", "el día de la entrega"... para templates.ejs
+function diasAntes(dias) {
+    if (dias === 0) return 'el día de la entrega';
+    const n = Math.abs(dias);
+    return `${n} ${n === 1 ? 'día' : 'días'} ${dias > 0 ? 'antes' : 'después'} de la entrega`;
+}
+
+// Página con las plantillas del usuario
+exports.getTemplates = async (req, res, next) => {
+    try {
+        const resumen = await templateService.getTemplatesForUser(req.session.usuario.id);
+        const plantillas = await Promise.all(resumen.map(p => templateService.getTemplate(p.idPlantilla, req.session.usuario.id)));
+
+        res.render('templates', {
+            csrfToken: req.session.csrfToken,
+            plantillas: plantillas,
+            diasAntes: diasAntes,
+            mensaje: req.session.mensaje
+        });
+        req.session.mensaje = null;
+    } catch (error) {
+        console.error("Error al obtener plantillas:", error);
+        req.session.mensaje = 'Error al cargar tus plantillas. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// Validaciones para guardar un proyecto como plantilla (desde edit-project.ejs)
+exports.validateTemplate = [
+    body('nombrePlantilla')
+        .trim()
+        .notEmpty().withMessage('El nombre de la plantilla es obligatorio')
+        .isLength({ max: templateService.MAX_LONGITUD_NOMBRE }).withMessage(`El nombre de la plantilla no puede superar los ${templateService.MAX_LONGITUD_NOMBRE} caracteres`)
+];
+
+// POST para guardar el proyecto como plantilla del usuario
+exports.postSaveTemplate = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        req.session.mensaje = 'Error al guardar la plantilla: ' + errors.array().map(e => e.msg).join(', ');
+        return res.redirect(`/proyectos/editar/${projectId}#copiar`);
+    }
+
+    try {
+        const result = await templateService.saveProjectAsTemplate(projectId, req.session.usuario, { nombrePlantilla: req.body.nombrePlantilla });
+        if (!result.success) {
+            req.session.mensaje = result.error;
+            return res.redirect(`/proyectos/editar/${projectId}#copiar`);
+        }
+
+        req.session.mensaje = `Plantilla "${result.data.nombrePlantilla}" guardada con ${result.data.tareas.length} tareas.`;
+        res.redirect('/plantillas');
+    } catch (error) {
+        console.error("Error al guardar plantilla:", error);
+        req.session.mensaje = 'Error al guardar la plantilla. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// POST para eliminar una plantilla (los proyectos creados con ella no cambian)
+exports.postDeleteTemplate = async (req, res, next) => {
+    try {
+        const result = await templateService.deleteTemplate(req.params.idPlantilla, req.session.usuario);
+        req.session.mensaje = result.success ? `Plantilla "${result.data.nombrePlantilla}" eliminada.` : result.error;
+        res.redirect('/plantillas');
+    } catch (error) {
+        console.error("Error al eliminar plantilla:", error);
+        req.session.mensaje = 'Error al eliminar la plantilla. Inténtalo de nuevo.';
+        next(error);
+    }
+};
@@ -0,0 +1,154 @@
+// backend/controllers/timeController.js
+const { body, validationResult } = require('express-validator');
+const { getProjectForUser } = require('../services/projectService');
+const { can, ACCIONES } = require('../policies/projectPolicy');
+const { startTimer, stopTimer, addManualEntry, deleteEntry, getTimesheet, formatDuration, MAX_MINUTOS_REGISTRO } = require('../services/timeService');
+
+// Validaciones para registrar tiempo a mano (desde project-details.ejs): horas y minutos se suman
+exports.validateTimeEntry = [
+    body('horas').optional({ checkFalsy: true }).isInt({ min: 0, max: MAX_MINUTOS_REGISTRO / 60 }).withMessage('Las horas no son válidas'),
+    body('minutos').optional({ checkFalsy: true }).isInt({ min: 0, max: 59 }).withMessage('Los minutos deben estar entre 0 y 59'),
+    body('fecha').optional({ checkFalsy: true }).isISO8601().withMessage('La fecha no es válida'),
+    body('nota').optional().trim().isLength({ max: 255 }).withMessage('La nota no puede superar los 255 caracteres'),
+    body('idSubtarea').optional({ checkFalsy: true }).isInt().withMessage('Subtarea inválida')
+];
+
+// Vuelve a la tarjeta de la tarea dentro de project-details
+function redirectToTask(res, projectId, taskId) {
+    res.redirect(`/proyectos/${projectId}${taskId ? `#tarea-${taskId}` : ''}`);
+}
+
+// "la tarea "X"" o "la subtarea "Y"" de un registro
+function entryTarget(registro) {
+    return registro.idSubtarea ? `la subtarea "${registro.nombreSubtarea}"` : `la tarea "${registro.nombreTarea}"`;
+}
+
+// POST para poner en marcha el temporizador en la tarea (o en la subtarea idSubtarea)
+exports.postStartTimer = async (req, res, next) => {
+    const { idProyecto: projectId, idTarea: taskId } = req.params;
+
+    try {
+        const result = await startTimer(projectId, taskId, req.body.idSubtarea || null, req.session.usuario, { nota: req.body.nota });
+
+        if (result.success) {
+            const { registro, detenido } = result.data;
+            req.session.mensaje = `Temporizador en marcha en ${entryTarget(registro)}.`
+                + (detenido ? ` Se detuvo el de ${entryTarget(detenido)} con ${formatDuration(detenido.minutos)}.` : '');
+        } else {
+            req.session.mensaje = result.error;
+        }
+        redirectToTask(res, projectId, taskId);
+    } catch (error) {
+        console.error("Error al iniciar el temporizador:", error);
+        req.session.mensaje = 'Error al iniciar el temporizador. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// POST para detener el temporizador en marcha del usuario
+exports.postStopTimer = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
+    try {
+        const result = await stopTimer(req.session.usuario);
+
+        if (result.success) {
+            req.session.mensaje = `Temporizador detenido: ${formatDuration(result.data.minutos)} en ${entryTarget(result.data)}.`;
+            return redirectToTask(res, result.data.idProyecto, result.data.idTarea);
+        }
+        req.session.mensaje = result.error;
+        redirectToTask(res, projectId);
+    } catch (error) {
+        console.error("Error al detener el temporizador:", error);
+        req.session.mensaje = 'Error al detener el temporizador. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// POST para registrar tiempo a mano en la tarea (o en la subtarea idSubtarea)
+exports.postAddTimeEntry = async (req, res, next) => {
+    const { idProyecto: projectId, idTarea: taskId } = req.params;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        req.session.mensaje = 'Error al registrar el tiempo: ' + errors.array().map(e => e.msg).join(', ');
+        return redirectToTask(res, projectId, taskId);
+    }
+
+    try {
+        const { idSubtarea, fecha, horas, minutos, nota } = req.body;
+        const result = await addManualEntry(projectId, taskId, idSubtarea || null, req.session.usuario, {
+            fecha,
+            minutos: Number(horas || 0) * 60 + Number(minutos || 0),
+            nota
+        });
+
+        req.session.mensaje = result.success
+            ? `Se registraron ${formatDuration(result.data.minutos)} en ${entryTarget(result.data)}.`
+            : result.error;
+        redirectToTask(res, projectId, taskId);
+    } catch (error) {
+        console.error("Error al registrar tiempo:", error);
+        req.session.mensaje = 'Error al registrar el tiempo. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// POST para eliminar un registro (desde la hoja de tiempos, que envía sus filtros para volver a ella)
+exports.postDeleteTimeEntry = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
+    try {
+        const result = await deleteEntry(projectId, req.params.idRegistro, req.session.usuario);
+        req.session.mensaje = result.success ? 'Registro de tiempo eliminado.' : result.error;
+
+        const filtros = new URLSearchParams();
+        ['desde', 'hasta', 'idUsuario'].forEach(campo => {
+            if (req.body[campo]) filtros.set(campo, req.body[campo]);
+        });
+        res.redirect(`/proyectos/${projectId}/tiempo${filtros.toString() ? `?${filtros}` : ''}`);
+    } catch (error) {
+        console.error("Error al eliminar registro de tiempo:", error);
+        req.session.mensaje = 'Error al eliminar el registro de tiempo. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// GET de la hoja de tiempos del proyecto (?desde=AAAA-MM-DD&hasta=AAAA-MM-DD&idUsuario=N)
+exports.getTimesheet = async (req, res, next) => {
+    const projectId = req.params.idProyecto;
+
+    try {
+        const { desde, hasta, idUsuario } = req.query;
+        let result = await getTimesheet(projectId, req.session.usuario, { desde, hasta, idUsuario });
+
+        // Con filtros inválidos se muestra el periodo por defecto junto con el error
+        let error = null;
+        if (!result.success && result.code === 'VALIDATION_ERROR') {
+            error = result.error;
+            result = await getTimesheet(projectId, req.session.usuario);
+        }
+        if (!result.success) {
+            req.session.mensaje = result.error;
+            return res.redirect(`/proyectos/${projectId}`);
+        }
+
+        const proyecto = await getProjectForUser(projectId, req.session.usuario.id);
+        res.render('timesheet', {
+            csrfToken: req.session.csrfToken,
+            proyecto,
+            hoja: result.data,
+            formatDuration,
+            // Cada registro se puede eliminar según ELIMINAR_TIEMPO (su autor o el admin del proyecto)
+            puedeEliminar: registro => can(req.session.usuario, ACCIONES.ELIMINAR_TIEMPO, { rolProyecto: proyecto.rolProyecto, proyecto, registro }),
+            usuarioActual: req.session.usuario,
+            mensaje: req.session.mensaje,
+            error
+        });
+        req.session.mensaje = null;
+    } catch (error) {
+        console.error("Error al obtener la hoja de tiempos:", error);
+        req.session.mensaje = 'Error al cargar la hoja de tiempos. Inténtalo de nuevo.';
+        next(error);
+    }
+};
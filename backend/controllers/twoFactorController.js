@@ -0,0 +1,140 @@
+// backend/controllers/twoFactorController.js
+// Verificación en dos pasos: segundo paso del login y página de configuración (/seguridad/2fa)
+const twoFactorService = require('../services/twoFactorService');
+
+// Login pendiente del segundo paso (lo guarda postLogin), o null si no hay o caducó
+function pendingLogin(req) {
+    const pendiente = req.session.loginPendiente;
+    if (!pendiente) return null;
+    if (pendiente.expira < Date.now()) {
+        req.session.loginPendiente = null;
+        return null;
+    }
+    return pendiente;
+}
+
+// Formulario del código tras la contraseña
+exports.getLoginSecondStep = (req, res) => {
+    if (!pendingLogin(req)) {
+        req.session.mensaje = 'Inicia sesión de nuevo para continuar.';
+        return res.redirect('/');
+    }
+
+    res.render('login-2fa', { mensaje: req.session.mensaje });
+    req.session.mensaje = null;
+};
+
+// Comprueba el código TOTP o de recuperación e inicia la sesión
+exports.postLoginSecondStep = async (req, res, next) => {
+    const pendiente = pendingLogin(req);
+    if (!pendiente) {
+        req.session.mensaje = 'El tiempo para introducir el código ha expirado. Inicia sesión de nuevo.';
+        return res.redirect('/');
+    }
+
+    try {
+        const result = await twoFactorService.verifyLogin(pendiente.idUsuario, req.body.codigo);
+        if (!result.success) {
+            await req.limiteIntentos.registrarFallo();
+            req.session.mensaje = result.error;
+            return res.redirect('/login/2fa');
+        }
+
+        await req.limiteIntentos.reiniciar();
+        req.session.loginPendiente = null;
+        req.session.usuario = {
+            id: pendiente.idUsuario,
+            nombre: pendiente.nombre,
+            foto: pendiente.foto,
+            rol: pendiente.rol
+        };
+
+        if (result.data.metodo === 'recuperacion') {
+            req.session.mensaje = 'Has usado un código de recuperación. Puedes generar códigos nuevos en Seguridad.';
+        }
+        res.redirect('/index');
+    } catch (error) {
+        console.error("Error en postLoginSecondStep:", error);
+        req.session.mensaje = 'Error al verificar el código. Inténtalo de nuevo.';
+        next(error);
+    }
+};
+
+// Página de configuración: estado, alta (secreto + URI otpauth) y códigos recién generados
+exports.getSecurity = async (req, res, next) => {
+    try {
+        const estado = await twoFactorService.getStatus(req.session.usuario.id);
+
+        // El secreto propuesto vive en la sesión hasta que se confirma con un código
+        if (!estado.activado && !req.session.totpPendiente) {
+            req.session.totpPendiente = twoFactorService.startEnrollment(estado.correo);
+        }
+
+        res.render('two-factor', {
+            usuario: req.session.usuario,
+            estado: estado,
+            alta: estado.activado ? null : req.session.totpPendiente,
+            codigosRecuperacion: req.session.codigosRecuperacionNuevos || null,
+            mensaje: req.session.mensaje
+        });
+        // Los códigos nuevos solo se muestran una vez
+        req.session.codigosRecuperacionNuevos = null;
+        req.session.mensaje = null;
+    } catch (error) {
+        console.error("Error al cargar la configuración de seguridad:", error);
+        req.session.mensaje = 'Error al cargar la configuración de seguridad.';
+        next(error);
+    }
+};
+
+// POST para activar: confirma el secreto propuesto con un código de la app
+exports.postEnable = async (req, res, next) => {
+    try {
+        const pendiente = req.session.totpPendiente;
+        const result = await twoFactorService.confirmEnrollment(req.session.usuario.id, pendiente && pendiente.secreto, req.body.codigo);
+
+        if (result.success) {
+            req.session.totpPendiente = null;
+            req.session.codigosRecuperacionNuevos = result.data.codigosRecuperacion;
+            req.session.mensaje = 'Verificación en dos pasos activada. Guarda tus códigos de recuperación.';
+        } else {
+            req.session.mensaje = result.error;
+        }
+        res.redirect('/seguridad/2fa');
+    } catch (error) {
+        console.error("Error al activar la verificación en dos pasos:", error);
+        req.session.mensaje = 'Error al activar la verificación en dos pasos.';
+        next(error);
+    }
+};
+
+// POST para desactivar (pide la contraseña)
+exports.postDisable = async (req, res, next) => {
+    try {
+        const result = await twoFactorService.disable(req.session.usuario.id, req.body.contrasena);
+        req.session.mensaje = result.success ? 'Verificación en dos pasos desactivada.' : result.error;
+        res.redirect('/seguridad/2fa');
+    } catch (error) {
+        console.error("Error al desactivar la verificación en dos pasos:", error);
+        req.session.mensaje = 'Error al desactivar la verificación en dos pasos.';
+        next(error);
+    }
+};
+
+// POST para generar códigos de recuperación nuevos (pide un código de la app)
+exports.postRegenerateCodes = async (req, res, next) => {
+    try {
+        const result = await twoFactorService.regenerateRecoveryCodes(req.session.usuario.id, req.body.codigo);
+        if (result.success) {
+            req.session.codigosRecuperacionNuevos = result.data.codigosRecuperacion;
+            req.session.mensaje = 'Códigos de recuperación nuevos generados. Los anteriores ya no sirven.';
+        } else {
+            req.session.mensaje = result.error;
+        }
+        res.redirect('/seguridad/2fa');
+    } catch (error) {
+        console.error("Error al generar códigos de recuperación:", error);
+        req.session.mensaje = 'Error al generar los códigos de recuperación.';
+        next(error);
+    }
+};
@@ -0,0 +1,60 @@
+// backend/middlewares/apiToken.js
+// Autenticación de la API con tokens de acceso personales (services/accessTokenService).
+const accessTokenService = require('../services/accessTokenService');
+
+const METODOS_LECTURA = ['GET', 'HEAD', 'OPTIONS'];
+
+function apiError(res, status, error, code) {
+    return res.status(status).json({ success: false, error, code });
+}
+
+function bearerToken(req) {
+    const cabecera = req.get('authorization') || '';
+    const coincidencia = cabecera.match(/^Bearer\s+(\S+)$/i);
+    return coincidencia ? coincidencia[1] : null;
+}
+
+/**
+ * Sustituye a express-session en app.js: las peticiones a /api con "Authorization: Bearer" no usan cookie
+ * ni guardan sesión; reciben una sesión solo para esa petición con req.session.usuario, de modo que las rutas
+ * no distinguen entre sesión y token. req.tokenAcceso = { idToken, alcance } indica que vienen con token.
+ * El resto de peticiones pasan por sessionMiddleware.
+ */
+function sessionOrBearerToken(sessionMiddleware) {
+    return async (req, res, next) => {
+        const token = req.path.startsWith('/api/') ? bearerToken(req) : null;
+        if (!token) {
+            return sessionMiddleware(req, res, next);
+        }
+
+        try {
+            const acceso = await accessTokenService.authenticate(token);
+            if (!acceso) {
+                return apiError(res, 401, 'Token de acceso inválido o revocado', 'UNAUTHORIZED');
+            }
+            if (acceso.alcance === accessTokenService.ALCANCES.LECTURA && !METODOS_LECTURA.includes(req.method)) {
+                return apiError(res, 403, 'Este token es de solo lectura', 'FORBIDDEN');
+            }
+
+            req.session = { usuario: acceso.usuario };
+            req.tokenAcceso = { idToken: acceso.idToken, alcance: acceso.alcance };
+            next();
+        } catch (error) {
+            console.error("Error al comprobar el token de acceso:", error);
+            next(error);
+        }
+    };
+}
+
+// Solo con sesión iniciada en el navegador: un token no puede crear ni revocar tokens
+function requireSession(req, res, next) {
+    if (req.tokenAcceso) {
+        return apiError(res, 403, 'Los tokens de acceso solo se gestionan con la sesión iniciada', 'FORBIDDEN');
+    }
+    next();
+}
+
+module.exports = {
+    sessionOrBearerToken,
+    requireSession
+};
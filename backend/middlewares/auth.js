@@ -1,10 +1,53 @@
 // backend/middlewares/auth.js
+const sql = require('mssql');
+const config = require('../db.js');
+
 exports.isAuthenticated = (req, res, next) => {
     // Si la sesión tiene un usuario, significa que está logueado
     if (req.session.usuario && req.session.usuario.id) {
         return next(); // Continúa con la siguiente función en la cadena de middleware/ruta
     }
+    // La API responde con JSON: un script o el frontend no pueden seguir la redirección al login
+    if (req.originalUrl.startsWith('/api/')) {
+        return res.status(401).json({
+            success: false,
+            error: 'Debes iniciar sesión o enviar un token de acceso (Authorization: Bearer)',
+            code: 'UNAUTHORIZED'
+        });
+    }
     // Si no está logueado, guarda un mensaje y redirige al login
     req.session.mensaje = 'Debes iniciar sesión para acceder a esta página.';
     res.redirect('/'); // Asumiendo que '/' es tu página de login
-};
\ No newline at end of file
+};
+
+// Rol de Usuarios.rol con acceso a la administración del sistema
+const ROL_ADMIN_SISTEMA = 'admin_general';
+exports.ROL_ADMIN_SISTEMA = ROL_ADMIN_SISTEMA;
+
+// Solo administradores del sistema. Debe ir después de isAuthenticated.
+// El rol se lee de la base de datos en cada petición para que un cambio de rol se aplique sin volver a iniciar sesión.
+exports.isSystemAdmin = async (req, res, next) => {
+    try {
+        const pool = await sql.connect(config);
+        const result = await pool.request()
+            .input('idUsuario', sql.Int, req.session.usuario.id)
+            .query('SELECT rol FROM Usuarios WHERE idUsuario = @idUsuario');
+
+        if (result.recordset[0] && result.recordset[0].rol === ROL_ADMIN_SISTEMA) {
+            return next();
+        }
+
+        if (req.originalUrl.startsWith('/api/')) {
+            return res.status(403).json({
+                success: false,
+                error: 'Solo los administradores del sistema pueden acceder',
+                code: 'FORBIDDEN'
+            });
+        }
+        req.session.mensaje = 'Solo los administradores del sistema pueden acceder a esta página.';
+        res.redirect('/index');
+    } catch (error) {
+        console.error("Error al comprobar el rol de administrador:", error);
+        next(error);
+    }
+};
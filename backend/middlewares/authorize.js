@@ -0,0 +1,118 @@
+// backend/middlewares/authorize.js
+// Comprueba con la política de proyecto (policies/projectPolicy) que el usuario de la sesión
+// pueda realizar una acción antes de llegar al controlador. Debe ir después de isAuthenticated.
+const participantService = require('../services/participantService');
+const taskService = require('../services/taskService');
+const subtaskService = require('../services/subtaskService');
+const commentService = require('../services/commentService');
+const attachmentService = require('../services/attachmentService');
+const timeService = require('../services/timeService');
+const { can } = require('../policies/projectPolicy');
+
+// Los formularios usan :idProyecto/:idTarea/:idSubtarea/:idComentario/:idAdjunto/:idRegistro
+// y la API :id/:taskId/:subtaskId/:commentId/:attachmentId/:entryId
+function resourceIds(params) {
+    return {
+        projectId: params.idProyecto || params.id,
+        taskId: params.idTarea || params.taskId,
+        subtaskId: params.idSubtarea || params.subtaskId,
+        commentId: params.idComentario || params.commentId,
+        attachmentId: params.idAdjunto || params.attachmentId,
+        entryId: params.idRegistro || params.entryId
+    };
+}
+
+// Carga el rol del usuario y, según la ruta, la tarea, la subtarea, el comentario, el adjunto o el registro de tiempo.
+// Devuelve { success, data: { rolProyecto, tarea?, subtarea?, comentario?, adjunto?, registro? } } como los servicios.
+async function loadResource(params, userId) {
+    const { projectId, taskId, subtaskId, commentId, attachmentId, entryId } = resourceIds(params);
+
+    if (entryId) {
+        return timeService.getEntryAccess(projectId, entryId, userId);
+    }
+    if (attachmentId) {
+        return attachmentService.getAttachmentAccess(projectId, attachmentId, userId);
+    }
+    if (commentId) {
+        return commentService.getCommentAccess(projectId, commentId, userId);
+    }
+    if (subtaskId) {
+        return subtaskService.getSubtaskAccess(projectId, taskId, subtaskId, userId);
+    }
+    if (taskId) {
+        return taskService.getTaskAccess(projectId, taskId, userId);
+    }
+
+    const rolProyecto = await participantService.getProjectRole(projectId, userId);
+    if (!rolProyecto) {
+        return { success: false, error: 'No tienes acceso a este proyecto', code: 'FORBIDDEN' };
+    }
+    return { success: true, data: { rolProyecto } };
+}
+
+// Resultado de la comprobación: el recurso cargado o el error a devolver
+async function check(req, accion) {
+    const recurso = await loadResource(req.params, req.session.usuario.id);
+    if (!recurso.success) return recurso;
+
+    if (!can(req.session.usuario, accion, recurso.data)) {
+        return { success: false, error: 'No tienes permiso para realizar esta acción', code: 'FORBIDDEN', rolProyecto: recurso.data.rolProyecto };
+    }
+    return recurso;
+}
+
+/**
+ * Middleware para las rutas de formularios: si no hay permiso guarda el mensaje
+ * en la sesión y redirige al proyecto (o a la lista si no tiene acceso a él).
+ * El recurso cargado queda en req.permiso para el controlador.
+ */
+function authorize(accion) {
+    return async (req, res, next) => {
+        try {
+            const result = await check(req, accion);
+            if (!result.success) {
+                const { projectId } = resourceIds(req.params);
+                const tieneAcceso = result.code === 'NOT_FOUND' || result.rolProyecto;
+                req.session.mensaje = result.error;
+                return res.redirect(tieneAcceso ? `/proyectos/${projectId}` : '/proyectos');
+            }
+            req.permiso = result.data;
+            next();
+        } catch (error) {
+            console.error("Error al comprobar permisos:", error);
+            next(error);
+        }
+    };
+}
+
+/**
+ * Middleware para las rutas de /api: responde 403/404 en JSON si no hay permiso.
+ */
+function authorizeApi(accion) {
+    return async (req, res, next) => {
+        try {
+            const result = await check(req, accion);
+            if (!result.success) {
+                return res.status(result.code === 'NOT_FOUND' ? 404 : 403).json({
+                    success: false,
+                    error: result.error,
+                    code: result.code
+                });
+            }
+            req.permiso = result.data;
+            next();
+        } catch (error) {
+            console.error('Error al comprobar permisos:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Error interno del servidor',
+                code: 'SERVER_ERROR'
+            });
+        }
+    };
+}
+
+module.exports = {
+    authorize,
+    authorizeApi
+};
@@ -1,5 +1,6 @@
 //csrf
 const crypto = require('crypto');
+const fs = require('fs');
 
 function generateCsrfToken(req, res, next) {
   if (!req.session.csrfToken) {
@@ -12,6 +13,12 @@ function generateCsrfToken(req, res, next) {
 function verifyCsrfToken(req, res, next) {
   const tokenFromForm = req.body._csrf;
   if (tokenFromForm !== req.session.csrfToken) {
+    // En los formularios multipart Multer ya guardó el archivo antes de poder leer el token: se borra
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(error => {
+        if (error.code !== 'ENOENT') console.error("Error al borrar un archivo subido sin token CSRF válido:", error);
+      });
+    }
     return res.status(403).send('CSRF token inválido o ausente');
   }
   next();
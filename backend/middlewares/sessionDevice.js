@@ -0,0 +1,12 @@
+// backend/middlewares/sessionDevice.js
+// Guarda en la sesión el navegador y la IP para la lista de "Sesiones activas" (services/sessionService).
+// Va después de express-session. Se guarda desde antes del login para que la sesión ya lo tenga al iniciarla,
+// y solo se reescribe si cambia, para no guardar la sesión en cada petición.
+exports.recordSessionDevice = (req, res, next) => {
+    const agente = req.get('user-agent') || null;
+    const actual = req.session.dispositivo;
+    if (!actual || actual.agente !== agente || actual.ip !== req.ip) {
+        req.session.dispositivo = { agente, ip: req.ip };
+    }
+    next();
+};
@@ -0,0 +1,52 @@
+// backend/middlewares/throttle.js
+// Aplica los límites de services/throttleService a las rutas de autenticación.
+const throttleService = require('../services/throttleService');
+
+// La cuenta es el correo del formulario y la IP la de la petición.
+// Detrás de un proxy hay que configurar app.set('trust proxy', ...) para que req.ip sea la del cliente.
+function identifiersFrom(req) {
+    return {
+        cuenta: req.body && req.body.correo,
+        ip: req.ip
+    };
+}
+
+/**
+ * Rechaza la petición si la cuenta o la IP están bloqueadas para la acción,
+ * guardando el mensaje en la sesión y redirigiendo a `redireccion`.
+ * Con contarTodos cada petición suma un intento (registro, recuperación);
+ * si no, el controlador decide con req.limiteIntentos.registrarFallo() / reiniciar() (login).
+ * identificar(req) cambia de dónde salen la cuenta y la IP (por defecto identifiersFrom).
+ */
+function throttle(accion, { redireccion, contarTodos = false, identificar = identifiersFrom }) {
+    return async (req, res, next) => {
+        const identificadores = identificar(req);
+
+        try {
+            const { bloqueado, restanteMs } = await throttleService.check(accion, identificadores);
+            if (bloqueado) {
+                const minutos = Math.ceil(restanteMs / 60000);
+                req.session.mensaje = `Demasiados intentos. Intenta nuevamente en ${minutos} minuto${minutos === 1 ? '' : 's'}.`;
+                return res.redirect(redireccion);
+            }
+
+            if (contarTodos) {
+                await throttleService.registerFailure(accion, identificadores);
+            }
+
+            req.limiteIntentos = {
+                registrarFallo: () => throttleService.registerFailure(accion, identificadores),
+                // Solo se reinicia la cuenta: un login correcto no debe limpiar el contador de la IP
+                reiniciar: () => throttleService.reset(accion, { cuenta: identificadores.cuenta })
+            };
+            next();
+        } catch (error) {
+            console.error("Error al comprobar el límite de intentos:", error);
+            next(error);
+        }
+    };
+}
+
+module.exports = {
+    throttle
+};
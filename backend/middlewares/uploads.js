@@ -2,6 +2,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 // Configuración de almacenamiento para Multer
 const storage = multer.diskStorage({
@@ -41,4 +42,88 @@ const uploadMiddleware = multer({
     fileFilter: fileFilter
 }).single('fotoPerfil'); // <-- Configurado para un solo archivo y el nombre del campo
 
-module.exports = uploadMiddleware; // Exporta directamente la instancia de multer
\ No newline at end of file
+module.exports = uploadMiddleware; // Exporta directamente la instancia de multer
+
+// Foto de perfil desde el perfil y la API: como uploadAttachment, el error queda en req.uploadError
+function uploadProfilePhoto(req, res, next) {
+    uploadMiddleware(req, res, (err) => {
+        if (err) {
+            req.uploadError = err.code === 'LIMIT_FILE_SIZE'
+                ? 'La imagen supera el tamaño máximo de 5 MB.'
+                : err.message;
+        }
+        next();
+    });
+}
+
+module.exports.uploadProfilePhoto = uploadProfilePhoto;
+
+
+// --- Adjuntos de tareas y subtareas ---
+// Se guardan fuera de frontend/public para que solo se puedan descargar a través de
+// las rutas autenticadas (GET /proyectos/:idProyecto/adjuntos/:idAdjunto y /api/.../download).
+const ATTACHMENTS_DIR = process.env.ATTACHMENTS_DIR || path.join(__dirname, '../../storage/adjuntos');
+const MAX_ATTACHMENT_SIZE_MB = 10;
+const ATTACHMENT_EXTENSIONS = [
+    '.pdf', '.txt', '.csv',
+    '.jpg', '.jpeg', '.png', '.gif', '.webp',
+    '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.odt', '.ods', '.odp'
+];
+
+const attachmentStorage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        if (!fs.existsSync(ATTACHMENTS_DIR)) {
+            fs.mkdirSync(ATTACHMENTS_DIR, { recursive: true });
+        }
+        cb(null, ATTACHMENTS_DIR);
+    },
+    filename: (req, file, cb) => {
+        // Nombre aleatorio: el nombre original solo se guarda en la base de datos
+        const ext = path.extname(file.originalname).toLowerCase();
+        cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`);
+    }
+});
+
+const attachmentUpload = multer({
+    storage: attachmentStorage,
+    limits: { fileSize: MAX_ATTACHMENT_SIZE_MB * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname).toLowerCase();
+        if (ATTACHMENT_EXTENSIONS.includes(ext)) {
+            return cb(null, true);
+        }
+        cb(new Error('Tipo de archivo no permitido. Se aceptan PDF, imágenes, documentos de Office/LibreOffice, TXT y CSV.'), false);
+    }
+}).single('archivo');
+
+// Sube un adjunto (campo 'archivo'). Los errores de Multer no cortan la petición:
+// quedan en req.uploadError para que cada ruta responda en su formato (mensaje flash o JSON).
+function uploadAttachment(req, res, next) {
+    attachmentUpload(req, res, (err) => {
+        if (err) {
+            req.uploadError = err.code === 'LIMIT_FILE_SIZE'
+                ? `El archivo supera el tamaño máximo de ${MAX_ATTACHMENT_SIZE_MB} MB.`
+                : err.message;
+        }
+        next();
+    });
+}
+
+// Ruta absoluta de un adjunto guardado
+function attachmentPath(nombreArchivo) {
+    return path.join(ATTACHMENTS_DIR, path.basename(nombreArchivo));
+}
+
+// Borra del disco los archivos indicados. Nunca lanza: un archivo que ya no existe no es un error.
+async function removeAttachmentFiles(nombresArchivo) {
+    await Promise.all(nombresArchivo.map(nombre =>
+        fs.promises.unlink(attachmentPath(nombre)).catch(error => {
+            if (error.code !== 'ENOENT') console.error("Error al borrar adjunto:", error);
+        })
+    ));
+}
+
+module.exports.uploadAttachment = uploadAttachment;
+module.exports.attachmentPath = attachmentPath;
+module.exports.removeAttachmentFiles = removeAttachmentFiles;
+module.exports.MAX_ATTACHMENT_SIZE_MB = MAX_ATTACHMENT_SIZE_MB;
\ No newline at end of file
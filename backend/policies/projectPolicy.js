@@ -0,0 +1,144 @@
+// backend/policies/projectPolicy.js
+// Política central de permisos dentro de un proyecto.
+// Todas las comprobaciones (servicios, middleware authorize y vistas) pasan por can().
+
+// Acciones que se pueden realizar dentro de un proyecto
+const ACCIONES = {
+    VER_PROYECTO: 'proyecto:ver',
+    EDITAR_PROYECTO: 'proyecto:editar',
+    ELIMINAR_PROYECTO: 'proyecto:eliminar',
+    GESTIONAR_MIEMBROS: 'miembros:gestionar',
+    GESTIONAR_ETIQUETAS: 'etiquetas:gestionar', // Crear, editar y eliminar las etiquetas del proyecto (ponerlas en una tarea es editarla)
+    COPIAR_PROYECTO: 'proyecto:copiar', // Guardarlo como plantilla o clonarlo (se copian sus tareas, subtareas y participantes)
+    CREAR_TAREA: 'tarea:crear',
+    EDITAR_TAREA: 'tarea:editar',
+    ELIMINAR_TAREA: 'tarea:eliminar',
+    CREAR_SUBTAREA: 'subtarea:crear',
+    EDITAR_SUBTAREA: 'subtarea:editar',
+    ELIMINAR_SUBTAREA: 'subtarea:eliminar',
+    COMENTAR: 'comentario:crear',
+    EDITAR_COMENTARIO: 'comentario:editar',
+    ELIMINAR_COMENTARIO: 'comentario:eliminar',
+    ADJUNTAR_ARCHIVO: 'adjunto:crear',
+    ELIMINAR_ADJUNTO: 'adjunto:eliminar',
+    REGISTRAR_TIEMPO: 'tiempo:registrar',
+    ELIMINAR_TIEMPO: 'tiempo:eliminar',
+    VER_TIEMPO_EQUIPO: 'tiempo:ver_equipo' // Hoja de tiempos de todos los miembros (sin ella, solo la propia)
+};
+
+// --- Condiciones sobre el recurso ---
+// Reciben (usuario, recurso) donde recurso = { rolProyecto, proyecto, tarea, subtarea, comentario, adjunto, registro }
+
+const esCreadorTarea = (usuario, { tarea }) =>
+    Boolean(tarea) && tarea.idUsuarioCreador === usuario.id;
+
+const esCreadorOAsignadoTarea = (usuario, { tarea }) =>
+    Boolean(tarea) && (tarea.idUsuarioCreador === usuario.id || tarea.idUsuarioAsignado === usuario.id);
+
+const esAsignadoTarea = (usuario, { tarea }) =>
+    Boolean(tarea) && tarea.idUsuarioAsignado === usuario.id;
+
+// Creador/asignado de la subtarea o de su tarea principal
+const participaEnSubtarea = (usuario, recurso) =>
+    esCreadorOAsignadoTarea(usuario, recurso) ||
+    (Boolean(recurso.subtarea) && (recurso.subtarea.idUsuarioCreador === usuario.id || recurso.subtarea.idUsuarioAsignado === usuario.id));
+
+const esAutorComentario = (usuario, { comentario }) =>
+    Boolean(comentario) && comentario.idUsuarioAutor === usuario.id;
+
+const subioAdjunto = (usuario, { adjunto }) =>
+    Boolean(adjunto) && adjunto.idUsuarioSubida === usuario.id;
+
+const esAutorRegistro = (usuario, { registro }) =>
+    Boolean(registro) && registro.idUsuario === usuario.id;
+
+// --- Roles de proyecto (ParticipantesProyecto.rolProyecto) ---
+// Cada acción vale true (siempre), una condición sobre el recurso, o no aparece (nunca).
+// Para añadir o ajustar un rol basta con editar esta tabla.
+const ROLES_PROYECTO = {
+    admin: {
+        [ACCIONES.VER_PROYECTO]: true,
+        [ACCIONES.EDITAR_PROYECTO]: true,
+        [ACCIONES.ELIMINAR_PROYECTO]: true,
+        [ACCIONES.GESTIONAR_MIEMBROS]: true,
+        [ACCIONES.GESTIONAR_ETIQUETAS]: true,
+        [ACCIONES.COPIAR_PROYECTO]: true,
+        [ACCIONES.CREAR_TAREA]: true,
+        [ACCIONES.EDITAR_TAREA]: true,
+        [ACCIONES.ELIMINAR_TAREA]: true,
+        [ACCIONES.CREAR_SUBTAREA]: true,
+        [ACCIONES.EDITAR_SUBTAREA]: true,
+        [ACCIONES.ELIMINAR_SUBTAREA]: true,
+        [ACCIONES.COMENTAR]: true,
+        [ACCIONES.EDITAR_COMENTARIO]: esAutorComentario,
+        [ACCIONES.ELIMINAR_COMENTARIO]: true, // Moderación del hilo
+        [ACCIONES.ADJUNTAR_ARCHIVO]: true,
+        [ACCIONES.ELIMINAR_ADJUNTO]: true,
+        [ACCIONES.REGISTRAR_TIEMPO]: true,
+        [ACCIONES.ELIMINAR_TIEMPO]: true,
+        [ACCIONES.VER_TIEMPO_EQUIPO]: true
+    },
+    // Trabaja sobre todas las tareas, pero no administra el proyecto ni sus miembros
+    editor: {
+        [ACCIONES.VER_PROYECTO]: true,
+        [ACCIONES.CREAR_TAREA]: true,
+        [ACCIONES.EDITAR_TAREA]: true,
+        [ACCIONES.ELIMINAR_TAREA]: true,
+        [ACCIONES.CREAR_SUBTAREA]: true,
+        [ACCIONES.EDITAR_SUBTAREA]: true,
+        [ACCIONES.ELIMINAR_SUBTAREA]: true,
+        [ACCIONES.COMENTAR]: true,
+        [ACCIONES.EDITAR_COMENTARIO]: esAutorComentario,
+        [ACCIONES.ELIMINAR_COMENTARIO]: esAutorComentario,
+        [ACCIONES.ADJUNTAR_ARCHIVO]: true,
+        [ACCIONES.ELIMINAR_ADJUNTO]: true,
+        [ACCIONES.REGISTRAR_TIEMPO]: true,
+        [ACCIONES.ELIMINAR_TIEMPO]: esAutorRegistro
+    },
+    // Rol por defecto de los invitados: solo trabaja sobre lo que creó o tiene asignado
+    miembro: {
+        [ACCIONES.VER_PROYECTO]: true,
+        [ACCIONES.EDITAR_TAREA]: esCreadorOAsignadoTarea,
+        [ACCIONES.ELIMINAR_TAREA]: esCreadorTarea,
+        [ACCIONES.CREAR_SUBTAREA]: esAsignadoTarea,
+        [ACCIONES.EDITAR_SUBTAREA]: participaEnSubtarea,
+        [ACCIONES.ELIMINAR_SUBTAREA]: participaEnSubtarea,
+        [ACCIONES.COMENTAR]: true,
+        [ACCIONES.EDITAR_COMENTARIO]: esAutorComentario,
+        [ACCIONES.ELIMINAR_COMENTARIO]: esAutorComentario,
+        [ACCIONES.ADJUNTAR_ARCHIVO]: participaEnSubtarea,
+        [ACCIONES.ELIMINAR_ADJUNTO]: subioAdjunto,
+        [ACCIONES.REGISTRAR_TIEMPO]: participaEnSubtarea,
+        [ACCIONES.ELIMINAR_TIEMPO]: esAutorRegistro
+    },
+    // Solo lectura (p. ej. stakeholders)
+    lector: {
+        [ACCIONES.VER_PROYECTO]: true
+    }
+};
+
+const ROLES = Object.keys(ROLES_PROYECTO);
+
+/**
+ * ¿Puede el usuario realizar la acción sobre el recurso?
+ * @param {Object} usuario - usuario de la sesión ({ id, nombre })
+ * @param {string} accion - una de ACCIONES
+ * @param {Object} recurso - { rolProyecto, proyecto?, tarea?, subtarea?, comentario?, adjunto?, registro? }; rolProyecto es el rol del usuario
+ */
+function can(usuario, accion, recurso = {}) {
+    if (!usuario || !recurso.rolProyecto) return false;
+
+    const permisos = ROLES_PROYECTO[recurso.rolProyecto];
+    if (!permisos) return false;
+
+    const regla = permisos[accion];
+    if (typeof regla === 'function') return regla(usuario, recurso);
+    return regla === true;
+}
+
+module.exports = {
+    ACCIONES,
+    ROLES_PROYECTO,
+    ROLES,
+    can
+};
@@ -0,0 +1,23 @@
+// backend/routes/admin.js
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { isAuthenticated, isSystemAdmin } = require('../middlewares/auth');
+const { verifyCsrfToken } = require('../middlewares/csrf');
+
+// Bloqueos por intentos fallidos de login, registro y recuperación de contraseña
+router.get('/admin/bloqueos', isAuthenticated, isSystemAdmin, adminController.getLockouts);
+router.post('/admin/bloqueos/eliminar', isAuthenticated, isSystemAdmin, verifyCsrfToken, adminController.postClearLockout);
+
+// Usuarios: búsqueda, cuentas desactivadas, roles del sistema y restablecimiento de contraseña
+router.get('/admin/usuarios', isAuthenticated, isSystemAdmin, adminController.getUsers);
+router.post('/admin/usuarios/:idUsuario/desactivar', isAuthenticated, isSystemAdmin, verifyCsrfToken, adminController.postDisableUser);
+router.post('/admin/usuarios/:idUsuario/activar', isAuthenticated, isSystemAdmin, verifyCsrfToken, adminController.postEnableUser);
+router.post('/admin/usuarios/:idUsuario/rol', isAuthenticated, isSystemAdmin, verifyCsrfToken, adminController.postChangeRole);
+router.post('/admin/usuarios/:idUsuario/restablecer-contrasena', isAuthenticated, isSystemAdmin, verifyCsrfToken, adminController.postResetPassword);
+
+// Proyectos de todos los usuarios y transferencia de proyectos a otro administrador
+router.get('/admin/proyectos', isAuthenticated, isSystemAdmin, adminController.getProjects);
+router.post('/admin/proyectos/:idProyecto/transferir', isAuthenticated, isSystemAdmin, verifyCsrfToken, adminController.postTransferProject);
+
+module.exports = router;
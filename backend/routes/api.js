@@ -1,9 +1,440 @@
 // backend/routes/api.js
 const express = require('express');
 const router = express.Router();
-const { isAuthenticated } = require('../middlewares/auth');
+const { isAuthenticated, isSystemAdmin } = require('../middlewares/auth');
+const { requireSession } = require('../middlewares/apiToken');
+const { authorizeApi } = require('../middlewares/authorize');
+const { uploadAttachment, uploadProfilePhoto } = require('../middlewares/uploads');
 const sql = require('mssql');
 const config = require('../db.js');
+const { body, validationResult } = require('express-validator');
+const projectService = require('../services/projectService');
+const taskService = require('../services/taskService');
+const subtaskService = require('../services/subtaskService');
+const dependencyService = require('../services/dependencyService');
+const participantService = require('../services/participantService');
+const notificationService = require('../services/notificationService');
+const commentService = require('../services/commentService');
+const attachmentService = require('../services/attachmentService');
+const activityService = require('../services/activityService');
+const throttleService = require('../services/throttleService');
+const profileService = require('../services/profileService');
+const sessionService = require('../services/sessionService');
+const accessTokenService = require('../services/accessTokenService');
+const adminService = require('../services/adminService');
+const accountService = require('../services/accountService');
+const recurrenceService = require('../services/recurrenceService');
+const timeService = require('../services/timeService');
+const labelService = require('../services/labelService');
+const templateService = require('../services/templateService');
+const { ACCIONES, ROLES } = require('../policies/projectPolicy');
+
+// Códigos de error de los servicios -> código HTTP
+const HTTP_STATUS_BY_CODE = {
+    VALIDATION_ERROR: 400,
+    UNAUTHORIZED: 401,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    CONFLICT: 409
+};
+
+/**
+ * Envía al cliente el resultado { success, data, error, code } de un servicio.
+ * format convierte data al formato JSON de la API (ver "Formato de respuesta")
+ */
+function sendResult(res, result, successStatus = 200, format = data => data) {
+    if (!result.success) {
+        return res.status(HTTP_STATUS_BY_CODE[result.code] || 500).json({
+            success: false,
+            error: result.error,
+            code: result.code
+        });
+    }
+    res.status(successStatus).json({
+        success: true,
+        data: format(result.data),
+        status: successStatus
+    });
+}
+
+/**
+ * ===============================================
+ * FORMATO DE RESPUESTA
+ * ===============================================
+ * Los servicios devuelven las columnas de la base de datos;
+ * la API expone nombres en inglés que usa el frontend.
+ */
+
+// Prioridad del proyecto calculada a partir de la fecha de entrega
+function projectPriority(fechaEntrega) {
+    const ahora = new Date();
+    const enUnaSemana = new Date(ahora.getTime() + 7 * 24 * 60 * 60 * 1000);
+    const entrega = new Date(fechaEntrega);
+
+    if (entrega < ahora) return 'alta';
+    if (entrega < enUnaSemana) return 'media';
+    return 'baja';
+}
+
+function formatUser(participante) {
+    return {
+        id: participante.idUsuario,
+        name: participante.nombreUsuario,
+        role: participante.rolProyecto,
+        profileImage: participante.fotoPerfil
+    };
+}
+
+function formatProject(proyecto, participantes = []) {
+    return {
+        id: proyecto.idProyecto,
+        name: proyecto.nombreProyecto,
+        description: proyecto.descripcionProyecto,
+        startDate: proyecto.fechaCreacion,
+        endDate: proyecto.fechaEntrega,
+        // Convertir estado del proyecto a formato esperado por frontend
+        status: proyecto.estadoProyecto === 'Completado' ? 'terminado' : 'en_proceso',
+        idUsuarioAdmin: proyecto.idUsuarioAdmin,
+        adminName: proyecto.nombreAdmin,
+        userRole: proyecto.rolProyecto,
+        priority: projectPriority(proyecto.fechaEntrega),
+        users: participantes.map(formatUser)
+    };
+}
+
+// Etiqueta puesta en una tarea o subtarea
+function formatLabelLink(etiqueta) {
+    return {
+        id: etiqueta.idEtiqueta,
+        name: etiqueta.nombreEtiqueta,
+        color: etiqueta.color
+    };
+}
+
+function formatLabel(etiqueta) {
+    return {
+        ...formatLabelLink(etiqueta),
+        projectId: etiqueta.idProyecto,
+        taskCount: etiqueta.numTareas || 0,
+        subtaskCount: etiqueta.numSubtareas || 0
+    };
+}
+
+function formatSubtask(subtarea) {
+    const formateada = {
+        id: subtarea.idSubtarea,
+        taskId: subtarea.idTarea,
+        parentId: subtarea.idSubtareaPadre || null,
+        name: subtarea.nombreSubtarea,
+        description: subtarea.descripcionSubtarea,
+        createdAt: subtarea.fechaCreacion,
+        dueDate: subtarea.fechaEntrega,
+        status: subtarea.estadoSubtarea,
+        priority: subtarea.prioridadSubtarea,
+        creatorId: subtarea.idUsuarioCreador,
+        creatorName: subtarea.nombreCreadorSubtarea,
+        assigneeId: subtarea.idUsuarioAsignado,
+        assigneeName: subtarea.nombreAsignadoSubtarea,
+        estimatedHours: subtarea.horasEstimadas,
+        loggedMinutes: subtarea.minutosReales || 0,
+        // Con sus subtareas anidadas (ver timeService.attachTimeTracking)
+        totalEstimatedHours: subtarea.horasEstimadasTotal !== undefined ? subtarea.horasEstimadasTotal : subtarea.horasEstimadas,
+        totalLoggedMinutes: subtarea.minutosTotales !== undefined ? subtarea.minutosTotales : (subtarea.minutosReales || 0),
+        labels: (subtarea.etiquetas || []).map(formatLabelLink)
+    };
+    // En las listas ordenadas como árbol (subtaskService.attachSubtaskTree): nivel y progreso de sus descendientes
+    if (subtarea.progreso) {
+        formateada.depth = subtarea.nivel;
+        formateada.progress = { completed: subtarea.progreso.completadas, total: subtarea.progreso.total };
+    }
+    return formateada;
+}
+
+// Tarea enlazada por una dependencia (blockedBy / blocks)
+function formatTaskLink(tarea) {
+    return {
+        id: tarea.idTarea,
+        name: tarea.nombreTarea,
+        status: tarea.estadoTarea
+    };
+}
+
+function formatTask(tarea) {
+    return {
+        id: tarea.idTarea,
+        projectId: tarea.idProyecto,
+        name: tarea.nombreTarea,
+        description: tarea.descripcionTarea,
+        createdAt: tarea.fechaCreacion,
+        dueDate: tarea.fechaEntrega,
+        status: tarea.estadoTarea,
+        priority: tarea.prioridadTarea,
+        creatorId: tarea.idUsuarioCreador,
+        creatorName: tarea.nombreCreador,
+        assigneeId: tarea.idUsuarioAsignado,
+        assigneeName: tarea.nombreAsignado,
+        estimatedHours: tarea.horasEstimadas,
+        // Tiempo acumulado de la tarea y sus subtareas (ver timeService.attachTimeTracking)
+        totalEstimatedHours: tarea.horasEstimadasTotal !== undefined ? tarea.horasEstimadasTotal : tarea.horasEstimadas,
+        loggedMinutes: tarea.minutosReales || 0,
+        recurrence: tarea.reglaRecurrencia
+            ? { rule: tarea.reglaRecurrencia, description: tarea.descripcionRecurrencia, paused: Boolean(tarea.recurrenciaPausada) }
+            : null,
+        blocked: Boolean(tarea.bloqueada),
+        blockedBy: (tarea.bloqueadaPor || []).map(formatTaskLink),
+        blocks: (tarea.bloquea || []).map(formatTaskLink),
+        labels: (tarea.etiquetas || []).map(formatLabelLink),
+        subtasks: (tarea.subtareas || []).map(formatSubtask)
+    };
+}
+
+function formatTimeEntry(registro) {
+    return {
+        id: registro.idRegistro,
+        projectId: registro.idProyecto,
+        taskId: registro.idTarea,
+        taskName: registro.nombreTarea,
+        subtaskId: registro.idSubtarea,
+        subtaskName: registro.nombreSubtarea,
+        userId: registro.idUsuario,
+        userName: registro.nombreUsuario,
+        start: registro.inicio,
+        end: registro.fin,
+        minutes: registro.minutos,
+        note: registro.nota,
+        manual: Boolean(registro.manual),
+        running: Boolean(registro.enMarcha)
+    };
+}
+
+function formatTimesheet(hoja) {
+    return {
+        from: hoja.desde,
+        to: hoja.hasta,
+        userId: hoja.idUsuario,
+        totalMinutes: hoja.totalMinutos,
+        members: hoja.miembros.map(miembro => ({
+            userId: miembro.idUsuario,
+            userName: miembro.nombreUsuario,
+            minutes: miembro.minutos,
+            tasks: miembro.tareas.map(tarea => ({ taskId: tarea.idTarea, taskName: tarea.nombreTarea, minutes: tarea.minutos })),
+            entries: miembro.registros.map(formatTimeEntry)
+        }))
+    };
+}
+
+function formatComment(comentario) {
+    return {
+        id: comentario.idComentario,
+        taskId: comentario.idTarea,
+        subtaskId: comentario.idSubtarea,
+        subtaskName: comentario.nombreSubtarea,
+        author: {
+            id: comentario.idUsuarioAutor,
+            name: comentario.nombreAutor,
+            profileImage: comentario.fotoAutor
+        },
+        content: comentario.contenido,
+        createdAt: comentario.fechaCreacion,
+        editedAt: comentario.fechaEdicion
+    };
+}
+
+function formatAttachment(adjunto) {
+    return {
+        id: adjunto.idAdjunto,
+        taskId: adjunto.idTarea,
+        subtaskId: adjunto.idSubtarea,
+        subtaskName: adjunto.nombreSubtarea,
+        fileName: adjunto.nombreOriginal,
+        mimeType: adjunto.tipoMime,
+        size: adjunto.tamanoBytes,
+        uploadedAt: adjunto.fechaSubida,
+        uploadedBy: {
+            id: adjunto.idUsuarioSubida,
+            name: adjunto.nombreUsuarioSubida
+        }
+    };
+}
+
+// cambios: { campo: { antes, despues } } con los nombres de columna de la base de datos
+function formatActivity(actividad) {
+    const changes = {};
+    for (const [campo, cambio] of Object.entries(actividad.cambios)) {
+        changes[campo] = { before: cambio.antes, after: cambio.despues };
+    }
+
+    return {
+        id: actividad.idActividad,
+        projectId: actividad.idProyecto,
+        entityType: actividad.tipoEntidad,
+        entityId: actividad.idEntidad,
+        entityName: actividad.nombreEntidad,
+        action: actividad.operacion,
+        actor: {
+            id: actividad.idUsuarioActor,
+            name: actividad.nombreActor
+        },
+        changes,
+        createdAt: actividad.fechaActividad
+    };
+}
+
+function formatLockout(registro) {
+    return {
+        key: registro.clave,
+        action: registro.accion,
+        type: registro.tipo,
+        value: registro.valor,
+        attempts: registro.intentos,
+        lastAttemptAt: registro.ultimoIntento,
+        blockedUntil: registro.bloqueadoHasta,
+        blocked: registro.bloqueado
+    };
+}
+
+// Usuario visto desde la administración del sistema
+function formatAdminUser(usuario) {
+    const formateado = {
+        id: usuario.idUsuario,
+        name: usuario.nombreUsuario,
+        email: usuario.correoUsuario,
+        role: usuario.rol,
+        profileImage: usuario.fotoPerfil,
+        emailVerified: Boolean(usuario.correoVerificado),
+        active: Boolean(usuario.cuentaActiva),
+        twoFactorEnabled: Boolean(usuario.totpActivado),
+        deletedAt: usuario.fechaEliminacion
+    };
+    if (usuario.proyectosAdministrados !== undefined) formateado.ownedProjects = usuario.proyectosAdministrados;
+    if (usuario.sesionesCerradas !== undefined) formateado.revokedSessions = usuario.sesionesCerradas;
+    return formateado;
+}
+
+function formatAdminProject(proyecto) {
+    return {
+        id: proyecto.idProyecto,
+        name: proyecto.nombreProyecto,
+        status: proyecto.estadoProyecto,
+        createdAt: proyecto.fechaCreacion,
+        dueDate: proyecto.fechaEntrega,
+        owner: {
+            id: proyecto.idUsuarioAdmin,
+            name: proyecto.nombreAdmin,
+            email: proyecto.correoAdmin,
+            active: Boolean(proyecto.adminActivo)
+        },
+        participants: proyecto.participantes
+    };
+}
+
+// Perfil del usuario de la sesión (sin la contraseña)
+function formatProfile(perfil) {
+    return {
+        id: perfil.idUsuario,
+        name: perfil.nombreUsuario,
+        email: perfil.correoUsuario,
+        pendingEmail: perfil.correoPendiente,
+        profileImage: perfil.fotoPerfil,
+        role: perfil.rol,
+        twoFactorEnabled: Boolean(perfil.totpActivado)
+    };
+}
+
+function formatSession(sesion) {
+    return {
+        id: sesion.idSesion,
+        device: sesion.dispositivo,
+        userAgent: sesion.agenteUsuario,
+        ip: sesion.ip,
+        createdAt: sesion.fechaCreacion,
+        lastActivityAt: sesion.ultimaActividad,
+        expiresAt: sesion.expira,
+        current: sesion.actual
+    };
+}
+
+// Alcance de los tokens: la API usa 'read' / 'write'
+const ALCANCE_POR_SCOPE = {
+    read: accessTokenService.ALCANCES.LECTURA,
+    write: accessTokenService.ALCANCES.ESCRITURA
+};
+
+function formatAccessToken(token) {
+    const formateado = {
+        id: token.idToken,
+        name: token.nombre,
+        prefix: token.prefijo,
+        scope: token.alcance === accessTokenService.ALCANCES.LECTURA ? 'read' : 'write',
+        createdAt: token.fechaCreacion,
+        lastUsedAt: token.ultimoUso
+    };
+    // El valor completo solo existe en la respuesta de creación
+    if (token.token) formateado.token = token.token;
+    return formateado;
+}
+
+// Tarea o subtarea de una plantilla; daysBeforeDue es negativo si se entrega después que el proyecto
+function formatTemplateItem(item, prefijo) {
+    return {
+        name: item[`nombre${prefijo}`],
+        description: item[`descripcion${prefijo}`],
+        priority: item[`prioridad${prefijo}`],
+        estimatedHours: item.horasEstimadas,
+        daysBeforeDue: item.diasAntesEntrega
+    };
+}
+
+// Subtarea de una plantilla con las que cuelgan de ella (subtasks)
+function formatTemplateSubtask(subtarea) {
+    return {
+        ...formatTemplateItem(subtarea, 'Subtarea'),
+        subtasks: subtarea.hijas.map(formatTemplateSubtask)
+    };
+}
+
+// Plantilla de GET /api/templates (con totales) o de templateService.getTemplate (con tareas y participantes)
+function formatTemplate(plantilla) {
+    const formateada = {
+        id: plantilla.idPlantilla,
+        name: plantilla.nombrePlantilla,
+        description: plantilla.descripcionProyecto,
+        sourceProjectName: plantilla.nombreProyectoOrigen,
+        createdAt: plantilla.fechaCreacion
+    };
+    if (plantilla.tareas) {
+        formateada.tasks = plantilla.tareas.map(tarea => ({
+            ...formatTemplateItem(tarea, 'Tarea'),
+            subtasks: tarea.subtareas.filter(subtarea => subtarea.nivel === 0).map(formatTemplateSubtask)
+        }));
+        formateada.participants = plantilla.participantes.map(participante => ({
+            userId: participante.idUsuario,
+            name: participante.nombreUsuario,
+            role: participante.rolProyecto,
+            active: Boolean(participante.cuentaActiva)
+        }));
+    } else {
+        formateada.taskCount = plantilla.numTareas;
+        formateada.subtaskCount = plantilla.numSubtareas;
+        formateada.participantCount = plantilla.numParticipantes;
+    }
+    return formateada;
+}
+
+// Proyecto con sus participantes aceptados
+async function formatProjectWithUsers(proyecto) {
+    const participantes = await participantService.getAcceptedParticipants(proyecto.idProyecto);
+    return formatProject(proyecto, participantes);
+}
+
+// Resultado de templateService al crear un proyecto con una plantilla o clonarlo
+async function formatCopiedProject({ proyecto, numTareas, numInvitados }) {
+    return {
+        project: await formatProjectWithUsers(proyecto),
+        taskCount: numTareas,
+        invitedCount: numInvitados
+    };
+}
 
 /**
  * ===============================================
@@ -21,7 +452,7 @@ router.get('/health', async (req, res) => {
         // Verificar conexión a base de datos
         const pool = await sql.connect(config);
         const result = await pool.request().query('SELECT 1 as status');
-        
+
         res.json({
             success: true,
             status: 'healthy',
@@ -43,64 +474,11 @@ router.get('/health', async (req, res) => {
  */
 router.get('/projects', isAuthenticated, async (req, res) => {
     try {
-        const userId = req.session.usuario.id;
-        const pool = await sql.connect(config);
-        
-        const result = await pool.request()
-            .input('idUsuario', sql.Int, userId)
-            .query(`
-                SELECT
-                    P.idProyecto as id,
-                    P.nombreProyecto as name,
-                    CAST(P.descripcionProyecto AS NVARCHAR(MAX)) as description,
-                    P.fechaCreacion as startDate,
-                    P.fechaEntrega as endDate,
-                    P.estadoProyecto as status,
-                    P.idUsuarioAdmin,
-                    U_Admin.nombreUsuario as adminName,
-                    PP.rolProyecto as userRole,
-                    -- Calcular prioridad basada en fecha de entrega
-                    CASE 
-                        WHEN P.fechaEntrega < GETDATE() THEN 'alta'
-                        WHEN P.fechaEntrega < DATEADD(week, 1, GETDATE()) THEN 'media'
-                        ELSE 'baja'
-                    END as priority
-                FROM Proyectos P
-                JOIN ParticipantesProyecto PP ON P.idProyecto = PP.idProyecto
-                JOIN Usuarios U_Admin ON P.idUsuarioAdmin = U_Admin.idUsuario
-                WHERE PP.idUsuario = @idUsuario 
-                AND PP.estadoInvitacion = 'aceptada'
-                ORDER BY P.fechaEntrega ASC
-            `);
-
-        // Obtener usuarios para cada proyecto
-        const projects = await Promise.all(result.recordset.map(async (project) => {
-            const usersResult = await pool.request()
-                .input('idProyecto', sql.Int, project.id)
-                .query(`
-                    SELECT
-                        U.idUsuario as id,
-                        U.nombreUsuario as name,
-                        PP.rolProyecto as role,
-                        U.fotoPerfil as profileImage
-                    FROM ParticipantesProyecto PP
-                    JOIN Usuarios U ON PP.idUsuario = U.idUsuario
-                    WHERE PP.idProyecto = @idProyecto 
-                    AND PP.estadoInvitacion = 'aceptada'
-                    ORDER BY PP.rolProyecto DESC
-                `);
-
-            return {
-                ...project,
-                // Convertir estado del proyecto a formato esperado por frontend
-                status: project.status === 'Completado' ? 'terminado' : 'en_proceso',
-                users: usersResult.recordset
-            };
-        }));
+        const proyectos = await projectService.getProjectsForUser(req.session.usuario.id);
 
         res.json({
             success: true,
-            data: projects,
+            data: await Promise.all(proyectos.map(formatProjectWithUsers)),
             status: 200
         });
 
@@ -115,94 +493,31 @@ router.get('/projects', isAuthenticated, async (req, res) => {
 });
 
 /**
- * GET /api/projects/:id - Obtener proyecto específico
+ * GET /api/projects/search?q=termino - Buscar proyectos
+ * (Declarada antes de /projects/:id para que "search" no se tome como un ID)
  */
-router.get('/projects/:id', isAuthenticated, async (req, res) => {
+router.get('/projects/search', isAuthenticated, async (req, res) => {
     try {
-        const projectId = req.params.id;
-        const userId = req.session.usuario.id;
-        const pool = await sql.connect(config);
-        
-        // Verificar acceso al proyecto
-        const accessCheck = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idUsuario', sql.Int, userId)
-            .query(`
-                SELECT 1 FROM ParticipantesProyecto 
-                WHERE idProyecto = @idProyecto 
-                AND idUsuario = @idUsuario 
-                AND estadoInvitacion = 'aceptada'
-            `);
-
-        if (accessCheck.recordset.length === 0) {
-            return res.status(403).json({
-                success: false,
-                error: 'No tienes acceso a este proyecto',
-                code: 'FORBIDDEN'
-            });
-        }
+        const searchTerm = req.query.q;
 
-        // Obtener datos del proyecto
-        const projectResult = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .query(`
-                SELECT
-                    P.idProyecto as id,
-                    P.nombreProyecto as name,
-                    CAST(P.descripcionProyecto AS NVARCHAR(MAX)) as description,
-                    P.fechaCreacion as startDate,
-                    P.fechaEntrega as endDate,
-                    P.estadoProyecto as status,
-                    P.idUsuarioAdmin,
-                    U_Admin.nombreUsuario as adminName,
-                    CASE 
-                        WHEN P.fechaEntrega < GETDATE() THEN 'alta'
-                        WHEN P.fechaEntrega < DATEADD(week, 1, GETDATE()) THEN 'media'
-                        ELSE 'baja'
-                    END as priority
-                FROM Proyectos P
-                JOIN Usuarios U_Admin ON P.idUsuarioAdmin = U_Admin.idUsuario
-                WHERE P.idProyecto = @idProyecto
-            `);
-
-        if (projectResult.recordset.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: 'Proyecto no encontrado',
-                code: 'NOT_FOUND'
+        if (!searchTerm || searchTerm.trim().length === 0) {
+            return res.json({
+                success: true,
+                data: [],
+                status: 200
             });
         }
 
-        const project = projectResult.recordset[0];
-
-        // Obtener usuarios del proyecto
-        const usersResult = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .query(`
-                SELECT
-                    U.idUsuario as id,
-                    U.nombreUsuario as name,
-                    PP.rolProyecto as role,
-                    U.fotoPerfil as profileImage
-                FROM ParticipantesProyecto PP
-                JOIN Usuarios U ON PP.idUsuario = U.idUsuario
-                WHERE PP.idProyecto = @idProyecto 
-                AND PP.estadoInvitacion = 'aceptada'
-                ORDER BY PP.rolProyecto DESC
-            `);
+        const proyectos = await projectService.getProjectsForUser(req.session.usuario.id, { search: searchTerm.trim() });
 
         res.json({
             success: true,
-            data: {
-                ...project,
-                status: project.status === 'Completado' ? 'terminado' : 'en_proceso',
-                users: usersResult.recordset
-            },
+            data: await Promise.all(proyectos.map(formatProjectWithUsers)),
             status: 200
         });
 
     } catch (error) {
-        console.error('Error al obtener proyecto:', error);
+        console.error('Error en búsqueda de proyectos:', error);
         res.status(500).json({
             success: false,
             error: 'Error interno del servidor',
@@ -212,94 +527,28 @@ router.get('/projects/:id', isAuthenticated, async (req, res) => {
 });
 
 /**
- * GET /api/projects?status=en_proceso|terminado - Filtrar proyectos por estado
- */
-router.get('/projects', isAuthenticated, async (req, res) => {
-    // Esta lógica ya está manejada en el endpoint principal
-    // El filtrado se puede hacer en el frontend o aquí según el query param
-});
-
-/**
- * GET /api/projects/search?q=termino - Buscar proyectos
+ * GET /api/projects/:id - Obtener proyecto específico
  */
-router.get('/projects/search', isAuthenticated, async (req, res) => {
+router.get('/projects/:id', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
     try {
-        const searchTerm = req.query.q;
-        const userId = req.session.usuario.id;
-        
-        if (!searchTerm || searchTerm.trim().length === 0) {
-            return res.json({
-                success: true,
-                data: [],
-                status: 200
+        const proyecto = await projectService.getProjectForUser(req.params.id, req.session.usuario.id);
+
+        if (!proyecto) {
+            return res.status(403).json({
+                success: false,
+                error: 'No tienes acceso a este proyecto',
+                code: 'FORBIDDEN'
             });
         }
 
-        const pool = await sql.connect(config);
-        const result = await pool.request()
-            .input('idUsuario', sql.Int, userId)
-            .input('searchTerm', sql.NVarChar, `%${searchTerm.trim()}%`)
-            .query(`
-                SELECT
-                    P.idProyecto as id,
-                    P.nombreProyecto as name,
-                    CAST(P.descripcionProyecto AS NVARCHAR(MAX)) as description,
-                    P.fechaCreacion as startDate,
-                    P.fechaEntrega as endDate,
-                    P.estadoProyecto as status,
-                    P.idUsuarioAdmin,
-                    U_Admin.nombreUsuario as adminName,
-                    PP.rolProyecto as userRole,
-                    CASE 
-                        WHEN P.fechaEntrega < GETDATE() THEN 'alta'
-                        WHEN P.fechaEntrega < DATEADD(week, 1, GETDATE()) THEN 'media'
-                        ELSE 'baja'
-                    END as priority
-                FROM Proyectos P
-                JOIN ParticipantesProyecto PP ON P.idProyecto = PP.idProyecto
-                JOIN Usuarios U_Admin ON P.idUsuarioAdmin = U_Admin.idUsuario
-                WHERE PP.idUsuario = @idUsuario 
-                AND PP.estadoInvitacion = 'aceptada'
-                AND (
-                    P.nombreProyecto LIKE @searchTerm 
-                    OR CAST(P.descripcionProyecto AS NVARCHAR(MAX)) LIKE @searchTerm
-                    OR CAST(P.idProyecto AS NVARCHAR) LIKE @searchTerm
-                )
-                ORDER BY P.fechaEntrega ASC
-            `);
-
-        // Obtener usuarios para cada proyecto encontrado
-        const projects = await Promise.all(result.recordset.map(async (project) => {
-            const usersResult = await pool.request()
-                .input('idProyecto', sql.Int, project.id)
-                .query(`
-                    SELECT
-                        U.idUsuario as id,
-                        U.nombreUsuario as name,
-                        PP.rolProyecto as role,
-                        U.fotoPerfil as profileImage
-                    FROM ParticipantesProyecto PP
-                    JOIN Usuarios U ON PP.idUsuario = U.idUsuario
-                    WHERE PP.idProyecto = @idProyecto 
-                    AND PP.estadoInvitacion = 'aceptada'
-                    ORDER BY PP.rolProyecto DESC
-                `);
-
-            return {
-                ...project,
-                status: project.status === 'Completado' ? 'terminado' : 'en_proceso',
-                users: usersResult.recordset
-            };
-        }));
-
         res.json({
             success: true,
-            data: projects,
+            data: await formatProjectWithUsers(proyecto),
             status: 200
         });
 
     } catch (error) {
-        console.error('Error en búsqueda de proyectos:', error);
+        console.error('Error al obtener proyecto:', error);
         res.status(500).json({
             success: false,
             error: 'Error interno del servidor',
@@ -310,11 +559,33 @@ router.get('/projects/search', isAuthenticated, async (req, res) => {
 
 /**
  * POST /api/projects - Crear nuevo proyecto
+ * Con templateId (una plantilla del usuario) se crean sus tareas y subtareas con las fechas desplazadas a endDate;
+ * description es entonces opcional (la de la plantilla) y copyParticipants: true invita a sus participantes.
  */
 router.post('/projects', isAuthenticated, async (req, res) => {
     try {
-        const { name, description, startDate, endDate, status = 'en_proceso' } = req.body;
-        const userId = req.session.usuario.id;
+        const { name, description, endDate, status = 'en_proceso', templateId, copyParticipants = false } = req.body;
+
+        if (templateId !== undefined) {
+            const errors = [];
+            if (!Number.isInteger(templateId)) errors.push('templateId debe ser un ID de plantilla');
+            if (typeof copyParticipants !== 'boolean') errors.push('copyParticipants debe ser true o false');
+            if (!name || !endDate) errors.push('Campos requeridos: name, endDate');
+            if (errors.length > 0) {
+                return sendValidationErrors(res, errors);
+            }
+
+            const result = await templateService.createProjectFromTemplate(templateId, req.session.usuario, {
+                nombreProyecto: name,
+                descripcionProyecto: description,
+                fechaEntrega: endDate,
+                copiarParticipantes: copyParticipants
+            });
+            if (result.success) {
+                result.data = await formatCopiedProject(result.data);
+            }
+            return sendResult(res, result, 201);
+        }
 
         // Validaciones básicas
         if (!name || !description || !endDate) {
@@ -325,79 +596,18 @@ router.post('/projects', isAuthenticated, async (req, res) => {
             });
         }
 
-        const pool = await sql.connect(config);
-        
-        // Crear proyecto
-        const projectResult = await pool.request()
-            .input('nombreProyecto', sql.NVarChar, name)
-            .input('descripcionProyecto', sql.Text, description)
-            .input('fechaEntrega', sql.DateTime, endDate)
-            .input('estadoProyecto', sql.NVarChar, status === 'terminado' ? 'Completado' : 'Activo')
-            .input('idUsuarioAdmin', sql.Int, userId)
-            .query(`
-                INSERT INTO Proyectos (nombreProyecto, descripcionProyecto, fechaEntrega, fechaCreacion, estadoProyecto, idUsuarioAdmin)
-                VALUES (@nombreProyecto, @descripcionProyecto, @fechaEntrega, GETDATE(), @estadoProyecto, @idUsuarioAdmin);
-                SELECT SCOPE_IDENTITY() AS idProyecto;
-            `);
-
-        const newProjectId = projectResult.recordset[0].idProyecto;
-
-        // Agregar al creador como admin del proyecto
-        await pool.request()
-            .input('idProyecto', sql.Int, newProjectId)
-            .input('idUsuario', sql.Int, userId)
-            .input('rolProyecto', sql.NVarChar, 'admin')
-            .input('estadoInvitacion', sql.NVarChar, 'aceptada')
-            .query(`
-                INSERT INTO ParticipantesProyecto (idProyecto, idUsuario, rolProyecto, estadoInvitacion)
-                VALUES (@idProyecto, @idUsuario, @rolProyecto, @estadoInvitacion);
-            `);
-
-        // Obtener el proyecto creado con usuarios
-        const createdProject = await pool.request()
-            .input('idProyecto', sql.Int, newProjectId)
-            .query(`
-                SELECT
-                    P.idProyecto as id,
-                    P.nombreProyecto as name,
-                    CAST(P.descripcionProyecto AS NVARCHAR(MAX)) as description,
-                    P.fechaCreacion as startDate,
-                    P.fechaEntrega as endDate,
-                    P.estadoProyecto as status,
-                    P.idUsuarioAdmin,
-                    U_Admin.nombreUsuario as adminName,
-                    'alta' as priority
-                FROM Proyectos P
-                JOIN Usuarios U_Admin ON P.idUsuarioAdmin = U_Admin.idUsuario
-                WHERE P.idProyecto = @idProyecto
-            `);
-
-        const usersResult = await pool.request()
-            .input('idProyecto', sql.Int, newProjectId)
-            .query(`
-                SELECT
-                    U.idUsuario as id,
-                    U.nombreUsuario as name,
-                    PP.rolProyecto as role,
-                    U.fotoPerfil as profileImage
-                FROM ParticipantesProyecto PP
-                JOIN Usuarios U ON PP.idUsuario = U.idUsuario
-                WHERE PP.idProyecto = @idProyecto 
-                AND PP.estadoInvitacion = 'aceptada'
-            `);
-
-        const project = createdProject.recordset[0];
-        
-        res.status(201).json({
-            success: true,
-            data: {
-                ...project,
-                status: project.status === 'Completado' ? 'terminado' : 'en_proceso',
-                users: usersResult.recordset
-            },
-            status: 201
+        const result = await projectService.createProject(req.session.usuario.id, {
+            nombreProyecto: name,
+            descripcionProyecto: description,
+            fechaEntrega: endDate,
+            estadoProyecto: status === 'terminado' ? 'Completado' : 'Activo'
         });
 
+        if (result.success) {
+            result.data = await formatProjectWithUsers(result.data);
+        }
+        sendResult(res, result, 201);
+
     } catch (error) {
         console.error('Error al crear proyecto:', error);
         res.status(500).json({
@@ -409,100 +619,301 @@ router.post('/projects', isAuthenticated, async (req, res) => {
 });
 
 /**
- * PUT /api/projects/:id - Actualizar proyecto
+ * PUT /api/projects/:id - Actualizar proyecto (solo el admin)
  */
-router.put('/projects/:id', isAuthenticated, async (req, res) => {
+router.put('/projects/:id', isAuthenticated, authorizeApi(ACCIONES.EDITAR_PROYECTO), async (req, res) => {
     try {
-        const projectId = req.params.id;
         const { name, description, endDate, status } = req.body;
-        const userId = req.session.usuario.id;
 
-        const pool = await sql.connect(config);
-        
-        // Verificar que el usuario es admin del proyecto
-        const adminCheck = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idUsuario', sql.Int, userId)
-            .query(`
-                SELECT 1 FROM Proyectos 
-                WHERE idProyecto = @idProyecto AND idUsuarioAdmin = @idUsuario
-            `);
-
-        if (adminCheck.recordset.length === 0) {
-            return res.status(403).json({
-                success: false,
-                error: 'No tienes permisos para editar este proyecto',
-                code: 'FORBIDDEN'
+        const result = await projectService.updateProject(req.params.id, req.session.usuario.id, {
+            nombreProyecto: name,
+            descripcionProyecto: description,
+            fechaEntrega: endDate,
+            estadoProyecto: status === undefined ? undefined : (status === 'terminado' ? 'Completado' : 'Activo')
+        });
+
+        if (result.success) {
+            result.data = await formatProjectWithUsers(result.data);
+        }
+        sendResult(res, result);
+
+    } catch (error) {
+        console.error('Error al actualizar proyecto:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * DELETE /api/projects/:id - Eliminar proyecto (solo el admin)
+ */
+router.delete('/projects/:id', isAuthenticated, authorizeApi(ACCIONES.ELIMINAR_PROYECTO), async (req, res) => {
+    try {
+        const result = await projectService.deleteProject(req.params.id, req.session.usuario);
+
+        if (!result.success) {
+            return sendResult(res, result);
+        }
+
+        res.json({
+            success: true,
+            message: 'Proyecto eliminado correctamente',
+            status: 200
+        });
+
+    } catch (error) {
+        console.error('Error al eliminar proyecto:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * ===============================================
+ * TAREAS Y SUBTAREAS DE UN PROYECTO
+ * ===============================================
+ * Los permisos los aplican taskService y subtaskService,
+ * los mismos que usan los formularios de routes/project.js
+ */
+
+/**
+ * Valida el formato del cuerpo de una tarea/subtarea.
+ * - POST y PUT: name y dueDate son obligatorios (PUT además status y priority)
+ * - PATCH: solo se validan los campos enviados
+ * - estimatedHours: número de horas o null (sin estimación)
+ * - labelIds: IDs de etiquetas del proyecto ([] quita todas)
+ * Estado, prioridad, asignado y el rango de estimatedHours los valida el servicio.
+ */
+function validateWorkItemPayload(payload, { partial = false, requireAll = false, allowPastDate = true } = {}) {
+    const errors = [];
+    const values = {};
+    const has = field => Object.prototype.hasOwnProperty.call(payload, field);
+
+    if (has('name') || !partial) {
+        if (typeof payload.name !== 'string' || payload.name.trim().length === 0) {
+            errors.push('name es requerido');
+        } else {
+            values.name = payload.name.trim();
+        }
+    }
+
+    if (has('description')) {
+        values.description = payload.description === null ? null : String(payload.description).trim();
+    }
+
+    if (has('dueDate') || !partial) {
+        const dueDate = new Date(payload.dueDate);
+        if (!payload.dueDate || isNaN(dueDate.getTime())) {
+            errors.push('dueDate debe ser una fecha válida');
+        } else {
+            const hoy = new Date();
+            hoy.setHours(0, 0, 0, 0);
+            if (!allowPastDate && dueDate < hoy) {
+                errors.push('dueDate no puede ser en el pasado');
+            }
+            values.dueDate = dueDate;
+        }
+    }
+
+    ['status', 'priority'].forEach(field => {
+        if (has(field)) {
+            values[field] = payload[field];
+        } else if (requireAll) {
+            errors.push(`${field} es requerido`);
+        }
+    });
+
+    if (has('assigneeId')) {
+        if (payload.assigneeId === null || payload.assigneeId === '') {
+            values.assigneeId = null;
+        } else if (!Number.isInteger(Number(payload.assigneeId))) {
+            errors.push('assigneeId debe ser un ID de usuario válido');
+        } else {
+            values.assigneeId = Number(payload.assigneeId);
+        }
+    }
+
+    if (has('estimatedHours')) {
+        if (payload.estimatedHours !== null && typeof payload.estimatedHours !== 'number') {
+            errors.push('estimatedHours debe ser un número de horas o null');
+        } else {
+            values.estimatedHours = payload.estimatedHours;
+        }
+    }
+
+    if (has('labelIds')) {
+        if (!Array.isArray(payload.labelIds) || !payload.labelIds.every(id => Number.isInteger(id) && id > 0)) {
+            errors.push('labelIds debe ser una lista de IDs de etiqueta');
+        } else {
+            values.labelIds = payload.labelIds;
+        }
+    }
+
+    // PUT reemplaza la tarea completa: lo que no se envía queda vacío, igual que en el formulario
+    if (requireAll) {
+        if (!has('description')) values.description = null;
+        if (!has('assigneeId')) values.assigneeId = null;
+        if (!has('estimatedHours')) values.estimatedHours = null;
+        if (!has('labelIds')) values.labelIds = [];
+    }
+
+    return { errors, values };
+}
+
+/**
+ * Valida la repetición del cuerpo de una tarea.
+ * - recurrence: null (no se repite), texto RRULE o { frequency, interval, weekdays, monthDay, until, count }
+ * - recurrencePaused: true/false
+ * PUT sin recurrence deja la tarea sin repetición. La regla la interpreta recurrenceService.
+ */
+function validateRecurrencePayload(payload, { requireAll = false } = {}) {
+    const errors = [];
+    const values = {};
+    const has = field => Object.prototype.hasOwnProperty.call(payload, field);
+
+    if (has('recurrence')) {
+        const recurrence = payload.recurrence;
+        if (recurrence === null || recurrence === '') {
+            values.recurrence = null;
+        } else if (typeof recurrence === 'string') {
+            values.recurrence = recurrence;
+        } else if (typeof recurrence === 'object' && !Array.isArray(recurrence)) {
+            const result = recurrenceService.buildRule({
+                frecuencia: recurrence.frequency,
+                intervalo: recurrence.interval,
+                diasSemana: recurrence.weekdays,
+                diaMes: recurrence.monthDay,
+                hasta: recurrence.until,
+                repeticiones: recurrence.count
             });
+            if (result.success) {
+                values.recurrence = result.data;
+            } else {
+                errors.push(result.error);
+            }
+        } else {
+            errors.push('recurrence debe ser null, una regla RRULE o un objeto { frequency, interval, weekdays, monthDay, until, count }');
+        }
+    } else if (requireAll) {
+        values.recurrence = null;
+    }
+
+    if (has('recurrencePaused')) {
+        if (typeof payload.recurrencePaused !== 'boolean') {
+            errors.push('recurrencePaused debe ser true o false');
+        } else {
+            values.recurrencePaused = payload.recurrencePaused;
+        }
+    } else if (requireAll) {
+        values.recurrencePaused = false;
+    }
+
+    return { errors, values };
+}
+
+function sendValidationErrors(res, errors) {
+    return res.status(400).json({
+        success: false,
+        error: errors.join(', '),
+        code: 'VALIDATION_ERROR'
+    });
+}
+
+// Traduce los campos de la API a los del servicio (undefined = no cambiar)
+function toTaskData(values) {
+    return {
+        nombreTarea: values.name,
+        descripcionTarea: values.description,
+        fechaEntrega: values.dueDate,
+        estadoTarea: values.status,
+        prioridadTarea: values.priority,
+        idUsuarioAsignado: values.assigneeId,
+        horasEstimadas: values.estimatedHours,
+        idsEtiquetas: values.labelIds,
+        reglaRecurrencia: values.recurrence,
+        recurrenciaPausada: values.recurrencePaused
+    };
+}
+
+function toSubtaskData(values) {
+    return {
+        nombreSubtarea: values.name,
+        descripcionSubtarea: values.description,
+        fechaEntrega: values.dueDate,
+        estadoSubtarea: values.status,
+        prioridadSubtarea: values.priority,
+        idUsuarioAsignado: values.assigneeId,
+        horasEstimadas: values.estimatedHours,
+        idsEtiquetas: values.labelIds,
+        idSubtareaPadre: values.parentId
+    };
+}
+
+// Tareas con todo lo que devuelve formatTask: subtareas (en orden de árbol), etiquetas, dependencias y tiempo registrado
+async function withTaskDetails(tareas) {
+    const conSubtareas = await labelService.attachLabels(await subtaskService.attachSubtasks(tareas));
+    return subtaskService.attachSubtaskTree(await timeService.attachTimeTracking(await dependencyService.attachDependencies(conSubtareas)));
+}
+
+// Subtarea con su tiempo registrado y sus etiquetas (formatSubtask)
+async function withSubtaskDetails(subtarea) {
+    const [minutosReales, etiquetas] = await Promise.all([
+        timeService.getTrackedMinutes(subtarea.idTarea, subtarea.idSubtarea),
+        labelService.getLabelsForSubtasks([subtarea.idSubtarea])
+    ]);
+    return { ...subtarea, minutosReales, etiquetas };
+}
+
+/**
+ * GET /api/projects/:id/tasks - Tareas del proyecto (con sus subtareas)
+ * ?label=ID deja solo las tareas con esa etiqueta, en la tarea o en alguna de sus subtareas
+ */
+router.get('/projects/:id/tasks', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
+    try {
+        if (req.query.label !== undefined && !Number.isInteger(Number(req.query.label))) {
+            return sendValidationErrors(res, ['label debe ser un ID de etiqueta']);
         }
 
-        // Actualizar proyecto
-        await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('nombreProyecto', sql.NVarChar, name)
-            .input('descripcionProyecto', sql.Text, description)
-            .input('fechaEntrega', sql.DateTime, endDate)
-            .input('estadoProyecto', sql.NVarChar, status === 'terminado' ? 'Completado' : 'Activo')
-            .query(`
-                UPDATE Proyectos 
-                SET nombreProyecto = @nombreProyecto,
-                    descripcionProyecto = @descripcionProyecto,
-                    fechaEntrega = @fechaEntrega,
-                    estadoProyecto = @estadoProyecto
-                WHERE idProyecto = @idProyecto
-            `);
-
-        // Obtener proyecto actualizado
-        const updatedResult = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .query(`
-                SELECT
-                    P.idProyecto as id,
-                    P.nombreProyecto as name,
-                    CAST(P.descripcionProyecto AS NVARCHAR(MAX)) as description,
-                    P.fechaCreacion as startDate,
-                    P.fechaEntrega as endDate,
-                    P.estadoProyecto as status,
-                    P.idUsuarioAdmin,
-                    U_Admin.nombreUsuario as adminName,
-                    CASE 
-                        WHEN P.fechaEntrega < GETDATE() THEN 'alta'
-                        WHEN P.fechaEntrega < DATEADD(week, 1, GETDATE()) THEN 'media'
-                        ELSE 'baja'
-                    END as priority
-                FROM Proyectos P
-                JOIN Usuarios U_Admin ON P.idUsuarioAdmin = U_Admin.idUsuario
-                WHERE P.idProyecto = @idProyecto
-            `);
-
-        const usersResult = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .query(`
-                SELECT
-                    U.idUsuario as id,
-                    U.nombreUsuario as name,
-                    PP.rolProyecto as role,
-                    U.fotoPerfil as profileImage
-                FROM ParticipantesProyecto PP
-                JOIN Usuarios U ON PP.idUsuario = U.idUsuario
-                WHERE PP.idProyecto = @idProyecto 
-                AND PP.estadoInvitacion = 'aceptada'
-            `);
-
-        const project = updatedResult.recordset[0];
+        const tareas = labelService.filterByLabel(await withTaskDetails(await taskService.getTasks(req.params.id)), req.query.label);
 
         res.json({
             success: true,
-            data: {
-                ...project,
-                status: project.status === 'Completado' ? 'terminado' : 'en_proceso',
-                users: usersResult.recordset
-            },
+            data: tareas.map(formatTask),
             status: 200
         });
+    } catch (error) {
+        console.error('Error al obtener tareas:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/projects/:id/tasks - Crear tarea (admin o editor del proyecto)
+ * Con recurrence, al completarla se crea la siguiente ocurrencia (ver validateRecurrencePayload)
+ */
+router.post('/projects/:id/tasks', isAuthenticated, authorizeApi(ACCIONES.CREAR_TAREA), async (req, res) => {
+    try {
+        const { errors, values } = validateWorkItemPayload(req.body, { allowPastDate: false });
+        const recurrence = validateRecurrencePayload(req.body);
+        errors.push(...recurrence.errors);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
 
+        const result = await taskService.createTask(req.params.id, req.session.usuario, toTaskData({ ...values, ...recurrence.values }));
+        sendResult(res, result, 201, formatTask);
     } catch (error) {
-        console.error('Error al actualizar proyecto:', error);
+        console.error('Error al crear tarea:', error);
         res.status(500).json({
             success: false,
             error: 'Error interno del servidor',
@@ -512,45 +923,1939 @@ router.put('/projects/:id', isAuthenticated, async (req, res) => {
 });
 
 /**
- * DELETE /api/projects/:id - Eliminar proyecto
+ * GET /api/projects/:id/tasks/:taskId - Obtener una tarea (con sus subtareas)
  */
-router.delete('/projects/:id', isAuthenticated, async (req, res) => {
+router.get('/projects/:id/tasks/:taskId', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
     try {
-        const projectId = req.params.id;
-        const userId = req.session.usuario.id;
+        // authorizeApi ya cargó la tarea en req.permiso
+        const [tarea] = await withTaskDetails([req.permiso.tarea]);
+        res.json({
+            success: true,
+            data: formatTask(tarea),
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener tarea:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
 
-        const pool = await sql.connect(config);
-        
-        // Verificar que el usuario es admin del proyecto
-        const adminCheck = await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .input('idUsuario', sql.Int, userId)
-            .query(`
-                SELECT 1 FROM Proyectos 
-                WHERE idProyecto = @idProyecto AND idUsuarioAdmin = @idUsuario
-            `);
-
-        if (adminCheck.recordset.length === 0) {
-            return res.status(403).json({
-                success: false,
-                error: 'No tienes permisos para eliminar este proyecto',
-                code: 'FORBIDDEN'
-            });
+/**
+ * PUT (reemplazo completo) y PATCH (parcial) de una tarea - admin, creador o asignado
+ * PATCH { recurrencePaused: true } pausa la repetición. Si el cambio completa una tarea repetitiva,
+ * nextOccurrence trae la ocurrencia creada (null en otro caso).
+ * Completar una tarea con tareas bloqueantes abiertas (blockedBy) devuelve 409.
+ */
+async function updateTaskHandler(req, res) {
+    const partial = req.method === 'PATCH';
+
+    try {
+        const { errors, values } = validateWorkItemPayload(req.body, { partial, requireAll: !partial });
+        const recurrence = validateRecurrencePayload(req.body, { requireAll: !partial });
+        errors.push(...recurrence.errors);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
         }
 
-        // Eliminar proyecto (CASCADE eliminará automáticamente tareas, subtareas y participantes)
-        await pool.request()
-            .input('idProyecto', sql.Int, projectId)
-            .query('DELETE FROM Proyectos WHERE idProyecto = @idProyecto');
+        const result = await taskService.updateTask(req.params.id, req.params.taskId, req.session.usuario, toTaskData({ ...values, ...recurrence.values }));
+        if (!result.success) {
+            return sendResult(res, result);
+        }
 
+        const { siguienteOcurrencia } = result.data;
+        const [tarea, siguiente] = await withTaskDetails(siguienteOcurrencia ? [result.data, siguienteOcurrencia] : [result.data]);
         res.json({
             success: true,
-            message: 'Proyecto eliminado correctamente',
+            data: formatTask(tarea),
+            nextOccurrence: siguiente ? formatTask(siguiente) : null,
             status: 200
         });
+    } catch (error) {
+        console.error('Error al actualizar tarea:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+}
 
+router.put('/projects/:id/tasks/:taskId', isAuthenticated, authorizeApi(ACCIONES.EDITAR_TAREA), updateTaskHandler);
+router.patch('/projects/:id/tasks/:taskId', isAuthenticated, authorizeApi(ACCIONES.EDITAR_TAREA), updateTaskHandler);
+
+/**
+ * DELETE /api/projects/:id/tasks/:taskId - Eliminar tarea (admin o creador)
+ */
+router.delete('/projects/:id/tasks/:taskId', isAuthenticated, authorizeApi(ACCIONES.ELIMINAR_TAREA), async (req, res) => {
+    try {
+        const result = await taskService.deleteTask(req.params.id, req.params.taskId, req.session.usuario);
+        if (!result.success) {
+            return sendResult(res, result);
+        }
+
+        res.json({
+            success: true,
+            message: 'Tarea eliminada correctamente',
+            status: 200
+        });
     } catch (error) {
-        console.error('Error al eliminar proyecto:', error);
+        console.error('Error al eliminar tarea:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * Valida el cuerpo de POST /api/projects/:id/tasks/bulk.
+ * - taskIds: IDs de las tareas (entre 1 y MAX_TAREAS_LOTE)
+ * - action: "update" o "delete"
+ * - changes (solo update): { status, priority, assigneeId, dueDate }, al menos uno; assigneeId null deja las tareas sin asignar
+ */
+function validateBulkPayload(payload) {
+    const errors = [];
+    const values = {};
+
+    if (!Array.isArray(payload.taskIds) || payload.taskIds.length === 0 || payload.taskIds.length > taskService.MAX_TAREAS_LOTE
+        || !payload.taskIds.every(id => Number.isInteger(id) && id > 0)) {
+        errors.push(`taskIds debe ser una lista de entre 1 y ${taskService.MAX_TAREAS_LOTE} IDs de tarea`);
+    } else {
+        values.taskIds = payload.taskIds;
+    }
+
+    if (payload.action !== 'update' && payload.action !== 'delete') {
+        errors.push('action debe ser "update" o "delete"');
+    } else {
+        values.action = payload.action;
+    }
+
+    if (payload.action === 'update') {
+        const changes = payload.changes;
+        const permitidos = ['status', 'priority', 'assigneeId', 'dueDate'];
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+            errors.push('changes debe indicar al menos uno de: status, priority, assigneeId, dueDate');
+        } else if (!Object.keys(changes).every(campo => permitidos.includes(campo))) {
+            errors.push('changes solo admite status, priority, assigneeId y dueDate');
+        } else {
+            const resultado = validateWorkItemPayload(changes, { partial: true });
+            errors.push(...resultado.errors);
+            values.changes = resultado.values;
+        }
+    }
+
+    return { errors, values };
+}
+
+// Tarea del lote que no se pudo cambiar o eliminar (ver taskService.bulkUpdateTasks)
+function formatBulkFailure(fallida) {
+    return {
+        id: fallida.idTarea,
+        name: fallida.nombreTarea,
+        error: fallida.error,
+        code: fallida.code
+    };
+}
+
+/**
+ * POST /api/projects/:id/tasks/bulk - Cambiar o eliminar varias tareas a la vez
+ * Cada tarea se comprueba con los mismos permisos y reglas que PATCH y DELETE de una tarea
+ * (completar una tarea con bloqueantes abiertas falla, salvo que las bloqueantes se completen en el mismo lote).
+ * Las que pasan se cambian o eliminan en una sola transacción; las demás se devuelven en failed con su error y code.
+ * update: succeeded son las tareas cambiadas y nextOccurrences las ocurrencias creadas al completar tareas repetitivas.
+ * warnings son tareas de succeeded que se completaron pero cuya siguiente ocurrencia no se pudo crear.
+ * delete: succeeded son { id, name } de las tareas eliminadas.
+ */
+router.post('/projects/:id/tasks/bulk', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
+    try {
+        const { errors, values } = validateBulkPayload(req.body);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        if (values.action === 'delete') {
+            const result = await taskService.bulkDeleteTasks(req.params.id, values.taskIds, req.session.usuario);
+            return sendResult(res, result, 200, data => ({
+                succeeded: data.eliminadas.map(t => ({ id: t.idTarea, name: t.nombreTarea })),
+                failed: data.fallidas.map(formatBulkFailure)
+            }));
+        }
+
+        const { dueDate, status, priority, assigneeId } = values.changes;
+        const result = await taskService.bulkUpdateTasks(req.params.id, values.taskIds, req.session.usuario, {
+            estadoTarea: status,
+            prioridadTarea: priority,
+            idUsuarioAsignado: assigneeId,
+            fechaEntrega: dueDate
+        });
+        if (!result.success) {
+            return sendResult(res, result);
+        }
+
+        const { actualizadas, fallidas, avisos } = result.data;
+        const siguientes = actualizadas.filter(t => t.siguienteOcurrencia).map(t => t.siguienteOcurrencia);
+        const tareas = await withTaskDetails([...actualizadas, ...siguientes]);
+        res.json({
+            success: true,
+            data: {
+                succeeded: tareas.slice(0, actualizadas.length).map(formatTask),
+                failed: fallidas.map(formatBulkFailure),
+                nextOccurrences: tareas.slice(actualizadas.length).map(formatTask),
+                warnings: avisos.map(aviso => ({ id: aviso.idTarea, name: aviso.nombreTarea, error: aviso.error }))
+            },
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al cambiar tareas en lote:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/projects/:id/tasks/:taskId/dependencies - La tarea pasa a estar bloqueada por { blockerId }
+ * Las dos tareas deben ser del proyecto; si se formaría un ciclo devuelve 409
+ */
+router.post('/projects/:id/tasks/:taskId/dependencies', isAuthenticated, authorizeApi(ACCIONES.EDITAR_TAREA), async (req, res) => {
+    try {
+        const blockerId = req.body.blockerId;
+        if (!Number.isInteger(blockerId)) {
+            return sendValidationErrors(res, ['blockerId debe ser un ID de tarea válido']);
+        }
+
+        const result = await dependencyService.addDependency(req.params.id, req.params.taskId, blockerId, req.session.usuario);
+        if (!result.success) {
+            return sendResult(res, result);
+        }
+
+        const [tarea] = await withTaskDetails([result.data]);
+        res.status(201).json({
+            success: true,
+            data: formatTask(tarea),
+            status: 201
+        });
+    } catch (error) {
+        console.error('Error al añadir dependencia:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * DELETE /api/projects/:id/tasks/:taskId/dependencies/:blockerId - Quitar una tarea bloqueante
+ */
+router.delete('/projects/:id/tasks/:taskId/dependencies/:blockerId', isAuthenticated, authorizeApi(ACCIONES.EDITAR_TAREA), async (req, res) => {
+    try {
+        const result = await dependencyService.removeDependency(req.params.id, req.params.taskId, req.params.blockerId, req.session.usuario);
+        if (!result.success) {
+            return sendResult(res, result);
+        }
+
+        const [tarea] = await withTaskDetails([result.data]);
+        res.status(200).json({
+            success: true,
+            data: formatTask(tarea),
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al eliminar dependencia:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/projects/:id/tasks/:taskId/subtasks - Subtareas de una tarea, de todos los niveles,
+ * en orden de árbol (cada una seguida de las que cuelgan de ella; ver parentId y depth)
+ */
+router.get('/projects/:id/tasks/:taskId/subtasks', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
+    try {
+        const [tarea] = subtaskService.attachSubtaskTree(
+            await timeService.attachTimeTracking(await labelService.attachLabels(await subtaskService.attachSubtasks([req.permiso.tarea])))
+        );
+        const subtareas = tarea.subtareas;
+        res.json({
+            success: true,
+            data: subtareas.map(formatSubtask),
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener subtareas:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+// parentId opcional del cuerpo: subtarea de la misma tarea de la que cuelga (null = directamente en la tarea)
+function readParentId(payload, errors) {
+    const parentId = payload.parentId === undefined ? null : payload.parentId;
+    if (parentId !== null && (!Number.isInteger(parentId) || parentId <= 0)) {
+        errors.push('parentId debe ser un número entero positivo o null');
+    }
+    return parentId;
+}
+
+/**
+ * POST /api/projects/:id/tasks/:taskId/subtasks - Crear subtarea (admin o asignado a la tarea)
+ * parentId la crea dentro de otra subtarea de la tarea
+ */
+router.post('/projects/:id/tasks/:taskId/subtasks', isAuthenticated, authorizeApi(ACCIONES.CREAR_SUBTAREA), async (req, res) => {
+    try {
+        const { errors, values } = validateWorkItemPayload(req.body, { allowPastDate: false });
+        values.parentId = readParentId(req.body, errors);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await subtaskService.createSubtask(req.params.id, req.params.taskId, req.session.usuario, toSubtaskData(values));
+        if (result.success) {
+            result.data = await withSubtaskDetails(result.data);
+        }
+        sendResult(res, result, 201, formatSubtask);
+    } catch (error) {
+        console.error('Error al crear subtarea:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/projects/:id/tasks/:taskId/subtasks/:subtaskId - Obtener una subtarea
+ */
+router.get('/projects/:id/tasks/:taskId/subtasks/:subtaskId', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: formatSubtask(await withSubtaskDetails(req.permiso.subtarea)),
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener subtarea:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * PUT (reemplazo completo) y PATCH (parcial) de una subtarea.
+ * No cambian dónde está (parentId); para eso está POST .../move
+ */
+async function updateSubtaskHandler(req, res) {
+    const partial = req.method === 'PATCH';
+
+    try {
+        const { errors, values } = validateWorkItemPayload(req.body, { partial, requireAll: !partial });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const { id: projectId, taskId, subtaskId } = req.params;
+        const result = await subtaskService.updateSubtask(projectId, taskId, subtaskId, req.session.usuario, toSubtaskData(values));
+        if (result.success) {
+            result.data = await withSubtaskDetails(result.data);
+        }
+        sendResult(res, result, 200, formatSubtask);
+    } catch (error) {
+        console.error('Error al actualizar subtarea:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+}
+
+router.put('/projects/:id/tasks/:taskId/subtasks/:subtaskId', isAuthenticated, authorizeApi(ACCIONES.EDITAR_SUBTAREA), updateSubtaskHandler);
+router.patch('/projects/:id/tasks/:taskId/subtasks/:subtaskId', isAuthenticated, authorizeApi(ACCIONES.EDITAR_SUBTAREA), updateSubtaskHandler);
+
+/**
+ * POST /api/projects/:id/tasks/:taskId/subtasks/:subtaskId/move - Mover la subtarea, con las que cuelgan de ella
+ * Cuerpo: { taskId (opcional, otra tarea del proyecto), parentId (subtarea de la tarea de destino o null) }
+ */
+router.post('/projects/:id/tasks/:taskId/subtasks/:subtaskId/move', isAuthenticated, authorizeApi(ACCIONES.EDITAR_SUBTAREA), async (req, res) => {
+    try {
+        const errors = [];
+        const taskId = req.body.taskId === undefined ? null : req.body.taskId;
+        if (taskId !== null && (!Number.isInteger(taskId) || taskId <= 0)) {
+            errors.push('taskId debe ser un número entero positivo');
+        }
+        const parentId = readParentId(req.body, errors);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const { id: projectId, subtaskId } = req.params;
+        const result = await subtaskService.moveSubtask(projectId, req.params.taskId, subtaskId, req.session.usuario, {
+            idTarea: taskId,
+            idSubtareaPadre: parentId
+        });
+        if (result.success) {
+            result.data = await withSubtaskDetails(result.data);
+        }
+        sendResult(res, result, 200, formatSubtask);
+    } catch (error) {
+        console.error('Error al mover subtarea:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * DELETE /api/projects/:id/tasks/:taskId/subtasks/:subtaskId - Eliminar subtarea (y las que cuelgan de ella)
+ */
+router.delete('/projects/:id/tasks/:taskId/subtasks/:subtaskId', isAuthenticated, authorizeApi(ACCIONES.ELIMINAR_SUBTAREA), async (req, res) => {
+    try {
+        const { id: projectId, taskId, subtaskId } = req.params;
+        const result = await subtaskService.deleteSubtask(projectId, taskId, subtaskId, req.session.usuario);
+        if (!result.success) {
+            return sendResult(res, result);
+        }
+
+        res.json({
+            success: true,
+            message: 'Subtarea eliminada correctamente',
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al eliminar subtarea:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * ===============================================
+ * COMENTARIOS DE TAREAS Y SUBTAREAS
+ * ===============================================
+ * Las menciones (@nombreUsuario) a participantes del proyecto generan una notificación.
+ */
+
+// Crea un comentario en la tarea o, si la ruta trae :subtaskId, en la subtarea
+async function createCommentHandler(req, res) {
+    try {
+        const { content } = req.body;
+        if (typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Campo requerido: content',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const { id: projectId, taskId, subtaskId } = req.params;
+        const result = await commentService.createComment(projectId, taskId, subtaskId || null, req.session.usuario, content);
+        sendResult(res, result, 201, formatComment);
+    } catch (error) {
+        console.error('Error al crear comentario:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+}
+
+/**
+ * GET /api/projects/:id/tasks/:taskId/comments - Hilo de la tarea (incluye los comentarios de sus subtareas)
+ */
+router.get('/projects/:id/tasks/:taskId/comments', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
+    try {
+        const comentarios = await commentService.getComments(req.params.taskId);
+        res.json({
+            success: true,
+            data: comentarios.map(formatComment),
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener comentarios:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/projects/:id/tasks/:taskId/comments - Comentar una tarea
+ */
+router.post('/projects/:id/tasks/:taskId/comments', isAuthenticated, authorizeApi(ACCIONES.COMENTAR), createCommentHandler);
+
+/**
+ * GET /api/projects/:id/tasks/:taskId/subtasks/:subtaskId/comments - Comentarios de una subtarea
+ */
+router.get('/projects/:id/tasks/:taskId/subtasks/:subtaskId/comments', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
+    try {
+        const comentarios = await commentService.getComments(req.params.taskId, { subtaskId: req.params.subtaskId });
+        res.json({
+            success: true,
+            data: comentarios.map(formatComment),
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener comentarios:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/projects/:id/tasks/:taskId/subtasks/:subtaskId/comments - Comentar una subtarea
+ */
+router.post('/projects/:id/tasks/:taskId/subtasks/:subtaskId/comments', isAuthenticated, authorizeApi(ACCIONES.COMENTAR), createCommentHandler);
+
+/**
+ * PATCH /api/projects/:id/comments/:commentId - Editar un comentario (solo el autor)
+ */
+router.patch('/projects/:id/comments/:commentId', isAuthenticated, authorizeApi(ACCIONES.EDITAR_COMENTARIO), async (req, res) => {
+    try {
+        const { content } = req.body;
+        if (typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Campo requerido: content',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const result = await commentService.updateComment(req.params.id, req.params.commentId, req.session.usuario, content);
+        sendResult(res, result, 200, formatComment);
+    } catch (error) {
+        console.error('Error al editar comentario:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * DELETE /api/projects/:id/comments/:commentId - Eliminar un comentario (autor o admin)
+ */
+router.delete('/projects/:id/comments/:commentId', isAuthenticated, authorizeApi(ACCIONES.ELIMINAR_COMENTARIO), async (req, res) => {
+    try {
+        const result = await commentService.deleteComment(req.params.id, req.params.commentId, req.session.usuario);
+
+        if (!result.success) {
+            return sendResult(res, result);
+        }
+
+        res.json({
+            success: true,
+            message: 'Comentario eliminado correctamente',
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al eliminar comentario:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * ===============================================
+ * ADJUNTOS DE TAREAS Y SUBTAREAS
+ * ===============================================
+ * Se suben como multipart/form-data con el archivo en el campo "archivo".
+ * Solo se descargan por /download (no están en la carpeta pública).
+ */
+
+// Sube un adjunto a la tarea o, si la ruta trae :subtaskId, a la subtarea
+async function uploadAttachmentHandler(req, res) {
+    try {
+        if (req.uploadError) {
+            return res.status(400).json({
+                success: false,
+                error: req.uploadError,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const { id: projectId, taskId, subtaskId } = req.params;
+        const result = await attachmentService.createAttachment(projectId, taskId, subtaskId || null, req.session.usuario, req.file);
+        sendResult(res, result, 201, formatAttachment);
+    } catch (error) {
+        console.error('Error al adjuntar archivo:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+}
+
+/**
+ * GET /api/projects/:id/tasks/:taskId/attachments - Adjuntos de la tarea (incluye los de sus subtareas)
+ */
+router.get('/projects/:id/tasks/:taskId/attachments', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
+    try {
+        const adjuntos = await attachmentService.getAttachments(req.params.taskId);
+        res.json({
+            success: true,
+            data: adjuntos.map(formatAttachment),
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener adjuntos:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/projects/:id/tasks/:taskId/attachments - Adjuntar un archivo a la tarea
+ */
+router.post('/projects/:id/tasks/:taskId/attachments', isAuthenticated, authorizeApi(ACCIONES.ADJUNTAR_ARCHIVO), uploadAttachment, uploadAttachmentHandler);
+
+/**
+ * GET /api/projects/:id/tasks/:taskId/subtasks/:subtaskId/attachments - Adjuntos de una subtarea
+ */
+router.get('/projects/:id/tasks/:taskId/subtasks/:subtaskId/attachments', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
+    try {
+        const adjuntos = await attachmentService.getAttachments(req.params.taskId, { subtaskId: req.params.subtaskId });
+        res.json({
+            success: true,
+            data: adjuntos.map(formatAttachment),
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener adjuntos:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/projects/:id/tasks/:taskId/subtasks/:subtaskId/attachments - Adjuntar un archivo a la subtarea
+ */
+router.post('/projects/:id/tasks/:taskId/subtasks/:subtaskId/attachments', isAuthenticated, authorizeApi(ACCIONES.ADJUNTAR_ARCHIVO), uploadAttachment, uploadAttachmentHandler);
+
+/**
+ * GET /api/projects/:id/attachments/:attachmentId/download - Descargar un adjunto (participantes del proyecto)
+ */
+router.get('/projects/:id/attachments/:attachmentId/download', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
+    try {
+        const result = await attachmentService.getAttachmentDownload(req.params.id, req.params.attachmentId, req.session.usuario.id);
+        if (!result.success) {
+            return sendResult(res, result);
+        }
+
+        res.download(result.data.ruta, result.data.nombreOriginal, (error) => {
+            if (error && !res.headersSent) {
+                console.error('Error al descargar adjunto:', error);
+                res.status(404).json({
+                    success: false,
+                    error: 'El archivo ya no está disponible',
+                    code: 'NOT_FOUND'
+                });
+            }
+        });
+    } catch (error) {
+        console.error('Error al descargar adjunto:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * DELETE /api/projects/:id/attachments/:attachmentId - Eliminar un adjunto
+ */
+router.delete('/projects/:id/attachments/:attachmentId', isAuthenticated, authorizeApi(ACCIONES.ELIMINAR_ADJUNTO), async (req, res) => {
+    try {
+        const result = await attachmentService.deleteAttachment(req.params.id, req.params.attachmentId, req.session.usuario);
+
+        if (!result.success) {
+            return sendResult(res, result);
+        }
+
+        res.json({
+            success: true,
+            message: 'Adjunto eliminado correctamente',
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al eliminar adjunto:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * ===============================================
+ * ACTIVIDAD DEL PROYECTO
+ * ===============================================
+ */
+
+/**
+ * GET /api/projects/:id/activity?page=1&limit=20 - Registro de actividad del proyecto, del más reciente al más antiguo
+ */
+router.get('/projects/:id/activity', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
+    try {
+        const { actividades, paginacion } = await activityService.getActivity(req.params.id, {
+            pagina: req.query.page,
+            tamanoPagina: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            data: actividades.map(formatActivity),
+            pagination: {
+                page: paginacion.pagina,
+                limit: paginacion.tamanoPagina,
+                total: paginacion.total,
+                totalPages: paginacion.totalPaginas
+            },
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener actividad del proyecto:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * ===============================================
+ * ETIQUETAS DEL PROYECTO
+ * ===============================================
+ * Las gestiona el admin del proyecto. Se ponen en tareas y subtareas con labelIds
+ * al crearlas o editarlas, y GET /api/projects/:id/tasks?label=ID filtra por ellas.
+ */
+
+// Valida { name, color } de una etiqueta; en PATCH solo los campos enviados
+function validateLabelPayload(payload, { partial = false } = {}) {
+    const errors = [];
+    const has = field => Object.prototype.hasOwnProperty.call(payload, field);
+
+    if (has('name') || !partial) {
+        if (typeof payload.name !== 'string' || payload.name.trim().length === 0) {
+            errors.push('name es requerido');
+        } else if (payload.name.trim().length > labelService.MAX_LONGITUD_NOMBRE_ETIQUETA) {
+            errors.push(`name no puede superar ${labelService.MAX_LONGITUD_NOMBRE_ETIQUETA} caracteres`);
+        }
+    }
+    if (has('color') && (typeof payload.color !== 'string' || !/^#[0-9A-Fa-f]{6}$/.test(payload.color))) {
+        errors.push('color debe tener el formato #RRGGBB');
+    }
+
+    return { errors, values: { nombreEtiqueta: payload.name, color: payload.color } };
+}
+
+/**
+ * GET /api/projects/:id/labels - Etiquetas del proyecto (con cuántas tareas y subtareas las usan)
+ */
+router.get('/projects/:id/labels', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
+    try {
+        const etiquetas = await labelService.getProjectLabels(req.params.id);
+        res.json({
+            success: true,
+            data: etiquetas.map(formatLabel),
+            count: etiquetas.length,
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener etiquetas:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/projects/:id/labels - Crear etiqueta { name, color? } (solo el admin)
+ */
+router.post('/projects/:id/labels', isAuthenticated, authorizeApi(ACCIONES.GESTIONAR_ETIQUETAS), async (req, res) => {
+    try {
+        const { errors, values } = validateLabelPayload(req.body);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await labelService.createLabel(req.params.id, req.session.usuario, values);
+        sendResult(res, result, 201, formatLabel);
+    } catch (error) {
+        console.error('Error al crear etiqueta:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * PATCH /api/projects/:id/labels/:labelId - Renombrar o cambiar el color de una etiqueta (solo el admin)
+ */
+router.patch('/projects/:id/labels/:labelId', isAuthenticated, authorizeApi(ACCIONES.GESTIONAR_ETIQUETAS), async (req, res) => {
+    try {
+        const { errors, values } = validateLabelPayload(req.body, { partial: true });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await labelService.updateLabel(req.params.id, req.params.labelId, req.session.usuario, values);
+        sendResult(res, result, 200, formatLabel);
+    } catch (error) {
+        console.error('Error al actualizar etiqueta:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * DELETE /api/projects/:id/labels/:labelId - Eliminar etiqueta; se quita de todas sus tareas y subtareas (solo el admin)
+ */
+router.delete('/projects/:id/labels/:labelId', isAuthenticated, authorizeApi(ACCIONES.GESTIONAR_ETIQUETAS), async (req, res) => {
+    try {
+        const result = await labelService.deleteLabel(req.params.id, req.params.labelId, req.session.usuario);
+        sendResult(res, result, 200, formatLabel);
+    } catch (error) {
+        console.error('Error al eliminar etiqueta:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * ===============================================
+ * PLANTILLAS Y CLONADO DE PROYECTOS
+ * ===============================================
+ * Una plantilla guarda las tareas, subtareas y participantes de un proyecto con la entrega de cada
+ * tarea en días antes de la del proyecto (daysBeforeDue). Es del usuario que la guardó.
+ * Para crear un proyecto con ella: POST /api/projects con templateId.
+ */
+
+/**
+ * GET /api/templates - Plantillas del usuario (con totales)
+ */
+router.get('/templates', isAuthenticated, async (req, res) => {
+    try {
+        const plantillas = await templateService.getTemplatesForUser(req.session.usuario.id);
+        res.json({
+            success: true,
+            data: plantillas.map(formatTemplate),
+            count: plantillas.length,
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener plantillas:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/templates/:templateId - Una plantilla con sus tareas, subtareas y participantes
+ */
+router.get('/templates/:templateId', isAuthenticated, async (req, res) => {
+    try {
+        const plantilla = await templateService.getTemplate(req.params.templateId, req.session.usuario.id);
+        if (!plantilla) {
+            return sendResult(res, { success: false, error: 'Plantilla no encontrada', code: 'NOT_FOUND' });
+        }
+        res.json({
+            success: true,
+            data: formatTemplate(plantilla),
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener plantilla:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * DELETE /api/templates/:templateId - Eliminar una plantilla (los proyectos creados con ella no cambian)
+ */
+router.delete('/templates/:templateId', isAuthenticated, async (req, res) => {
+    try {
+        const result = await templateService.deleteTemplate(req.params.templateId, req.session.usuario);
+        sendResult(res, result, 200, formatTemplate);
+    } catch (error) {
+        console.error('Error al eliminar plantilla:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/projects/:id/template - Guardar el proyecto como plantilla { name } (solo el admin)
+ */
+router.post('/projects/:id/template', isAuthenticated, authorizeApi(ACCIONES.COPIAR_PROYECTO), async (req, res) => {
+    try {
+        if (typeof req.body.name !== 'string' || req.body.name.trim().length === 0) {
+            return sendValidationErrors(res, ['name es requerido']);
+        }
+
+        const result = await templateService.saveProjectAsTemplate(req.params.id, req.session.usuario, { nombrePlantilla: req.body.name });
+        sendResult(res, result, 201, formatTemplate);
+    } catch (error) {
+        console.error('Error al guardar plantilla:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/projects/:id/clone - Clonar el proyecto { name, endDate, copyParticipants? } (solo el admin)
+ */
+router.post('/projects/:id/clone', isAuthenticated, authorizeApi(ACCIONES.COPIAR_PROYECTO), async (req, res) => {
+    try {
+        const { name, endDate, copyParticipants = false } = req.body;
+        const errors = [];
+        if (typeof name !== 'string' || name.trim().length === 0) errors.push('name es requerido');
+        if (!endDate || isNaN(new Date(endDate).getTime())) errors.push('endDate debe ser una fecha válida');
+        if (typeof copyParticipants !== 'boolean') errors.push('copyParticipants debe ser true o false');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await templateService.cloneProject(req.params.id, req.session.usuario, {
+            nombreProyecto: name,
+            fechaEntrega: endDate,
+            copiarParticipantes: copyParticipants
+        });
+        if (result.success) {
+            result.data = await formatCopiedProject(result.data);
+        }
+        sendResult(res, result, 201);
+    } catch (error) {
+        console.error('Error al clonar proyecto:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * ===============================================
+ * REGISTRO DE TIEMPO
+ * ===============================================
+ * Cada usuario tiene como mucho un temporizador en marcha (ver /api/me/timer).
+ * subtaskId en el cuerpo registra el tiempo en esa subtarea de la tarea;
+ * el permiso (REGISTRAR_TIEMPO) lo comprueba timeService sobre la tarea o la subtarea.
+ */
+
+// subtaskId opcional del cuerpo: entero o null
+function readSubtaskId(payload, errors) {
+    const subtaskId = payload.subtaskId === undefined ? null : payload.subtaskId;
+    if (subtaskId !== null && !Number.isInteger(subtaskId)) {
+        errors.push('subtaskId debe ser un número entero o null');
+    }
+    return subtaskId;
+}
+
+// note opcional del cuerpo: texto o null
+function readNote(payload, errors) {
+    const note = payload.note === undefined ? null : payload.note;
+    if (note !== null && typeof note !== 'string') {
+        errors.push('note debe ser un texto o null');
+    }
+    return note;
+}
+
+/**
+ * GET /api/projects/:id/tasks/:taskId/time-entries - Registros de tiempo de la tarea (incluye los de sus subtareas)
+ */
+router.get('/projects/:id/tasks/:taskId/time-entries', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
+    try {
+        const registros = await timeService.getTaskEntries(req.permiso.tarea.idTarea);
+        res.json({
+            success: true,
+            data: registros.map(formatTimeEntry),
+            count: registros.length,
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener registros de tiempo:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/projects/:id/tasks/:taskId/time-entries - Registrar tiempo a mano { minutes, date?, note?, subtaskId? }
+ * date (AAAA-MM-DD, hoy si no se envía) no puede ser futura; minutes entre 1 y 1440
+ */
+router.post('/projects/:id/tasks/:taskId/time-entries', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
+    try {
+        const payload = req.body || {};
+        const errors = [];
+        const subtaskId = readSubtaskId(payload, errors);
+        const note = readNote(payload, errors);
+        if (!Number.isInteger(payload.minutes)) {
+            errors.push('minutes es obligatorio y debe ser un número entero');
+        }
+        if (payload.date !== undefined && typeof payload.date !== 'string') {
+            errors.push('date debe tener el formato AAAA-MM-DD');
+        }
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await timeService.addManualEntry(req.params.id, req.params.taskId, subtaskId, req.session.usuario, {
+            fecha: payload.date,
+            minutos: payload.minutes,
+            nota: note
+        });
+        sendResult(res, result, 201, formatTimeEntry);
+    } catch (error) {
+        console.error('Error al registrar tiempo:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/projects/:id/tasks/:taskId/timer/start - Poner en marcha el temporizador { subtaskId?, note? }
+ * Si había otro en marcha se detiene y se devuelve en stopped
+ */
+router.post('/projects/:id/tasks/:taskId/timer/start', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
+    try {
+        const payload = req.body || {};
+        const errors = [];
+        const subtaskId = readSubtaskId(payload, errors);
+        const note = readNote(payload, errors);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await timeService.startTimer(req.params.id, req.params.taskId, subtaskId, req.session.usuario, { nota: note });
+        sendResult(res, result, 201, ({ registro, detenido }) => ({
+            ...formatTimeEntry(registro),
+            stopped: detenido ? formatTimeEntry(detenido) : null
+        }));
+    } catch (error) {
+        console.error('Error al iniciar el temporizador:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * DELETE /api/projects/:id/time-entries/:entryId - Eliminar un registro de tiempo (autor o admin)
+ */
+router.delete('/projects/:id/time-entries/:entryId', isAuthenticated, authorizeApi(ACCIONES.ELIMINAR_TIEMPO), async (req, res) => {
+    try {
+        const result = await timeService.deleteEntry(req.params.id, req.params.entryId, req.session.usuario);
+        sendResult(res, result, 200, formatTimeEntry);
+    } catch (error) {
+        console.error('Error al eliminar registro de tiempo:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/projects/:id/timesheet?from=AAAA-MM-DD&to=AAAA-MM-DD&userId=N - Tiempo por miembro y tarea
+ * Por defecto los últimos 7 días; solo el admin del proyecto ve el tiempo de los demás
+ */
+router.get('/projects/:id/timesheet', isAuthenticated, authorizeApi(ACCIONES.VER_PROYECTO), async (req, res) => {
+    try {
+        const result = await timeService.getTimesheet(req.params.id, req.session.usuario, {
+            desde: req.query.from,
+            hasta: req.query.to,
+            idUsuario: req.query.userId
+        });
+        sendResult(res, result, 200, formatTimesheet);
+    } catch (error) {
+        console.error('Error al obtener la hoja de tiempos:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * ===============================================
+ * ADMINISTRACIÓN DEL SISTEMA
+ * ===============================================
+ * Solo usuarios con Usuarios.rol = 'admin_general'
+ */
+
+/**
+ * GET /api/admin/lockouts - Contadores de intentos y bloqueos de login, registro y recuperación
+ */
+router.get('/admin/lockouts', isAuthenticated, isSystemAdmin, async (req, res) => {
+    try {
+        const registros = await throttleService.listLockouts();
+        res.json({
+            success: true,
+            data: registros.map(formatLockout),
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener bloqueos:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/lockouts/:key - Quitar un bloqueo (key codificada con encodeURIComponent, p. ej. login%3Acuenta%3Aana%40correo.com)
+ */
+router.delete('/admin/lockouts/:key', isAuthenticated, isSystemAdmin, async (req, res) => {
+    try {
+        const result = await throttleService.clearLockout(req.params.key);
+
+        if (!result.success) {
+            return sendResult(res, result);
+        }
+
+        res.json({
+            success: true,
+            message: 'Bloqueo eliminado correctamente',
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al eliminar bloqueo:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/users?q=termino&page=1&limit=25 - Usuarios (búsqueda por nombre, correo o ID)
+ */
+router.get('/admin/users', isAuthenticated, isSystemAdmin, async (req, res) => {
+    try {
+        const { usuarios, paginacion } = await adminService.listUsers({
+            search: (req.query.q || '').trim() || null,
+            pagina: req.query.page,
+            tamanoPagina: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            data: usuarios.map(formatAdminUser),
+            pagination: {
+                page: paginacion.pagina,
+                limit: paginacion.tamanoPagina,
+                total: paginacion.total,
+                totalPages: paginacion.totalPaginas
+            },
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener usuarios:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * PUT /api/admin/users/:userId/status - Desactivar o reactivar una cuenta { active }
+ * Al desactivarla se cierran sus sesiones y sus tokens de acceso dejan de funcionar
+ */
+router.put('/admin/users/:userId/status', isAuthenticated, isSystemAdmin, async (req, res) => {
+    try {
+        if (typeof req.body.active !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'Campo requerido: active (true o false)',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const result = await adminService.setAccountActive(req.session.usuario.id, req.params.userId, req.body.active);
+        sendResult(res, result, 200, formatAdminUser);
+    } catch (error) {
+        console.error('Error al cambiar el estado de la cuenta:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * PUT /api/admin/users/:userId/role - Cambiar el rol del sistema { role: 'usuario' | 'admin_general' }
+ */
+router.put('/admin/users/:userId/role', isAuthenticated, isSystemAdmin, async (req, res) => {
+    try {
+        const result = await adminService.changeSystemRole(req.session.usuario.id, req.params.userId, req.body.role);
+        sendResult(res, result, 200, formatAdminUser);
+    } catch (error) {
+        console.error('Error al cambiar el rol:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/users/:userId/password-reset - Invalidar la contraseña y enviar al usuario un enlace para elegir otra
+ */
+router.post('/admin/users/:userId/password-reset', isAuthenticated, isSystemAdmin, async (req, res) => {
+    try {
+        const result = await adminService.resetPassword(req.params.userId);
+        sendResult(res, result, 202, formatAdminUser);
+    } catch (error) {
+        console.error('Error al restablecer la contraseña:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/projects?q=termino&orphaned=true&page=1&limit=25 - Proyectos de todos los usuarios
+ * orphaned=true deja solo los proyectos cuyo administrador tiene la cuenta desactivada
+ */
+router.get('/admin/projects', isAuthenticated, isSystemAdmin, async (req, res) => {
+    try {
+        const { proyectos, paginacion } = await adminService.listProjects({
+            search: (req.query.q || '').trim() || null,
+            soloSinAdmin: req.query.orphaned === 'true',
+            pagina: req.query.page,
+            tamanoPagina: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            data: proyectos.map(formatAdminProject),
+            pagination: {
+                page: paginacion.pagina,
+                limit: paginacion.tamanoPagina,
+                total: paginacion.total,
+                totalPages: paginacion.totalPaginas
+            },
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener proyectos:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/projects/:projectId/transfer - Transferir un proyecto a otro usuario { userId } o { email }
+ */
+router.post('/admin/projects/:projectId/transfer', isAuthenticated, isSystemAdmin, async (req, res) => {
+    try {
+        const result = await adminService.transferProject(req.session.usuario, req.params.projectId, req.body.userId ?? req.body.email);
+        sendResult(res, result, 200, data => ({
+            projectId: data.idProyecto,
+            name: data.nombreProyecto,
+            previousOwnerId: data.idAdminAnterior,
+            owner: { id: data.idUsuarioAdmin, name: data.nombreAdmin }
+        }));
+    } catch (error) {
+        console.error('Error al transferir el proyecto:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * ===============================================
+ * INVITACIONES A PROYECTOS
+ * ===============================================
+ */
+
+/**
+ * GET /api/invitations - Invitaciones pendientes del usuario actual
+ */
+router.get('/invitations', isAuthenticated, async (req, res) => {
+    try {
+        const invitaciones = await participantService.getPendingInvitationsForUser(req.session.usuario.id);
+
+        res.json({
+            success: true,
+            data: invitaciones.map(inv => ({
+                id: inv.idParticipante,
+                projectId: inv.idProyecto,
+                projectName: inv.nombreProyecto,
+                adminName: inv.nombreAdmin,
+                role: inv.rolProyecto,
+                invitedAt: inv.fechaAsignacion
+            })),
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener invitaciones:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/invitations/:invitationId/accept - Aceptar una invitación
+ */
+router.post('/invitations/:invitationId/accept', isAuthenticated, async (req, res) => {
+    try {
+        const result = await participantService.respondToInvitation(req.params.invitationId, req.session.usuario.id, true);
+        sendResult(res, result);
+    } catch (error) {
+        console.error('Error al aceptar invitación:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/invitations/:invitationId/reject - Rechazar una invitación
+ */
+router.post('/invitations/:invitationId/reject', isAuthenticated, async (req, res) => {
+    try {
+        const result = await participantService.respondToInvitation(req.params.invitationId, req.session.usuario.id, false);
+        sendResult(res, result);
+    } catch (error) {
+        console.error('Error al rechazar invitación:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/projects/:id/invitations - Invitaciones pendientes de un proyecto (solo admin)
+ */
+router.get('/projects/:id/invitations', isAuthenticated, authorizeApi(ACCIONES.GESTIONAR_MIEMBROS), async (req, res) => {
+    try {
+        const result = await participantService.getPendingInvitationsForProject(req.params.id, req.session.usuario.id);
+        sendResult(res, result);
+    } catch (error) {
+        console.error('Error al obtener invitaciones del proyecto:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/projects/:id/invitations - Invitar a un usuario por correo (solo admin).
+ * role es opcional (por defecto 'miembro')
+ */
+router.post('/projects/:id/invitations', isAuthenticated, authorizeApi(ACCIONES.GESTIONAR_MIEMBROS), body('email').isEmail().normalizeEmail(), async (req, res) => {
+    try {
+        // Se normaliza igual que en el registro para que el correo coincida con Usuarios.correoUsuario
+        if (!validationResult(req).isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Campo requerido: email (correo válido)',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const result = await participantService.createInvitation(req.params.id, req.session.usuario.id, req.body.email, req.body.role);
+        sendResult(res, result, 201);
+    } catch (error) {
+        console.error('Error al invitar usuario:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * DELETE /api/projects/:id/invitations/:invitationId - Revocar invitación pendiente (solo admin)
+ */
+router.delete('/projects/:id/invitations/:invitationId', isAuthenticated, authorizeApi(ACCIONES.GESTIONAR_MIEMBROS), async (req, res) => {
+    try {
+        const result = await participantService.revokeInvitation(req.params.id, req.session.usuario.id, req.params.invitationId);
+        sendResult(res, result);
+    } catch (error) {
+        console.error('Error al revocar invitación:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * PATCH /api/projects/:id/members/:memberId - Cambiar el rol de un participante (solo admin)
+ */
+router.patch('/projects/:id/members/:memberId', isAuthenticated, authorizeApi(ACCIONES.GESTIONAR_MIEMBROS), async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                error: `Campo requerido: role (${ROLES.join(', ')})`,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const result = await participantService.changeParticipantRole(req.params.id, req.session.usuario.id, req.params.memberId, role);
+        sendResult(res, result);
+    } catch (error) {
+        console.error('Error al cambiar el rol:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * ===============================================
+ * NOTIFICACIONES
+ * ===============================================
+ */
+
+/**
+ * GET /api/notifications?unread=true&limit=20 - Notificaciones del usuario actual
+ */
+router.get('/notifications', isAuthenticated, async (req, res) => {
+    try {
+        const limite = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+        const notificaciones = await notificationService.getNotifications(req.session.usuario.id, {
+            soloNoLeidas: req.query.unread === 'true',
+            limite: limite
+        });
+
+        res.json({
+            success: true,
+            data: notificaciones,
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener notificaciones:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/notifications/unread-count - Número de notificaciones sin leer
+ */
+router.get('/notifications/unread-count', isAuthenticated, async (req, res) => {
+    try {
+        const total = await notificationService.getUnreadCount(req.session.usuario.id);
+
+        res.json({
+            success: true,
+            data: { count: total },
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al contar notificaciones:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * PATCH /api/notifications/read-all - Marcar todas como leídas
+ */
+router.patch('/notifications/read-all', isAuthenticated, async (req, res) => {
+    try {
+        const result = await notificationService.markAllAsRead(req.session.usuario.id);
+        sendResult(res, result);
+    } catch (error) {
+        console.error('Error al marcar notificaciones:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * PATCH /api/notifications/:notificationId/read - Marcar una notificación como leída
+ */
+router.patch('/notifications/:notificationId/read', isAuthenticated, async (req, res) => {
+    try {
+        const result = await notificationService.markAsRead(req.params.notificationId, req.session.usuario.id);
+        sendResult(res, result);
+    } catch (error) {
+        console.error('Error al marcar notificación:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * ===============================================
+ * PERFIL DEL USUARIO ACTUAL
+ * ===============================================
+ * Los cambios de nombre y foto se copian a la sesión.
+ * El correo nuevo no se aplica hasta abrir el enlace de verificación (queda en pendingEmail).
+ */
+
+/**
+ * GET /api/me - Perfil del usuario actual
+ */
+router.get('/me', isAuthenticated, async (req, res) => {
+    try {
+        const result = await profileService.getProfile(req.session.usuario.id);
+        sendResult(res, result, 200, formatProfile);
+    } catch (error) {
+        console.error('Error al obtener el perfil:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * PATCH /api/me - Cambiar el nombre { name }
+ */
+router.patch('/me', isAuthenticated, async (req, res) => {
+    try {
+        const result = await profileService.updateName(req.session.usuario.id, req.body.name);
+        if (result.success) {
+            req.session.usuario = { ...req.session.usuario, nombre: result.data.nombreUsuario };
+        }
+        sendResult(res, result, 200, formatProfile);
+    } catch (error) {
+        console.error('Error al cambiar el nombre:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * PUT /api/me/password - Cambiar la contraseña { currentPassword, newPassword }. Cierra las demás sesiones.
+ */
+router.put('/me/password', isAuthenticated, async (req, res) => {
+    try {
+        const result = await profileService.changePassword(req.session.usuario.id, req.body.currentPassword, req.body.newPassword, req.sessionID);
+        if (!result.success) {
+            return sendResult(res, result);
+        }
+
+        res.json({
+            success: true,
+            message: 'Contraseña actualizada correctamente',
+            data: { revokedSessions: result.data.sesionesCerradas },
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al cambiar la contraseña:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * PUT /api/me/email - Pedir el cambio de correo { email, password }; envía el enlace a la dirección nueva
+ */
+router.put('/me/email', isAuthenticated, body('email').isEmail().normalizeEmail(), async (req, res) => {
+    try {
+        if (!validationResult(req).isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Campo requerido: email (correo válido)',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const result = await profileService.requestEmailChange(req.session.usuario.id, req.body.email, req.body.password);
+        sendResult(res, result, 202, data => ({ pendingEmail: data.correoPendiente }));
+    } catch (error) {
+        console.error('Error al cambiar el correo:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * DELETE /api/me/email - Cancelar un cambio de correo sin confirmar
+ */
+router.delete('/me/email', isAuthenticated, async (req, res) => {
+    try {
+        const result = await profileService.cancelEmailChange(req.session.usuario.id);
+        sendResult(res, result);
+    } catch (error) {
+        console.error('Error al cancelar el cambio de correo:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * PUT /api/me/avatar - Cambiar la foto de perfil.
+ * multipart/form-data con la imagen en el campo "fotoPerfil", o JSON { image: '/images/1.png' ... '/images/12.png' }
+ */
+router.put('/me/avatar', isAuthenticated, uploadProfilePhoto, async (req, res) => {
+    try {
+        if (req.uploadError) {
+            return res.status(400).json({
+                success: false,
+                error: req.uploadError,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const result = await profileService.updatePhoto(req.session.usuario.id, {
+            archivo: req.file,
+            imagen: req.body && req.body.image
+        });
+        if (result.success) {
+            req.session.usuario = { ...req.session.usuario, foto: result.data.fotoPerfil };
+        }
+        sendResult(res, result, 200, data => ({ profileImage: data.fotoPerfil }));
+    } catch (error) {
+        console.error('Error al cambiar la foto de perfil:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/me/timer - Temporizador en marcha del usuario actual (data null si no hay ninguno)
+ */
+router.get('/me/timer', isAuthenticated, async (req, res) => {
+    try {
+        const registro = await timeService.getActiveTimer(req.session.usuario.id);
+        res.json({
+            success: true,
+            data: registro ? formatTimeEntry(registro) : null,
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener el temporizador:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/me/timer/stop - Detener el temporizador en marcha (404 si no hay ninguno)
+ */
+router.post('/me/timer/stop', isAuthenticated, async (req, res) => {
+    try {
+        const result = await timeService.stopTimer(req.session.usuario);
+        sendResult(res, result, 200, formatTimeEntry);
+    } catch (error) {
+        console.error('Error al detener el temporizador:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/me/export - Descargar los datos personales del usuario (JSON, mismo formato que /perfil/exportar)
+ */
+router.get('/me/export', isAuthenticated, async (req, res) => {
+    try {
+        const result = await accountService.exportUserData(req.session.usuario.id);
+        if (!result.success) {
+            return sendResult(res, result);
+        }
+
+        res.attachment(`mis-datos-${new Date().toISOString().slice(0, 10)}.json`);
+        res.json(result.data);
+    } catch (error) {
+        console.error('Error al exportar los datos:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * DELETE /api/me - Eliminar la cuenta { password }. Solo con sesión, no con un token de acceso.
+ * data.projects indica cuántos proyectos administrados se transfirieron, se eliminaron o quedan sin administrador
+ */
+router.delete('/me', isAuthenticated, requireSession, async (req, res) => {
+    try {
+        const result = await accountService.deleteAccount(req.session.usuario.id, req.body.password);
+        if (!result.success) {
+            return sendResult(res, result);
+        }
+
+        const { transferidos, eliminados, sinAdministrador } = result.data.proyectos;
+        req.session.destroy(() => {
+            res.json({
+                success: true,
+                message: 'Cuenta eliminada correctamente',
+                data: { projects: { transferred: transferidos, deleted: eliminados, unowned: sinAdministrador } },
+                status: 200
+            });
+        });
+    } catch (error) {
+        console.error('Error al eliminar la cuenta:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/me/sessions - Sesiones activas del usuario (current marca la de esta petición)
+ */
+router.get('/me/sessions', isAuthenticated, async (req, res) => {
+    try {
+        const sesiones = await sessionService.listSessions(req.session.usuario.id, req.sessionID);
+        res.json({
+            success: true,
+            data: sesiones.map(formatSession),
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener las sesiones:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * DELETE /api/me/sessions/:sessionId - Cerrar una sesión (puede ser la actual)
+ */
+router.delete('/me/sessions/:sessionId', isAuthenticated, async (req, res) => {
+    try {
+        const result = await sessionService.revokeSession(req.session.usuario.id, req.params.sessionId, req.sessionID);
+        if (!result.success) {
+            return sendResult(res, result);
+        }
+
+        res.json({
+            success: true,
+            message: 'Sesión cerrada correctamente',
+            data: { current: result.data.actual },
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al cerrar la sesión:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * ===============================================
+ * TOKENS DE ACCESO PERSONALES
+ * ===============================================
+ * Para scripts y CI: se envían como "Authorization: Bearer <token>" en cualquier ruta de /api.
+ * scope 'read' solo permite GET; 'write' permite todo lo que puede hacer el usuario.
+ * Solo se gestionan con la sesión iniciada (no con otro token).
+ */
+
+/**
+ * GET /api/me/tokens - Tokens del usuario (sin el valor del token)
+ */
+router.get('/me/tokens', isAuthenticated, requireSession, async (req, res) => {
+    try {
+        const tokens = await accessTokenService.listTokens(req.session.usuario.id);
+        res.json({
+            success: true,
+            data: tokens.map(formatAccessToken),
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al obtener los tokens:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/me/tokens - Crear token { name, scope: 'read' | 'write' }.
+ * La respuesta incluye el token completo; no se puede volver a consultar.
+ */
+router.post('/me/tokens', isAuthenticated, requireSession, async (req, res) => {
+    try {
+        if (!ALCANCE_POR_SCOPE[req.body.scope]) {
+            return res.status(400).json({
+                success: false,
+                error: 'Campo requerido: scope (read o write)',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const result = await accessTokenService.createToken(req.session.usuario.id, req.body.name, ALCANCE_POR_SCOPE[req.body.scope]);
+        sendResult(res, result, 201, formatAccessToken);
+    } catch (error) {
+        console.error('Error al crear el token:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * DELETE /api/me/tokens/:tokenId - Revocar un token
+ */
+router.delete('/me/tokens/:tokenId', isAuthenticated, requireSession, async (req, res) => {
+    try {
+        const result = await accessTokenService.revokeToken(req.session.usuario.id, req.params.tokenId);
+        if (!result.success) {
+            return sendResult(res, result);
+        }
+
+        res.json({
+            success: true,
+            message: 'Token revocado correctamente',
+            status: 200
+        });
+    } catch (error) {
+        console.error('Error al revocar el token:', error);
         res.status(500).json({
             success: false,
             error: 'Error interno del servidor',
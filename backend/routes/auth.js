@@ -2,8 +2,14 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController.js');
+const twoFactorController = require('../controllers/twoFactorController');
+const profileController = require('../controllers/profileController');
+const accessTokenController = require('../controllers/accessTokenController');
+const { isAuthenticated } = require('../middlewares/auth');
 const { verifyCsrfToken } = require('../middlewares/csrf');
 const upload = require('../middlewares/uploads');
+const { uploadProfilePhoto } = require('../middlewares/uploads');
+const { throttle } = require('../middlewares/throttle');
 
 
 router.get('/', authController.getLogin); // Formulario del login
@@ -11,17 +17,59 @@ router.get('/registro', authController.getRegister); // Formulario del registro
 router.get('/index', authController.getIndex) //Pagina de inicio
 router.get('/recuperar', authController.getRecoverForm); // Formulario recuperar contraseña
 router.get('/reset-password/:token', authController.getResetForm); // Formulario nueva_contraseña
+router.get('/verificar-correo/reenviar', authController.getResendVerification); // Formulario reenviar verificación
+router.get('/verificar-correo/:token', authController.getVerifyEmail); // Enlace del correo de verificación
 
-router.post('/login', verifyCsrfToken, authController.validateLogin, authController.postLogin); // Procesa el login
+// Los límites de intentos van después de la validación para usar el correo ya normalizado
+router.post('/login', verifyCsrfToken, authController.validateLogin, throttle('login', { redireccion: '/' }), authController.postLogin); // Procesa el login
 
-router.post('/registro', upload, verifyCsrfToken, authController.postRegister); // Procesa el registro
+// Segundo paso del login con verificación en dos pasos; la cuenta es la del login pendiente
+router.get('/login/2fa', twoFactorController.getLoginSecondStep);
+router.post('/login/2fa', verifyCsrfToken, throttle('segundoFactor', {
+    redireccion: '/login/2fa',
+    identificar: req => ({ cuenta: req.session.loginPendiente && String(req.session.loginPendiente.idUsuario), ip: req.ip })
+}), twoFactorController.postLoginSecondStep);
+
+// El registro se limita solo por IP, antes de que Multer guarde la foto
+router.post('/registro', throttle('registro', { redireccion: '/registro', contarTodos: true }), upload, verifyCsrfToken, authController.postRegister); // Procesa el registro
 
 // Para enviar el correo de recuperación, aplicamos la validación
-router.post('/enviar-recuperacion', verifyCsrfToken, authController.validateSendRecoverEmail, authController.sendRecoverEmail); // Procesa enviar correo_recuperacion
+router.post('/enviar-recuperacion', verifyCsrfToken, authController.validateSendRecoverEmail, throttle('recuperacion', { redireccion: '/recuperar', contarTodos: true }), authController.sendRecoverEmail); // Procesa enviar correo_recuperacion
+
+// Reenviar el enlace de verificación, limitado por cuenta e IP
+router.post('/verificar-correo/reenviar', verifyCsrfToken, authController.validateResendVerification, throttle('verificacion', { redireccion: '/verificar-correo/reenviar', contarTodos: true }), authController.postResendVerification);
 
 // Para procesar la nueva contraseña, aplicamos la validación
 router.post('/reset-password/:token', verifyCsrfToken, authController.validateResetPassword, authController.postResetPassword); // Procesa nueva_contraseña
 
+// Perfil del usuario; la foto es multipart, así que el token CSRF se comprueba después de Multer
+router.get('/perfil', isAuthenticated, profileController.getProfile);
+router.post('/perfil/nombre', isAuthenticated, verifyCsrfToken, profileController.postName);
+router.post('/perfil/contrasena', isAuthenticated, verifyCsrfToken, profileController.postPassword);
+router.post('/perfil/correo', isAuthenticated, verifyCsrfToken, profileController.validateEmailChange, profileController.postEmail);
+router.post('/perfil/correo/cancelar', isAuthenticated, verifyCsrfToken, profileController.postCancelEmail);
+router.post('/perfil/foto', isAuthenticated, uploadProfilePhoto, verifyCsrfToken, profileController.postPhoto);
+
+// Exportación de los datos personales y eliminación de la cuenta
+router.get('/perfil/exportar', isAuthenticated, profileController.getExport);
+router.post('/perfil/eliminar', isAuthenticated, verifyCsrfToken, profileController.postDeleteAccount);
+
+// Sesiones activas del usuario
+router.get('/perfil/sesiones', isAuthenticated, profileController.getSessions);
+router.post('/perfil/sesiones/cerrar-otras', isAuthenticated, verifyCsrfToken, profileController.postRevokeOtherSessions);
+router.post('/perfil/sesiones/:idSesion/cerrar', isAuthenticated, verifyCsrfToken, profileController.postRevokeSession);
+
+// Tokens de acceso personales para la API
+router.get('/perfil/tokens', isAuthenticated, accessTokenController.getTokens);
+router.post('/perfil/tokens', isAuthenticated, verifyCsrfToken, accessTokenController.postCreateToken);
+router.post('/perfil/tokens/:idToken/revocar', isAuthenticated, verifyCsrfToken, accessTokenController.postRevokeToken);
+
+// Configuración de la verificación en dos pasos
+router.get('/seguridad/2fa', isAuthenticated, twoFactorController.getSecurity);
+router.post('/seguridad/2fa/activar', isAuthenticated, verifyCsrfToken, twoFactorController.postEnable);
+router.post('/seguridad/2fa/desactivar', isAuthenticated, verifyCsrfToken, twoFactorController.postDisable);
+router.post('/seguridad/2fa/codigos', isAuthenticated, verifyCsrfToken, twoFactorController.postRegenerateCodes);
+
 // Cerrar sesión
 router.get('/logout', authController.logout);
 
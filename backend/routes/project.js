@@ -1,6 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const projectController = require('../controllers/projectController');
+const invitationController = require('../controllers/invitationController');
+const commentController = require('../controllers/commentController');
+const attachmentController = require('../controllers/attachmentController');
+const dependencyController = require('../controllers/dependencyController');
+const timeController = require('../controllers/timeController');
+const labelController = require('../controllers/labelController');
+const templateController = require('../controllers/templateController');
+const { ESTADOS_TAREA, PRIORIDADES_TAREA, MAX_HORAS_ESTIMADAS } = require('../services/taskService');
+const { verifyCsrfToken } = require('../middlewares/csrf');
+const { authorize } = require('../middlewares/authorize');
+const { uploadAttachment } = require('../middlewares/uploads');
+const { ACCIONES } = require('../policies/projectPolicy');
 const { isAuthenticated } = require('../middlewares/auth'); // Necesitarás un middleware para verificar si el usuario está autenticado
 
 const { body } = require('express-validator'); 
@@ -24,66 +36,129 @@ router.get('/proyectos', isAuthenticated, projectController.getProjects);
 
 // ... Más rutas para proyectos
 
-router.get('/proyectos/:idProyecto', isAuthenticated, projectController.getProjectDetails);
+router.get('/proyectos/:idProyecto', isAuthenticated, authorize(ACCIONES.VER_PROYECTO), projectController.getProjectDetails);
+router.get('/proyectos/:idProyecto/tablero', isAuthenticated, authorize(ACCIONES.VER_PROYECTO), projectController.getProjectBoard); // Vista Kanban
 
 
 
 // NUEVAS RUTAS para Edición y Eliminación de Proyectos
-router.get('/proyectos/editar/:idProyecto', isAuthenticated, projectController.getEditProject);
-router.post('/proyectos/editar/:idProyecto', isAuthenticated, projectController.validateProject, projectController.postEditProject);
-router.post('/proyectos/eliminar/:idProyecto', isAuthenticated, projectController.deleteProject);
+router.get('/proyectos/editar/:idProyecto', isAuthenticated, authorize(ACCIONES.EDITAR_PROYECTO), projectController.getEditProject);
+router.post('/proyectos/editar/:idProyecto', isAuthenticated, authorize(ACCIONES.EDITAR_PROYECTO), projectController.validateProject, projectController.postEditProject);
+router.post('/proyectos/eliminar/:idProyecto', isAuthenticated, authorize(ACCIONES.ELIMINAR_PROYECTO), projectController.deleteProject);
+
+// Rutas para Invitaciones
+router.post('/proyectos/:idProyecto/invitaciones', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.GESTIONAR_MIEMBROS), invitationController.validateInvitation, invitationController.postInvite); // El admin invita por correo
+router.post('/proyectos/:idProyecto/invitaciones/revocar/:idParticipante', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.GESTIONAR_MIEMBROS), invitationController.postRevoke); // El admin revoca una invitación pendiente
+router.post('/proyectos/:idProyecto/participantes/:idParticipante/rol', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.GESTIONAR_MIEMBROS), invitationController.validateRoleChange, invitationController.postChangeRole); // El admin cambia el rol de un participante
+router.post('/invitaciones/aceptar/:idParticipante', isAuthenticated, verifyCsrfToken, invitationController.postAccept); // El invitado acepta
+router.post('/invitaciones/rechazar/:idParticipante', isAuthenticated, verifyCsrfToken, invitationController.postReject); // El invitado rechaza
 
 
 
 
 // Rutas para Tareas
-router.post('/proyectos/:idProyecto/tareas', isAuthenticated, projectController.validateTask, projectController.postCreateTask);
+router.post('/proyectos/:idProyecto/tareas', isAuthenticated, authorize(ACCIONES.CREAR_TAREA), projectController.validateTask, projectController.postCreateTask);
 
 // Rutas para Subtareas (inicialmente, post directo desde la página de proyecto)
 
 
 
 // --- Rutas para Editar/Eliminar Tareas ---
-router.get('/proyectos/:idProyecto/tareas/editar/:idTarea', isAuthenticated, projectController.getEditTask);
+router.get('/proyectos/:idProyecto/tareas/editar/:idTarea', isAuthenticated, authorize(ACCIONES.EDITAR_TAREA), projectController.getEditTask);
 
-router.post('/proyectos/:idProyecto/tareas/editar/:idTarea', isAuthenticated, [
+router.post('/proyectos/:idProyecto/tareas/editar/:idTarea', isAuthenticated, authorize(ACCIONES.EDITAR_TAREA), [
         body('nombreTarea').trim().notEmpty().withMessage('El nombre de la tarea es requerido.'),
         body('descripcionTarea').trim().optional(),
         body('fechaEntrega').isISO8601().toDate().withMessage('La fecha de entrega de la tarea no es válida.'),
-        body('estadoTarea').isIn(['Pendiente', 'En Proceso', 'Completada', 'Bloqueada']).withMessage('Estado de tarea inválido.'),
-        body('prioridadTarea').isIn(['Baja', 'Media', 'Alta', 'Urgente']).withMessage('Prioridad de tarea inválida.'),
-        body('idUsuarioAsignado').optional({ nullable: true }).isInt().withMessage('El usuario asignado debe ser un número entero válido.')
+        body('estadoTarea').isIn(ESTADOS_TAREA).withMessage('Estado de tarea inválido.'),
+        body('prioridadTarea').isIn(PRIORIDADES_TAREA).withMessage('Prioridad de tarea inválida.'),
+        body('idUsuarioAsignado').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('El usuario asignado debe ser un número entero válido.'),
+        body('horasEstimadas').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0, max: MAX_HORAS_ESTIMADAS }).withMessage('Las horas estimadas no son válidas.')
     ],
     projectController.postEditTask
 );
-router.post('/proyectos/:idProyecto/tareas/eliminar/:idTarea', isAuthenticated, projectController.postDeleteTask);
+router.post('/proyectos/:idProyecto/tareas/eliminar/:idTarea', isAuthenticated, authorize(ACCIONES.ELIMINAR_TAREA), projectController.postDeleteTask);
+// Cambiar o eliminar varias tareas a la vez: el permiso de cada una lo comprueba taskService (como al editar o eliminar una)
+router.post('/proyectos/:idProyecto/tareas/lote', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.VER_PROYECTO), projectController.validateBulkTasks, projectController.postBulkTasks);
+router.post('/proyectos/:idProyecto/tareas/:idTarea/recurrencia/pausar', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.EDITAR_TAREA), projectController.postPauseRecurrence);
+router.post('/proyectos/:idProyecto/tareas/:idTarea/recurrencia/reanudar', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.EDITAR_TAREA), projectController.postResumeRecurrence);
+
+// Dependencias entre tareas (desde la tarjeta de la tarea en project-details)
+router.post('/proyectos/:idProyecto/tareas/:idTarea/dependencias', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.EDITAR_TAREA), dependencyController.postAddDependency);
+router.post('/proyectos/:idProyecto/tareas/:idTarea/dependencias/eliminar/:idTareaBloqueante', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.EDITAR_TAREA), dependencyController.postRemoveDependency);
 
 router.post('/proyectos/:idProyecto/tareas/:idTarea/subtareas',
     isAuthenticated,
+    authorize(ACCIONES.CREAR_SUBTAREA),
     [
         body('nombreSubtarea').trim().notEmpty().withMessage('El nombre de la subtarea es requerido.'),
         body('descripcionSubtarea').trim().optional(),
         body('fechaEntregaSubtarea').isISO8601().toDate().withMessage('La fecha de entrega de la subtarea no es válida.'),
-        body('estadoSubtarea').isIn(['Pendiente', 'En Proceso', 'Completada', 'Bloqueada']).withMessage('Estado de subtarea inválido.'),
-        body('prioridadSubtarea').isIn(['Baja', 'Media', 'Alta', 'Urgente']).withMessage('Prioridad de subtarea inválida.'),
-        body('idUsuarioAsignadoSubtarea').optional({ nullable: true }).isInt().withMessage('El usuario asignado debe ser un número entero válido.')
+        body('estadoSubtarea').isIn(ESTADOS_TAREA).withMessage('Estado de subtarea inválido.'),
+        body('prioridadSubtarea').isIn(PRIORIDADES_TAREA).withMessage('Prioridad de subtarea inválida.'),
+        body('idUsuarioAsignadoSubtarea').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('El usuario asignado debe ser un número entero válido.'),
+        body('horasEstimadasSubtarea').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0, max: MAX_HORAS_ESTIMADAS }).withMessage('Las horas estimadas no son válidas.'),
+        body('idSubtareaPadre').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('La subtarea padre no es válida.')
     ],
     projectController.postCreateSubtask
 );
 
-router.get('/proyectos/:idProyecto/tareas/:idTarea/subtareas/editar/:idSubtarea', isAuthenticated, projectController.getEditSubtask);
+router.get('/proyectos/:idProyecto/tareas/:idTarea/subtareas/editar/:idSubtarea', isAuthenticated, authorize(ACCIONES.EDITAR_SUBTAREA), projectController.getEditSubtask);
 router.post('/proyectos/:idProyecto/tareas/:idTarea/subtareas/editar/:idSubtarea',
     isAuthenticated,
+    authorize(ACCIONES.EDITAR_SUBTAREA),
     [
         body('nombreSubtarea').trim().notEmpty().withMessage('El nombre de la subtarea es requerido.'),
         body('descripcionSubtarea').trim().optional(),
         body('fechaEntregaSubtarea').isISO8601().toDate().withMessage('La fecha de entrega de la subtarea no es válida.'),
-        body('estadoSubtarea').isIn(['Pendiente', 'En Proceso', 'Completada', 'Bloqueada']).withMessage('Estado de subtarea inválido.'),
-        body('prioridadSubtarea').isIn(['Baja', 'Media', 'Alta', 'Urgente']).withMessage('Prioridad de subtarea inválida.'),
-        body('idUsuarioAsignadoSubtarea').optional({ nullable: true }).isInt().withMessage('El usuario asignado debe ser un número entero válido.')
+        body('estadoSubtarea').isIn(ESTADOS_TAREA).withMessage('Estado de subtarea inválido.'),
+        body('prioridadSubtarea').isIn(PRIORIDADES_TAREA).withMessage('Prioridad de subtarea inválida.'),
+        body('idUsuarioAsignadoSubtarea').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('El usuario asignado debe ser un número entero válido.'),
+        body('horasEstimadasSubtarea').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0, max: MAX_HORAS_ESTIMADAS }).withMessage('Las horas estimadas no son válidas.')
     ],
     projectController.postEditSubtask
 );
-router.post('/proyectos/:idProyecto/tareas/:idTarea/subtareas/eliminar/:idSubtarea', isAuthenticated, projectController.postDeleteSubtask);
+// Mover a otra subtarea u otra tarea: EDITAR_SUBTAREA sobre la subtarea; subtaskService comprueba además CREAR_SUBTAREA en la tarea de destino
+router.post('/proyectos/:idProyecto/tareas/:idTarea/subtareas/mover/:idSubtarea',
+    isAuthenticated,
+    verifyCsrfToken,
+    authorize(ACCIONES.EDITAR_SUBTAREA),
+    body('destino').matches(/^\d+(-\d+)?$/).withMessage('Elige dónde colocar la subtarea.'),
+    projectController.postMoveSubtask
+);
+router.post('/proyectos/:idProyecto/tareas/:idTarea/subtareas/eliminar/:idSubtarea', isAuthenticated, authorize(ACCIONES.ELIMINAR_SUBTAREA), projectController.postDeleteSubtask);
+
+// --- Rutas para el registro de tiempo ---
+// El tiempo puede ser de la tarea o de una de sus subtareas (idSubtarea en el formulario), así que el permiso
+// REGISTRAR_TIEMPO lo comprueba timeService sobre la tarea o la subtarea elegida.
+router.post('/proyectos/:idProyecto/tareas/:idTarea/tiempo/iniciar', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.VER_PROYECTO), timeController.postStartTimer);
+router.post('/proyectos/:idProyecto/tareas/:idTarea/tiempo', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.VER_PROYECTO), timeController.validateTimeEntry, timeController.postAddTimeEntry);
+router.post('/proyectos/:idProyecto/tiempo/detener', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.VER_PROYECTO), timeController.postStopTimer);
+router.post('/proyectos/:idProyecto/tiempo/eliminar/:idRegistro', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.ELIMINAR_TIEMPO), timeController.postDeleteTimeEntry);
+router.get('/proyectos/:idProyecto/tiempo', isAuthenticated, authorize(ACCIONES.VER_PROYECTO), timeController.getTimesheet); // Hoja de tiempos
+
+// --- Rutas para las etiquetas del proyecto (se gestionan desde edit-project) ---
+router.post('/proyectos/:idProyecto/etiquetas', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.GESTIONAR_ETIQUETAS), labelController.validateLabel, labelController.postCreateLabel);
+router.post('/proyectos/:idProyecto/etiquetas/editar/:idEtiqueta', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.GESTIONAR_ETIQUETAS), labelController.validateLabel, labelController.postEditLabel);
+router.post('/proyectos/:idProyecto/etiquetas/eliminar/:idEtiqueta', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.GESTIONAR_ETIQUETAS), labelController.postDeleteLabel);
+
+// --- Rutas para plantillas y clonado (desde edit-project; los proyectos con plantilla se crean en /proyectos/crear) ---
+// Las plantillas son del usuario que las guardó, así que no pasan por authorize
+router.get('/plantillas', isAuthenticated, templateController.getTemplates);
+router.post('/plantillas/eliminar/:idPlantilla', isAuthenticated, verifyCsrfToken, templateController.postDeleteTemplate);
+router.post('/proyectos/:idProyecto/plantilla', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.COPIAR_PROYECTO), templateController.validateTemplate, templateController.postSaveTemplate);
+router.post('/proyectos/:idProyecto/clonar', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.COPIAR_PROYECTO), projectController.validateCloneProject, projectController.postCloneProject);
+
+// --- Rutas para Comentarios (hilo de cada tarea en project-details) ---
+router.post('/proyectos/:idProyecto/tareas/:idTarea/comentarios', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.COMENTAR), commentController.validateComment, commentController.postCreateComment);
+router.post('/proyectos/:idProyecto/comentarios/editar/:idComentario', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.EDITAR_COMENTARIO), commentController.validateComment, commentController.postEditComment);
+router.post('/proyectos/:idProyecto/comentarios/eliminar/:idComentario', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.ELIMINAR_COMENTARIO), commentController.postDeleteComment);
+
+// --- Rutas para Adjuntos (los archivos no están en la carpeta pública) ---
+// Multer debe procesar el formulario multipart antes de poder leer _csrf (igual que en /registro)
+router.post('/proyectos/:idProyecto/tareas/:idTarea/adjuntos', isAuthenticated, authorize(ACCIONES.ADJUNTAR_ARCHIVO), uploadAttachment, verifyCsrfToken, attachmentController.postUploadAttachment);
+router.post('/proyectos/:idProyecto/tareas/:idTarea/subtareas/:idSubtarea/adjuntos', isAuthenticated, authorize(ACCIONES.ADJUNTAR_ARCHIVO), uploadAttachment, verifyCsrfToken, attachmentController.postUploadAttachment);
+router.get('/proyectos/:idProyecto/adjuntos/:idAdjunto', isAuthenticated, authorize(ACCIONES.VER_PROYECTO), attachmentController.getDownloadAttachment);
+router.post('/proyectos/:idProyecto/adjuntos/eliminar/:idAdjunto', isAuthenticated, verifyCsrfToken, authorize(ACCIONES.ELIMINAR_ADJUNTO), attachmentController.postDeleteAttachment);
 
 module.exports = router;
\ No newline at end of file
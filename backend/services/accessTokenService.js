@@ -0,0 +1,128 @@
+// backend/services/accessTokenService.js
+// Tokens de acceso personales para usar la API desde scripts o CI con "Authorization: Bearer <token>".
+// Solo se guarda el hash SHA-256 del token (es aleatorio, no hace falta bcrypt); el token en claro
+// se muestra una única vez al crearlo. El alcance 'lectura' solo permite GET/HEAD (ver middlewares/apiToken.js).
+// Los tokens de una cuenta desactivada por un administrador no autentican.
+const sql = require('mssql');
+const config = require('../db.js');
+const crypto = require('crypto');
+
+const ALCANCES = {
+    LECTURA: 'lectura',
+    ESCRITURA: 'escritura'
+};
+
+const PREFIJO_TOKEN = 'ptd_';              // Permite reconocer los tokens de la app (p. ej. en escáneres de secretos)
+const MAX_TOKENS_POR_USUARIO = 20;
+const USO_CADA_MS = 60 * 1000;             // La fecha de último uso se guarda como mucho una vez por minuto
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// --- Consultas ---
+
+// Tokens del usuario (sin el hash), del más reciente al más antiguo
+async function listTokens(userId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .query(`
+            SELECT idToken, nombre, prefijo, alcance, fechaCreacion, ultimoUso
+            FROM TokensAcceso
+            WHERE idUsuario = @idUsuario
+            ORDER BY fechaCreacion DESC
+        `);
+    return result.recordset;
+}
+
+/**
+ * Identifica al usuario de un token Bearer.
+ * Devuelve { usuario: { id, nombre, foto }, idToken, alcance } o null si el token no existe o la cuenta está desactivada.
+ */
+async function authenticate(token) {
+    if (!token || !String(token).startsWith(PREFIJO_TOKEN)) return null;
+
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('tokenHash', sql.NVarChar, hashToken(token))
+        .input('segundos', sql.Int, USO_CADA_MS / 1000)
+        .query(`
+            UPDATE TokensAcceso
+            SET ultimoUso = GETDATE()
+            WHERE tokenHash = @tokenHash AND (ultimoUso IS NULL OR ultimoUso < DATEADD(SECOND, -@segundos, GETDATE()));
+
+            SELECT T.idToken, T.alcance, U.idUsuario, U.nombreUsuario, U.fotoPerfil
+            FROM TokensAcceso T
+            INNER JOIN Usuarios U ON U.idUsuario = T.idUsuario
+            WHERE T.tokenHash = @tokenHash AND U.cuentaActiva = 1;
+        `);
+
+    const fila = result.recordset[0];
+    if (!fila) return null;
+    return {
+        usuario: { id: fila.idUsuario, nombre: fila.nombreUsuario, foto: fila.fotoPerfil },
+        idToken: fila.idToken,
+        alcance: fila.alcance
+    };
+}
+
+// --- Operaciones ---
+
+// Crea un token. data.token es el valor en claro y no se puede volver a consultar.
+async function createToken(userId, nombre, alcance) {
+    const nombreLimpio = String(nombre || '').trim();
+    if (!nombreLimpio) {
+        return { success: false, error: 'El nombre del token es obligatorio', code: 'VALIDATION_ERROR' };
+    }
+    if (nombreLimpio.length > 100) {
+        return { success: false, error: 'El nombre no puede superar los 100 caracteres', code: 'VALIDATION_ERROR' };
+    }
+    if (!Object.values(ALCANCES).includes(alcance)) {
+        return { success: false, error: `Alcance inválido. Valores permitidos: ${Object.values(ALCANCES).join(', ')}`, code: 'VALIDATION_ERROR' };
+    }
+
+    const existentes = await listTokens(userId);
+    if (existentes.length >= MAX_TOKENS_POR_USUARIO) {
+        return { success: false, error: `No puedes tener más de ${MAX_TOKENS_POR_USUARIO} tokens. Revoca alguno antes de crear otro.`, code: 'CONFLICT' };
+    }
+
+    const token = PREFIJO_TOKEN + crypto.randomBytes(32).toString('base64url');
+    const prefijo = token.slice(0, PREFIJO_TOKEN.length + 6); // Para reconocerlo en la lista
+
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .input('nombre', sql.NVarChar, nombreLimpio)
+        .input('prefijo', sql.NVarChar, prefijo)
+        .input('tokenHash', sql.NVarChar, hashToken(token))
+        .input('alcance', sql.NVarChar, alcance)
+        .query(`
+            INSERT INTO TokensAcceso (idUsuario, nombre, prefijo, tokenHash, alcance)
+            OUTPUT INSERTED.idToken, INSERTED.nombre, INSERTED.prefijo, INSERTED.alcance, INSERTED.fechaCreacion, INSERTED.ultimoUso
+            VALUES (@idUsuario, @nombre, @prefijo, @tokenHash, @alcance)
+        `);
+
+    return { success: true, data: { ...result.recordset[0], token } };
+}
+
+async function revokeToken(userId, tokenId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idToken', sql.Int, tokenId)
+        .input('idUsuario', sql.Int, userId)
+        .query('DELETE FROM TokensAcceso WHERE idToken = @idToken AND idUsuario = @idUsuario');
+
+    if (result.rowsAffected[0] === 0) {
+        return { success: false, error: 'Token no encontrado', code: 'NOT_FOUND' };
+    }
+    return { success: true, data: null };
+}
+
+module.exports = {
+    ALCANCES,
+    listTokens,
+    authenticate,
+    createToken,
+    revokeToken
+};
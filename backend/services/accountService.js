@@ -0,0 +1,306 @@
+// backend/services/accountService.js
+// Exportación de los datos personales y eliminación de la cuenta por su titular.
+// La fila de Usuarios no se borra: se anonimiza (ver deleteAccount), así las columnas que la referencian
+// (Tareas.idUsuarioCreador, Comentarios.idUsuarioAutor, Actividad.idUsuarioActor...) siguen siendo válidas
+// y muestran "Usuario eliminado".
+const sql = require('mssql');
+const config = require('../db.js');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { ROL_ADMIN_SISTEMA } = require('../middlewares/auth');
+const projectService = require('./projectService');
+const adminService = require('./adminService');
+const profileService = require('./profileService');
+
+const VERSION_EXPORTACION = 1;
+const NOMBRE_USUARIO_ELIMINADO = 'Usuario eliminado';
+
+// Preferencia para heredar un proyecto cuyo administrador elimina su cuenta
+const ORDEN_SUCESOR = `
+    CASE PP.rolProyecto WHEN 'admin' THEN 0 WHEN 'editor' THEN 1 WHEN 'miembro' THEN 2 ELSE 3 END,
+    PP.fechaAsignacion ASC
+`;
+
+// --- Exportación ---
+
+/**
+ * Documento JSON con los datos del usuario: perfil (sin contraseña ni secretos), proyectos en los que participa,
+ * tareas y subtareas que creó o tiene asignadas, sus comentarios, los adjuntos que subió (solo metadatos), su tiempo registrado,
+ * sus notificaciones y sus plantillas de proyecto.
+ */
+async function exportUserData(userId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .query(`
+            SELECT idUsuario, nombreUsuario, correoUsuario, correoPendiente, fotoPerfil, rol, correoVerificado, totpActivado
+            FROM Usuarios
+            WHERE idUsuario = @idUsuario;
+
+            SELECT
+                P.idProyecto,
+                P.nombreProyecto,
+                CAST(P.descripcionProyecto AS NVARCHAR(MAX)) AS descripcionProyecto,
+                P.fechaCreacion,
+                P.fechaEntrega,
+                P.estadoProyecto,
+                U_Admin.nombreUsuario AS nombreAdmin,
+                PP.rolProyecto,
+                PP.estadoInvitacion,
+                PP.fechaAsignacion
+            FROM ParticipantesProyecto PP
+            JOIN Proyectos P ON PP.idProyecto = P.idProyecto
+            JOIN Usuarios U_Admin ON P.idUsuarioAdmin = U_Admin.idUsuario
+            WHERE PP.idUsuario = @idUsuario
+            ORDER BY P.fechaCreacion;
+
+            SELECT
+                T.idTarea,
+                T.idProyecto,
+                P.nombreProyecto,
+                T.nombreTarea,
+                CAST(T.descripcionTarea AS NVARCHAR(MAX)) AS descripcionTarea,
+                T.fechaCreacion,
+                T.fechaEntrega,
+                T.estadoTarea,
+                T.prioridadTarea,
+                U_Creador.nombreUsuario AS nombreCreador,
+                U_Asignado.nombreUsuario AS nombreAsignado,
+                CAST(CASE WHEN T.idUsuarioCreador = @idUsuario THEN 1 ELSE 0 END AS BIT) AS creadaPorMi,
+                CAST(CASE WHEN T.idUsuarioAsignado = @idUsuario THEN 1 ELSE 0 END AS BIT) AS asignadaAMi
+            FROM Tareas T
+            JOIN Proyectos P ON T.idProyecto = P.idProyecto
+            JOIN Usuarios U_Creador ON T.idUsuarioCreador = U_Creador.idUsuario
+            LEFT JOIN Usuarios U_Asignado ON T.idUsuarioAsignado = U_Asignado.idUsuario
+            WHERE T.idUsuarioCreador = @idUsuario OR T.idUsuarioAsignado = @idUsuario
+            ORDER BY T.fechaCreacion;
+
+            SELECT
+                S.idSubtarea,
+                S.idTarea,
+                T.nombreTarea,
+                T.idProyecto,
+                S.idSubtareaPadre,
+                S.nombreSubtarea,
+                CAST(S.descripcionSubtarea AS NVARCHAR(MAX)) AS descripcionSubtarea,
+                S.fechaCreacion,
+                S.fechaEntrega,
+                S.estadoSubtarea,
+                S.prioridadSubtarea,
+                U_Creador.nombreUsuario AS nombreCreador,
+                U_Asignado.nombreUsuario AS nombreAsignado,
+                CAST(CASE WHEN S.idUsuarioCreador = @idUsuario THEN 1 ELSE 0 END AS BIT) AS creadaPorMi,
+                CAST(CASE WHEN S.idUsuarioAsignado = @idUsuario THEN 1 ELSE 0 END AS BIT) AS asignadaAMi
+            FROM Subtareas S
+            JOIN Tareas T ON S.idTarea = T.idTarea
+            JOIN Usuarios U_Creador ON S.idUsuarioCreador = U_Creador.idUsuario
+            LEFT JOIN Usuarios U_Asignado ON S.idUsuarioAsignado = U_Asignado.idUsuario
+            WHERE S.idUsuarioCreador = @idUsuario OR S.idUsuarioAsignado = @idUsuario
+            ORDER BY S.fechaCreacion;
+
+            SELECT C.idComentario, C.idTarea, C.idSubtarea, T.idProyecto, C.contenido, C.fechaCreacion, C.fechaEdicion
+            FROM Comentarios C
+            JOIN Tareas T ON C.idTarea = T.idTarea
+            WHERE C.idUsuarioAutor = @idUsuario
+            ORDER BY C.fechaCreacion;
+
+            SELECT A.idAdjunto, A.idTarea, A.idSubtarea, T.idProyecto, A.nombreOriginal, A.tipoMime, A.tamanoBytes, A.fechaSubida
+            FROM Adjuntos A
+            JOIN Tareas T ON A.idTarea = T.idTarea
+            WHERE A.idUsuarioSubida = @idUsuario
+            ORDER BY A.fechaSubida;
+
+            SELECT R.idRegistro, R.idTarea, R.idSubtarea, T.idProyecto, R.inicio, R.fin, R.minutos, R.nota, R.manual
+            FROM RegistrosTiempo R
+            JOIN Tareas T ON R.idTarea = T.idTarea
+            WHERE R.idUsuario = @idUsuario
+            ORDER BY R.inicio;
+
+            SELECT
+                N.idNotificacion,
+                N.tipoNotificacion,
+                N.mensaje,
+                N.idProyectoRelacionado,
+                N.idTareaRelacionada,
+                N.idSubtareaRelacionada,
+                U_Emisor.nombreUsuario AS nombreEmisor,
+                N.fechaCreacion,
+                N.leida
+            FROM Notificaciones N
+            LEFT JOIN Usuarios U_Emisor ON N.idUsuarioEmisor = U_Emisor.idUsuario
+            WHERE N.idUsuarioReceptor = @idUsuario
+            ORDER BY N.fechaCreacion;
+
+            SELECT
+                PL.idPlantilla,
+                PL.nombrePlantilla,
+                PL.descripcionProyecto,
+                PL.nombreProyectoOrigen,
+                PL.fechaCreacion,
+                (SELECT COUNT(*) FROM PlantillasTareas PT WHERE PT.idPlantilla = PL.idPlantilla) AS numTareas
+            FROM Plantillas PL
+            WHERE PL.idUsuarioCreador = @idUsuario
+            ORDER BY PL.fechaCreacion;
+        `);
+
+    const [perfil] = result.recordsets[0];
+    if (!perfil) {
+        return { success: false, error: 'Usuario no encontrado', code: 'NOT_FOUND' };
+    }
+
+    return {
+        success: true,
+        data: {
+            version: VERSION_EXPORTACION,
+            fechaExportacion: new Date().toISOString(),
+            perfil,
+            proyectos: result.recordsets[1],
+            tareas: result.recordsets[2],
+            subtareas: result.recordsets[3],
+            comentarios: result.recordsets[4],
+            adjuntos: result.recordsets[5],
+            registrosTiempo: result.recordsets[6],
+            notificaciones: result.recordsets[7],
+            plantillas: result.recordsets[8]
+        }
+    };
+}
+
+// --- Eliminación ---
+
+// Participante aceptado y con la cuenta activa que hereda el proyecto, o undefined si no hay ninguno
+async function findSuccessor(projectId, userId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('idUsuario', sql.Int, userId)
+        .query(`
+            SELECT TOP 1 PP.idUsuario
+            FROM ParticipantesProyecto PP
+            JOIN Usuarios U ON PP.idUsuario = U.idUsuario
+            WHERE PP.idProyecto = @idProyecto AND PP.idUsuario <> @idUsuario
+            AND PP.estadoInvitacion = 'aceptada' AND U.cuentaActiva = 1
+            ORDER BY ${ORDEN_SUCESOR};
+        `);
+    return result.recordset[0];
+}
+
+/**
+ * Proyectos que administra el usuario: se transfieren al participante con más rol (admin, editor, miembro, lector);
+ * si no queda nadie se eliminan. Si solo quedan participantes con la cuenta desactivada, el proyecto sigue
+ * a nombre de la cuenta eliminada y aparece en /admin/proyectos para que un administrador lo transfiera.
+ */
+async function handleOwnedProjects(usuario) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, usuario.idUsuario)
+        .query(`
+            SELECT P.idProyecto,
+                (SELECT COUNT(*) FROM ParticipantesProyecto PP
+                 WHERE PP.idProyecto = P.idProyecto AND PP.idUsuario <> @idUsuario AND PP.estadoInvitacion = 'aceptada') AS otrosParticipantes
+            FROM Proyectos P
+            WHERE P.idUsuarioAdmin = @idUsuario
+        `);
+
+    const actor = { id: usuario.idUsuario, nombre: usuario.nombreUsuario };
+    const resumen = { transferidos: 0, eliminados: 0, sinAdministrador: 0 };
+
+    for (const proyecto of result.recordset) {
+        const sucesor = await findSuccessor(proyecto.idProyecto, usuario.idUsuario);
+        if (sucesor) {
+            await adminService.transferProject(actor, proyecto.idProyecto, sucesor.idUsuario);
+            resumen.transferidos++;
+        } else if (proyecto.otrosParticipantes === 0) {
+            await projectService.deleteProject(proyecto.idProyecto, actor);
+            resumen.eliminados++;
+        } else {
+            resumen.sinAdministrador++;
+        }
+    }
+    return resumen;
+}
+
+/**
+ * Elimina la cuenta del usuario (pide su contraseña).
+ * - Proyectos que administra: ver handleOwnedProjects.
+ * - Deja los proyectos en los que participa, las tareas y subtareas que tenía asignadas quedan sin asignar,
+ *   y se borran sus notificaciones, sesiones, tokens de acceso, códigos de recuperación y plantillas
+ *   (también deja de figurar como participante en las plantillas de otros).
+ * - Lo que creó (tareas, subtareas, comentarios, adjuntos, actividad) se conserva a nombre de "Usuario eliminado".
+ * - La fila de Usuarios se anonimiza: sin nombre, correo, contraseña utilizable ni foto, y con la cuenta desactivada.
+ */
+async function deleteAccount(userId, contrasena) {
+    const pool = await sql.connect(config);
+    const usuarioResult = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .input('rolAdmin', sql.NVarChar, ROL_ADMIN_SISTEMA)
+        .query(`
+            SELECT idUsuario, nombreUsuario, contrasenia, fotoPerfil, rol,
+                (SELECT COUNT(*) FROM Usuarios
+                 WHERE rol = @rolAdmin AND cuentaActiva = 1 AND idUsuario <> @idUsuario) AS otrosAdministradores
+            FROM Usuarios
+            WHERE idUsuario = @idUsuario AND fechaEliminacion IS NULL
+        `);
+    const usuario = usuarioResult.recordset[0];
+
+    if (!usuario) {
+        return { success: false, error: 'Usuario no encontrado', code: 'NOT_FOUND' };
+    }
+    if (!bcrypt.compareSync(String(contrasena || ''), usuario.contrasenia)) {
+        return { success: false, error: 'La contraseña no es correcta', code: 'VALIDATION_ERROR' };
+    }
+    if (usuario.rol === ROL_ADMIN_SISTEMA && usuario.otrosAdministradores === 0) {
+        return { success: false, error: 'Eres el único administrador del sistema. Nombra a otro antes de eliminar tu cuenta.', code: 'CONFLICT' };
+    }
+
+    const proyectos = await handleOwnedProjects(usuario);
+
+    await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .input('nombreUsuario', sql.NVarChar, NOMBRE_USUARIO_ELIMINADO)
+        .input('correoUsuario', sql.NVarChar, `eliminado-${userId}@eliminado.invalid`) // correoUsuario es UNIQUE y NOT NULL
+        .input('contrasenia', sql.VarChar, bcrypt.hashSync(crypto.randomBytes(32).toString('hex'), 10))
+        .query(`
+            SET XACT_ABORT ON;
+            BEGIN TRANSACTION;
+
+            DELETE FROM ParticipantesProyecto WHERE idUsuario = @idUsuario;
+            UPDATE Tareas SET idUsuarioAsignado = NULL WHERE idUsuarioAsignado = @idUsuario;
+            UPDATE Subtareas SET idUsuarioAsignado = NULL WHERE idUsuarioAsignado = @idUsuario;
+            DELETE FROM RegistrosTiempo WHERE idUsuario = @idUsuario AND fin IS NULL; -- Temporizador en marcha
+            DELETE FROM Notificaciones WHERE idUsuarioReceptor = @idUsuario;
+            UPDATE Notificaciones SET idUsuarioEmisor = NULL WHERE idUsuarioEmisor = @idUsuario;
+            DELETE FROM CodigosRecuperacion WHERE idUsuario = @idUsuario;
+            DELETE FROM TokensAcceso WHERE idUsuario = @idUsuario;
+            DELETE FROM Sesiones WHERE idUsuario = @idUsuario;
+            DELETE FROM Plantillas WHERE idUsuarioCreador = @idUsuario; -- Sus tareas, subtareas y participantes se borran en cascada
+            DELETE FROM PlantillasParticipantes WHERE idUsuario = @idUsuario;
+
+            UPDATE Usuarios
+            SET nombreUsuario = @nombreUsuario,
+                correoUsuario = @correoUsuario,
+                contrasenia = @contrasenia,
+                fotoPerfil = NULL,
+                correoPendiente = NULL,
+                tokenRecuperacion = NULL,
+                tokenExpiracion = NULL,
+                totpSecreto = NULL,
+                totpActivado = 0,
+                totpUltimoPaso = NULL,
+                rol = 'usuario',
+                cuentaActiva = 0,
+                fechaEliminacion = GETDATE()
+            WHERE idUsuario = @idUsuario;
+
+            COMMIT TRANSACTION;
+        `);
+
+    profileService.removeUploadedPhoto(usuario.fotoPerfil);
+
+    return { success: true, data: { proyectos } };
+}
+
+module.exports = {
+    exportUserData,
+    deleteAccount
+};
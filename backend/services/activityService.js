@@ -0,0 +1,170 @@
+// backend/services/activityService.js
+// Registro de actividad (auditoría) de cada proyecto: quién creó, cambió o eliminó qué y cuándo,
+// con los valores anteriores y nuevos de cada campo.
+const sql = require('mssql');
+const config = require('../db.js');
+
+// Valores de Actividad.tipoEntidad
+const TIPOS_ENTIDAD = {
+    PROYECTO: 'proyecto',
+    TAREA: 'tarea',
+    SUBTAREA: 'subtarea',
+    PARTICIPANTE: 'participante'
+};
+
+// Valores de Actividad.operacion
+const OPERACIONES = {
+    CREAR: 'crear',
+    ACTUALIZAR: 'actualizar',
+    ELIMINAR: 'eliminar'
+};
+
+// Columnas que se comparan en cada tipo de entidad (las filas vienen de los SELECT de cada servicio)
+const CAMPOS_AUDITADOS = {
+    [TIPOS_ENTIDAD.PROYECTO]: ['nombreProyecto', 'descripcionProyecto', 'fechaEntrega', 'estadoProyecto'],
+    [TIPOS_ENTIDAD.TAREA]: ['nombreTarea', 'descripcionTarea', 'fechaEntrega', 'estadoTarea', 'prioridadTarea', 'nombreAsignado', 'horasEstimadas', 'reglaRecurrencia', 'recurrenciaPausada', 'nombresBloqueantes', 'nombresEtiquetas'],
+    [TIPOS_ENTIDAD.SUBTAREA]: ['nombreSubtarea', 'descripcionSubtarea', 'fechaEntrega', 'estadoSubtarea', 'prioridadSubtarea', 'nombreAsignadoSubtarea', 'horasEstimadas', 'nombresEtiquetas', 'nombreUbicacion'],
+    [TIPOS_ENTIDAD.PARTICIPANTE]: ['rolProyecto', 'estadoInvitacion']
+};
+
+// Textos para mostrar la actividad en project-details
+const ETIQUETAS_CAMPOS = {
+    nombreProyecto: 'Nombre',
+    descripcionProyecto: 'Descripción',
+    estadoProyecto: 'Estado',
+    nombreTarea: 'Nombre',
+    descripcionTarea: 'Descripción',
+    estadoTarea: 'Estado',
+    prioridadTarea: 'Prioridad',
+    nombreAsignado: 'Asignado a',
+    horasEstimadas: 'Horas estimadas',
+    reglaRecurrencia: 'Repetición',
+    recurrenciaPausada: 'Repetición en pausa',
+    nombresBloqueantes: 'Bloqueada por',
+    nombresEtiquetas: 'Etiquetas',
+    nombreSubtarea: 'Nombre',
+    descripcionSubtarea: 'Descripción',
+    estadoSubtarea: 'Estado',
+    prioridadSubtarea: 'Prioridad',
+    nombreAsignadoSubtarea: 'Asignado a',
+    nombreUbicacion: 'Ubicación',
+    fechaEntrega: 'Fecha de entrega',
+    rolProyecto: 'Rol',
+    estadoInvitacion: 'Invitación'
+};
+
+const VERBOS_OPERACION = {
+    [OPERACIONES.CREAR]: 'creó',
+    [OPERACIONES.ACTUALIZAR]: 'actualizó',
+    [OPERACIONES.ELIMINAR]: 'eliminó'
+};
+
+const TAMANO_PAGINA_POR_DEFECTO = 20;
+const TAMANO_PAGINA_MAXIMO = 100;
+
+// Las fechas se guardan como ISO y los vacíos como null para que la comparación sea estable
+function normalizeValue(valor) {
+    if (valor === undefined || valor === null || valor === '') return null;
+    if (valor instanceof Date) return valor.toISOString();
+    return valor;
+}
+
+// { campo: { antes, despues } } solo con los campos auditados que cambiaron
+function diffFields(tipoEntidad, antes = {}, despues = {}) {
+    const cambios = {};
+    for (const campo of CAMPOS_AUDITADOS[tipoEntidad] || []) {
+        const valorAntes = normalizeValue(antes[campo]);
+        const valorDespues = normalizeValue(despues[campo]);
+        if (valorAntes !== valorDespues) {
+            cambios[campo] = { antes: valorAntes, despues: valorDespues };
+        }
+    }
+    return cambios;
+}
+
+/**
+ * Registra una operación sobre una entidad del proyecto.
+ * antes/despues son las filas antes y después del cambio (null al crear/eliminar).
+ * Una actualización sin cambios en los campos auditados no se registra.
+ * Nunca lanza: si falla solo se registra el error, igual que createNotification.
+ */
+async function recordActivity({ idProyecto, idUsuarioActor, tipoEntidad, idEntidad, nombreEntidad, operacion, antes = null, despues = null }) {
+    const cambios = diffFields(tipoEntidad, antes || {}, despues || {});
+    if (operacion === OPERACIONES.ACTUALIZAR && Object.keys(cambios).length === 0) {
+        return;
+    }
+
+    try {
+        const pool = await sql.connect(config);
+        await pool.request()
+            .input('idProyecto', sql.Int, idProyecto)
+            .input('idUsuarioActor', sql.Int, idUsuarioActor)
+            .input('tipoEntidad', sql.NVarChar, tipoEntidad)
+            .input('idEntidad', sql.Int, idEntidad)
+            .input('nombreEntidad', sql.NVarChar, nombreEntidad ? String(nombreEntidad).slice(0, 255) : null)
+            .input('operacion', sql.NVarChar, operacion)
+            .input('cambios', sql.NVarChar(sql.MAX), JSON.stringify(cambios))
+            .query(`
+                INSERT INTO Actividad (idProyecto, idUsuarioActor, tipoEntidad, idEntidad, nombreEntidad, operacion, cambios, fechaActividad)
+                VALUES (@idProyecto, @idUsuarioActor, @tipoEntidad, @idEntidad, @nombreEntidad, @operacion, @cambios, GETDATE());
+            `);
+    } catch (error) {
+        console.error("Error al registrar actividad:", error);
+    }
+}
+
+// Página de actividad del proyecto, de la más reciente a la más antigua
+async function getActivity(projectId, { pagina = 1, tamanoPagina = TAMANO_PAGINA_POR_DEFECTO } = {}) {
+    const tamano = Math.min(Math.max(parseInt(tamanoPagina, 10) || TAMANO_PAGINA_POR_DEFECTO, 1), TAMANO_PAGINA_MAXIMO);
+    const numeroPagina = Math.max(parseInt(pagina, 10) || 1, 1);
+
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('offset', sql.Int, (numeroPagina - 1) * tamano)
+        .input('tamano', sql.Int, tamano)
+        .query(`
+            SELECT COUNT(*) AS total FROM Actividad WHERE idProyecto = @idProyecto;
+
+            SELECT
+                A.idActividad,
+                A.idProyecto,
+                A.idUsuarioActor,
+                U.nombreUsuario AS nombreActor,
+                A.tipoEntidad,
+                A.idEntidad,
+                A.nombreEntidad,
+                A.operacion,
+                A.cambios,
+                A.fechaActividad
+            FROM Actividad A
+            LEFT JOIN Usuarios U ON A.idUsuarioActor = U.idUsuario
+            WHERE A.idProyecto = @idProyecto
+            ORDER BY A.fechaActividad DESC, A.idActividad DESC
+            OFFSET @offset ROWS FETCH NEXT @tamano ROWS ONLY;
+        `);
+
+    const total = result.recordsets[0][0].total;
+    return {
+        actividades: result.recordsets[1].map(actividad => ({
+            ...actividad,
+            cambios: actividad.cambios ? JSON.parse(actividad.cambios) : {}
+        })),
+        paginacion: {
+            pagina: numeroPagina,
+            tamanoPagina: tamano,
+            total,
+            totalPaginas: Math.max(Math.ceil(total / tamano), 1)
+        }
+    };
+}
+
+module.exports = {
+    TIPOS_ENTIDAD,
+    OPERACIONES,
+    ETIQUETAS_CAMPOS,
+    VERBOS_OPERACION,
+    diffFields,
+    recordActivity,
+    getActivity
+};
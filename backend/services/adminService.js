@@ -0,0 +1,378 @@
+// backend/services/adminService.js
+// Administración del sistema (Usuarios.rol = 'admin_general'): usuarios, roles, cuentas desactivadas
+// y proyectos de todos los usuarios. Lo usan adminController (/admin) y routes/api.js (/api/admin).
+const sql = require('mssql');
+const config = require('../db.js');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { ROL_ADMIN_SISTEMA } = require('../middlewares/auth');
+const sessionService = require('./sessionService');
+const mailService = require('./mailService');
+const { recordActivity, TIPOS_ENTIDAD, OPERACIONES } = require('./activityService');
+const { createNotification, TIPOS_NOTIFICACION } = require('./notificationService');
+
+// Valores de Usuarios.rol
+const ROLES_SISTEMA = {
+    USUARIO: 'usuario',
+    ADMIN_GENERAL: ROL_ADMIN_SISTEMA
+};
+
+const TAMANO_PAGINA_POR_DEFECTO = 25;
+const TAMANO_PAGINA_MAXIMO = 100;
+const HORAS_ENLACE_RESTABLECER = 24; // Más que en la recuperación normal: el usuario no lo está esperando
+
+const USER_COLUMNS = `
+    U.idUsuario,
+    U.nombreUsuario,
+    U.correoUsuario,
+    U.rol,
+    U.fotoPerfil,
+    U.correoVerificado,
+    U.cuentaActiva,
+    U.totpActivado,
+    U.fechaEliminacion
+`;
+
+function pageOptions(pagina, tamanoPagina) {
+    const tamano = Math.min(Math.max(parseInt(tamanoPagina, 10) || TAMANO_PAGINA_POR_DEFECTO, 1), TAMANO_PAGINA_MAXIMO);
+    const numeroPagina = Math.max(parseInt(pagina, 10) || 1, 1);
+    return { tamano, numeroPagina };
+}
+
+function pagination(numeroPagina, tamano, total) {
+    return {
+        pagina: numeroPagina,
+        tamanoPagina: tamano,
+        total,
+        totalPaginas: Math.max(Math.ceil(total / tamano), 1)
+    };
+}
+
+// Un administrador no puede desactivarse ni quitarse el rol a sí mismo: así siempre queda al menos uno
+function checkNotSelf(adminId, userId, accion) {
+    if (Number(adminId) === Number(userId)) {
+        return { success: false, error: `No puedes ${accion} tu propia cuenta. Pídeselo a otro administrador.`, code: 'CONFLICT' };
+    }
+    return null;
+}
+
+// Las cuentas eliminadas por su titular (accountService.deleteAccount) están anonimizadas y no se pueden recuperar
+async function findEditableUser(userId) {
+    const usuario = await getUser(userId);
+    if (!usuario) {
+        return { success: false, error: 'Usuario no encontrado', code: 'NOT_FOUND' };
+    }
+    if (usuario.fechaEliminacion) {
+        return { success: false, error: 'La cuenta fue eliminada por su titular y no se puede modificar', code: 'CONFLICT' };
+    }
+    return { success: true, data: usuario };
+}
+
+// --- Usuarios ---
+
+// Página de usuarios; search filtra por nombre, correo o ID
+async function listUsers({ search = null, pagina = 1, tamanoPagina = TAMANO_PAGINA_POR_DEFECTO } = {}) {
+    const { tamano, numeroPagina } = pageOptions(pagina, tamanoPagina);
+
+    const pool = await sql.connect(config);
+    const request = pool.request()
+        .input('offset', sql.Int, (numeroPagina - 1) * tamano)
+        .input('tamano', sql.Int, tamano);
+
+    let filtroBusqueda = '';
+    if (search) {
+        request.input('searchTerm', sql.NVarChar, `%${search}%`);
+        filtroBusqueda = `
+            WHERE U.nombreUsuario LIKE @searchTerm
+            OR U.correoUsuario LIKE @searchTerm
+            OR CAST(U.idUsuario AS NVARCHAR) LIKE @searchTerm`;
+    }
+
+    const result = await request.query(`
+        SELECT COUNT(*) AS total FROM Usuarios U ${filtroBusqueda};
+
+        SELECT ${USER_COLUMNS},
+            (SELECT COUNT(*) FROM Proyectos P WHERE P.idUsuarioAdmin = U.idUsuario) AS proyectosAdministrados
+        FROM Usuarios U
+        ${filtroBusqueda}
+        ORDER BY U.nombreUsuario ASC, U.idUsuario ASC
+        OFFSET @offset ROWS FETCH NEXT @tamano ROWS ONLY;
+    `);
+
+    return {
+        usuarios: result.recordsets[1],
+        paginacion: pagination(numeroPagina, tamano, result.recordsets[0][0].total)
+    };
+}
+
+async function getUser(userId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .query(`SELECT ${USER_COLUMNS} FROM Usuarios U WHERE U.idUsuario = @idUsuario`);
+    return result.recordset[0];
+}
+
+// Desactiva o reactiva una cuenta. Al desactivarla se cierran sus sesiones; sus tokens de acceso dejan de valer
+// mientras siga desactivada (accessTokenService.authenticate) y el login la rechaza.
+async function setAccountActive(adminId, userId, activa) {
+    if (!activa) {
+        const propia = checkNotSelf(adminId, userId, 'desactivar');
+        if (propia) return propia;
+    }
+    const editable = await findEditableUser(userId);
+    if (!editable.success) return editable;
+
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .input('cuentaActiva', sql.Bit, activa ? 1 : 0)
+        .query(`
+            UPDATE Usuarios SET cuentaActiva = @cuentaActiva WHERE idUsuario = @idUsuario;
+            SELECT ${USER_COLUMNS} FROM Usuarios U WHERE U.idUsuario = @idUsuario;
+        `);
+    const usuario = result.recordset[0];
+
+    let sesionesCerradas = 0;
+    if (!activa) {
+        sesionesCerradas = (await sessionService.revokeAllSessions(usuario.idUsuario)).data.cerradas;
+    }
+    return { success: true, data: { ...usuario, sesionesCerradas } };
+}
+
+// Cambia el rol del sistema ('usuario' o 'admin_general')
+async function changeSystemRole(adminId, userId, rol) {
+    if (!Object.values(ROLES_SISTEMA).includes(rol)) {
+        return { success: false, error: `El rol debe ser uno de: ${Object.values(ROLES_SISTEMA).join(', ')}`, code: 'VALIDATION_ERROR' };
+    }
+    const propia = checkNotSelf(adminId, userId, 'cambiar el rol de');
+    if (propia) return propia;
+    const editable = await findEditableUser(userId);
+    if (!editable.success) return editable;
+
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .input('rol', sql.NVarChar, rol)
+        .query(`
+            UPDATE Usuarios SET rol = @rol WHERE idUsuario = @idUsuario;
+            SELECT ${USER_COLUMNS} FROM Usuarios U WHERE U.idUsuario = @idUsuario;
+        `);
+    return { success: true, data: result.recordset[0] };
+}
+
+/**
+ * Restablece la contraseña de un usuario: la actual deja de funcionar, se cierran sus sesiones
+ * y se le envía un enlace de /reset-password para elegir una nueva. El administrador nunca la conoce.
+ */
+async function resetPassword(userId) {
+    const editable = await findEditableUser(userId);
+    if (!editable.success) return editable;
+    const usuario = editable.data;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const contraseniaAleatoria = bcrypt.hashSync(crypto.randomBytes(32).toString('hex'), 10);
+
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .input('contrasenia', sql.VarChar, contraseniaAleatoria)
+        .input('tokenRecuperacion', sql.VarChar, token)
+        .input('tokenExpiracion', sql.DateTime, new Date(Date.now() + HORAS_ENLACE_RESTABLECER * 3600000))
+        .query(`
+            UPDATE Usuarios
+            SET contrasenia = @contrasenia, tokenRecuperacion = @tokenRecuperacion, tokenExpiracion = @tokenExpiracion
+            WHERE idUsuario = @idUsuario
+        `);
+
+    const sesiones = await sessionService.revokeAllSessions(userId);
+
+    await mailService.sendMail({
+        para: usuario.correoUsuario,
+        asunto: 'Tu contraseña se ha restablecido',
+        plantilla: 'contrasena-restablecida',
+        datos: {
+            nombre: usuario.nombreUsuario,
+            enlace: mailService.appUrl(`/reset-password/${token}`),
+            horas: HORAS_ENLACE_RESTABLECER
+        }
+    });
+
+    return { success: true, data: { ...usuario, sesionesCerradas: sesiones.data.cerradas } };
+}
+
+// --- Proyectos ---
+
+// Página con los proyectos de todos los usuarios. soloSinAdmin deja los que tienen el administrador desactivado.
+async function listProjects({ search = null, soloSinAdmin = false, pagina = 1, tamanoPagina = TAMANO_PAGINA_POR_DEFECTO } = {}) {
+    const { tamano, numeroPagina } = pageOptions(pagina, tamanoPagina);
+
+    const pool = await sql.connect(config);
+    const request = pool.request()
+        .input('offset', sql.Int, (numeroPagina - 1) * tamano)
+        .input('tamano', sql.Int, tamano);
+
+    const filtros = [];
+    if (search) {
+        request.input('searchTerm', sql.NVarChar, `%${search}%`);
+        filtros.push(`(
+            P.nombreProyecto LIKE @searchTerm
+            OR CAST(P.descripcionProyecto AS NVARCHAR(MAX)) LIKE @searchTerm
+            OR CAST(P.idProyecto AS NVARCHAR) LIKE @searchTerm
+            OR U_Admin.nombreUsuario LIKE @searchTerm
+            OR U_Admin.correoUsuario LIKE @searchTerm
+        )`);
+    }
+    if (soloSinAdmin) {
+        filtros.push('U_Admin.cuentaActiva = 0');
+    }
+    const where = filtros.length > 0 ? `WHERE ${filtros.join(' AND ')}` : '';
+
+    const result = await request.query(`
+        SELECT COUNT(*) AS total
+        FROM Proyectos P
+        JOIN Usuarios U_Admin ON P.idUsuarioAdmin = U_Admin.idUsuario
+        ${where};
+
+        SELECT
+            P.idProyecto,
+            P.nombreProyecto,
+            P.fechaCreacion,
+            P.fechaEntrega,
+            P.estadoProyecto,
+            P.idUsuarioAdmin,
+            U_Admin.nombreUsuario AS nombreAdmin,
+            U_Admin.correoUsuario AS correoAdmin,
+            U_Admin.cuentaActiva AS adminActivo,
+            (SELECT COUNT(*) FROM ParticipantesProyecto PP
+             WHERE PP.idProyecto = P.idProyecto AND PP.estadoInvitacion = 'aceptada') AS participantes
+        FROM Proyectos P
+        JOIN Usuarios U_Admin ON P.idUsuarioAdmin = U_Admin.idUsuario
+        ${where}
+        ORDER BY P.fechaCreacion DESC, P.idProyecto DESC
+        OFFSET @offset ROWS FETCH NEXT @tamano ROWS ONLY;
+    `);
+
+    return {
+        proyectos: result.recordsets[1],
+        paginacion: pagination(numeroPagina, tamano, result.recordsets[0][0].total)
+    };
+}
+
+/**
+ * Transfiere un proyecto a otro usuario (por ID o correo), p. ej. cuando su administrador dejó la organización.
+ * El nuevo dueño pasa a ser participante aceptado con rol 'admin' y el anterior se queda como 'editor'.
+ */
+async function transferProject(admin, projectId, destino) {
+    const valorDestino = String(destino ?? '').trim();
+    if (!valorDestino) {
+        return { success: false, error: 'Indica el ID o el correo del nuevo administrador', code: 'VALIDATION_ERROR' };
+    }
+
+    const pool = await sql.connect(config);
+    const destinoEsId = /^\d+$/.test(valorDestino);
+    const usuarioResult = await pool.request()
+        .input('idUsuario', sql.Int, destinoEsId ? Number(valorDestino) : null)
+        .input('correo', sql.NVarChar, destinoEsId ? null : valorDestino)
+        .query(`
+            SELECT idUsuario, nombreUsuario, cuentaActiva
+            FROM Usuarios
+            WHERE idUsuario = @idUsuario OR correoUsuario = @correo
+        `);
+    const nuevoAdmin = usuarioResult.recordset[0];
+
+    if (!nuevoAdmin) {
+        return { success: false, error: 'No existe ningún usuario con ese ID o correo', code: 'NOT_FOUND' };
+    }
+    if (!nuevoAdmin.cuentaActiva) {
+        return { success: false, error: 'No se puede transferir un proyecto a una cuenta desactivada', code: 'CONFLICT' };
+    }
+
+    const proyectoResult = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('idUsuario', sql.Int, nuevoAdmin.idUsuario)
+        .query(`
+            SELECT P.idProyecto, P.nombreProyecto, P.idUsuarioAdmin, U.nombreUsuario AS nombreAdmin,
+                PP.idParticipante, PP.rolProyecto, PP.estadoInvitacion
+            FROM Proyectos P
+            JOIN Usuarios U ON P.idUsuarioAdmin = U.idUsuario
+            LEFT JOIN ParticipantesProyecto PP ON PP.idProyecto = P.idProyecto AND PP.idUsuario = @idUsuario
+            WHERE P.idProyecto = @idProyecto
+        `);
+    const proyecto = proyectoResult.recordset[0];
+
+    if (!proyecto) {
+        return { success: false, error: 'Proyecto no encontrado', code: 'NOT_FOUND' };
+    }
+    if (proyecto.idUsuarioAdmin === nuevoAdmin.idUsuario) {
+        return { success: false, error: `${nuevoAdmin.nombreUsuario} ya es el administrador del proyecto`, code: 'CONFLICT' };
+    }
+
+    // En una transacción: si algo falla, el proyecto no cambia de administrador a medias
+    const participacion = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('idNuevoAdmin', sql.Int, nuevoAdmin.idUsuario)
+        .input('idAdminAnterior', sql.Int, proyecto.idUsuarioAdmin)
+        .query(`
+            SET XACT_ABORT ON;
+            BEGIN TRANSACTION;
+
+            UPDATE Proyectos SET idUsuarioAdmin = @idNuevoAdmin WHERE idProyecto = @idProyecto;
+
+            UPDATE ParticipantesProyecto SET rolProyecto = 'editor'
+            WHERE idProyecto = @idProyecto AND idUsuario = @idAdminAnterior AND rolProyecto = 'admin';
+
+            MERGE ParticipantesProyecto AS destino
+            USING (SELECT @idProyecto AS idProyecto, @idNuevoAdmin AS idUsuario) AS origen
+            ON destino.idProyecto = origen.idProyecto AND destino.idUsuario = origen.idUsuario
+            WHEN MATCHED THEN
+                UPDATE SET rolProyecto = 'admin', estadoInvitacion = 'aceptada'
+            WHEN NOT MATCHED THEN
+                INSERT (idProyecto, idUsuario, rolProyecto, estadoInvitacion)
+                VALUES (origen.idProyecto, origen.idUsuario, 'admin', 'aceptada')
+            OUTPUT INSERTED.idParticipante;
+
+            COMMIT TRANSACTION;
+        `);
+
+    await recordActivity({
+        idProyecto: Number(projectId),
+        idUsuarioActor: admin.id,
+        tipoEntidad: TIPOS_ENTIDAD.PARTICIPANTE,
+        idEntidad: participacion.recordset[0].idParticipante,
+        nombreEntidad: nuevoAdmin.nombreUsuario,
+        operacion: proyecto.idParticipante ? OPERACIONES.ACTUALIZAR : OPERACIONES.CREAR,
+        antes: proyecto.idParticipante ? { rolProyecto: proyecto.rolProyecto, estadoInvitacion: proyecto.estadoInvitacion } : null,
+        despues: { rolProyecto: 'admin', estadoInvitacion: 'aceptada' }
+    });
+
+    await createNotification({
+        idUsuarioReceptor: nuevoAdmin.idUsuario,
+        tipoNotificacion: TIPOS_NOTIFICACION.PROYECTO_TRANSFERIDO,
+        mensaje: `Ahora eres el administrador del proyecto "${proyecto.nombreProyecto}" (antes de ${proyecto.nombreAdmin}).`,
+        idProyecto: Number(projectId),
+        idUsuarioEmisor: admin.id
+    });
+
+    return {
+        success: true,
+        data: {
+            idProyecto: Number(projectId),
+            nombreProyecto: proyecto.nombreProyecto,
+            idAdminAnterior: proyecto.idUsuarioAdmin,
+            idUsuarioAdmin: nuevoAdmin.idUsuario,
+            nombreAdmin: nuevoAdmin.nombreUsuario
+        }
+    };
+}
+
+module.exports = {
+    ROLES_SISTEMA,
+    listUsers,
+    getUser,
+    setAccountActive,
+    changeSystemRole,
+    resetPassword,
+    listProjects,
+    transferProject
+};
@@ -0,0 +1,186 @@
+// backend/services/attachmentService.js
+const sql = require('mssql');
+const config = require('../db.js');
+const participantService = require('./participantService');
+const taskService = require('./taskService');
+const subtaskService = require('./subtaskService');
+const { can, ACCIONES } = require('../policies/projectPolicy');
+const { attachmentPath, removeAttachmentFiles } = require('../middlewares/uploads');
+
+const ATTACHMENT_SELECT = `
+    SELECT
+        A.idAdjunto,
+        A.idTarea,
+        A.idSubtarea,
+        A.idUsuarioSubida,
+        A.nombreOriginal,
+        A.nombreArchivo,
+        A.tipoMime,
+        A.tamanoBytes,
+        A.fechaSubida,
+        U.nombreUsuario AS nombreUsuarioSubida,
+        ST.nombreSubtarea
+    FROM Adjuntos A
+    JOIN Usuarios U ON A.idUsuarioSubida = U.idUsuario
+    LEFT JOIN Subtareas ST ON A.idSubtarea = ST.idSubtarea
+`;
+
+// --- Consultas ---
+
+// Adjuntos de varias tareas a la vez (incluye los de sus subtareas)
+async function getAttachmentsForTasks(taskIds) {
+    if (taskIds.length === 0) return [];
+
+    const pool = await sql.connect(config);
+    const request = pool.request();
+    const placeholders = taskIds.map((id, index) => {
+        request.input(`p${index}`, sql.Int, id);
+        return `@p${index}`;
+    }).join(',');
+
+    const result = await request.query(`${ATTACHMENT_SELECT} WHERE A.idTarea IN (${placeholders}) ORDER BY A.fechaSubida ASC;`);
+    return result.recordset;
+}
+
+// Anida en cada tarea sus adjuntos (tarea.adjuntos)
+async function attachAttachments(tareas) {
+    const adjuntos = await getAttachmentsForTasks(tareas.map(t => t.idTarea));
+    return tareas.map(tarea => ({
+        ...tarea,
+        adjuntos: adjuntos.filter(adjunto => adjunto.idTarea === tarea.idTarea)
+    }));
+}
+
+// Adjuntos de una tarea; con subtaskId solo los de esa subtarea
+async function getAttachments(taskId, { subtaskId = null } = {}) {
+    const pool = await sql.connect(config);
+    const request = pool.request().input('idTarea', sql.Int, taskId);
+
+    let filtroSubtarea = '';
+    if (subtaskId) {
+        request.input('idSubtarea', sql.Int, subtaskId);
+        filtroSubtarea = 'AND A.idSubtarea = @idSubtarea';
+    }
+
+    const result = await request.query(`${ATTACHMENT_SELECT} WHERE A.idTarea = @idTarea ${filtroSubtarea} ORDER BY A.fechaSubida ASC;`);
+    return result.recordset;
+}
+
+// Un adjunto de alguna tarea del proyecto (undefined si no existe o es de otro proyecto)
+async function getAttachment(projectId, attachmentId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('idAdjunto', sql.Int, attachmentId)
+        .query(`
+            ${ATTACHMENT_SELECT}
+            JOIN Tareas T ON A.idTarea = T.idTarea
+            WHERE A.idAdjunto = @idAdjunto AND T.idProyecto = @idProyecto;
+        `);
+    return result.recordset[0];
+}
+
+// Rol del usuario y adjunto, comprobando acceso al proyecto y que el adjunto le pertenezca
+async function getAttachmentAccess(projectId, attachmentId, userId) {
+    const rolProyecto = await participantService.getProjectRole(projectId, userId);
+    if (!rolProyecto) {
+        return { success: false, error: 'No tienes acceso a este proyecto', code: 'FORBIDDEN' };
+    }
+
+    const adjunto = await getAttachment(projectId, attachmentId);
+    if (!adjunto) {
+        return { success: false, error: 'Adjunto no encontrado o no pertenece a este proyecto', code: 'NOT_FOUND' };
+    }
+
+    return { success: true, data: { rolProyecto, adjunto } };
+}
+
+// Datos para descargar un adjunto (cualquier participante aceptado del proyecto)
+async function getAttachmentDownload(projectId, attachmentId, userId) {
+    const access = await getAttachmentAccess(projectId, attachmentId, userId);
+    if (!access.success) return access;
+
+    const { adjunto } = access.data;
+    return {
+        success: true,
+        data: {
+            ruta: attachmentPath(adjunto.nombreArchivo),
+            nombreOriginal: adjunto.nombreOriginal,
+            tipoMime: adjunto.tipoMime
+        }
+    };
+}
+
+// --- Operaciones ---
+
+// Registra un archivo ya subido por Multer (req.file) en la tarea o, con subtaskId, en la subtarea.
+// Si la operación no se completa, el archivo se borra del disco.
+async function createAttachment(projectId, taskId, subtaskId, actor, archivo) {
+    if (!archivo) {
+        return { success: false, error: 'Selecciona un archivo para adjuntar', code: 'VALIDATION_ERROR' };
+    }
+
+    try {
+        const access = subtaskId
+            ? await subtaskService.getSubtaskAccess(projectId, taskId, subtaskId, actor.id)
+            : await taskService.getTaskAccess(projectId, taskId, actor.id);
+        if (!access.success) {
+            await removeAttachmentFiles([archivo.filename]);
+            return access;
+        }
+
+        if (!can(actor, ACCIONES.ADJUNTAR_ARCHIVO, access.data)) {
+            await removeAttachmentFiles([archivo.filename]);
+            return { success: false, error: 'No tienes permiso para adjuntar archivos a esta tarea', code: 'FORBIDDEN' };
+        }
+
+        const pool = await sql.connect(config);
+        const insertResult = await pool.request()
+            .input('idTarea', sql.Int, taskId)
+            .input('idSubtarea', sql.Int, subtaskId || null)
+            .input('idUsuarioSubida', sql.Int, actor.id)
+            .input('nombreOriginal', sql.NVarChar, archivo.originalname.slice(0, 255))
+            .input('nombreArchivo', sql.NVarChar, archivo.filename)
+            .input('tipoMime', sql.NVarChar, archivo.mimetype)
+            .input('tamanoBytes', sql.Int, archivo.size)
+            .query(`
+                INSERT INTO Adjuntos (idTarea, idSubtarea, idUsuarioSubida, nombreOriginal, nombreArchivo, tipoMime, tamanoBytes, fechaSubida)
+                VALUES (@idTarea, @idSubtarea, @idUsuarioSubida, @nombreOriginal, @nombreArchivo, @tipoMime, @tamanoBytes, GETDATE());
+                SELECT SCOPE_IDENTITY() AS idAdjunto;
+            `);
+
+        return { success: true, data: await getAttachment(projectId, insertResult.recordset[0].idAdjunto) };
+    } catch (error) {
+        await removeAttachmentFiles([archivo.filename]);
+        throw error;
+    }
+}
+
+async function deleteAttachment(projectId, attachmentId, actor) {
+    const access = await getAttachmentAccess(projectId, attachmentId, actor.id);
+    if (!access.success) return access;
+
+    if (!can(actor, ACCIONES.ELIMINAR_ADJUNTO, access.data)) {
+        return { success: false, error: 'No tienes permiso para eliminar este adjunto', code: 'FORBIDDEN' };
+    }
+
+    const { adjunto } = access.data;
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idAdjunto', sql.Int, attachmentId)
+        .query('DELETE FROM Adjuntos WHERE idAdjunto = @idAdjunto;');
+    await removeAttachmentFiles([adjunto.nombreArchivo]);
+
+    return { success: true, data: { idAdjunto: Number(attachmentId), idTarea: adjunto.idTarea } };
+}
+
+module.exports = {
+    getAttachmentsForTasks,
+    attachAttachments,
+    getAttachments,
+    getAttachment,
+    getAttachmentAccess,
+    getAttachmentDownload,
+    createAttachment,
+    deleteAttachment
+};
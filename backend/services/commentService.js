@@ -0,0 +1,235 @@
+// backend/services/commentService.js
+const sql = require('mssql');
+const config = require('../db.js');
+const participantService = require('./participantService');
+const taskService = require('./taskService');
+const subtaskService = require('./subtaskService');
+const { can, ACCIONES } = require('../policies/projectPolicy');
+const { notifyUsers, TIPOS_NOTIFICACION } = require('./notificationService');
+
+const MAX_LONGITUD_COMENTARIO = 2000;
+
+const COMMENT_SELECT = `
+    SELECT
+        C.idComentario,
+        C.idTarea,
+        C.idSubtarea,
+        C.idUsuarioAutor,
+        C.contenido,
+        C.fechaCreacion,
+        C.fechaEdicion,
+        U.nombreUsuario AS nombreAutor,
+        U.fotoPerfil AS fotoAutor,
+        ST.nombreSubtarea
+    FROM Comentarios C
+    JOIN Usuarios U ON C.idUsuarioAutor = U.idUsuario
+    LEFT JOIN Subtareas ST ON C.idSubtarea = ST.idSubtarea
+`;
+
+// --- Consultas ---
+
+// Comentarios de varias tareas a la vez (incluye los de sus subtareas), en orden cronológico
+async function getCommentsForTasks(taskIds) {
+    if (taskIds.length === 0) return [];
+
+    const pool = await sql.connect(config);
+    const request = pool.request();
+    const placeholders = taskIds.map((id, index) => {
+        request.input(`p${index}`, sql.Int, id);
+        return `@p${index}`;
+    }).join(',');
+
+    const result = await request.query(`${COMMENT_SELECT} WHERE C.idTarea IN (${placeholders}) ORDER BY C.fechaCreacion ASC, C.idComentario ASC;`);
+    return result.recordset;
+}
+
+// Anida en cada tarea su hilo de comentarios (tarea.comentarios)
+async function attachComments(tareas) {
+    const comentarios = await getCommentsForTasks(tareas.map(t => t.idTarea));
+    return tareas.map(tarea => ({
+        ...tarea,
+        comentarios: comentarios.filter(comentario => comentario.idTarea === tarea.idTarea)
+    }));
+}
+
+// Comentarios de una tarea; con subtaskId solo los de esa subtarea
+async function getComments(taskId, { subtaskId = null } = {}) {
+    const pool = await sql.connect(config);
+    const request = pool.request().input('idTarea', sql.Int, taskId);
+
+    let filtroSubtarea = '';
+    if (subtaskId) {
+        request.input('idSubtarea', sql.Int, subtaskId);
+        filtroSubtarea = 'AND C.idSubtarea = @idSubtarea';
+    }
+
+    const result = await request.query(`${COMMENT_SELECT} WHERE C.idTarea = @idTarea ${filtroSubtarea} ORDER BY C.fechaCreacion ASC, C.idComentario ASC;`);
+    return result.recordset;
+}
+
+// Un comentario de alguna tarea del proyecto (undefined si no existe o es de otro proyecto)
+async function getComment(projectId, commentId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('idComentario', sql.Int, commentId)
+        .query(`
+            ${COMMENT_SELECT}
+            JOIN Tareas T ON C.idTarea = T.idTarea
+            WHERE C.idComentario = @idComentario AND T.idProyecto = @idProyecto;
+        `);
+    return result.recordset[0];
+}
+
+// Rol del usuario y comentario, comprobando acceso al proyecto y que el comentario le pertenezca
+async function getCommentAccess(projectId, commentId, userId) {
+    const rolProyecto = await participantService.getProjectRole(projectId, userId);
+    if (!rolProyecto) {
+        return { success: false, error: 'No tienes acceso a este proyecto', code: 'FORBIDDEN' };
+    }
+
+    const comentario = await getComment(projectId, commentId);
+    if (!comentario) {
+        return { success: false, error: 'Comentario no encontrado o no pertenece a este proyecto', code: 'NOT_FOUND' };
+    }
+
+    return { success: true, data: { rolProyecto, comentario } };
+}
+
+// --- Menciones ---
+
+function escapeRegExp(texto) {
+    return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Participantes aceptados mencionados como @nombreUsuario (sin distinguir mayúsculas).
+// El nombre debe terminar ahí: "@Ana" no menciona a "Ana María".
+async function getMentionedParticipants(projectId, contenido) {
+    if (!contenido.includes('@')) return [];
+
+    const participantes = await participantService.getAcceptedParticipants(projectId);
+    return participantes.filter(participante => {
+        const mencion = new RegExp(`@${escapeRegExp(participante.nombreUsuario)}(?![\\p{L}\\p{N}_])`, 'iu');
+        return mencion.test(contenido);
+    });
+}
+
+// Notifica a los mencionados; excluidos son los que ya se notificaron (p. ej. antes de editar)
+async function notifyMentions(projectId, tarea, comentario, actor, excluidos = []) {
+    const mencionados = await getMentionedParticipants(projectId, comentario.contenido);
+    const receptores = mencionados.map(p => p.idUsuario).filter(id => !excluidos.includes(id));
+
+    await notifyUsers(receptores, {
+        tipoNotificacion: TIPOS_NOTIFICACION.MENCION,
+        mensaje: `${actor.nombre} te mencionó en un comentario de la tarea "${tarea.nombreTarea}".`,
+        idProyecto: Number(projectId),
+        idTarea: tarea.idTarea,
+        idSubtarea: comentario.idSubtarea,
+        idUsuarioEmisor: actor.id
+    });
+}
+
+function validateContent(contenido) {
+    const texto = typeof contenido === 'string' ? contenido.trim() : '';
+    if (!texto) {
+        return { error: 'El comentario no puede estar vacío' };
+    }
+    if (texto.length > MAX_LONGITUD_COMENTARIO) {
+        return { error: `El comentario no puede superar los ${MAX_LONGITUD_COMENTARIO} caracteres` };
+    }
+    return { texto };
+}
+
+// --- Operaciones ---
+
+// Comenta una tarea o, si se indica subtaskId, una de sus subtareas
+async function createComment(projectId, taskId, subtaskId, actor, contenido) {
+    const access = subtaskId
+        ? await subtaskService.getSubtaskAccess(projectId, taskId, subtaskId, actor.id)
+        : await taskService.getTaskAccess(projectId, taskId, actor.id);
+    if (!access.success) return access;
+
+    if (!can(actor, ACCIONES.COMENTAR, access.data)) {
+        return { success: false, error: 'No tienes permiso para comentar en este proyecto', code: 'FORBIDDEN' };
+    }
+
+    const { texto, error } = validateContent(contenido);
+    if (error) {
+        return { success: false, error, code: 'VALIDATION_ERROR' };
+    }
+
+    const pool = await sql.connect(config);
+    const insertResult = await pool.request()
+        .input('idTarea', sql.Int, taskId)
+        .input('idSubtarea', sql.Int, subtaskId || null)
+        .input('idUsuarioAutor', sql.Int, actor.id)
+        .input('contenido', sql.NVarChar(sql.MAX), texto)
+        .query(`
+            INSERT INTO Comentarios (idTarea, idSubtarea, idUsuarioAutor, contenido, fechaCreacion)
+            VALUES (@idTarea, @idSubtarea, @idUsuarioAutor, @contenido, GETDATE());
+            SELECT SCOPE_IDENTITY() AS idComentario;
+        `);
+
+    const comentario = await getComment(projectId, insertResult.recordset[0].idComentario);
+    await notifyMentions(projectId, access.data.tarea, comentario, actor);
+
+    return { success: true, data: comentario };
+}
+
+async function updateComment(projectId, commentId, actor, contenido) {
+    const access = await getCommentAccess(projectId, commentId, actor.id);
+    if (!access.success) return access;
+
+    const anterior = access.data.comentario;
+    if (!can(actor, ACCIONES.EDITAR_COMENTARIO, access.data)) {
+        return { success: false, error: 'Solo el autor puede editar este comentario', code: 'FORBIDDEN' };
+    }
+
+    const { texto, error } = validateContent(contenido);
+    if (error) {
+        return { success: false, error, code: 'VALIDATION_ERROR' };
+    }
+
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idComentario', sql.Int, commentId)
+        .input('contenido', sql.NVarChar(sql.MAX), texto)
+        .query('UPDATE Comentarios SET contenido = @contenido, fechaEdicion = GETDATE() WHERE idComentario = @idComentario;');
+
+    const comentario = await getComment(projectId, commentId);
+
+    // Solo se avisa a quienes se menciona por primera vez en este comentario
+    const yaMencionados = (await getMentionedParticipants(projectId, anterior.contenido)).map(p => p.idUsuario);
+    const tarea = await taskService.getTask(projectId, comentario.idTarea);
+    await notifyMentions(projectId, tarea, comentario, actor, yaMencionados);
+
+    return { success: true, data: comentario };
+}
+
+async function deleteComment(projectId, commentId, actor) {
+    const access = await getCommentAccess(projectId, commentId, actor.id);
+    if (!access.success) return access;
+
+    if (!can(actor, ACCIONES.ELIMINAR_COMENTARIO, access.data)) {
+        return { success: false, error: 'No tienes permiso para eliminar este comentario', code: 'FORBIDDEN' };
+    }
+
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idComentario', sql.Int, commentId)
+        .query('DELETE FROM Comentarios WHERE idComentario = @idComentario;');
+
+    return { success: true, data: { idComentario: Number(commentId), idTarea: access.data.comentario.idTarea } };
+}
+
+module.exports = {
+    MAX_LONGITUD_COMENTARIO,
+    getCommentsForTasks,
+    attachComments,
+    getComments,
+    getComment,
+    getCommentAccess,
+    createComment,
+    updateComment,
+    deleteComment
+};
@@ -0,0 +1,231 @@
+// backend/services/dependencyService.js
+// Dependencias entre tareas de un proyecto: "A bloquea a B" significa que B no se puede completar mientras A siga abierta
+// (la comprobación al completar está en taskService.updateTask). Se rechazan los ciclos al añadir una dependencia.
+const sql = require('mssql');
+const config = require('../db.js');
+const taskService = require('./taskService');
+const { can, ACCIONES } = require('../policies/projectPolicy');
+const { recordActivity, TIPOS_ENTIDAD, OPERACIONES } = require('./activityService');
+
+const MAX_BLOQUEANTES_POR_TAREA = 20;
+
+// --- Consultas ---
+
+// Dependencias en las que participan las tareas, en cualquiera de los dos sentidos
+async function getDependenciesForTasks(taskIds) {
+    if (taskIds.length === 0) return [];
+
+    const pool = await sql.connect(config);
+    const request = pool.request();
+    const placeholders = taskIds.map((id, index) => {
+        request.input(`p${index}`, sql.Int, id);
+        return `@p${index}`;
+    }).join(',');
+
+    const result = await request.query(`
+        SELECT
+            D.idDependencia,
+            D.idTarea,
+            T.nombreTarea,
+            T.estadoTarea,
+            D.idTareaBloqueante,
+            TB.nombreTarea AS nombreTareaBloqueante,
+            TB.estadoTarea AS estadoTareaBloqueante
+        FROM DependenciasTareas D
+        INNER JOIN Tareas T ON T.idTarea = D.idTarea
+        INNER JOIN Tareas TB ON TB.idTarea = D.idTareaBloqueante
+        WHERE D.idTarea IN (${placeholders}) OR D.idTareaBloqueante IN (${placeholders})
+        ORDER BY D.fechaCreacion ASC;
+    `);
+    return result.recordset;
+}
+
+/**
+ * Añade a cada tarea sus dependencias:
+ * - bloqueadaPor / bloquea: [{ idTarea, nombreTarea, estadoTarea }]
+ * - bloqueada: true si alguna tarea de bloqueadaPor no está completada
+ */
+async function attachDependencies(tareas) {
+    const dependencias = await getDependenciesForTasks(tareas.map(t => t.idTarea));
+    return tareas.map(tarea => {
+        const bloqueadaPor = dependencias
+            .filter(d => d.idTarea === tarea.idTarea)
+            .map(d => ({ idTarea: d.idTareaBloqueante, nombreTarea: d.nombreTareaBloqueante, estadoTarea: d.estadoTareaBloqueante }));
+        const bloquea = dependencias
+            .filter(d => d.idTareaBloqueante === tarea.idTarea)
+            .map(d => ({ idTarea: d.idTarea, nombreTarea: d.nombreTarea, estadoTarea: d.estadoTarea }));
+
+        return {
+            ...tarea,
+            bloqueadaPor,
+            bloquea,
+            bloqueada: bloqueadaPor.some(b => b.estadoTarea !== 'Completada')
+        };
+    });
+}
+
+// Todas las dependencias del proyecto, para buscar ciclos
+async function getProjectDependencies(projectId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .query(`
+            SELECT D.idTarea, D.idTareaBloqueante, TB.nombreTarea AS nombreTareaBloqueante
+            FROM DependenciasTareas D
+            INNER JOIN Tareas T ON T.idTarea = D.idTarea
+            INNER JOIN Tareas TB ON TB.idTarea = D.idTareaBloqueante
+            WHERE T.idProyecto = @idProyecto;
+        `);
+    return result.recordset;
+}
+
+/**
+ * Camino de "desde" a "hasta" siguiendo las aristas tarea -> tarea bloqueante (búsqueda en anchura).
+ * Devuelve la lista de IDs [desde, ..., hasta] o null si no hay camino.
+ */
+function findBlockingPath(dependencias, desde, hasta) {
+    const bloqueantes = new Map();
+    dependencias.forEach(d => {
+        if (!bloqueantes.has(d.idTarea)) bloqueantes.set(d.idTarea, []);
+        bloqueantes.get(d.idTarea).push(d.idTareaBloqueante);
+    });
+
+    const anterior = new Map([[desde, null]]);
+    const pendientes = [desde];
+    while (pendientes.length > 0) {
+        const actual = pendientes.shift();
+        if (actual === hasta) {
+            const camino = [];
+            for (let id = hasta; id !== null; id = anterior.get(id)) camino.unshift(id);
+            return camino;
+        }
+        for (const siguiente of bloqueantes.get(actual) || []) {
+            if (!anterior.has(siguiente)) {
+                anterior.set(siguiente, actual);
+                pendientes.push(siguiente);
+            }
+        }
+    }
+    return null;
+}
+
+// Comprueba el acceso a la tarea y que el actor pueda editarla (las dependencias son parte de la tarea)
+async function getEditableTask(projectId, taskId, actor) {
+    const access = await taskService.getTaskAccess(projectId, taskId, actor.id);
+    if (!access.success) return access;
+
+    if (!can(actor, ACCIONES.EDITAR_TAREA, access.data)) {
+        return { success: false, error: 'No tienes permiso para editar esta tarea', code: 'FORBIDDEN' };
+    }
+    return { success: true, data: access.data.tarea };
+}
+
+// Nombres de las tareas bloqueantes, para el registro de actividad ("bloqueada por")
+function blockerNames(dependencias, taskId) {
+    const nombres = dependencias
+        .filter(d => d.idTarea === Number(taskId))
+        .map(d => d.nombreTareaBloqueante);
+    return nombres.length > 0 ? nombres.join(', ') : null;
+}
+
+async function recordDependencyChange(projectId, tarea, actor, antes, despues) {
+    await recordActivity({
+        idProyecto: Number(projectId),
+        idUsuarioActor: actor.id,
+        tipoEntidad: TIPOS_ENTIDAD.TAREA,
+        idEntidad: tarea.idTarea,
+        nombreEntidad: tarea.nombreTarea,
+        operacion: OPERACIONES.ACTUALIZAR,
+        antes: { nombresBloqueantes: antes },
+        despues: { nombresBloqueantes: despues }
+    });
+}
+
+// --- Operaciones ---
+
+// La tarea taskId pasa a estar bloqueada por blockerId. Devuelve la tarea con sus dependencias.
+async function addDependency(projectId, taskId, blockerId, actor) {
+    const editable = await getEditableTask(projectId, taskId, actor);
+    if (!editable.success) return editable;
+    const tarea = editable.data;
+
+    if (!Number.isInteger(Number(blockerId)) || !blockerId) {
+        return { success: false, error: 'Indica la tarea que la bloquea', code: 'VALIDATION_ERROR' };
+    }
+    if (Number(blockerId) === tarea.idTarea) {
+        return { success: false, error: 'Una tarea no puede bloquearse a sí misma', code: 'VALIDATION_ERROR' };
+    }
+
+    const bloqueante = await taskService.getTask(projectId, blockerId);
+    if (!bloqueante) {
+        return { success: false, error: 'La tarea bloqueante no existe o no pertenece a este proyecto', code: 'NOT_FOUND' };
+    }
+
+    const dependencias = await getProjectDependencies(projectId);
+    const actuales = dependencias.filter(d => d.idTarea === tarea.idTarea);
+    if (actuales.some(d => d.idTareaBloqueante === bloqueante.idTarea)) {
+        return { success: false, error: `"${tarea.nombreTarea}" ya está bloqueada por "${bloqueante.nombreTarea}"`, code: 'CONFLICT' };
+    }
+    if (actuales.length >= MAX_BLOQUEANTES_POR_TAREA) {
+        return { success: false, error: `Una tarea no puede tener más de ${MAX_BLOQUEANTES_POR_TAREA} tareas bloqueantes`, code: 'CONFLICT' };
+    }
+
+    // Si la bloqueante ya espera (directa o indirectamente) a la tarea, la nueva dependencia cerraría un ciclo
+    const camino = findBlockingPath(dependencias, bloqueante.idTarea, tarea.idTarea);
+    if (camino) {
+        const nombres = new Map(dependencias.map(d => [d.idTareaBloqueante, d.nombreTareaBloqueante]));
+        nombres.set(tarea.idTarea, tarea.nombreTarea);
+        nombres.set(bloqueante.idTarea, bloqueante.nombreTarea);
+        const ciclo = [tarea.idTarea, ...camino].map(id => `"${nombres.get(id)}"`).join(' espera a ');
+        return { success: false, error: `No se puede añadir la dependencia porque se formaría un ciclo: ${ciclo}`, code: 'CONFLICT' };
+    }
+
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idTarea', sql.Int, tarea.idTarea)
+        .input('idTareaBloqueante', sql.Int, bloqueante.idTarea)
+        .input('idUsuarioCreador', sql.Int, actor.id)
+        .query(`
+            INSERT INTO DependenciasTareas (idTarea, idTareaBloqueante, idUsuarioCreador)
+            VALUES (@idTarea, @idTareaBloqueante, @idUsuarioCreador);
+        `);
+
+    const despues = [...actuales.map(d => d.nombreTareaBloqueante), bloqueante.nombreTarea].join(', ');
+    await recordDependencyChange(projectId, tarea, actor, blockerNames(dependencias, tarea.idTarea), despues);
+
+    const [conDependencias] = await attachDependencies([tarea]);
+    return { success: true, data: conDependencias };
+}
+
+async function removeDependency(projectId, taskId, blockerId, actor) {
+    const editable = await getEditableTask(projectId, taskId, actor);
+    if (!editable.success) return editable;
+    const tarea = editable.data;
+
+    const dependencias = await getProjectDependencies(projectId);
+
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idTarea', sql.Int, tarea.idTarea)
+        .input('idTareaBloqueante', sql.Int, blockerId)
+        .query('DELETE FROM DependenciasTareas WHERE idTarea = @idTarea AND idTareaBloqueante = @idTareaBloqueante;');
+
+    if (result.rowsAffected[0] === 0) {
+        return { success: false, error: 'Dependencia no encontrada', code: 'NOT_FOUND' };
+    }
+
+    const restantes = dependencias.filter(d => d.idTareaBloqueante !== Number(blockerId));
+    await recordDependencyChange(projectId, tarea, actor, blockerNames(dependencias, tarea.idTarea), blockerNames(restantes, tarea.idTarea));
+
+    const [conDependencias] = await attachDependencies([tarea]);
+    return { success: true, data: conDependencias };
+}
+
+module.exports = {
+    MAX_BLOQUEANTES_POR_TAREA,
+    getDependenciesForTasks,
+    attachDependencies,
+    findBlockingPath,
+    addDependency,
+    removeDependency
+};
@@ -0,0 +1,140 @@
+// backend/services/emailVerificationService.js
+// Verificación del correo de las cuentas nuevas: el enlace lleva el id del usuario, la fecha de expiración
+// y una firma HMAC que incluye el correo, así que deja de valer si el correo cambia.
+// El mismo enlace confirma el cambio de correo desde el perfil: se firma con el correo pendiente (correoPendiente).
+const sql = require('mssql');
+const config = require('../db.js');
+const crypto = require('crypto');
+const mailService = require('./mailService');
+
+const DURACION_ENLACE_MS = 24 * 60 * 60 * 1000; // 24 horas
+
+function secret() {
+    return process.env.EMAIL_VERIFICATION_SECRET || process.env.SESSION_SECRET;
+}
+
+function sign(idUsuario, correo, expira) {
+    return crypto.createHmac('sha256', secret())
+        .update(`${idUsuario}.${String(correo).toLowerCase()}.${expira}`)
+        .digest('base64url');
+}
+
+// Token "idUsuario.expira.firma" para el enlace de verificación
+function createVerificationToken(usuario, ahora = Date.now()) {
+    const expira = ahora + DURACION_ENLACE_MS;
+    return `${usuario.idUsuario}.${expira}.${sign(usuario.idUsuario, usuario.correoUsuario, expira)}`;
+}
+
+async function getUserById(idUsuario) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, idUsuario)
+        .query('SELECT idUsuario, nombreUsuario, correoUsuario, correoPendiente, correoVerificado FROM Usuarios WHERE idUsuario = @idUsuario');
+    return result.recordset[0];
+}
+
+/**
+ * Envía el enlace de verificación a usuario.correoUsuario. Lanza si el correo no se puede enviar.
+ * Con cambioCorreo el texto explica que es la confirmación de un correo nuevo pedido desde el perfil.
+ */
+async function sendVerificationEmail(usuario, { cambioCorreo = false } = {}) {
+    await mailService.sendMail({
+        para: usuario.correoUsuario,
+        asunto: cambioCorreo ? 'Confirma tu nuevo correo' : 'Verifica tu correo',
+        plantilla: cambioCorreo ? 'cambio-correo' : 'verificacion',
+        datos: {
+            nombre: usuario.nombreUsuario,
+            enlace: mailService.appUrl(`/verificar-correo/${createVerificationToken(usuario)}`),
+            horas: DURACION_ENLACE_MS / (60 * 60 * 1000)
+        }
+    });
+}
+
+function signatureMatches(idUsuario, correo, expira, firma) {
+    const esperada = Buffer.from(sign(idUsuario, correo, expira));
+    const recibida = Buffer.from(firma);
+    return esperada.length === recibida.length && crypto.timingSafeEqual(esperada, recibida);
+}
+
+// Sustituye el correo por el pendiente, que pasa a estar verificado
+async function confirmPendingEmail(usuario) {
+    const pool = await sql.connect(config);
+    const existente = await pool.request()
+        .input('correo', sql.NVarChar, usuario.correoPendiente)
+        .input('idUsuario', sql.Int, usuario.idUsuario)
+        .query('SELECT 1 AS existe FROM Usuarios WHERE correoUsuario = @correo AND idUsuario <> @idUsuario');
+    if (existente.recordset.length > 0) {
+        return { success: false, error: 'Ese correo ya está registrado en otra cuenta.', code: 'CONFLICT' };
+    }
+
+    await pool.request()
+        .input('idUsuario', sql.Int, usuario.idUsuario)
+        .query(`
+            UPDATE Usuarios
+            SET correoUsuario = correoPendiente, correoPendiente = NULL, correoVerificado = 1
+            WHERE idUsuario = @idUsuario
+        `);
+    return { success: true, data: { idUsuario: usuario.idUsuario, correo: usuario.correoPendiente, cambioCorreo: true } };
+}
+
+/**
+ * Comprueba la firma y la expiración del token y marca el correo como verificado.
+ * Si el token está firmado con el correo pendiente, confirma el cambio de correo (data.cambioCorreo).
+ */
+async function verifyEmail(token, ahora = Date.now()) {
+    const invalido = { success: false, error: 'El enlace de verificación no es válido.', code: 'VALIDATION_ERROR' };
+
+    const [idUsuario, expira, firma] = String(token).split('.');
+    if (!/^\d+$/.test(idUsuario || '') || !/^\d+$/.test(expira || '') || !firma) {
+        return invalido;
+    }
+
+    const usuario = await getUserById(Number(idUsuario));
+    if (!usuario) return invalido;
+
+    const esCorreoActual = signatureMatches(usuario.idUsuario, usuario.correoUsuario, expira, firma);
+    const esCorreoPendiente = !esCorreoActual && Boolean(usuario.correoPendiente)
+        && signatureMatches(usuario.idUsuario, usuario.correoPendiente, expira, firma);
+    if (!esCorreoActual && !esCorreoPendiente) {
+        return invalido;
+    }
+
+    if (Number(expira) < ahora) {
+        return { success: false, error: 'El enlace de verificación ha expirado. Solicita uno nuevo.', code: 'VALIDATION_ERROR' };
+    }
+
+    if (esCorreoPendiente) {
+        return confirmPendingEmail(usuario);
+    }
+
+    if (!usuario.correoVerificado) {
+        const pool = await sql.connect(config);
+        await pool.request()
+            .input('idUsuario', sql.Int, usuario.idUsuario)
+            .query('UPDATE Usuarios SET correoVerificado = 1 WHERE idUsuario = @idUsuario');
+    }
+
+    return { success: true, data: { idUsuario: usuario.idUsuario, correo: usuario.correoUsuario, cambioCorreo: false } };
+}
+
+// Vuelve a enviar el enlace si el correo pertenece a una cuenta sin verificar.
+// Siempre devuelve success para no revelar qué correos están registrados.
+async function resendVerification(correo) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('correo', sql.NVarChar, correo)
+        .query('SELECT idUsuario, nombreUsuario, correoUsuario, correoVerificado FROM Usuarios WHERE correoUsuario = @correo');
+    const usuario = result.recordset[0];
+
+    if (usuario && !usuario.correoVerificado) {
+        await sendVerificationEmail(usuario);
+    }
+    return { success: true, data: null };
+}
+
+module.exports = {
+    createVerificationToken,
+    sendVerificationEmail,
+    verifyEmail,
+    resendVerification
+};
@@ -0,0 +1,298 @@
+// backend/services/labelService.js
+// Etiquetas de un proyecto (nombre y color) que se ponen en sus tareas y subtareas.
+// El admin del proyecto las crea, edita y elimina; ponerlas o quitarlas de una tarea o subtarea es parte de editarla
+// (ver createTask/updateTask en taskService y createSubtask/updateSubtask en subtaskService).
+const sql = require('mssql');
+const config = require('../db.js');
+const participantService = require('./participantService');
+const { can, ACCIONES } = require('../policies/projectPolicy');
+
+const MAX_ETIQUETAS_POR_PROYECTO = 50;
+const MAX_LONGITUD_NOMBRE_ETIQUETA = 50;
+const COLOR_POR_DEFECTO = '#3B82F6';
+const COLOR_REGEX = /^#[0-9A-Fa-f]{6}$/;
+
+const LABEL_COLUMNS = 'E.idEtiqueta, E.idProyecto, E.nombreEtiqueta, E.color';
+
+// --- Consultas ---
+
+// Etiquetas del proyecto por nombre, con cuántas tareas y subtareas las usan
+async function getProjectLabels(projectId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .query(`
+            SELECT
+                ${LABEL_COLUMNS},
+                (SELECT COUNT(*) FROM EtiquetasTareas ET WHERE ET.idEtiqueta = E.idEtiqueta) AS numTareas,
+                (SELECT COUNT(*) FROM EtiquetasSubtareas ES WHERE ES.idEtiqueta = E.idEtiqueta) AS numSubtareas
+            FROM Etiquetas E
+            WHERE E.idProyecto = @idProyecto
+            ORDER BY E.nombreEtiqueta ASC;
+        `);
+    return result.recordset;
+}
+
+// Una etiqueta del proyecto (undefined si no existe o es de otro proyecto)
+async function getLabel(projectId, labelId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('idEtiqueta', sql.Int, labelId)
+        .query(`SELECT ${LABEL_COLUMNS} FROM Etiquetas E WHERE E.idProyecto = @idProyecto AND E.idEtiqueta = @idEtiqueta;`);
+    return result.recordset[0];
+}
+
+// Filas { idTarea | idSubtarea, idEtiqueta, nombreEtiqueta, color } de varias tareas o subtareas a la vez
+async function getLabelsFor(tabla, columna, ids) {
+    if (ids.length === 0) return [];
+
+    const pool = await sql.connect(config);
+    const request = pool.request();
+    const placeholders = ids.map((id, index) => {
+        request.input(`p${index}`, sql.Int, id);
+        return `@p${index}`;
+    }).join(',');
+
+    const result = await request.query(`
+        SELECT X.${columna}, ${LABEL_COLUMNS}
+        FROM ${tabla} X
+        INNER JOIN Etiquetas E ON E.idEtiqueta = X.idEtiqueta
+        WHERE X.${columna} IN (${placeholders})
+        ORDER BY E.nombreEtiqueta ASC;
+    `);
+    return result.recordset;
+}
+
+async function getLabelsForTasks(taskIds) {
+    return getLabelsFor('EtiquetasTareas', 'idTarea', taskIds);
+}
+
+async function getLabelsForSubtasks(subtaskIds) {
+    return getLabelsFor('EtiquetasSubtareas', 'idSubtarea', subtaskIds);
+}
+
+// { idEtiqueta, nombreEtiqueta, color } de una fila de getLabelsFor
+const toLabel = fila => ({ idEtiqueta: fila.idEtiqueta, nombreEtiqueta: fila.nombreEtiqueta, color: fila.color });
+
+/**
+ * Añade las etiquetas (etiquetas: [{ idEtiqueta, nombreEtiqueta, color }]) a cada tarea y a sus subtareas.
+ * Las tareas ya tienen que tener sus subtareas (ver subtaskService.attachSubtasks).
+ */
+async function attachLabels(tareas) {
+    const subtaskIds = tareas.flatMap(t => (t.subtareas || []).map(s => s.idSubtarea));
+    const [deTareas, deSubtareas] = await Promise.all([
+        getLabelsForTasks(tareas.map(t => t.idTarea)),
+        getLabelsForSubtasks(subtaskIds)
+    ]);
+
+    return tareas.map(tarea => ({
+        ...tarea,
+        etiquetas: deTareas.filter(e => e.idTarea === tarea.idTarea).map(toLabel),
+        subtareas: (tarea.subtareas || []).map(subtarea => ({
+            ...subtarea,
+            etiquetas: deSubtareas.filter(e => e.idSubtarea === subtarea.idSubtarea).map(toLabel)
+        }))
+    }));
+}
+
+// Tareas de attachLabels que llevan la etiqueta, en la propia tarea o en alguna de sus subtareas
+function filterByLabel(tareas, labelId) {
+    if (!labelId) return tareas;
+    const id = Number(labelId);
+    const tiene = item => (item.etiquetas || []).some(e => e.idEtiqueta === id);
+    return tareas.filter(tarea => tiene(tarea) || (tarea.subtareas || []).some(tiene));
+}
+
+// "Backend, Urgente" para el registro de actividad (null si no tiene etiquetas)
+function labelNames(etiquetas) {
+    return etiquetas.length > 0 ? etiquetas.map(e => e.nombreEtiqueta).join(', ') : null;
+}
+
+// --- Etiquetas de tareas y subtareas ---
+
+// Los IDs de etiqueta de un formulario o de la API: undefined significa "no cambiar"; '' y null, "sin etiquetas".
+// Admite un solo valor o una lista; devuelve null si alguno no es un número entero.
+function normalizeLabelIds(value) {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return [];
+
+    const ids = (Array.isArray(value) ? value : [value]).map(Number);
+    if (ids.some(id => !Number.isInteger(id) || id <= 0)) return null;
+    return [...new Set(ids)];
+}
+
+// Comprueba que todas las etiquetas sean del proyecto. Devuelve el mensaje de error o null.
+async function validateLabelIds(projectId, labelIds) {
+    if (labelIds === null) return 'Las etiquetas no son válidas';
+    if (labelIds === undefined || labelIds.length === 0) return null;
+
+    const etiquetas = await getProjectLabels(projectId);
+    const delProyecto = new Set(etiquetas.map(e => e.idEtiqueta));
+    if (labelIds.some(id => !delProyecto.has(id))) {
+        return 'Alguna de las etiquetas no existe o no pertenece a este proyecto';
+    }
+    return null;
+}
+
+// Sustituye las etiquetas de una tarea o subtarea (los IDs ya validados con validateLabelIds)
+async function replaceLabels(tabla, columna, id, labelIds) {
+    const pool = await sql.connect(config);
+    const request = pool.request().input('id', sql.Int, id);
+    const valores = labelIds.map((labelId, index) => {
+        request.input(`e${index}`, sql.Int, labelId);
+        return `(@e${index}, @id)`;
+    }).join(', ');
+
+    await request.query(`
+        SET XACT_ABORT ON;
+        BEGIN TRANSACTION;
+            DELETE FROM ${tabla} WHERE ${columna} = @id;
+            ${valores ? `INSERT INTO ${tabla} (idEtiqueta, ${columna}) VALUES ${valores};` : ''}
+        COMMIT TRANSACTION;
+    `);
+}
+
+async function setTaskLabels(taskId, labelIds) {
+    await replaceLabels('EtiquetasTareas', 'idTarea', taskId, labelIds);
+}
+
+async function setSubtaskLabels(subtaskId, labelIds) {
+    await replaceLabels('EtiquetasSubtareas', 'idSubtarea', subtaskId, labelIds);
+}
+
+// --- Gestión de las etiquetas del proyecto (solo el admin) ---
+
+async function checkCanManage(projectId, actor) {
+    const rolProyecto = await participantService.getProjectRole(projectId, actor.id);
+    if (!rolProyecto) {
+        return { success: false, error: 'No tienes acceso a este proyecto', code: 'FORBIDDEN' };
+    }
+    if (!can(actor, ACCIONES.GESTIONAR_ETIQUETAS, { rolProyecto })) {
+        return { success: false, error: 'Solo el administrador del proyecto puede gestionar sus etiquetas', code: 'FORBIDDEN' };
+    }
+    return { success: true };
+}
+
+// Nombre y color normalizados de { nombreEtiqueta, color }; los campos undefined se toman de "actual"
+function validateLabelData(datos, actual = {}) {
+    const nombreEtiqueta = String(datos.nombreEtiqueta ?? actual.nombreEtiqueta ?? '').trim();
+    const color = String(datos.color || actual.color || COLOR_POR_DEFECTO).trim().toUpperCase();
+
+    if (!nombreEtiqueta || nombreEtiqueta.length > MAX_LONGITUD_NOMBRE_ETIQUETA) {
+        return { success: false, error: `El nombre de la etiqueta es obligatorio y no puede superar los ${MAX_LONGITUD_NOMBRE_ETIQUETA} caracteres`, code: 'VALIDATION_ERROR' };
+    }
+    if (!COLOR_REGEX.test(color)) {
+        return { success: false, error: 'El color debe tener el formato #RRGGBB', code: 'VALIDATION_ERROR' };
+    }
+    return { success: true, data: { nombreEtiqueta, color } };
+}
+
+// El nombre no se puede repetir dentro del proyecto (sin distinguir mayúsculas, como la intercalación de la base de datos)
+function findDuplicate(etiquetas, nombreEtiqueta, exceptoId = null) {
+    return etiquetas.find(e => e.idEtiqueta !== exceptoId && e.nombreEtiqueta.toLowerCase() === nombreEtiqueta.toLowerCase());
+}
+
+// datos: { nombreEtiqueta, color ('#RRGGBB', azul si no se indica) }
+async function createLabel(projectId, actor, datos) {
+    const manageable = await checkCanManage(projectId, actor);
+    if (!manageable.success) return manageable;
+
+    const valid = validateLabelData(datos);
+    if (!valid.success) return valid;
+    const { nombreEtiqueta, color } = valid.data;
+
+    const etiquetas = await getProjectLabels(projectId);
+    if (findDuplicate(etiquetas, nombreEtiqueta)) {
+        return { success: false, error: `Ya existe una etiqueta "${nombreEtiqueta}" en este proyecto`, code: 'CONFLICT' };
+    }
+    if (etiquetas.length >= MAX_ETIQUETAS_POR_PROYECTO) {
+        return { success: false, error: `Un proyecto no puede tener más de ${MAX_ETIQUETAS_POR_PROYECTO} etiquetas`, code: 'CONFLICT' };
+    }
+
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('nombreEtiqueta', sql.NVarChar, nombreEtiqueta)
+        .input('color', sql.Char(7), color)
+        .query(`
+            INSERT INTO Etiquetas (idProyecto, nombreEtiqueta, color)
+            VALUES (@idProyecto, @nombreEtiqueta, @color);
+            SELECT SCOPE_IDENTITY() AS idEtiqueta;
+        `);
+
+    return { success: true, data: await getLabel(projectId, result.recordset[0].idEtiqueta) };
+}
+
+// Los campos undefined en datos conservan su valor actual
+async function updateLabel(projectId, labelId, actor, datos) {
+    const manageable = await checkCanManage(projectId, actor);
+    if (!manageable.success) return manageable;
+
+    const actual = await getLabel(projectId, labelId);
+    if (!actual) {
+        return { success: false, error: 'Etiqueta no encontrada o no pertenece a este proyecto', code: 'NOT_FOUND' };
+    }
+
+    const valid = validateLabelData(datos, actual);
+    if (!valid.success) return valid;
+    const { nombreEtiqueta, color } = valid.data;
+
+    if (findDuplicate(await getProjectLabels(projectId), nombreEtiqueta, actual.idEtiqueta)) {
+        return { success: false, error: `Ya existe una etiqueta "${nombreEtiqueta}" en este proyecto`, code: 'CONFLICT' };
+    }
+
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idEtiqueta', sql.Int, actual.idEtiqueta)
+        .input('nombreEtiqueta', sql.NVarChar, nombreEtiqueta)
+        .input('color', sql.Char(7), color)
+        .query('UPDATE Etiquetas SET nombreEtiqueta = @nombreEtiqueta, color = @color WHERE idEtiqueta = @idEtiqueta;');
+
+    return { success: true, data: { ...actual, nombreEtiqueta, color } };
+}
+
+// Elimina la etiqueta y la quita de todas las tareas y subtareas que la llevaban
+async function deleteLabel(projectId, labelId, actor) {
+    const manageable = await checkCanManage(projectId, actor);
+    if (!manageable.success) return manageable;
+
+    const etiqueta = await getLabel(projectId, labelId);
+    if (!etiqueta) {
+        return { success: false, error: 'Etiqueta no encontrada o no pertenece a este proyecto', code: 'NOT_FOUND' };
+    }
+
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idEtiqueta', sql.Int, etiqueta.idEtiqueta)
+        .query(`
+            SET XACT_ABORT ON;
+            BEGIN TRANSACTION;
+                DELETE FROM EtiquetasTareas WHERE idEtiqueta = @idEtiqueta;
+                DELETE FROM EtiquetasSubtareas WHERE idEtiqueta = @idEtiqueta;
+                DELETE FROM Etiquetas WHERE idEtiqueta = @idEtiqueta;
+            COMMIT TRANSACTION;
+        `);
+
+    return { success: true, data: etiqueta };
+}
+
+module.exports = {
+    MAX_ETIQUETAS_POR_PROYECTO,
+    MAX_LONGITUD_NOMBRE_ETIQUETA,
+    COLOR_POR_DEFECTO,
+    getProjectLabels,
+    getLabel,
+    getLabelsForTasks,
+    getLabelsForSubtasks,
+    attachLabels,
+    filterByLabel,
+    labelNames,
+    normalizeLabelIds,
+    validateLabelIds,
+    setTaskLabels,
+    setSubtaskLabels,
+    createLabel,
+    updateLabel,
+    deleteLabel
+};
@@ -0,0 +1,109 @@
+// backend/services/mailService.js
+// Envío de todos los correos de la aplicación. El transporte se elige con MAIL_TRANSPORT:
+//   - 'gmail' (por defecto): cuenta de Gmail con EMAIL_USER / EMAIL_PASS
+//   - 'smtp': SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ('true' para el puerto 465), SMTP_USER, SMTP_PASS
+//   - 'archivo': no envía nada; guarda cada correo como JSON en MAIL_DIR (storage/correos) para desarrollo y pruebas
+// El remitente es MAIL_FROM (o la cuenta de Gmail/SMTP) y los enlaces se construyen con APP_URL.
+// Las plantillas son EJS en frontend/views/correos: <plantilla>.html.ejs y <plantilla>.text.ejs.
+const nodemailer = require('nodemailer');
+const ejs = require('ejs');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PLANTILLAS_DIR = path.join(__dirname, '../../frontend/views/correos');
+const TRANSPORTES = ['gmail', 'smtp', 'archivo'];
+
+// URL absoluta de una ruta de la aplicación (p. ej. appUrl('/verificar-correo/abc'))
+function appUrl(ruta = '/') {
+    const base = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    return `${base}${ruta.startsWith('/') ? ruta : `/${ruta}`}`;
+}
+
+function defaultFrom() {
+    return process.env.MAIL_FROM || process.env.EMAIL_USER || process.env.SMTP_USER || 'no-reply@localhost';
+}
+
+// Guarda el mensaje generado por jsonTransport en MAIL_DIR, un archivo por correo
+function createFileTransport() {
+    const directorio = process.env.MAIL_DIR || path.join(__dirname, '../../storage/correos');
+    const transporte = nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+        async sendMail(mensaje) {
+            const info = await transporte.sendMail(mensaje);
+            await fs.promises.mkdir(directorio, { recursive: true });
+            const archivo = path.join(directorio, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+            await fs.promises.writeFile(archivo, info.message);
+            return { ...info, archivo };
+        }
+    };
+}
+
+function createTransport(tipo = process.env.MAIL_TRANSPORT || 'gmail') {
+    if (!TRANSPORTES.includes(tipo)) {
+        throw new Error(`MAIL_TRANSPORT inválido: ${tipo}. Valores permitidos: ${TRANSPORTES.join(', ')}`);
+    }
+
+    if (tipo === 'archivo') {
+        return createFileTransport();
+    }
+    if (tipo === 'smtp') {
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+    return nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASS
+        }
+    });
+}
+
+// El transporte se crea en el primer envío, cuando dotenv ya cargó la configuración
+let transporte = null;
+
+// Cambia el transporte (por ejemplo createTransport('archivo') o un objeto con sendMail en pruebas)
+function useTransport(nuevoTransporte) {
+    transporte = nuevoTransporte;
+}
+
+// Versión HTML y de texto de una plantilla. datos está disponible en la plantilla junto con appUrl.
+async function renderTemplate(plantilla, datos = {}) {
+    const variables = { ...datos, appUrl };
+    const [html, text] = await Promise.all([
+        ejs.renderFile(path.join(PLANTILLAS_DIR, `${plantilla}.html.ejs`), variables),
+        ejs.renderFile(path.join(PLANTILLAS_DIR, `${plantilla}.text.ejs`), variables)
+    ]);
+    return { html, text };
+}
+
+/**
+ * Envía un correo a partir de una plantilla. Lanza si no se puede renderizar o enviar:
+ * cada llamador decide si el fallo detiene la operación (ver postRegister).
+ */
+async function sendMail({ para, asunto, plantilla, datos = {} }) {
+    const { html, text } = await renderTemplate(plantilla, { ...datos, asunto });
+    if (!transporte) transporte = createTransport();
+
+    return transporte.sendMail({
+        from: defaultFrom(),
+        to: para,
+        subject: asunto,
+        html,
+        text
+    });
+}
+
+module.exports = {
+    appUrl,
+    createTransport,
+    useTransport,
+    renderTemplate,
+    sendMail
+};
@@ -0,0 +1,109 @@
+// backend/services/notificationService.js
+const sql = require('mssql');
+const config = require('../db.js');
+
+// Tipos de notificación que se guardan en Notificaciones.tipoNotificacion
+const TIPOS_NOTIFICACION = {
+    TAREA_ASIGNADA: 'tarea_asignada',
+    SUBTAREA_ASIGNADA: 'subtarea_asignada',
+    ESTADO_TAREA: 'estado_tarea',
+    ESTADO_SUBTAREA: 'estado_subtarea',
+    INVITACION: 'invitacion_proyecto',
+    PROYECTO_ELIMINADO: 'proyecto_eliminado',
+    PROYECTO_TRANSFERIDO: 'proyecto_transferido',
+    MENCION: 'mencion_comentario'
+};
+
+exports.TIPOS_NOTIFICACION = TIPOS_NOTIFICACION;
+
+// Inserta una notificación. Nunca lanza: si falla solo se registra el error,
+// para que la operación principal (crear tarea, invitar, etc.) no se interrumpa.
+exports.createNotification = async ({ idUsuarioReceptor, tipoNotificacion, mensaje, idProyecto = null, idTarea = null, idSubtarea = null, idUsuarioEmisor = null }) => {
+    // No tiene sentido notificar a alguien de su propia acción
+    if (!idUsuarioReceptor || idUsuarioReceptor === idUsuarioEmisor) {
+        return;
+    }
+
+    try {
+        const pool = await sql.connect(config);
+        await pool.request()
+            .input('idUsuarioReceptor', sql.Int, idUsuarioReceptor)
+            .input('tipoNotificacion', sql.NVarChar, tipoNotificacion)
+            .input('mensaje', sql.NVarChar, mensaje)
+            .input('idProyectoRelacionado', sql.Int, idProyecto)
+            .input('idTareaRelacionada', sql.Int, idTarea)
+            .input('idSubtareaRelacionada', sql.Int, idSubtarea)
+            .input('idUsuarioEmisor', sql.Int, idUsuarioEmisor)
+            .query(`
+                INSERT INTO Notificaciones (idUsuarioReceptor, tipoNotificacion, mensaje, idProyectoRelacionado, idTareaRelacionada, idSubtareaRelacionada, idUsuarioEmisor)
+                VALUES (@idUsuarioReceptor, @tipoNotificacion, @mensaje, @idProyectoRelacionado, @idTareaRelacionada, @idSubtareaRelacionada, @idUsuarioEmisor);
+            `);
+    } catch (error) {
+        console.error("Error al crear notificación:", error);
+    }
+};
+
+// Envía la misma notificación a varios receptores (sin duplicados)
+exports.notifyUsers = async (receptores, datos) => {
+    const unicos = [...new Set(receptores.filter(Boolean))];
+    await Promise.all(unicos.map(idUsuarioReceptor => exports.createNotification({ ...datos, idUsuarioReceptor })));
+};
+
+// Lista las notificaciones de un usuario (las más recientes primero)
+exports.getNotifications = async (userId, { soloNoLeidas = false, limite = 20 } = {}) => {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .input('limite', sql.Int, limite)
+        .query(`
+            SELECT TOP (@limite)
+                N.idNotificacion AS id,
+                N.tipoNotificacion AS type,
+                N.mensaje AS message,
+                N.idProyectoRelacionado AS projectId,
+                N.idTareaRelacionada AS taskId,
+                N.idSubtareaRelacionada AS subtaskId,
+                N.idUsuarioEmisor AS senderId,
+                U_Emisor.nombreUsuario AS senderName,
+                N.fechaCreacion AS createdAt,
+                N.leida AS isRead
+            FROM Notificaciones N
+            LEFT JOIN Usuarios U_Emisor ON N.idUsuarioEmisor = U_Emisor.idUsuario
+            WHERE N.idUsuarioReceptor = @idUsuario
+            ${soloNoLeidas ? 'AND N.leida = 0' : ''}
+            ORDER BY N.fechaCreacion DESC, N.idNotificacion DESC;
+        `);
+    return result.recordset;
+};
+
+// Número de notificaciones sin leer
+exports.getUnreadCount = async (userId) => {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .query('SELECT COUNT(*) AS total FROM Notificaciones WHERE idUsuarioReceptor = @idUsuario AND leida = 0;');
+    return result.recordset[0].total;
+};
+
+// Marca una notificación como leída (solo si pertenece al usuario)
+exports.markAsRead = async (notificationId, userId) => {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idNotificacion', sql.Int, notificationId)
+        .input('idUsuario', sql.Int, userId)
+        .query('UPDATE Notificaciones SET leida = 1 WHERE idNotificacion = @idNotificacion AND idUsuarioReceptor = @idUsuario;');
+
+    if (result.rowsAffected[0] === 0) {
+        return { success: false, error: 'Notificación no encontrada', code: 'NOT_FOUND' };
+    }
+    return { success: true, data: { id: Number(notificationId), isRead: true } };
+};
+
+// Marca todas las notificaciones del usuario como leídas
+exports.markAllAsRead = async (userId) => {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .query('UPDATE Notificaciones SET leida = 1 WHERE idUsuarioReceptor = @idUsuario AND leida = 0;');
+    return { success: true, data: { updated: result.rowsAffected[0] } };
+};
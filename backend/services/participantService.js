@@ -0,0 +1,373 @@
+// backend/services/participantService.js
+const sql = require('mssql');
+const config = require('../db.js');
+const { createNotification, TIPOS_NOTIFICACION } = require('./notificationService');
+const { recordActivity, TIPOS_ENTIDAD, OPERACIONES } = require('./activityService');
+const { can, ACCIONES, ROLES } = require('../policies/projectPolicy');
+
+// Las funciones que aplican reglas devuelven { success, data, error, code }:
+// las vistas EJS lo convierten en un mensaje flash y routes/api.js en la respuesta JSON.
+
+// Rol del usuario en el proyecto (solo si aceptó la invitación), o null si no tiene acceso
+async function getProjectRole(projectId, userId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('idUsuario', sql.Int, userId)
+        .query(`
+            SELECT rolProyecto
+            FROM ParticipantesProyecto
+            WHERE idProyecto = @idProyecto
+            AND idUsuario = @idUsuario
+            AND estadoInvitacion = 'aceptada';
+        `);
+    return result.recordset[0] ? result.recordset[0].rolProyecto : null;
+}
+
+// Verifica que el usuario pueda invitar, revocar y cambiar roles en el proyecto
+async function canManageMembers(projectId, userId) {
+    const rolProyecto = await getProjectRole(projectId, userId);
+    return can({ id: userId }, ACCIONES.GESTIONAR_MIEMBROS, { rolProyecto });
+}
+
+// Nombre del usuario de una participación, para el registro de actividad
+async function getUserName(userId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .query('SELECT nombreUsuario FROM Usuarios WHERE idUsuario = @idUsuario');
+    return result.recordset[0] ? result.recordset[0].nombreUsuario : null;
+}
+
+// Un usuario solo puede ser asignado a tareas si es participante aceptado del proyecto
+async function isAssignable(projectId, userId) {
+    if (!userId) return true;
+    return (await getProjectRole(projectId, userId)) !== null;
+}
+
+// Todos los participantes del proyecto, incluidas las invitaciones pendientes
+async function getParticipants(projectId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .query(`
+            SELECT
+                PP.idParticipante,
+                U.idUsuario,
+                U.nombreUsuario,
+                U.correoUsuario,
+                U.fotoPerfil,
+                PP.rolProyecto,
+                PP.estadoInvitacion
+            FROM ParticipantesProyecto PP
+            JOIN Usuarios U ON PP.idUsuario = U.idUsuario
+            WHERE PP.idProyecto = @idProyecto
+            ORDER BY PP.rolProyecto ASC, U.nombreUsuario ASC;
+        `);
+    return result.recordset;
+}
+
+// Participantes que aceptaron la invitación (para asignar tareas, avisos, etc.)
+async function getAcceptedParticipants(projectId) {
+    const participantes = await getParticipants(projectId);
+    return participantes.filter(p => p.estadoInvitacion === 'aceptada');
+}
+
+// Crea (o reactiva, si fue rechazada) una invitación pendiente para el correo indicado
+async function createInvitation(projectId, adminId, correo, rolProyecto = 'miembro') {
+    const pool = await sql.connect(config);
+
+    if (!(await canManageMembers(projectId, adminId))) {
+        return { success: false, error: 'Solo el administrador del proyecto puede invitar miembros', code: 'FORBIDDEN' };
+    }
+
+    if (!ROLES.includes(rolProyecto)) {
+        return { success: false, error: `El rol debe ser uno de: ${ROLES.join(', ')}`, code: 'VALIDATION_ERROR' };
+    }
+
+    const userResult = await pool.request()
+        .input('correo', sql.NVarChar, correo)
+        .query('SELECT idUsuario, nombreUsuario, correoUsuario, cuentaActiva, correoVerificado FROM Usuarios WHERE correoUsuario = @correo');
+    const invitado = userResult.recordset[0];
+
+    if (!invitado) {
+        return { success: false, error: 'No existe un usuario registrado con ese correo', code: 'NOT_FOUND' };
+    }
+
+    if (invitado.idUsuario === adminId) {
+        return { success: false, error: 'No puedes invitarte a ti mismo', code: 'VALIDATION_ERROR' };
+    }
+
+    // Una cuenta desactivada o sin verificar no puede iniciar sesión para responder a la invitación
+    if (!invitado.cuentaActiva) {
+        return { success: false, error: 'La cuenta de ese usuario está desactivada', code: 'VALIDATION_ERROR' };
+    }
+    if (!invitado.correoVerificado) {
+        return { success: false, error: 'Ese usuario aún no ha verificado su correo', code: 'VALIDATION_ERROR' };
+    }
+
+    const existingResult = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('idUsuario', sql.Int, invitado.idUsuario)
+        .query('SELECT idParticipante, rolProyecto, estadoInvitacion FROM ParticipantesProyecto WHERE idProyecto = @idProyecto AND idUsuario = @idUsuario');
+    const existente = existingResult.recordset[0];
+
+    if (existente && existente.estadoInvitacion === 'aceptada') {
+        return { success: false, error: 'El usuario ya es miembro del proyecto', code: 'CONFLICT' };
+    }
+    if (existente && existente.estadoInvitacion === 'pendiente') {
+        return { success: false, error: 'El usuario ya tiene una invitación pendiente', code: 'CONFLICT' };
+    }
+
+    let idParticipante;
+    if (existente) {
+        // La invitación fue rechazada antes: se vuelve a dejar pendiente (UQ_Proyecto_Usuario impide otro INSERT)
+        await pool.request()
+            .input('idParticipante', sql.Int, existente.idParticipante)
+            .input('rolProyecto', sql.NVarChar, rolProyecto)
+            .query(`
+                UPDATE ParticipantesProyecto
+                SET estadoInvitacion = 'pendiente', rolProyecto = @rolProyecto, fechaAsignacion = GETDATE()
+                WHERE idParticipante = @idParticipante;
+            `);
+        idParticipante = existente.idParticipante;
+    } else {
+        const insertResult = await pool.request()
+            .input('idProyecto', sql.Int, projectId)
+            .input('idUsuario', sql.Int, invitado.idUsuario)
+            .input('rolProyecto', sql.NVarChar, rolProyecto)
+            .query(`
+                INSERT INTO ParticipantesProyecto (idProyecto, idUsuario, rolProyecto, estadoInvitacion)
+                VALUES (@idProyecto, @idUsuario, @rolProyecto, 'pendiente');
+                SELECT SCOPE_IDENTITY() AS idParticipante;
+            `);
+        idParticipante = insertResult.recordset[0].idParticipante;
+    }
+
+    await recordActivity({
+        idProyecto: Number(projectId),
+        idUsuarioActor: adminId,
+        tipoEntidad: TIPOS_ENTIDAD.PARTICIPANTE,
+        idEntidad: idParticipante,
+        nombreEntidad: invitado.nombreUsuario,
+        operacion: existente ? OPERACIONES.ACTUALIZAR : OPERACIONES.CREAR,
+        antes: existente || null,
+        despues: { rolProyecto, estadoInvitacion: 'pendiente' }
+    });
+
+    const projectResult = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .query('SELECT nombreProyecto FROM Proyectos WHERE idProyecto = @idProyecto');
+
+    await createNotification({
+        idUsuarioReceptor: invitado.idUsuario,
+        tipoNotificacion: TIPOS_NOTIFICACION.INVITACION,
+        mensaje: `Has sido invitado al proyecto "${projectResult.recordset[0].nombreProyecto}".`,
+        idProyecto: Number(projectId),
+        idUsuarioEmisor: adminId
+    });
+
+    return {
+        success: true,
+        data: {
+            id: idParticipante,
+            projectId: Number(projectId),
+            userId: invitado.idUsuario,
+            name: invitado.nombreUsuario,
+            email: invitado.correoUsuario,
+            role: rolProyecto,
+            status: 'pendiente'
+        }
+    };
+}
+
+// Elimina una invitación que sigue pendiente (solo el admin del proyecto)
+async function revokeInvitation(projectId, adminId, invitationId) {
+    if (!(await canManageMembers(projectId, adminId))) {
+        return { success: false, error: 'Solo el administrador del proyecto puede revocar invitaciones', code: 'FORBIDDEN' };
+    }
+
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('idParticipante', sql.Int, invitationId)
+        .query(`
+            DELETE FROM ParticipantesProyecto
+            OUTPUT DELETED.idUsuario, DELETED.rolProyecto, DELETED.estadoInvitacion
+            WHERE idParticipante = @idParticipante
+            AND idProyecto = @idProyecto
+            AND estadoInvitacion = 'pendiente';
+        `);
+
+    if (result.recordset.length === 0) {
+        return { success: false, error: 'Invitación no encontrada o ya respondida', code: 'NOT_FOUND' };
+    }
+
+    const invitacion = result.recordset[0];
+    await recordActivity({
+        idProyecto: Number(projectId),
+        idUsuarioActor: adminId,
+        tipoEntidad: TIPOS_ENTIDAD.PARTICIPANTE,
+        idEntidad: Number(invitationId),
+        nombreEntidad: await getUserName(invitacion.idUsuario),
+        operacion: OPERACIONES.ELIMINAR,
+        antes: invitacion
+    });
+
+    return { success: true, data: { id: Number(invitationId) } };
+}
+
+// Cambia el rol de un participante (solo quien gestiona miembros).
+// El creador del proyecto (Proyectos.idUsuarioAdmin) siempre conserva el rol admin.
+async function changeParticipantRole(projectId, adminId, participantId, rolProyecto) {
+    if (!(await canManageMembers(projectId, adminId))) {
+        return { success: false, error: 'Solo el administrador del proyecto puede cambiar roles', code: 'FORBIDDEN' };
+    }
+
+    if (!ROLES.includes(rolProyecto)) {
+        return { success: false, error: `El rol debe ser uno de: ${ROLES.join(', ')}`, code: 'VALIDATION_ERROR' };
+    }
+
+    const pool = await sql.connect(config);
+    const participantResult = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('idParticipante', sql.Int, participantId)
+        .query(`
+            SELECT PP.idParticipante, PP.idUsuario, PP.rolProyecto, U.nombreUsuario, P.idUsuarioAdmin
+            FROM ParticipantesProyecto PP
+            JOIN Proyectos P ON PP.idProyecto = P.idProyecto
+            JOIN Usuarios U ON PP.idUsuario = U.idUsuario
+            WHERE PP.idParticipante = @idParticipante AND PP.idProyecto = @idProyecto;
+        `);
+    const participante = participantResult.recordset[0];
+
+    if (!participante) {
+        return { success: false, error: 'Participante no encontrado', code: 'NOT_FOUND' };
+    }
+    if (participante.idUsuario === participante.idUsuarioAdmin) {
+        return { success: false, error: 'No se puede cambiar el rol del creador del proyecto', code: 'CONFLICT' };
+    }
+
+    await pool.request()
+        .input('idParticipante', sql.Int, participantId)
+        .input('rolProyecto', sql.NVarChar, rolProyecto)
+        .query('UPDATE ParticipantesProyecto SET rolProyecto = @rolProyecto WHERE idParticipante = @idParticipante;');
+
+    await recordActivity({
+        idProyecto: Number(projectId),
+        idUsuarioActor: adminId,
+        tipoEntidad: TIPOS_ENTIDAD.PARTICIPANTE,
+        idEntidad: Number(participantId),
+        nombreEntidad: participante.nombreUsuario,
+        operacion: OPERACIONES.ACTUALIZAR,
+        antes: { rolProyecto: participante.rolProyecto },
+        despues: { rolProyecto }
+    });
+
+    return {
+        success: true,
+        data: { id: Number(participantId), userId: participante.idUsuario, name: participante.nombreUsuario, role: rolProyecto }
+    };
+}
+
+// El usuario invitado acepta o rechaza su propia invitación pendiente
+async function respondToInvitation(invitationId, userId, accept) {
+    const pool = await sql.connect(config);
+    const nuevoEstado = accept ? 'aceptada' : 'rechazada';
+
+    const result = await pool.request()
+        .input('idParticipante', sql.Int, invitationId)
+        .input('idUsuario', sql.Int, userId)
+        .input('estadoInvitacion', sql.NVarChar, nuevoEstado)
+        .query(`
+            UPDATE ParticipantesProyecto
+            SET estadoInvitacion = @estadoInvitacion
+            OUTPUT INSERTED.idProyecto, INSERTED.rolProyecto
+            WHERE idParticipante = @idParticipante
+            AND idUsuario = @idUsuario
+            AND estadoInvitacion = 'pendiente';
+        `);
+
+    if (result.recordset.length === 0) {
+        return { success: false, error: 'Invitación no encontrada o ya respondida', code: 'NOT_FOUND' };
+    }
+
+    const { idProyecto, rolProyecto } = result.recordset[0];
+    await recordActivity({
+        idProyecto,
+        idUsuarioActor: userId,
+        tipoEntidad: TIPOS_ENTIDAD.PARTICIPANTE,
+        idEntidad: Number(invitationId),
+        nombreEntidad: await getUserName(userId),
+        operacion: OPERACIONES.ACTUALIZAR,
+        antes: { rolProyecto, estadoInvitacion: 'pendiente' },
+        despues: { rolProyecto, estadoInvitacion: nuevoEstado }
+    });
+
+    return {
+        success: true,
+        data: { id: Number(invitationId), projectId: idProyecto, status: nuevoEstado }
+    };
+}
+
+// Invitaciones pendientes recibidas por un usuario
+async function getPendingInvitationsForUser(userId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .query(`
+            SELECT
+                PP.idParticipante,
+                PP.idProyecto,
+                PP.rolProyecto,
+                PP.fechaAsignacion,
+                P.nombreProyecto,
+                U_Admin.nombreUsuario AS nombreAdmin
+            FROM ParticipantesProyecto PP
+            JOIN Proyectos P ON PP.idProyecto = P.idProyecto
+            JOIN Usuarios U_Admin ON P.idUsuarioAdmin = U_Admin.idUsuario
+            WHERE PP.idUsuario = @idUsuario AND PP.estadoInvitacion = 'pendiente'
+            ORDER BY PP.fechaAsignacion DESC;
+        `);
+    return result.recordset;
+}
+
+// Invitaciones pendientes enviadas desde un proyecto (solo el admin)
+async function getPendingInvitationsForProject(projectId, adminId) {
+    if (!(await canManageMembers(projectId, adminId))) {
+        return { success: false, error: 'Solo el administrador del proyecto puede ver las invitaciones', code: 'FORBIDDEN' };
+    }
+
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .query(`
+            SELECT
+                PP.idParticipante AS id,
+                U.idUsuario AS userId,
+                U.nombreUsuario AS name,
+                U.correoUsuario AS email,
+                PP.rolProyecto AS role,
+                PP.fechaAsignacion AS invitedAt
+            FROM ParticipantesProyecto PP
+            JOIN Usuarios U ON PP.idUsuario = U.idUsuario
+            WHERE PP.idProyecto = @idProyecto AND PP.estadoInvitacion = 'pendiente'
+            ORDER BY PP.fechaAsignacion DESC;
+        `);
+
+    return { success: true, data: result.recordset };
+}
+
+module.exports = {
+    getProjectRole,
+    canManageMembers,
+    isAssignable,
+    getParticipants,
+    getAcceptedParticipants,
+    createInvitation,
+    revokeInvitation,
+    changeParticipantRole,
+    respondToInvitation,
+    getPendingInvitationsForUser,
+    getPendingInvitationsForProject
+};
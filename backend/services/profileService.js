@@ -0,0 +1,197 @@
+// backend/services/profileService.js
+// Datos de la cuenta del propio usuario: nombre, contraseña, correo y foto de perfil.
+// El correo nuevo queda en correoPendiente hasta que se abre el enlace de verificación
+// (ver emailVerificationService.verifyEmail); mientras tanto se sigue entrando con el anterior.
+const sql = require('mssql');
+const config = require('../db.js');
+const bcrypt = require('bcryptjs');
+const fs = require('fs');
+const path = require('path');
+const emailVerificationService = require('./emailVerificationService');
+const sessionService = require('./sessionService');
+
+// Las mismas imágenes que se ofrecen en el registro
+const IMAGENES_PREDETERMINADAS = Array.from({ length: 12 }, (_, i) => `/images/${i + 1}.png`);
+const UPLOADS_DIR = path.join(__dirname, '../../frontend/public/uploads');
+
+// Mismas reglas que el registro y el restablecimiento de contraseña
+function passwordErrors(contrasena) {
+    const valor = String(contrasena || '');
+    const errores = [];
+    if (valor.length < 6) errores.push('La contraseña debe tener al menos 6 caracteres');
+    if (!/[A-Z]/.test(valor)) errores.push('La contraseña debe contener al menos una letra mayúscula');
+    if (!/[a-z]/.test(valor)) errores.push('La contraseña debe contener al menos una letra minúscula');
+    if (!/[0-9]/.test(valor)) errores.push('La contraseña debe contener al menos un número');
+    if (!/[^A-Za-z0-9]/.test(valor)) errores.push('La contraseña debe contener al menos un carácter especial');
+    return errores;
+}
+
+async function getUser(userId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .query(`
+            SELECT idUsuario, nombreUsuario, correoUsuario, correoPendiente, contrasenia, fotoPerfil, rol, totpActivado
+            FROM Usuarios
+            WHERE idUsuario = @idUsuario
+        `);
+    return result.recordset[0];
+}
+
+function checkPassword(usuario, contrasena) {
+    return Boolean(usuario) && bcrypt.compareSync(String(contrasena || ''), usuario.contrasenia);
+}
+
+// Borra la foto si era una subida por el usuario (las predeterminadas no se tocan)
+function removeUploadedPhoto(fotoPerfil) {
+    if (!fotoPerfil || !fotoPerfil.startsWith('/uploads/')) return;
+    fs.unlink(path.join(UPLOADS_DIR, path.basename(fotoPerfil)), (error) => {
+        if (error && error.code !== 'ENOENT') console.error("Error al borrar la foto de perfil anterior:", error);
+    });
+}
+
+// --- Consultas ---
+
+// Perfil sin la contraseña
+async function getProfile(userId) {
+    const usuario = await getUser(userId);
+    if (!usuario) {
+        return { success: false, error: 'Usuario no encontrado', code: 'NOT_FOUND' };
+    }
+    const { contrasenia, ...perfil } = usuario;
+    return { success: true, data: perfil };
+}
+
+// --- Operaciones ---
+
+async function updateName(userId, nombre) {
+    const limpio = String(nombre || '').trim();
+    if (!limpio) {
+        return { success: false, error: 'El nombre es obligatorio', code: 'VALIDATION_ERROR' };
+    }
+    if (limpio.length > 50) {
+        return { success: false, error: 'El nombre no puede superar los 50 caracteres', code: 'VALIDATION_ERROR' };
+    }
+
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .input('nombreUsuario', sql.NVarChar, limpio)
+        .query('UPDATE Usuarios SET nombreUsuario = @nombreUsuario WHERE idUsuario = @idUsuario');
+
+    return getProfile(userId);
+}
+
+// Cambia la contraseña (pide la actual) y cierra las demás sesiones del usuario salvo sidActual
+async function changePassword(userId, contrasenaActual, contrasenaNueva, sidActual = null) {
+    const usuario = await getUser(userId);
+    if (!checkPassword(usuario, contrasenaActual)) {
+        return { success: false, error: 'La contraseña actual no es correcta', code: 'FORBIDDEN' };
+    }
+
+    const errores = passwordErrors(contrasenaNueva);
+    if (errores.length > 0) {
+        return { success: false, error: errores.join(', '), code: 'VALIDATION_ERROR' };
+    }
+
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .input('hash', sql.NVarChar, bcrypt.hashSync(contrasenaNueva, 10))
+        .query(`
+            UPDATE Usuarios
+            SET contrasenia = @hash, tokenRecuperacion = NULL, tokenExpiracion = NULL
+            WHERE idUsuario = @idUsuario
+        `);
+
+    const cierre = await sessionService.revokeAllSessions(userId, sidActual);
+    return { success: true, data: { sesionesCerradas: cierre.data.cerradas } };
+}
+
+/**
+ * Pide cambiar el correo: lo guarda como pendiente y envía el enlace de verificación a la dirección nueva.
+ * correo debe venir ya validado y normalizado. Pide la contraseña actual.
+ */
+async function requestEmailChange(userId, correo, contrasena) {
+    const usuario = await getUser(userId);
+    if (!checkPassword(usuario, contrasena)) {
+        return { success: false, error: 'La contraseña actual no es correcta', code: 'FORBIDDEN' };
+    }
+    if (usuario.correoUsuario.toLowerCase() === correo.toLowerCase()) {
+        return { success: false, error: 'Ese ya es tu correo actual', code: 'VALIDATION_ERROR' };
+    }
+
+    const pool = await sql.connect(config);
+    const existente = await pool.request()
+        .input('correo', sql.NVarChar, correo)
+        .input('idUsuario', sql.Int, userId)
+        .query('SELECT 1 AS existe FROM Usuarios WHERE correoUsuario = @correo AND idUsuario <> @idUsuario');
+    if (existente.recordset.length > 0) {
+        return { success: false, error: 'Ese correo ya está registrado', code: 'CONFLICT' };
+    }
+
+    await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .input('correo', sql.NVarChar, correo)
+        .query('UPDATE Usuarios SET correoPendiente = @correo WHERE idUsuario = @idUsuario');
+
+    // El enlace se firma con el correo nuevo, así que solo sirve para confirmar esa dirección
+    await emailVerificationService.sendVerificationEmail({
+        idUsuario: usuario.idUsuario,
+        nombreUsuario: usuario.nombreUsuario,
+        correoUsuario: correo
+    }, { cambioCorreo: true });
+    return { success: true, data: { correoPendiente: correo } };
+}
+
+// Anula un cambio de correo sin confirmar
+async function cancelEmailChange(userId) {
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .query('UPDATE Usuarios SET correoPendiente = NULL WHERE idUsuario = @idUsuario');
+    return { success: true, data: null };
+}
+
+/**
+ * Cambia la foto de perfil por una subida (archivo de Multer) o por una de las predeterminadas (imagen).
+ * Si hay archivo tiene prioridad. La foto subida anterior se borra del disco.
+ */
+async function updatePhoto(userId, { archivo = null, imagen = null } = {}) {
+    let fotoPerfil;
+    if (archivo) {
+        fotoPerfil = `/uploads/${archivo.filename}`;
+    } else if (IMAGENES_PREDETERMINADAS.includes(imagen)) {
+        fotoPerfil = imagen;
+    } else {
+        return { success: false, error: 'Selecciona una de las imágenes disponibles o sube una imagen', code: 'VALIDATION_ERROR' };
+    }
+
+    const usuario = await getUser(userId);
+    if (!usuario) {
+        return { success: false, error: 'Usuario no encontrado', code: 'NOT_FOUND' };
+    }
+
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .input('fotoPerfil', sql.NVarChar, fotoPerfil)
+        .query('UPDATE Usuarios SET fotoPerfil = @fotoPerfil WHERE idUsuario = @idUsuario');
+
+    if (usuario.fotoPerfil !== fotoPerfil) {
+        removeUploadedPhoto(usuario.fotoPerfil);
+    }
+    return { success: true, data: { fotoPerfil } };
+}
+
+module.exports = {
+    IMAGENES_PREDETERMINADAS,
+    passwordErrors,
+    getProfile,
+    updateName,
+    changePassword,
+    requestEmailChange,
+    cancelEmailChange,
+    updatePhoto,
+    removeUploadedPhoto
+};
@@ -0,0 +1,241 @@
+// backend/services/projectService.js
+const sql = require('mssql');
+const config = require('../db.js');
+const participantService = require('./participantService');
+const taskService = require('./taskService');
+const subtaskService = require('./subtaskService');
+const dependencyService = require('./dependencyService');
+const commentService = require('./commentService');
+const attachmentService = require('./attachmentService');
+const timeService = require('./timeService');
+const labelService = require('./labelService');
+const { can, ACCIONES } = require('../policies/projectPolicy');
+const { notifyUsers, TIPOS_NOTIFICACION } = require('./notificationService');
+const activityService = require('./activityService');
+const { removeAttachmentFiles } = require('../middlewares/uploads');
+
+const PROJECT_COLUMNS = `
+    P.idProyecto,
+    P.nombreProyecto,
+    CAST(P.descripcionProyecto AS NVARCHAR(MAX)) AS descripcionProyecto,
+    P.fechaCreacion,
+    P.fechaEntrega,
+    P.estadoProyecto,
+    P.idUsuarioAdmin,
+    U_Admin.nombreUsuario AS nombreAdmin
+`;
+
+// --- Consultas ---
+
+// Proyectos donde el usuario es participante aceptado, con su rol en cada uno.
+// search filtra por nombre, descripción o ID.
+async function getProjectsForUser(userId, { search = null } = {}) {
+    const pool = await sql.connect(config);
+    const request = pool.request().input('idUsuario', sql.Int, userId);
+
+    let filtroBusqueda = '';
+    if (search) {
+        request.input('searchTerm', sql.NVarChar, `%${search}%`);
+        filtroBusqueda = `
+            AND (
+                P.nombreProyecto LIKE @searchTerm
+                OR CAST(P.descripcionProyecto AS NVARCHAR(MAX)) LIKE @searchTerm
+                OR CAST(P.idProyecto AS NVARCHAR) LIKE @searchTerm
+            )`;
+    }
+
+    const result = await request.query(`
+        SELECT ${PROJECT_COLUMNS}, PP.rolProyecto
+        FROM Proyectos P
+        JOIN ParticipantesProyecto PP ON P.idProyecto = PP.idProyecto
+        JOIN Usuarios U_Admin ON P.idUsuarioAdmin = U_Admin.idUsuario
+        WHERE PP.idUsuario = @idUsuario AND PP.estadoInvitacion = 'aceptada'
+        ${filtroBusqueda}
+        ORDER BY P.fechaEntrega ASC;
+    `);
+    return result.recordset;
+}
+
+// Un proyecto con el rol del usuario, o undefined si no existe o no tiene acceso
+async function getProjectForUser(projectId, userId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('currentUserId', sql.Int, userId)
+        .query(`
+            SELECT ${PROJECT_COLUMNS}, PP.rolProyecto
+            FROM Proyectos P
+            JOIN Usuarios U_Admin ON P.idUsuarioAdmin = U_Admin.idUsuario
+            JOIN ParticipantesProyecto PP ON P.idProyecto = PP.idProyecto AND PP.idUsuario = @currentUserId
+            WHERE P.idProyecto = @idProyecto AND PP.estadoInvitacion = 'aceptada';
+        `);
+    return result.recordset[0];
+}
+
+// Todo lo que necesita la vista project-details: proyecto, participantes, tareas con subtareas (en árbol), etiquetas, dependencias, tiempo registrado,
+// comentarios y adjuntos, los totales de tiempo del proyecto, sus etiquetas y la página paginaActividad del registro de actividad
+async function getProjectDetails(projectId, userId, { paginaActividad = 1 } = {}) {
+    const proyecto = await getProjectForUser(projectId, userId);
+    if (!proyecto) {
+        return { success: false, error: 'Proyecto no encontrado o no tienes acceso a él.', code: 'FORBIDDEN' };
+    }
+
+    const participantes = await participantService.getParticipants(projectId);
+    const tareas = await attachmentService.attachAttachments(await commentService.attachComments(
+        subtaskService.attachSubtaskTree(await timeService.attachTimeTracking(
+            await dependencyService.attachDependencies(
+                await labelService.attachLabels(await subtaskService.attachSubtasks(await taskService.getTasks(projectId)))
+            )
+        ))
+    ));
+    const tiempo = timeService.summarizeTime(tareas);
+    const etiquetas = await labelService.getProjectLabels(projectId);
+    const actividad = await activityService.getActivity(projectId, { pagina: paginaActividad });
+
+    return { success: true, data: { proyecto, participantes, tareas, tiempo, etiquetas, actividad } };
+}
+
+// Proyecto sobre el que el usuario puede realizar la acción (editar o eliminar)
+async function getManageableProject(projectId, userId, accion = ACCIONES.EDITAR_PROYECTO) {
+    const proyecto = await getProjectForUser(projectId, userId);
+
+    if (!proyecto || !can({ id: userId }, accion, { rolProyecto: proyecto.rolProyecto, proyecto })) {
+        return { success: false, error: 'Proyecto no encontrado o no tienes permiso para modificarlo.', code: 'FORBIDDEN' };
+    }
+    return { success: true, data: proyecto };
+}
+
+// --- Operaciones ---
+
+// datos: { nombreProyecto, descripcionProyecto, fechaEntrega, estadoProyecto }
+async function createProject(adminId, datos) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('nombreProyecto', sql.NVarChar, datos.nombreProyecto)
+        .input('descripcionProyecto', sql.Text, datos.descripcionProyecto)
+        .input('fechaEntrega', sql.DateTime, datos.fechaEntrega)
+        .input('estadoProyecto', sql.NVarChar, datos.estadoProyecto || 'Activo')
+        .input('idUsuarioAdmin', sql.Int, adminId)
+        .query(`
+            INSERT INTO Proyectos (nombreProyecto, descripcionProyecto, fechaEntrega, fechaCreacion, estadoProyecto, idUsuarioAdmin)
+            VALUES (@nombreProyecto, @descripcionProyecto, @fechaEntrega, GETDATE(), @estadoProyecto, @idUsuarioAdmin);
+            SELECT SCOPE_IDENTITY() AS idProyecto;
+        `);
+
+    const newProjectId = result.recordset[0].idProyecto;
+
+    // El creador queda registrado como admin (aceptado) del proyecto
+    await pool.request()
+        .input('idProyecto', sql.Int, newProjectId)
+        .input('idUsuario', sql.Int, adminId)
+        .query(`
+            INSERT INTO ParticipantesProyecto (idProyecto, idUsuario, rolProyecto, estadoInvitacion)
+            VALUES (@idProyecto, @idUsuario, 'admin', 'aceptada');
+        `);
+
+    const proyecto = await getProjectForUser(newProjectId, adminId);
+    await activityService.recordActivity({
+        idProyecto: proyecto.idProyecto,
+        idUsuarioActor: adminId,
+        tipoEntidad: activityService.TIPOS_ENTIDAD.PROYECTO,
+        idEntidad: proyecto.idProyecto,
+        nombreEntidad: proyecto.nombreProyecto,
+        operacion: activityService.OPERACIONES.CREAR,
+        despues: proyecto
+    });
+
+    return { success: true, data: proyecto };
+}
+
+// Los campos undefined en datos conservan su valor actual
+async function updateProject(projectId, userId, datos) {
+    const manageable = await getManageableProject(projectId, userId);
+    if (!manageable.success) return manageable;
+
+    const anterior = manageable.data;
+    const valor = (campo) => (datos[campo] === undefined ? anterior[campo] : datos[campo]);
+
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('nombreProyecto', sql.NVarChar, valor('nombreProyecto'))
+        .input('descripcionProyecto', sql.Text, valor('descripcionProyecto'))
+        .input('fechaEntrega', sql.DateTime, valor('fechaEntrega'))
+        .input('estadoProyecto', sql.NVarChar, valor('estadoProyecto'))
+        .query(`
+            UPDATE Proyectos
+            SET nombreProyecto = @nombreProyecto,
+                descripcionProyecto = @descripcionProyecto,
+                fechaEntrega = @fechaEntrega,
+                estadoProyecto = @estadoProyecto
+            WHERE idProyecto = @idProyecto;
+        `);
+
+    const proyecto = await getProjectForUser(projectId, userId);
+    await activityService.recordActivity({
+        idProyecto: Number(projectId),
+        idUsuarioActor: userId,
+        tipoEntidad: activityService.TIPOS_ENTIDAD.PROYECTO,
+        idEntidad: Number(projectId),
+        nombreEntidad: proyecto.nombreProyecto,
+        operacion: activityService.OPERACIONES.ACTUALIZAR,
+        antes: anterior,
+        despues: proyecto
+    });
+
+    return { success: true, data: proyecto };
+}
+
+async function deleteProject(projectId, actor) {
+    const manageable = await getManageableProject(projectId, actor.id, ACCIONES.ELIMINAR_PROYECTO);
+    if (!manageable.success) return manageable;
+
+    // Se leen los participantes antes de borrar para poder avisarles
+    const participantes = await participantService.getAcceptedParticipants(projectId);
+
+    // Las restricciones ON DELETE CASCADE en ParticipantesProyecto, Tareas, Subtareas, Comentarios, Adjuntos, RegistrosTiempo y Etiquetas
+    // eliminan los elementos relacionados automáticamente; los archivos adjuntos se borran del disco después.
+    const pool = await sql.connect(config);
+    const adjuntos = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .query(`
+            SELECT A.nombreArchivo
+            FROM Adjuntos A
+            JOIN Tareas T ON A.idTarea = T.idTarea
+            WHERE T.idProyecto = @idProyecto;
+        `);
+    await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .query('DELETE FROM Proyectos WHERE idProyecto = @idProyecto;');
+    await removeAttachmentFiles(adjuntos.recordset.map(a => a.nombreArchivo));
+
+    // Actividad no tiene clave foránea a Proyectos, así que el registro se conserva tras borrar el proyecto
+    await activityService.recordActivity({
+        idProyecto: Number(projectId),
+        idUsuarioActor: actor.id,
+        tipoEntidad: activityService.TIPOS_ENTIDAD.PROYECTO,
+        idEntidad: Number(projectId),
+        nombreEntidad: manageable.data.nombreProyecto,
+        operacion: activityService.OPERACIONES.ELIMINAR,
+        antes: manageable.data
+    });
+
+    // idProyectoRelacionado queda en NULL porque el proyecto ya no existe
+    await notifyUsers(participantes.map(p => p.idUsuario), {
+        tipoNotificacion: TIPOS_NOTIFICACION.PROYECTO_ELIMINADO,
+        mensaje: `${actor.nombre} eliminó el proyecto "${manageable.data.nombreProyecto}".`,
+        idUsuarioEmisor: actor.id
+    });
+
+    return { success: true, data: { idProyecto: Number(projectId) } };
+}
+
+module.exports = {
+    getProjectsForUser,
+    getProjectForUser,
+    getProjectDetails,
+    getManageableProject,
+    createProject,
+    updateProject,
+    deleteProject
+};
@@ -0,0 +1,314 @@
+// backend/services/recurrenceService.js
+// Reglas de repetición de tareas. Se guardan en Tareas.reglaRecurrencia como un subconjunto de RRULE (RFC 5545):
+//   FREQ=DAILY|WEEKLY|MONTHLY   obligatorio
+//   INTERVAL=n                  cada n días, semanas o meses (1 por defecto)
+//   BYDAY=MO,WE,FR              solo WEEKLY: días de la semana
+//   BYMONTHDAY=n                solo MONTHLY: día del mes (1..31, o -1 para el último)
+//   UNTIL=AAAAMMDD o COUNT=n    fin de la serie (opcionales, no ambos). COUNT cuenta las ocurrencias que quedan, incluida la actual.
+// Solo la ocurrencia abierta más reciente lleva la regla: al completarla, taskService crea la siguiente
+// y le pasa la regla (ver createNextOccurrence). No hay acceso a la base de datos en este módulo.
+// Las fechas se calculan en UTC, igual que las guarda mssql.
+
+const FRECUENCIAS = {
+    DIARIA: 'DAILY',
+    SEMANAL: 'WEEKLY',
+    MENSUAL: 'MONTHLY'
+};
+
+// Índice = Date#getUTCDay()
+const DIAS_SEMANA = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ORDEN_DIAS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const NOMBRES_DIAS = { MO: 'lunes', TU: 'martes', WE: 'miércoles', TH: 'jueves', FR: 'viernes', SA: 'sábado', SU: 'domingo' };
+
+const PARTES_SOPORTADAS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'UNTIL', 'COUNT'];
+const MAX_LONGITUD_REGLA = 200;
+const MAX_INTERVALO = 366;
+const MAX_REPETICIONES = 1000;
+const MAX_SALTOS = 5000;           // Límite al saltar ocurrencias ya vencidas
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+function invalid(error) {
+    return { success: false, error, code: 'VALIDATION_ERROR' };
+}
+
+function parseInteger(valor) {
+    return /^-?\d+$/.test(String(valor)) ? Number(valor) : NaN;
+}
+
+function addDays(fecha, dias) {
+    return new Date(fecha.getTime() + dias * DIA_MS);
+}
+
+// Lunes 00:00 UTC de la semana de la fecha (las semanas empiezan en lunes, como WKST=MO)
+function startOfWeek(fecha) {
+    const inicioDia = Date.UTC(fecha.getUTCFullYear(), fecha.getUTCMonth(), fecha.getUTCDate());
+    return inicioDia - ((fecha.getUTCDay() + 6) % 7) * DIA_MS;
+}
+
+// El día diaMes (o el último, con -1) del mes que está "meses" después del de la fecha, con la misma hora.
+// Si el mes es más corto, se usa su último día.
+function dayOfMonth(fecha, meses, diaMes) {
+    const anio = fecha.getUTCFullYear();
+    const mes = fecha.getUTCMonth() + meses;
+    const diasDelMes = new Date(Date.UTC(anio, mes + 1, 0)).getUTCDate();
+    const dia = diaMes === -1 ? diasDelMes : Math.min(diaMes, diasDelMes);
+    return new Date(Date.UTC(anio, mes, dia, fecha.getUTCHours(), fecha.getUTCMinutes(), fecha.getUTCSeconds()));
+}
+
+function parseUntil(valor) {
+    const partes = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(valor);
+    if (!partes) return null;
+    const fecha = new Date(Date.UTC(Number(partes[1]), Number(partes[2]) - 1, Number(partes[3])));
+    // Descarta fechas como 20260231, que Date.UTC convertiría en marzo
+    return fecha.getUTCDate() === Number(partes[3]) ? fecha : null;
+}
+
+function formatUntil(fecha) {
+    return fecha.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function formatDate(fecha) {
+    return fecha.toLocaleDateString('es-ES', { timeZone: 'UTC' });
+}
+
+// --- Reglas ---
+
+/**
+ * Interpreta una regla (con o sin el prefijo "RRULE:").
+ * data: { frecuencia, intervalo, diasSemana: ['MO', ...], diaMes, hasta: Date|null, repeticiones: n|null }
+ */
+function parseRule(texto) {
+    const limpio = String(texto || '').trim().replace(/^RRULE:/i, '').toUpperCase();
+    if (!limpio) {
+        return invalid('La regla de repetición está vacía');
+    }
+    if (limpio.length > MAX_LONGITUD_REGLA) {
+        return invalid(`La regla de repetición no puede superar los ${MAX_LONGITUD_REGLA} caracteres`);
+    }
+
+    const partes = {};
+    for (const parte of limpio.split(';').filter(Boolean)) {
+        const [clave, valor, ...resto] = parte.split('=');
+        if (!valor || resto.length > 0) {
+            return invalid(`Parte de la regla no válida: ${parte}`);
+        }
+        if (!PARTES_SOPORTADAS.includes(clave)) {
+            return invalid(`${clave} no está soportado. Partes permitidas: ${PARTES_SOPORTADAS.join(', ')}`);
+        }
+        if (partes[clave] !== undefined) {
+            return invalid(`${clave} aparece más de una vez en la regla`);
+        }
+        partes[clave] = valor;
+    }
+
+    if (!Object.values(FRECUENCIAS).includes(partes.FREQ)) {
+        return invalid(`FREQ es obligatorio y debe ser uno de: ${Object.values(FRECUENCIAS).join(', ')}`);
+    }
+
+    const regla = {
+        frecuencia: partes.FREQ,
+        intervalo: 1,
+        diasSemana: [],
+        diaMes: null,
+        hasta: null,
+        repeticiones: null
+    };
+
+    if (partes.INTERVAL !== undefined) {
+        regla.intervalo = parseInteger(partes.INTERVAL);
+        if (!(regla.intervalo >= 1 && regla.intervalo <= MAX_INTERVALO)) {
+            return invalid(`INTERVAL debe ser un número entre 1 y ${MAX_INTERVALO}`);
+        }
+    }
+
+    if (partes.BYDAY !== undefined) {
+        if (regla.frecuencia !== FRECUENCIAS.SEMANAL) {
+            return invalid('BYDAY solo se admite con FREQ=WEEKLY');
+        }
+        const dias = partes.BYDAY.split(',');
+        const invalido = dias.find(dia => !DIAS_SEMANA.includes(dia));
+        if (invalido !== undefined) {
+            return invalid(`Día de la semana no válido en BYDAY: ${invalido || '(vacío)'}. Usa ${ORDEN_DIAS.join(', ')}`);
+        }
+        regla.diasSemana = ORDEN_DIAS.filter(dia => dias.includes(dia));
+    }
+
+    if (partes.BYMONTHDAY !== undefined) {
+        if (regla.frecuencia !== FRECUENCIAS.MENSUAL) {
+            return invalid('BYMONTHDAY solo se admite con FREQ=MONTHLY');
+        }
+        regla.diaMes = parseInteger(partes.BYMONTHDAY);
+        if (!(regla.diaMes === -1 || (regla.diaMes >= 1 && regla.diaMes <= 31))) {
+            return invalid('BYMONTHDAY debe ser un día entre 1 y 31, o -1 para el último día del mes');
+        }
+    }
+
+    if (partes.UNTIL !== undefined && partes.COUNT !== undefined) {
+        return invalid('Usa UNTIL o COUNT, no ambos');
+    }
+    if (partes.UNTIL !== undefined) {
+        regla.hasta = parseUntil(partes.UNTIL);
+        if (!regla.hasta) {
+            return invalid('UNTIL debe ser una fecha con el formato AAAAMMDD');
+        }
+    }
+    if (partes.COUNT !== undefined) {
+        regla.repeticiones = parseInteger(partes.COUNT);
+        if (!(regla.repeticiones >= 1 && regla.repeticiones <= MAX_REPETICIONES)) {
+            return invalid(`COUNT debe ser un número entre 1 y ${MAX_REPETICIONES}`);
+        }
+    }
+
+    return { success: true, data: regla };
+}
+
+// Texto RRULE normalizado (el que se guarda en la base de datos)
+function formatRule(regla) {
+    const partes = [`FREQ=${regla.frecuencia}`];
+    if (regla.intervalo > 1) partes.push(`INTERVAL=${regla.intervalo}`);
+    if (regla.diasSemana.length > 0) partes.push(`BYDAY=${regla.diasSemana.join(',')}`);
+    if (regla.diaMes !== null) partes.push(`BYMONTHDAY=${regla.diaMes}`);
+    if (regla.hasta) partes.push(`UNTIL=${formatUntil(regla.hasta)}`);
+    if (regla.repeticiones !== null) partes.push(`COUNT=${regla.repeticiones}`);
+    return partes.join(';');
+}
+
+/**
+ * Regla a partir de campos sueltos (formulario de project-details/edit-task y objeto de la API).
+ * opciones: { frecuencia, intervalo, diasSemana (array o 'MO,WE'), diaMes, hasta ('AAAA-MM-DD' o Date), repeticiones }
+ * Devuelve el texto RRULE en data.
+ */
+function buildRule({ frecuencia, intervalo, diasSemana, diaMes, hasta, repeticiones } = {}) {
+    const partes = [`FREQ=${String(frecuencia || '').toUpperCase()}`];
+    const vacio = valor => valor === undefined || valor === null || valor === '';
+
+    if (!vacio(intervalo)) partes.push(`INTERVAL=${intervalo}`);
+
+    const dias = Array.isArray(diasSemana) ? diasSemana : String(diasSemana || '').split(',');
+    const diasLimpios = dias.map(dia => String(dia).trim().toUpperCase()).filter(Boolean);
+    if (diasLimpios.length > 0) partes.push(`BYDAY=${diasLimpios.join(',')}`);
+
+    if (!vacio(diaMes)) partes.push(`BYMONTHDAY=${diaMes}`);
+
+    if (!vacio(hasta)) {
+        const fecha = hasta instanceof Date ? hasta : new Date(hasta);
+        if (isNaN(fecha.getTime())) {
+            return invalid('La fecha de fin de la repetición no es válida');
+        }
+        partes.push(`UNTIL=${formatUntil(fecha)}`);
+    }
+    if (!vacio(repeticiones)) partes.push(`COUNT=${repeticiones}`);
+
+    const parsed = parseRule(partes.join(';'));
+    if (!parsed.success) return parsed;
+    return { success: true, data: formatRule(parsed.data) };
+}
+
+/**
+ * Completa la regla con la fecha de entrega de la tarea: una semanal sin BYDAY se repite el mismo día
+ * de la semana y una mensual sin BYMONTHDAY el mismo día del mes. Así no "deriva" tras un mes corto.
+ */
+function anchorRule(regla, fechaEntrega) {
+    const fecha = fechaEntrega ? new Date(fechaEntrega) : null;
+    if (!fecha || isNaN(fecha.getTime())) return regla;
+
+    if (regla.frecuencia === FRECUENCIAS.SEMANAL && regla.diasSemana.length === 0) {
+        return { ...regla, diasSemana: [DIAS_SEMANA[fecha.getUTCDay()]] };
+    }
+    if (regla.frecuencia === FRECUENCIAS.MENSUAL && regla.diaMes === null) {
+        return { ...regla, diaMes: fecha.getUTCDate() };
+    }
+    return regla;
+}
+
+// Texto legible para las vistas: "Cada 2 semanas: lunes, jueves · hasta el 31/12/2026"
+function describeRule(regla) {
+    const n = regla.intervalo;
+    let texto;
+
+    if (regla.frecuencia === FRECUENCIAS.DIARIA) {
+        texto = n === 1 ? 'Cada día' : `Cada ${n} días`;
+    } else if (regla.frecuencia === FRECUENCIAS.SEMANAL) {
+        texto = n === 1 ? 'Cada semana' : `Cada ${n} semanas`;
+        if (regla.diasSemana.length > 0) {
+            texto += `: ${regla.diasSemana.map(dia => NOMBRES_DIAS[dia]).join(', ')}`;
+        }
+    } else {
+        texto = n === 1 ? 'Cada mes' : `Cada ${n} meses`;
+        if (regla.diaMes === -1) texto += ', el último día';
+        else if (regla.diaMes !== null) texto += `, el día ${regla.diaMes}`;
+    }
+
+    if (regla.hasta) texto += ` · hasta el ${formatDate(regla.hasta)}`;
+    if (regla.repeticiones !== null) {
+        texto += regla.repeticiones === 1 ? ' · esta es la última' : ` · quedan ${regla.repeticiones}, incluida esta`;
+    }
+    return texto;
+}
+
+// --- Fechas ---
+
+// Primera fecha de la regla posterior a "desde" (sin tener en cuenta UNTIL ni COUNT)
+function nextOccurrence(regla, desde) {
+    const base = new Date(desde);
+
+    if (regla.frecuencia === FRECUENCIAS.DIARIA) {
+        return addDays(base, regla.intervalo);
+    }
+
+    if (regla.frecuencia === FRECUENCIAS.SEMANAL) {
+        const dias = regla.diasSemana.length > 0 ? regla.diasSemana : [DIAS_SEMANA[base.getUTCDay()]];
+        const semanaBase = startOfWeek(base);
+        // Como mucho hay que recorrer la semana actual y la siguiente semana válida
+        for (let i = 1; i <= 7 * (regla.intervalo + 1); i++) {
+            const candidata = addDays(base, i);
+            const semanas = Math.round((startOfWeek(candidata) - semanaBase) / (7 * DIA_MS));
+            if (semanas % regla.intervalo === 0 && dias.includes(DIAS_SEMANA[candidata.getUTCDay()])) {
+                return candidata;
+            }
+        }
+    }
+
+    // MONTHLY: puede caer en el mismo mes si BYMONTHDAY es posterior al día de "desde"
+    const diaMes = regla.diaMes !== null ? regla.diaMes : base.getUTCDate();
+    const candidata = dayOfMonth(base, 0, diaMes);
+    return candidata > base ? candidata : dayOfMonth(base, regla.intervalo, diaMes);
+}
+
+/**
+ * Fecha de entrega de la ocurrencia que sigue a una completada, o null si la serie terminó (UNTIL o COUNT).
+ * Si se completó con retraso, se saltan las fechas ya pasadas para no crear ocurrencias vencidas.
+ */
+function nextDueDate(regla, fechaEntrega, ahora = new Date()) {
+    if (regla.repeticiones !== null && regla.repeticiones <= 1) return null;
+
+    const hoy = Date.UTC(ahora.getUTCFullYear(), ahora.getUTCMonth(), ahora.getUTCDate());
+    let fecha = nextOccurrence(regla, fechaEntrega || ahora);
+    for (let i = 0; fecha.getTime() < hoy && i < MAX_SALTOS; i++) {
+        fecha = nextOccurrence(regla, fecha);
+    }
+
+    // UNTIL incluye el día completo
+    if (regla.hasta && fecha.getTime() >= regla.hasta.getTime() + DIA_MS) return null;
+    return fecha;
+}
+
+// Regla que hereda la siguiente ocurrencia: con COUNT, queda una menos
+function advanceRule(regla) {
+    return regla.repeticiones === null ? regla : { ...regla, repeticiones: regla.repeticiones - 1 };
+}
+
+module.exports = {
+    FRECUENCIAS,
+    DIAS_SEMANA,
+    ORDEN_DIAS,
+    NOMBRES_DIAS,
+    parseRule,
+    formatRule,
+    buildRule,
+    anchorRule,
+    describeRule,
+    nextOccurrence,
+    nextDueDate,
+    advanceRule
+};
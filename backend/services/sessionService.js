@@ -0,0 +1,190 @@
+// backend/services/sessionService.js
+// Sesiones de express-session guardadas en la tabla Sesiones: sobreviven a reinicios y se comparten entre procesos.
+// Cada fila guarda además el usuario, el dispositivo (ver middlewares/sessionDevice.js) y la última actividad
+// para la lista de "Sesiones activas", desde la que el usuario puede cerrar cualquiera de sus sesiones.
+const session = require('express-session');
+const sql = require('mssql');
+const config = require('../db.js');
+
+const DURACION_POR_DEFECTO_MS = 24 * 60 * 60 * 1000; // Si la cookie no tiene expiración
+const ACTIVIDAD_CADA_MS = 60 * 1000;                  // La última actividad se guarda como mucho una vez por minuto
+const PURGA_CADA_MS = 15 * 60 * 1000;
+
+// Fecha de expiración de una sesión según su cookie
+function expiresAt(datos) {
+    const expira = datos.cookie && datos.cookie.expires;
+    return expira ? new Date(expira) : new Date(Date.now() + DURACION_POR_DEFECTO_MS);
+}
+
+// Nombre legible del navegador y sistema a partir del User-Agent (p. ej. "Chrome en Windows")
+function describeDevice(agente) {
+    if (!agente) return 'Dispositivo desconocido';
+
+    const navegadores = [[/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'], [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari']];
+    const sistemas = [[/Windows/, 'Windows'], [/Android/, 'Android'], [/iPhone|iPad/, 'iOS'], [/Mac OS X/, 'macOS'], [/Linux/, 'Linux']];
+    const navegador = navegadores.find(([patron]) => patron.test(agente));
+    const sistema = sistemas.find(([patron]) => patron.test(agente));
+
+    if (!navegador && !sistema) return agente.slice(0, 60);
+    return [navegador ? navegador[1] : 'Navegador', sistema ? sistema[1] : null].filter(Boolean).join(' en ');
+}
+
+/**
+ * Almacén de express-session sobre SQL Server.
+ * Las sesiones caducadas se ignoran al leerlas y se borran como mucho cada 15 minutos.
+ */
+class SqlSessionStore extends session.Store {
+    constructor() {
+        super();
+        this.ultimaPurga = 0;
+    }
+
+    async purgeExpired() {
+        const ahora = Date.now();
+        if (ahora - this.ultimaPurga < PURGA_CADA_MS) return;
+        this.ultimaPurga = ahora;
+        try {
+            const pool = await sql.connect(config);
+            await pool.request().query('DELETE FROM Sesiones WHERE expira < GETDATE();');
+        } catch (error) {
+            console.error("Error al limpiar sesiones caducadas:", error);
+        }
+    }
+
+    get(sid, callback) {
+        (async () => {
+            await this.purgeExpired();
+            const pool = await sql.connect(config);
+            const result = await pool.request()
+                .input('sid', sql.NVarChar, sid)
+                .query('SELECT datos FROM Sesiones WHERE sid = @sid AND expira > GETDATE();');
+            const fila = result.recordset[0];
+            return fila ? JSON.parse(fila.datos) : null;
+        })().then(datos => callback(null, datos), callback);
+    }
+
+    // Una sesión con usuario solo se actualiza, nunca se crea: así una petición que estaba en curso
+    // cuando se cerró la sesión no la vuelve a guardar (el login siempre parte de una sesión ya guardada)
+    set(sid, datos, callback) {
+        (async () => {
+            const dispositivo = datos.dispositivo || {};
+            const pool = await sql.connect(config);
+            await pool.request()
+                .input('sid', sql.NVarChar, sid)
+                .input('idUsuario', sql.Int, datos.usuario ? datos.usuario.id : null)
+                .input('datos', sql.NVarChar(sql.MAX), JSON.stringify(datos))
+                .input('expira', sql.DateTime, expiresAt(datos))
+                .input('agenteUsuario', sql.NVarChar, dispositivo.agente ? String(dispositivo.agente).slice(0, 255) : null)
+                .input('ip', sql.NVarChar, dispositivo.ip || null)
+                .query(`
+                    MERGE Sesiones AS destino
+                    USING (SELECT @sid AS sid) AS origen
+                    ON destino.sid = origen.sid
+                    WHEN MATCHED THEN
+                        UPDATE SET idUsuario = @idUsuario, datos = @datos, expira = @expira,
+                            agenteUsuario = @agenteUsuario, ip = @ip, ultimaActividad = GETDATE()
+                    WHEN NOT MATCHED AND @idUsuario IS NULL THEN
+                        INSERT (sid, idUsuario, datos, expira, agenteUsuario, ip, ultimaActividad)
+                        VALUES (@sid, @idUsuario, @datos, @expira, @agenteUsuario, @ip, GETDATE());
+                `);
+        })().then(() => callback && callback(null), error => callback && callback(error));
+    }
+
+    // Se llama en cada petición que no modifica la sesión: alarga la expiración y la última actividad
+    touch(sid, datos, callback) {
+        (async () => {
+            const pool = await sql.connect(config);
+            await pool.request()
+                .input('sid', sql.NVarChar, sid)
+                .input('expira', sql.DateTime, expiresAt(datos))
+                .input('segundos', sql.Int, ACTIVIDAD_CADA_MS / 1000)
+                .query(`
+                    UPDATE Sesiones
+                    SET expira = @expira, ultimaActividad = GETDATE()
+                    WHERE sid = @sid AND ultimaActividad < DATEADD(SECOND, -@segundos, GETDATE());
+                `);
+        })().then(() => callback && callback(null), error => callback && callback(error));
+    }
+
+    destroy(sid, callback) {
+        (async () => {
+            const pool = await sql.connect(config);
+            await pool.request()
+                .input('sid', sql.NVarChar, sid)
+                .query('DELETE FROM Sesiones WHERE sid = @sid;');
+        })().then(() => callback && callback(null), error => callback && callback(error));
+    }
+}
+
+function createSqlStore() {
+    return new SqlSessionStore();
+}
+
+// --- Sesiones activas ---
+
+/**
+ * Sesiones sin caducar del usuario, de la más reciente a la más antigua.
+ * sidActual marca la sesión desde la que se consulta (actual: true).
+ */
+async function listSessions(userId, sidActual) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .query(`
+            SELECT idSesion, sid, agenteUsuario, ip, fechaCreacion, ultimaActividad, expira
+            FROM Sesiones
+            WHERE idUsuario = @idUsuario AND expira > GETDATE()
+            ORDER BY ultimaActividad DESC
+        `);
+
+    // El sid no sale de aquí: para cerrar una sesión se usa idSesion
+    return result.recordset.map(({ sid, ...fila }) => ({
+        ...fila,
+        dispositivo: describeDevice(fila.agenteUsuario),
+        actual: sid === sidActual
+    }));
+}
+
+// Cierra una sesión del usuario. Devuelve data.actual si era la sesión desde la que se pide.
+async function revokeSession(userId, sessionId, sidActual) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idSesion', sql.Int, sessionId)
+        .input('idUsuario', sql.Int, userId)
+        .query(`
+            DELETE FROM Sesiones
+            OUTPUT DELETED.sid
+            WHERE idSesion = @idSesion AND idUsuario = @idUsuario;
+        `);
+
+    const eliminada = result.recordset[0];
+    if (!eliminada) {
+        return { success: false, error: 'Sesión no encontrada', code: 'NOT_FOUND' };
+    }
+    return { success: true, data: { actual: eliminada.sid === sidActual } };
+}
+
+/**
+ * Cierra todas las sesiones del usuario salvo sidConservar (si se indica).
+ * Se usa al restablecer o cambiar la contraseña y desde "Cerrar las demás sesiones".
+ */
+async function revokeAllSessions(userId, sidConservar = null) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .input('sidConservar', sql.NVarChar, sidConservar)
+        .query(`
+            DELETE FROM Sesiones
+            WHERE idUsuario = @idUsuario AND (@sidConservar IS NULL OR sid <> @sidConservar);
+        `);
+    return { success: true, data: { cerradas: result.rowsAffected[0] } };
+}
+
+module.exports = {
+    SqlSessionStore,
+    createSqlStore,
+    describeDevice,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+};
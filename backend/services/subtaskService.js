@@ -0,0 +1,521 @@
+// backend/services/subtaskService.js
+const sql = require('mssql');
+const config = require('../db.js');
+const participantService = require('./participantService');
+const taskService = require('./taskService');
+const { can, ACCIONES } = require('../policies/projectPolicy');
+const { createNotification, notifyUsers, TIPOS_NOTIFICACION } = require('./notificationService');
+const { recordActivity, TIPOS_ENTIDAD, OPERACIONES } = require('./activityService');
+const { removeAttachmentFiles } = require('../middlewares/uploads');
+const { getProjectLabels, getLabelsForSubtasks, labelNames, normalizeLabelIds, validateLabelIds, setSubtaskLabels } = require('./labelService');
+
+const SUBTASK_SELECT = `
+    SELECT
+        ST.idSubtarea,
+        ST.idTarea,
+        ST.nombreSubtarea,
+        CAST(ST.descripcionSubtarea AS NVARCHAR(MAX)) AS descripcionSubtarea,
+        ST.fechaCreacion,
+        ST.fechaEntrega,
+        ST.estadoSubtarea,
+        ST.prioridadSubtarea,
+        ST.horasEstimadas,
+        ST.idUsuarioCreador,
+        ST.idUsuarioAsignado,
+        ST.idSubtareaPadre,
+        U_Creador_ST.nombreUsuario AS nombreCreadorSubtarea,
+        U_Asignado_ST.nombreUsuario AS nombreAsignadoSubtarea
+    FROM Subtareas ST
+    LEFT JOIN Usuarios U_Creador_ST ON ST.idUsuarioCreador = U_Creador_ST.idUsuario
+    LEFT JOIN Usuarios U_Asignado_ST ON ST.idUsuarioAsignado = U_Asignado_ST.idUsuario
+`;
+
+// Rama: la subtarea @idSubtarea y todas sus descendientes (sin límite de niveles)
+const RAMA_CTE = `
+    WITH Rama AS (
+        SELECT idSubtarea FROM Subtareas WHERE idSubtarea = @idSubtarea
+        UNION ALL
+        SELECT S.idSubtarea FROM Subtareas S INNER JOIN Rama R ON S.idSubtareaPadre = R.idSubtarea
+    )
+`;
+
+// Añade los ids a la petición como parámetros @p0, @p1... y devuelve la lista para un IN (...)
+function inputIds(request, ids) {
+    return ids.map((id, index) => {
+        request.input(`p${index}`, sql.Int, id); // Añade cada ID como un parámetro separado
+        return `@p${index}`;
+    }).join(',');
+}
+
+// --- Consultas ---
+
+// Subtareas de varias tareas a la vez
+async function getSubtasksForTasks(taskIds) {
+    if (taskIds.length === 0) return [];
+
+    const pool = await sql.connect(config);
+    const subtareasRequest = pool.request();
+    const taskIdsPlaceholders = inputIds(subtareasRequest, taskIds);
+
+    const result = await subtareasRequest.query(`${SUBTASK_SELECT} WHERE ST.idTarea IN (${taskIdsPlaceholders}) ORDER BY ST.fechaEntrega ASC;`);
+    return result.recordset;
+}
+
+// Anida en cada tarea su lista de subtareas (tarea.subtareas, todas las de la tarea sin importar su nivel)
+async function attachSubtasks(tareas) {
+    const subtareas = await getSubtasksForTasks(tareas.map(t => t.idTarea));
+    return tareas.map(tarea => ({
+        ...tarea,
+        subtareas: subtareas.filter(subtarea => subtarea.idTarea === tarea.idTarea)
+    }));
+}
+
+/**
+ * Anida las subtareas por su padre: cada una con sus hijas (hijas) y su nivel (0 = cuelga directamente de la tarea).
+ * Devuelve las de nivel 0. idCampo y padreCampo permiten usarla también con las subtareas de las plantillas.
+ */
+function buildSubtaskTree(subtareas, idCampo = 'idSubtarea', padreCampo = 'idSubtareaPadre') {
+    const nodos = new Map(subtareas.map(subtarea => [subtarea[idCampo], { ...subtarea, hijas: [] }]));
+    const raices = [];
+    for (const nodo of nodos.values()) {
+        const padre = nodos.get(nodo[padreCampo]);
+        (padre ? padre.hijas : raices).push(nodo);
+    }
+
+    const fijarNivel = (lista, nivel) => lista.forEach(nodo => {
+        nodo.nivel = nivel;
+        fijarNivel(nodo.hijas, nivel + 1);
+    });
+    fijarNivel(raices, 0);
+    return raices;
+}
+
+// Las subtareas del árbol en orden: cada una seguida de sus descendientes
+function flattenSubtaskTree(raices) {
+    return raices.flatMap(nodo => [nodo, ...flattenSubtaskTree(nodo.hijas)]);
+}
+
+// Cuántas descendientes tiene la subtarea del árbol y cuántas están completadas (progreso: { completadas, total })
+function rollUpProgress(nodo) {
+    nodo.progreso = { completadas: 0, total: 0 };
+    nodo.hijas.forEach(hija => {
+        rollUpProgress(hija);
+        nodo.progreso.completadas += hija.progreso.completadas + (hija.estadoSubtarea === 'Completada' ? 1 : 0);
+        nodo.progreso.total += hija.progreso.total + 1;
+    });
+}
+
+/**
+ * Ordena como árbol las subtareas de tareas que ya las tienen (attachSubtasks y lo que se les añada después):
+ * - tarea.arbolSubtareas: las de nivel 0, cada una con sus hijas y el progreso de sus descendientes
+ * - tarea.subtareas: las mismas subtareas en orden de árbol y con su nivel, para las listas y los desplegables
+ */
+function attachSubtaskTree(tareas) {
+    return tareas.map(tarea => {
+        const arbolSubtareas = buildSubtaskTree(tarea.subtareas || []);
+        arbolSubtareas.forEach(rollUpProgress);
+        return { ...tarea, arbolSubtareas, subtareas: flattenSubtaskTree(arbolSubtareas) };
+    });
+}
+
+// Una subtarea de la tarea (undefined si no existe o es de otra tarea)
+async function getSubtask(taskId, subtaskId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idTarea', sql.Int, taskId)
+        .input('idSubtarea', sql.Int, subtaskId)
+        .query(`${SUBTASK_SELECT} WHERE ST.idTarea = @idTarea AND ST.idSubtarea = @idSubtarea;`);
+    return result.recordset[0];
+}
+
+// La subtarea y todas sus descendientes
+async function getSubtaskBranch(subtaskId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idSubtarea', sql.Int, subtaskId)
+        .query(`${RAMA_CTE} ${SUBTASK_SELECT} WHERE ST.idSubtarea IN (SELECT idSubtarea FROM Rama) OPTION (MAXRECURSION 0);`);
+    return result.recordset;
+}
+
+// Rol del usuario, tarea principal y subtarea, comprobando que todo pertenezca al proyecto
+async function getSubtaskAccess(projectId, taskId, subtaskId, userId) {
+    const access = await taskService.getTaskAccess(projectId, taskId, userId);
+    if (!access.success) return access;
+
+    const subtarea = await getSubtask(taskId, subtaskId);
+    if (!subtarea) {
+        return { success: false, error: 'Subtarea no encontrada o no pertenece a esta tarea', code: 'NOT_FOUND' };
+    }
+
+    return { success: true, data: { ...access.data, subtarea } };
+}
+
+// Adónde se puede mover la subtarea: su tarea y las demás tareas del proyecto en las que el usuario puede crear subtareas,
+// cada una con sus subtareas en orden de árbol (sin la propia subtarea ni sus descendientes, de las que no puede colgar)
+async function getMoveTargets(projectId, access, userId) {
+    const rama = new Set((await getSubtaskBranch(access.subtarea.idSubtarea)).map(s => s.idSubtarea));
+    const tareas = attachSubtaskTree(await attachSubtasks(await taskService.getTasks(projectId)));
+    return tareas
+        .filter(tarea => tarea.idTarea === access.tarea.idTarea || can({ id: userId }, ACCIONES.CREAR_SUBTAREA, { ...access, tarea }))
+        .map(tarea => ({
+            idTarea: tarea.idTarea,
+            nombreTarea: tarea.nombreTarea,
+            subtareas: tarea.subtareas.filter(s => !rama.has(s.idSubtarea))
+        }));
+}
+
+// Datos para el formulario de edición: la subtarea, los participantes que se pueden asignar,
+// las etiquetas del proyecto con las que ya lleva la subtarea (idsEtiquetas) y adónde se puede mover (destinos)
+async function getSubtaskForEdit(projectId, taskId, subtaskId, userId) {
+    const access = await getSubtaskAccess(projectId, taskId, subtaskId, userId);
+    if (!access.success) return access;
+
+    if (!can({ id: userId }, ACCIONES.EDITAR_SUBTAREA, access.data)) {
+        return { success: false, error: 'No tienes permiso para editar esta subtarea', code: 'FORBIDDEN' };
+    }
+
+    const participantes = await participantService.getAcceptedParticipants(projectId);
+    const etiquetas = await getProjectLabels(projectId);
+    const idsEtiquetas = (await getLabelsForSubtasks([Number(subtaskId)])).map(e => e.idEtiqueta);
+    const destinos = await getMoveTargets(projectId, access.data, userId);
+    return { success: true, data: { subtarea: access.data.subtarea, participantes, etiquetas, idsEtiquetas, destinos } };
+}
+
+// --- Operaciones ---
+
+// Nombres de las etiquetas de la subtarea, para el registro de actividad (nombresEtiquetas)
+async function subtaskLabelNames(subtaskId) {
+    return labelNames(await getLabelsForSubtasks([Number(subtaskId)]));
+}
+
+// "Tarea" o "Tarea › Subtarea padre", para el registro de actividad (nombreUbicacion)
+function subtaskLocation(tarea, padre) {
+    return padre ? `${tarea.nombreTarea} › ${padre.nombreSubtarea}` : tarea.nombreTarea;
+}
+
+// Id de la subtarea padre de un formulario o de la API (null = directamente en la tarea)
+function normalizeParentId(valor) {
+    return valor === undefined || valor === null || valor === '' ? null : Number(valor);
+}
+
+// Subtarea padre de la tarea, o un mensaje de error si no existe o es de otra tarea
+async function findParent(taskId, parentId) {
+    if (!Number.isInteger(parentId) || parentId <= 0) {
+        return { error: 'La subtarea padre no es válida' };
+    }
+    const padre = await getSubtask(taskId, parentId);
+    return padre ? { padre } : { error: 'La subtarea padre no existe o no pertenece a esta tarea' };
+}
+
+// datos: { nombreSubtarea, descripcionSubtarea, fechaEntrega, estadoSubtarea, prioridadSubtarea, idUsuarioAsignado, horasEstimadas, idsEtiquetas,
+//          idSubtareaPadre (null o sin indicar = directamente en la tarea) }
+async function createSubtask(projectId, taskId, actor, datos) {
+    const access = await taskService.getTaskAccess(projectId, taskId, actor.id);
+    if (!access.success) return access;
+
+    if (!can(actor, ACCIONES.CREAR_SUBTAREA, access.data)) {
+        return { success: false, error: 'No tienes permiso para crear subtareas para esta tarea', code: 'FORBIDDEN' };
+    }
+
+    const idUsuarioAsignado = taskService.normalizeAssignee(datos.idUsuarioAsignado) || null;
+    const estadoSubtarea = datos.estadoSubtarea || 'Pendiente';
+    const prioridadSubtarea = datos.prioridadSubtarea || 'Media';
+    const horasEstimadas = taskService.normalizeEstimate(datos.horasEstimadas) ?? null;
+    const idsEtiquetas = normalizeLabelIds(datos.idsEtiquetas);
+
+    const idSubtareaPadre = normalizeParentId(datos.idSubtareaPadre);
+    const { padre, error: parentError } = idSubtareaPadre !== null ? await findParent(taskId, idSubtareaPadre) : {};
+
+    const validationError = parentError
+        || await taskService.validateWorkItem(projectId, { estado: estadoSubtarea, prioridad: prioridadSubtarea, idUsuarioAsignado, horasEstimadas })
+        || await validateLabelIds(projectId, idsEtiquetas);
+    if (validationError) {
+        return { success: false, error: validationError, code: 'VALIDATION_ERROR' };
+    }
+
+    const pool = await sql.connect(config);
+    const insertResult = await pool.request()
+        .input('idTarea', sql.Int, taskId)
+        .input('nombreSubtarea', sql.NVarChar, datos.nombreSubtarea)
+        .input('descripcionSubtarea', sql.Text, datos.descripcionSubtarea || null)
+        .input('idUsuarioCreador', sql.Int, actor.id)
+        .input('idUsuarioAsignado', sql.Int, idUsuarioAsignado)
+        .input('fechaEntrega', sql.DateTime, datos.fechaEntrega)
+        .input('estadoSubtarea', sql.NVarChar, estadoSubtarea)
+        .input('prioridadSubtarea', sql.NVarChar, prioridadSubtarea)
+        .input('horasEstimadas', sql.Decimal(6, 2), horasEstimadas)
+        .input('idSubtareaPadre', sql.Int, idSubtareaPadre)
+        .query(`
+            INSERT INTO Subtareas (idTarea, nombreSubtarea, descripcionSubtarea, idUsuarioCreador, idUsuarioAsignado, fechaCreacion, fechaEntrega, estadoSubtarea, prioridadSubtarea, horasEstimadas, idSubtareaPadre)
+            VALUES (@idTarea, @nombreSubtarea, @descripcionSubtarea, @idUsuarioCreador, @idUsuarioAsignado, GETDATE(), @fechaEntrega, @estadoSubtarea, @prioridadSubtarea, @horasEstimadas, @idSubtareaPadre);
+            SELECT SCOPE_IDENTITY() AS idSubtarea;
+        `);
+
+    const subtarea = await getSubtask(taskId, insertResult.recordset[0].idSubtarea);
+    if (idsEtiquetas && idsEtiquetas.length > 0) {
+        await setSubtaskLabels(subtarea.idSubtarea, idsEtiquetas);
+    }
+
+    await recordActivity({
+        idProyecto: Number(projectId),
+        idUsuarioActor: actor.id,
+        tipoEntidad: TIPOS_ENTIDAD.SUBTAREA,
+        idEntidad: subtarea.idSubtarea,
+        nombreEntidad: subtarea.nombreSubtarea,
+        operacion: OPERACIONES.CREAR,
+        despues: { ...subtarea, nombresEtiquetas: await subtaskLabelNames(subtarea.idSubtarea), nombreUbicacion: subtaskLocation(access.data.tarea, padre) }
+    });
+
+    if (subtarea.idUsuarioAsignado) {
+        await createNotification({
+            idUsuarioReceptor: subtarea.idUsuarioAsignado,
+            tipoNotificacion: TIPOS_NOTIFICACION.SUBTAREA_ASIGNADA,
+            mensaje: `${actor.nombre} te asignó la subtarea "${subtarea.nombreSubtarea}".`,
+            idProyecto: Number(projectId),
+            idTarea: Number(taskId),
+            idSubtarea: subtarea.idSubtarea,
+            idUsuarioEmisor: actor.id
+        });
+    }
+
+    return { success: true, data: subtarea };
+}
+
+// Los campos undefined en datos conservan su valor actual
+async function updateSubtask(projectId, taskId, subtaskId, actor, datos) {
+    const access = await getSubtaskAccess(projectId, taskId, subtaskId, actor.id);
+    if (!access.success) return access;
+
+    const { tarea, subtarea: anterior } = access.data;
+    if (!can(actor, ACCIONES.EDITAR_SUBTAREA, access.data)) {
+        return { success: false, error: 'No tienes permiso para editar esta subtarea', code: 'FORBIDDEN' };
+    }
+
+    const idUsuarioAsignado = taskService.normalizeAssignee(datos.idUsuarioAsignado);
+    const horasEstimadas = taskService.normalizeEstimate(datos.horasEstimadas);
+    const idsEtiquetas = normalizeLabelIds(datos.idsEtiquetas);
+    const validationError = await taskService.validateWorkItem(projectId, { estado: datos.estadoSubtarea, prioridad: datos.prioridadSubtarea, idUsuarioAsignado, horasEstimadas })
+        || await validateLabelIds(projectId, idsEtiquetas);
+    if (validationError) {
+        return { success: false, error: validationError, code: 'VALIDATION_ERROR' };
+    }
+
+    const valor = (campo, nuevo) => (nuevo === undefined ? anterior[campo] : nuevo);
+    const nombreSubtarea = valor('nombreSubtarea', datos.nombreSubtarea);
+    const estadoSubtarea = valor('estadoSubtarea', datos.estadoSubtarea);
+    const nuevoAsignado = valor('idUsuarioAsignado', idUsuarioAsignado);
+
+    // Las etiquetas solo se auditan si se envían (idsEtiquetas undefined las deja como estaban)
+    const etiquetasAntes = idsEtiquetas !== undefined ? await subtaskLabelNames(subtaskId) : undefined;
+
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idSubtarea', sql.Int, subtaskId)
+        .input('nombreSubtarea', sql.NVarChar, nombreSubtarea)
+        .input('descripcionSubtarea', sql.Text, valor('descripcionSubtarea', datos.descripcionSubtarea))
+        .input('idUsuarioAsignado', sql.Int, nuevoAsignado)
+        .input('fechaEntrega', sql.DateTime, valor('fechaEntrega', datos.fechaEntrega))
+        .input('estadoSubtarea', sql.NVarChar, estadoSubtarea)
+        .input('prioridadSubtarea', sql.NVarChar, valor('prioridadSubtarea', datos.prioridadSubtarea))
+        .input('horasEstimadas', sql.Decimal(6, 2), valor('horasEstimadas', horasEstimadas))
+        .query(`
+            UPDATE Subtareas
+            SET nombreSubtarea = @nombreSubtarea,
+                descripcionSubtarea = @descripcionSubtarea,
+                idUsuarioAsignado = @idUsuarioAsignado,
+                fechaEntrega = @fechaEntrega,
+                estadoSubtarea = @estadoSubtarea,
+                prioridadSubtarea = @prioridadSubtarea,
+                horasEstimadas = @horasEstimadas
+            WHERE idSubtarea = @idSubtarea;
+        `);
+
+    let etiquetasDespues;
+    if (idsEtiquetas !== undefined) {
+        await setSubtaskLabels(subtaskId, idsEtiquetas);
+        etiquetasDespues = await subtaskLabelNames(subtaskId);
+    }
+
+    const subtarea = await getSubtask(taskId, subtaskId);
+    await recordActivity({
+        idProyecto: Number(projectId),
+        idUsuarioActor: actor.id,
+        tipoEntidad: TIPOS_ENTIDAD.SUBTAREA,
+        idEntidad: Number(subtaskId),
+        nombreEntidad: nombreSubtarea,
+        operacion: OPERACIONES.ACTUALIZAR,
+        antes: { ...anterior, nombresEtiquetas: etiquetasAntes },
+        despues: { ...subtarea, nombresEtiquetas: etiquetasDespues }
+    });
+
+    // Notificar el cambio de asignación y de estado
+    if (nuevoAsignado && nuevoAsignado !== anterior.idUsuarioAsignado) {
+        await createNotification({
+            idUsuarioReceptor: nuevoAsignado,
+            tipoNotificacion: TIPOS_NOTIFICACION.SUBTAREA_ASIGNADA,
+            mensaje: `${actor.nombre} te asignó la subtarea "${nombreSubtarea}".`,
+            idProyecto: Number(projectId),
+            idTarea: Number(taskId),
+            idSubtarea: Number(subtaskId),
+            idUsuarioEmisor: actor.id
+        });
+    }
+    if (estadoSubtarea !== anterior.estadoSubtarea) {
+        await notifyUsers([anterior.idUsuarioCreador, nuevoAsignado, tarea.idUsuarioAsignado], {
+            tipoNotificacion: TIPOS_NOTIFICACION.ESTADO_SUBTAREA,
+            mensaje: `La subtarea "${nombreSubtarea}" cambió de "${anterior.estadoSubtarea}" a "${estadoSubtarea}".`,
+            idProyecto: Number(projectId),
+            idTarea: Number(taskId),
+            idSubtarea: Number(subtaskId),
+            idUsuarioEmisor: actor.id
+        });
+    }
+
+    return { success: true, data: subtarea };
+}
+
+/**
+ * Mueve la subtarea, con todas sus descendientes, a otro lugar del proyecto.
+ * destino: { idTarea (la misma tarea si no se indica), idSubtareaPadre (null = directamente en la tarea) }
+ * No puede colgar de sí misma ni de una de sus descendientes. Para llevarla a otra tarea hay que poder crear subtareas en ella;
+ * los comentarios, adjuntos y registros de tiempo de la rama se van con ella.
+ */
+async function moveSubtask(projectId, taskId, subtaskId, actor, destino) {
+    const access = await getSubtaskAccess(projectId, taskId, subtaskId, actor.id);
+    if (!access.success) return access;
+
+    const { tarea, subtarea: anterior } = access.data;
+    if (!can(actor, ACCIONES.EDITAR_SUBTAREA, access.data)) {
+        return { success: false, error: 'No tienes permiso para mover esta subtarea', code: 'FORBIDDEN' };
+    }
+
+    let tareaDestino = tarea;
+    if (destino.idTarea !== undefined && destino.idTarea !== null && Number(destino.idTarea) !== tarea.idTarea) {
+        const accesoDestino = await taskService.getTaskAccess(projectId, destino.idTarea, actor.id);
+        if (!accesoDestino.success) return accesoDestino;
+        if (!can(actor, ACCIONES.CREAR_SUBTAREA, accesoDestino.data)) {
+            return { success: false, error: 'No tienes permiso para crear subtareas en la tarea de destino', code: 'FORBIDDEN' };
+        }
+        tareaDestino = accesoDestino.data.tarea;
+    }
+
+    const rama = await getSubtaskBranch(subtaskId);
+    const idSubtareaPadre = normalizeParentId(destino.idSubtareaPadre);
+    let padre = null;
+    if (idSubtareaPadre !== null) {
+        if (rama.some(s => s.idSubtarea === idSubtareaPadre)) {
+            return { success: false, error: 'Una subtarea no puede colgar de sí misma ni de una de sus subtareas', code: 'VALIDATION_ERROR' };
+        }
+        const encontrado = await findParent(tareaDestino.idTarea, idSubtareaPadre);
+        if (encontrado.error) {
+            return { success: false, error: encontrado.error, code: 'VALIDATION_ERROR' };
+        }
+        padre = encontrado.padre;
+    }
+
+    if (tareaDestino.idTarea === anterior.idTarea && idSubtareaPadre === anterior.idSubtareaPadre) {
+        return { success: true, data: anterior }; // Ya está ahí
+    }
+
+    const padreAnterior = anterior.idSubtareaPadre ? await getSubtask(anterior.idTarea, anterior.idSubtareaPadre) : null;
+
+    const pool = await sql.connect(config);
+    const request = pool.request()
+        .input('idSubtarea', sql.Int, subtaskId)
+        .input('idSubtareaPadre', sql.Int, idSubtareaPadre)
+        .input('idTarea', sql.Int, tareaDestino.idTarea);
+    const ids = inputIds(request, rama.map(s => s.idSubtarea));
+    await request.query(`
+        SET XACT_ABORT ON;
+        BEGIN TRANSACTION;
+
+        UPDATE Subtareas SET idSubtareaPadre = @idSubtareaPadre WHERE idSubtarea = @idSubtarea;
+
+        -- Al cambiar de tarea, la rama entera y lo que cuelga de ella pasan a la tarea de destino
+        UPDATE Subtareas SET idTarea = @idTarea WHERE idSubtarea IN (${ids});
+        UPDATE Comentarios SET idTarea = @idTarea WHERE idSubtarea IN (${ids});
+        UPDATE Adjuntos SET idTarea = @idTarea WHERE idSubtarea IN (${ids});
+        UPDATE RegistrosTiempo SET idTarea = @idTarea WHERE idSubtarea IN (${ids});
+        UPDATE Notificaciones SET idTareaRelacionada = @idTarea WHERE idSubtareaRelacionada IN (${ids});
+
+        COMMIT TRANSACTION;
+    `);
+
+    const subtarea = await getSubtask(tareaDestino.idTarea, subtaskId);
+    await recordActivity({
+        idProyecto: Number(projectId),
+        idUsuarioActor: actor.id,
+        tipoEntidad: TIPOS_ENTIDAD.SUBTAREA,
+        idEntidad: Number(subtaskId),
+        nombreEntidad: subtarea.nombreSubtarea,
+        operacion: OPERACIONES.ACTUALIZAR,
+        antes: { ...anterior, nombreUbicacion: subtaskLocation(tarea, padreAnterior) },
+        despues: { ...subtarea, nombreUbicacion: subtaskLocation(tareaDestino, padre) }
+    });
+
+    return { success: true, data: subtarea };
+}
+
+// Elimina la subtarea junto con todas sus descendientes
+async function deleteSubtask(projectId, taskId, subtaskId, actor) {
+    const access = await getSubtaskAccess(projectId, taskId, subtaskId, actor.id);
+    if (!access.success) return access;
+
+    if (!can(actor, ACCIONES.ELIMINAR_SUBTAREA, access.data)) {
+        return { success: false, error: 'No tienes permiso para eliminar esta subtarea', code: 'FORBIDDEN' };
+    }
+
+    // La subtarea primero y después sus descendientes, para el registro de actividad
+    const rama = (await getSubtaskBranch(subtaskId)).sort((a, b) => (b.idSubtarea === Number(subtaskId)) - (a.idSubtarea === Number(subtaskId)));
+
+    // Ni las subtareas hijas ni los comentarios, adjuntos y registros de tiempo de la rama se borran en cascada
+    // (ver tablas Subtareas, Comentarios, Adjuntos y RegistrosTiempo): se borra todo en una transacción
+    const pool = await sql.connect(config);
+    const request = pool.request();
+    const ids = inputIds(request, rama.map(s => s.idSubtarea));
+    const result = await request.query(`
+        SET XACT_ABORT ON;
+        BEGIN TRANSACTION;
+
+        SELECT nombreArchivo FROM Adjuntos WHERE idSubtarea IN (${ids});
+
+        DELETE FROM Comentarios WHERE idSubtarea IN (${ids});
+        DELETE FROM Adjuntos WHERE idSubtarea IN (${ids});
+        DELETE FROM RegistrosTiempo WHERE idSubtarea IN (${ids});
+        DELETE FROM Subtareas WHERE idSubtarea IN (${ids});
+
+        COMMIT TRANSACTION;
+    `);
+
+    await removeAttachmentFiles(result.recordset.map(a => a.nombreArchivo));
+
+    for (const eliminada of rama) {
+        await recordActivity({
+            idProyecto: Number(projectId),
+            idUsuarioActor: actor.id,
+            tipoEntidad: TIPOS_ENTIDAD.SUBTAREA,
+            idEntidad: eliminada.idSubtarea,
+            nombreEntidad: eliminada.nombreSubtarea,
+            operacion: OPERACIONES.ELIMINAR,
+            antes: eliminada
+        });
+    }
+
+    return { success: true, data: { idSubtarea: Number(subtaskId), numEliminadas: rama.length } };
+}
+
+module.exports = {
+    getSubtasksForTasks,
+    attachSubtasks,
+    buildSubtaskTree,
+    flattenSubtaskTree,
+    attachSubtaskTree,
+    getSubtask,
+    getSubtaskBranch,
+    getSubtaskAccess,
+    getSubtaskForEdit,
+    createSubtask,
+    updateSubtask,
+    moveSubtask,
+    deleteSubtask
+};
@@ -0,0 +1,754 @@
+// backend/services/taskService.js
+const sql = require('mssql');
+const config = require('../db.js');
+const participantService = require('./participantService');
+const { can, ACCIONES } = require('../policies/projectPolicy');
+const { createNotification, notifyUsers, TIPOS_NOTIFICACION } = require('./notificationService');
+const { recordActivity, TIPOS_ENTIDAD, OPERACIONES } = require('./activityService');
+const { removeAttachmentFiles } = require('../middlewares/uploads');
+const { parseRule, formatRule, anchorRule, describeRule, nextDueDate, advanceRule } = require('./recurrenceService');
+const { getProjectLabels, getLabelsForTasks, labelNames, normalizeLabelIds, validateLabelIds, setTaskLabels } = require('./labelService');
+
+// Valores permitidos de estado y prioridad en tareas y subtareas. Las tablas no tienen CHECK: solo los valida validateWorkItem
+const ESTADOS_TAREA = ['Pendiente', 'En Proceso', 'Completada', 'Bloqueada'];
+const PRIORIDADES_TAREA = ['Baja', 'Media', 'Alta', 'Urgente'];
+// Máximo que cabe en la columna horasEstimadas, DECIMAL(6, 2)
+const MAX_HORAS_ESTIMADAS = 9999.99;
+// Tareas que se pueden cambiar o eliminar a la vez (bulkUpdateTasks y bulkDeleteTasks)
+const MAX_TAREAS_LOTE = 100;
+
+const TASK_SELECT = `
+    SELECT
+        T.idTarea,
+        T.idProyecto,
+        T.nombreTarea,
+        CAST(T.descripcionTarea AS NVARCHAR(MAX)) AS descripcionTarea,
+        T.fechaCreacion,
+        T.fechaEntrega,
+        T.estadoTarea,
+        T.prioridadTarea,
+        T.idUsuarioCreador,
+        T.idUsuarioAsignado,
+        T.reglaRecurrencia,
+        T.recurrenciaPausada,
+        T.horasEstimadas,
+        U_Creador.nombreUsuario AS nombreCreador,
+        U_Asignado.nombreUsuario AS nombreAsignado
+    FROM Tareas T
+    LEFT JOIN Usuarios U_Creador ON T.idUsuarioCreador = U_Creador.idUsuario
+    LEFT JOIN Usuarios U_Asignado ON T.idUsuarioAsignado = U_Asignado.idUsuario
+`;
+
+// Añade descripcionRecurrencia ("Cada semana: lunes") a una fila de TASK_SELECT para las vistas y la API
+function withRecurrence(tarea) {
+    if (!tarea) return tarea;
+    const parsed = tarea.reglaRecurrencia ? parseRule(tarea.reglaRecurrencia) : null;
+    return { ...tarea, descripcionRecurrencia: parsed && parsed.success ? describeRule(parsed.data) : null };
+}
+
+// Añade los ids a la petición como parámetros @p0, @p1... y devuelve la lista para un IN (...)
+function inputIds(request, ids) {
+    return ids.map((id, index) => {
+        request.input(`p${index}`, sql.Int, id);
+        return `@p${index}`;
+    }).join(',');
+}
+
+// --- Consultas ---
+
+// Tareas del proyecto ordenadas por fecha de entrega
+async function getTasks(projectId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .query(`${TASK_SELECT} WHERE T.idProyecto = @idProyecto ORDER BY T.fechaEntrega ASC;`);
+    return result.recordset.map(withRecurrence);
+}
+
+// Una tarea del proyecto (undefined si no existe o es de otro proyecto)
+async function getTask(projectId, taskId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('idTarea', sql.Int, taskId)
+        .query(`${TASK_SELECT} WHERE T.idProyecto = @idProyecto AND T.idTarea = @idTarea;`);
+    return withRecurrence(result.recordset[0]);
+}
+
+// Rol del usuario y la tarea, comprobando acceso al proyecto y que la tarea le pertenezca
+async function getTaskAccess(projectId, taskId, userId) {
+    const rolProyecto = await participantService.getProjectRole(projectId, userId);
+    if (!rolProyecto) {
+        return { success: false, error: 'No tienes acceso a este proyecto', code: 'FORBIDDEN' };
+    }
+
+    const tarea = await getTask(projectId, taskId);
+    if (!tarea) {
+        return { success: false, error: 'Tarea no encontrada o no pertenece a este proyecto', code: 'NOT_FOUND' };
+    }
+
+    return { success: true, data: { rolProyecto, tarea } };
+}
+
+// Tareas que bloquean a la tarea y siguen abiertas (ver dependencyService)
+async function getOpenBlockers(taskId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idTarea', sql.Int, taskId)
+        .query(`
+            SELECT TB.idTarea, TB.nombreTarea, TB.estadoTarea
+            FROM DependenciasTareas D
+            INNER JOIN Tareas TB ON TB.idTarea = D.idTareaBloqueante
+            WHERE D.idTarea = @idTarea AND TB.estadoTarea <> 'Completada';
+        `);
+    return result.recordset;
+}
+
+// Datos para el formulario de edición: la tarea, los participantes que se pueden asignar,
+// las tareas que la bloquean sin completar (para avisar antes de marcarla como completada)
+// y las etiquetas del proyecto con las que ya lleva la tarea (idsEtiquetas)
+async function getTaskForEdit(projectId, taskId, userId) {
+    const access = await getTaskAccess(projectId, taskId, userId);
+    if (!access.success) return access;
+
+    if (!can({ id: userId }, ACCIONES.EDITAR_TAREA, access.data)) {
+        return { success: false, error: 'No tienes permiso para editar esta tarea', code: 'FORBIDDEN' };
+    }
+
+    const participantes = await participantService.getAcceptedParticipants(projectId);
+    const bloqueantes = await getOpenBlockers(taskId);
+    const etiquetas = await getProjectLabels(projectId);
+    const idsEtiquetas = (await getLabelsForTasks([Number(taskId)])).map(e => e.idEtiqueta);
+    return { success: true, data: { tarea: access.data.tarea, participantes, bloqueantes, etiquetas, idsEtiquetas } };
+}
+
+// --- Validación común de tareas y subtareas ---
+
+// Comprueba estado, prioridad, la estimación de horas y que el asignado sea participante aceptado.
+// Los campos undefined no se validan (actualizaciones parciales).
+async function validateWorkItem(projectId, { estado, prioridad, idUsuarioAsignado, horasEstimadas }) {
+    if (estado !== undefined && !ESTADOS_TAREA.includes(estado)) {
+        return `El estado debe ser uno de: ${ESTADOS_TAREA.join(', ')}`;
+    }
+    if (prioridad !== undefined && !PRIORIDADES_TAREA.includes(prioridad)) {
+        return `La prioridad debe ser una de: ${PRIORIDADES_TAREA.join(', ')}`;
+    }
+    if (horasEstimadas !== undefined && horasEstimadas !== null
+        && !(Number.isFinite(horasEstimadas) && horasEstimadas >= 0 && horasEstimadas <= MAX_HORAS_ESTIMADAS)) {
+        return `Las horas estimadas deben ser un número entre 0 y ${MAX_HORAS_ESTIMADAS}`;
+    }
+    if (idUsuarioAsignado && !(await participantService.isAssignable(projectId, idUsuarioAsignado))) {
+        return 'El usuario asignado debe ser participante del proyecto';
+    }
+    return null;
+}
+
+// '' y null significan "sin asignar"; undefined significa "no cambiar"
+function normalizeAssignee(value) {
+    if (value === undefined) return undefined;
+    return value ? Number(value) : null;
+}
+
+// '' y null significan "sin estimación"; undefined significa "no cambiar". Admite coma decimal ("1,5").
+// Se redondea a centésimas, como la columna; un texto que no es un número queda como NaN para que lo rechace validateWorkItem.
+function normalizeEstimate(value) {
+    if (value === undefined) return undefined;
+    if (value === null || String(value).trim() === '') return null;
+    const horas = Number(String(value).trim().replace(',', '.'));
+    return Number.isFinite(horas) ? Math.round(horas * 100) / 100 : NaN;
+}
+
+// Regla de repetición lista para guardar: '' y null significan "no se repite"; undefined significa "no cambiar".
+// Se completa con la fecha de entrega (ver anchorRule).
+function normalizeRecurrence(regla, fechaEntrega) {
+    if (regla === undefined) return { success: true, data: undefined };
+    if (regla === null || String(regla).trim() === '') return { success: true, data: null };
+
+    const parsed = parseRule(regla);
+    if (!parsed.success) return parsed;
+    return { success: true, data: formatRule(anchorRule(parsed.data, fechaEntrega)) };
+}
+
+// Nombres de las etiquetas de la tarea, para el registro de actividad (nombresEtiquetas)
+async function taskLabelNames(taskId) {
+    return labelNames(await getLabelsForTasks([Number(taskId)]));
+}
+
+// --- Operaciones ---
+
+// datos: { nombreTarea, descripcionTarea, fechaEntrega, estadoTarea, prioridadTarea, idUsuarioAsignado, horasEstimadas, reglaRecurrencia, recurrenciaPausada, idsEtiquetas }
+async function createTask(projectId, actor, datos) {
+    const rolProyecto = await participantService.getProjectRole(projectId, actor.id);
+    if (!can(actor, ACCIONES.CREAR_TAREA, { rolProyecto })) {
+        return { success: false, error: 'No tienes permiso para crear tareas en este proyecto', code: 'FORBIDDEN' };
+    }
+
+    const idUsuarioAsignado = normalizeAssignee(datos.idUsuarioAsignado) || null;
+    const estadoTarea = datos.estadoTarea || 'Pendiente';
+    const prioridadTarea = datos.prioridadTarea || 'Media';
+    const horasEstimadas = normalizeEstimate(datos.horasEstimadas) ?? null;
+    const idsEtiquetas = normalizeLabelIds(datos.idsEtiquetas);
+
+    const validationError = await validateWorkItem(projectId, { estado: estadoTarea, prioridad: prioridadTarea, idUsuarioAsignado, horasEstimadas })
+        || await validateLabelIds(projectId, idsEtiquetas);
+    if (validationError) {
+        return { success: false, error: validationError, code: 'VALIDATION_ERROR' };
+    }
+
+    const recurrencia = normalizeRecurrence(datos.reglaRecurrencia, datos.fechaEntrega);
+    if (!recurrencia.success) return recurrencia;
+
+    const pool = await sql.connect(config);
+    const insertResult = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('nombreTarea', sql.NVarChar, datos.nombreTarea)
+        .input('descripcionTarea', sql.Text, datos.descripcionTarea || null)
+        .input('idUsuarioCreador', sql.Int, actor.id)
+        .input('idUsuarioAsignado', sql.Int, idUsuarioAsignado)
+        .input('fechaEntrega', sql.DateTime, datos.fechaEntrega)
+        .input('estadoTarea', sql.NVarChar, estadoTarea)
+        .input('prioridadTarea', sql.NVarChar, prioridadTarea)
+        .input('horasEstimadas', sql.Decimal(6, 2), horasEstimadas)
+        .input('reglaRecurrencia', sql.NVarChar, recurrencia.data || null)
+        .input('recurrenciaPausada', sql.Bit, Boolean(datos.recurrenciaPausada))
+        .query(`
+            INSERT INTO Tareas (idProyecto, nombreTarea, descripcionTarea, idUsuarioCreador, idUsuarioAsignado, fechaCreacion, fechaEntrega, estadoTarea, prioridadTarea, horasEstimadas, reglaRecurrencia, recurrenciaPausada)
+            VALUES (@idProyecto, @nombreTarea, @descripcionTarea, @idUsuarioCreador, @idUsuarioAsignado, GETDATE(), @fechaEntrega, @estadoTarea, @prioridadTarea, @horasEstimadas, @reglaRecurrencia, @recurrenciaPausada);
+            SELECT SCOPE_IDENTITY() AS idTarea;
+        `);
+
+    const tarea = await getTask(projectId, insertResult.recordset[0].idTarea);
+    if (idsEtiquetas && idsEtiquetas.length > 0) {
+        await setTaskLabels(tarea.idTarea, idsEtiquetas);
+    }
+
+    await recordActivity({
+        idProyecto: Number(projectId),
+        idUsuarioActor: actor.id,
+        tipoEntidad: TIPOS_ENTIDAD.TAREA,
+        idEntidad: tarea.idTarea,
+        nombreEntidad: tarea.nombreTarea,
+        operacion: OPERACIONES.CREAR,
+        despues: { ...tarea, nombresEtiquetas: await taskLabelNames(tarea.idTarea) }
+    });
+
+    if (tarea.idUsuarioAsignado) {
+        await createNotification({
+            idUsuarioReceptor: tarea.idUsuarioAsignado,
+            tipoNotificacion: TIPOS_NOTIFICACION.TAREA_ASIGNADA,
+            mensaje: `${actor.nombre} te asignó la tarea "${tarea.nombreTarea}".`,
+            idProyecto: Number(projectId),
+            idTarea: tarea.idTarea,
+            idUsuarioEmisor: actor.id
+        });
+    }
+
+    return { success: true, data: tarea };
+}
+
+// Los campos undefined en datos conservan su valor actual
+async function updateTask(projectId, taskId, actor, datos) {
+    const access = await getTaskAccess(projectId, taskId, actor.id);
+    if (!access.success) return access;
+
+    const anterior = access.data.tarea;
+    if (!can(actor, ACCIONES.EDITAR_TAREA, access.data)) {
+        return { success: false, error: 'No tienes permiso para editar esta tarea', code: 'FORBIDDEN' };
+    }
+
+    const idUsuarioAsignado = normalizeAssignee(datos.idUsuarioAsignado);
+    const horasEstimadas = normalizeEstimate(datos.horasEstimadas);
+    const idsEtiquetas = normalizeLabelIds(datos.idsEtiquetas);
+    const validationError = await validateWorkItem(projectId, { estado: datos.estadoTarea, prioridad: datos.prioridadTarea, idUsuarioAsignado, horasEstimadas })
+        || await validateLabelIds(projectId, idsEtiquetas);
+    if (validationError) {
+        return { success: false, error: validationError, code: 'VALIDATION_ERROR' };
+    }
+
+    const valor = (campo, nuevo) => (nuevo === undefined ? anterior[campo] : nuevo);
+    const nombreTarea = valor('nombreTarea', datos.nombreTarea);
+    const estadoTarea = valor('estadoTarea', datos.estadoTarea);
+    const nuevoAsignado = valor('idUsuarioAsignado', idUsuarioAsignado);
+    const fechaEntrega = valor('fechaEntrega', datos.fechaEntrega);
+
+    const recurrencia = normalizeRecurrence(datos.reglaRecurrencia, fechaEntrega);
+    if (!recurrencia.success) return recurrencia;
+
+    // Una tarea bloqueada no se puede completar hasta que se completen las que la bloquean
+    if (estadoTarea === 'Completada' && anterior.estadoTarea !== 'Completada') {
+        const bloqueantes = await getOpenBlockers(taskId);
+        if (bloqueantes.length > 0) {
+            const nombres = bloqueantes.map(t => `"${t.nombreTarea}"`).join(', ');
+            return {
+                success: false,
+                error: `No se puede completar "${nombreTarea}" porque está bloqueada por ${nombres}. Completa esas tareas antes o quita la dependencia.`,
+                code: 'CONFLICT'
+            };
+        }
+    }
+
+    // Las etiquetas solo se auditan si se envían (idsEtiquetas undefined las deja como estaban)
+    const etiquetasAntes = idsEtiquetas !== undefined ? await taskLabelNames(taskId) : undefined;
+
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idTarea', sql.Int, taskId)
+        .input('nombreTarea', sql.NVarChar, nombreTarea)
+        .input('descripcionTarea', sql.Text, valor('descripcionTarea', datos.descripcionTarea))
+        .input('idUsuarioAsignado', sql.Int, nuevoAsignado)
+        .input('fechaEntrega', sql.DateTime, fechaEntrega)
+        .input('estadoTarea', sql.NVarChar, estadoTarea)
+        .input('prioridadTarea', sql.NVarChar, valor('prioridadTarea', datos.prioridadTarea))
+        .input('horasEstimadas', sql.Decimal(6, 2), valor('horasEstimadas', horasEstimadas))
+        .input('reglaRecurrencia', sql.NVarChar, valor('reglaRecurrencia', recurrencia.data))
+        .input('recurrenciaPausada', sql.Bit, Boolean(valor('recurrenciaPausada', datos.recurrenciaPausada)))
+        .query(`
+            UPDATE Tareas
+            SET nombreTarea = @nombreTarea,
+                descripcionTarea = @descripcionTarea,
+                idUsuarioAsignado = @idUsuarioAsignado,
+                fechaEntrega = @fechaEntrega,
+                estadoTarea = @estadoTarea,
+                prioridadTarea = @prioridadTarea,
+                horasEstimadas = @horasEstimadas,
+                reglaRecurrencia = @reglaRecurrencia,
+                recurrenciaPausada = @recurrenciaPausada
+            WHERE idTarea = @idTarea;
+        `);
+
+    let etiquetasDespues;
+    if (idsEtiquetas !== undefined) {
+        await setTaskLabels(taskId, idsEtiquetas);
+        etiquetasDespues = await taskLabelNames(taskId);
+    }
+
+    const tarea = await getTask(projectId, taskId);
+    await recordActivity({
+        idProyecto: Number(projectId),
+        idUsuarioActor: actor.id,
+        tipoEntidad: TIPOS_ENTIDAD.TAREA,
+        idEntidad: Number(taskId),
+        nombreEntidad: nombreTarea,
+        operacion: OPERACIONES.ACTUALIZAR,
+        antes: { ...anterior, nombresEtiquetas: etiquetasAntes },
+        despues: { ...tarea, nombresEtiquetas: etiquetasDespues }
+    });
+
+    return { success: true, data: await afterTaskUpdate(projectId, actor, anterior, tarea) };
+}
+
+// Lo que sigue a guardar una tarea (updateTask y bulkUpdateTasks): avisa del cambio de asignación y de estado
+// y, si se completó una ocurrencia de una tarea repetitiva, crea la siguiente. Devuelve la tarea con siguienteOcurrencia.
+async function afterTaskUpdate(projectId, actor, anterior, tarea) {
+    const { idTarea, nombreTarea, estadoTarea, idUsuarioAsignado } = tarea;
+
+    // Notificar el cambio de asignación y de estado
+    if (idUsuarioAsignado && idUsuarioAsignado !== anterior.idUsuarioAsignado) {
+        await createNotification({
+            idUsuarioReceptor: idUsuarioAsignado,
+            tipoNotificacion: TIPOS_NOTIFICACION.TAREA_ASIGNADA,
+            mensaje: `${actor.nombre} te asignó la tarea "${nombreTarea}".`,
+            idProyecto: Number(projectId),
+            idTarea: idTarea,
+            idUsuarioEmisor: actor.id
+        });
+    }
+    if (estadoTarea !== anterior.estadoTarea) {
+        await notifyUsers([anterior.idUsuarioCreador, idUsuarioAsignado], {
+            tipoNotificacion: TIPOS_NOTIFICACION.ESTADO_TAREA,
+            mensaje: `La tarea "${nombreTarea}" cambió de "${anterior.estadoTarea}" a "${estadoTarea}".`,
+            idProyecto: Number(projectId),
+            idTarea: idTarea,
+            idUsuarioEmisor: actor.id
+        });
+    }
+
+    // Al completar una ocurrencia de una tarea repetitiva se crea la siguiente
+    let siguienteOcurrencia = null;
+    if (estadoTarea === 'Completada' && anterior.estadoTarea !== 'Completada' && tarea.reglaRecurrencia && !tarea.recurrenciaPausada) {
+        siguienteOcurrencia = await createNextOccurrence(projectId, tarea, actor);
+        tarea = await getTask(projectId, idTarea);
+    }
+
+    return { ...tarea, siguienteOcurrencia };
+}
+
+/**
+ * Crea la ocurrencia que sigue a una tarea repetitiva recién completada: mismos datos y etiquetas, estado Pendiente,
+ * la nueva fecha de entrega y una copia de sus subtareas (pendientes, con sus etiquetas y con la fecha desplazada lo mismo que la tarea).
+ * Los asignados que ya no participan en el proyecto quedan sin asignar.
+ * La regla pasa a la nueva tarea y la completada se queda sin ella, así reabrirla y volver a completarla no duplica la serie.
+ * Devuelve la nueva tarea, o null si la serie terminó (UNTIL o COUNT).
+ */
+async function createNextOccurrence(projectId, tarea, actor) {
+    const parsed = parseRule(tarea.reglaRecurrencia);
+    const fechaEntrega = parsed.success ? nextDueDate(parsed.data, tarea.fechaEntrega) : null;
+    const pool = await sql.connect(config);
+
+    if (!fechaEntrega) {
+        await pool.request()
+            .input('idTarea', sql.Int, tarea.idTarea)
+            .query('UPDATE Tareas SET reglaRecurrencia = NULL, recurrenciaPausada = 0 WHERE idTarea = @idTarea;');
+        return null;
+    }
+
+    const desplazamiento = tarea.fechaEntrega
+        ? Math.round((fechaEntrega.getTime() - new Date(tarea.fechaEntrega).getTime()) / 60000)
+        : 0;
+
+    const result = await pool.request()
+        .input('idTarea', sql.Int, tarea.idTarea)
+        .input('fechaEntrega', sql.DateTime, fechaEntrega)
+        .input('desplazamiento', sql.Int, desplazamiento)
+        .input('reglaRecurrencia', sql.NVarChar, formatRule(advanceRule(parsed.data)))
+        .query(`
+            SET XACT_ABORT ON;
+            BEGIN TRANSACTION;
+
+            DECLARE @nueva TABLE (idTarea INT);
+            DECLARE @subtareas TABLE (idOriginal INT, idSubtarea INT);
+
+            INSERT INTO Tareas (idProyecto, nombreTarea, descripcionTarea, idUsuarioCreador, idUsuarioAsignado, fechaCreacion, fechaEntrega, estadoTarea, prioridadTarea, horasEstimadas, reglaRecurrencia, recurrenciaPausada)
+            OUTPUT INSERTED.idTarea INTO @nueva
+            SELECT T.idProyecto, T.nombreTarea, T.descripcionTarea, T.idUsuarioCreador,
+                   CASE WHEN EXISTS (
+                       SELECT 1 FROM ParticipantesProyecto PP
+                       WHERE PP.idProyecto = T.idProyecto AND PP.idUsuario = T.idUsuarioAsignado AND PP.estadoInvitacion = 'aceptada'
+                   ) THEN T.idUsuarioAsignado END,
+                   GETDATE(), @fechaEntrega, 'Pendiente', T.prioridadTarea, T.horasEstimadas, @reglaRecurrencia, 0
+            FROM Tareas T
+            WHERE T.idTarea = @idTarea;
+
+            -- MERGE en lugar de INSERT ... SELECT para guardar en @subtareas qué copia sale de cada subtarea original
+            MERGE INTO Subtareas AS destino
+            USING (
+                SELECT S.idSubtarea, N.idTarea, S.nombreSubtarea, S.descripcionSubtarea, S.idUsuarioCreador,
+                       CASE WHEN EXISTS (
+                           SELECT 1 FROM ParticipantesProyecto PP
+                           INNER JOIN Tareas T ON T.idProyecto = PP.idProyecto
+                           WHERE T.idTarea = @idTarea AND PP.idUsuario = S.idUsuarioAsignado AND PP.estadoInvitacion = 'aceptada'
+                       ) THEN S.idUsuarioAsignado END AS idUsuarioAsignado,
+                       S.fechaEntrega, S.prioridadSubtarea, S.horasEstimadas
+                FROM Subtareas S
+                CROSS JOIN @nueva N
+                WHERE S.idTarea = @idTarea
+            ) AS S
+            ON 1 = 0
+            WHEN NOT MATCHED THEN
+                INSERT (idTarea, nombreSubtarea, descripcionSubtarea, idUsuarioCreador, idUsuarioAsignado, fechaCreacion, fechaEntrega, estadoSubtarea, prioridadSubtarea, horasEstimadas)
+                VALUES (S.idTarea, S.nombreSubtarea, S.descripcionSubtarea, S.idUsuarioCreador, S.idUsuarioAsignado,
+                        GETDATE(), DATEADD(MINUTE, @desplazamiento, S.fechaEntrega), 'Pendiente', S.prioridadSubtarea, S.horasEstimadas)
+            OUTPUT S.idSubtarea, inserted.idSubtarea INTO @subtareas (idOriginal, idSubtarea);
+
+            -- Las copias cuelgan de la copia del padre de su original
+            UPDATE Copia
+            SET idSubtareaPadre = CopiaPadre.idSubtarea
+            FROM Subtareas Copia
+            INNER JOIN @subtareas M ON M.idSubtarea = Copia.idSubtarea
+            INNER JOIN Subtareas Original ON Original.idSubtarea = M.idOriginal
+            INNER JOIN @subtareas CopiaPadre ON CopiaPadre.idOriginal = Original.idSubtareaPadre;
+
+            INSERT INTO EtiquetasTareas (idEtiqueta, idTarea)
+            SELECT ET.idEtiqueta, N.idTarea
+            FROM EtiquetasTareas ET
+            CROSS JOIN @nueva N
+            WHERE ET.idTarea = @idTarea;
+
+            INSERT INTO EtiquetasSubtareas (idEtiqueta, idSubtarea)
+            SELECT ES.idEtiqueta, M.idSubtarea
+            FROM @subtareas M
+            INNER JOIN EtiquetasSubtareas ES ON ES.idSubtarea = M.idOriginal;
+
+            UPDATE Tareas SET reglaRecurrencia = NULL, recurrenciaPausada = 0 WHERE idTarea = @idTarea;
+
+            COMMIT TRANSACTION;
+
+            SELECT idTarea FROM @nueva;
+        `);
+
+    const nueva = await getTask(projectId, result.recordset[0].idTarea);
+
+    await recordActivity({
+        idProyecto: Number(projectId),
+        idUsuarioActor: actor.id,
+        tipoEntidad: TIPOS_ENTIDAD.TAREA,
+        idEntidad: nueva.idTarea,
+        nombreEntidad: nueva.nombreTarea,
+        operacion: OPERACIONES.CREAR,
+        despues: { ...nueva, nombresEtiquetas: await taskLabelNames(nueva.idTarea) }
+    });
+
+    if (nueva.idUsuarioAsignado) {
+        await createNotification({
+            idUsuarioReceptor: nueva.idUsuarioAsignado,
+            tipoNotificacion: TIPOS_NOTIFICACION.TAREA_ASIGNADA,
+            mensaje: `Se creó la siguiente repetición de la tarea "${nueva.nombreTarea}" para el ${new Date(nueva.fechaEntrega).toLocaleDateString('es-ES')}.`,
+            idProyecto: Number(projectId),
+            idTarea: nueva.idTarea,
+            idUsuarioEmisor: actor.id
+        });
+    }
+
+    return nueva;
+}
+
+// Pausa o reanuda la repetición de la tarea (mismos permisos que editarla)
+async function setRecurrencePaused(projectId, taskId, actor, pausada) {
+    const access = await getTaskAccess(projectId, taskId, actor.id);
+    if (!access.success) return access;
+
+    if (!access.data.tarea.reglaRecurrencia) {
+        return { success: false, error: 'La tarea no se repite', code: 'CONFLICT' };
+    }
+    return updateTask(projectId, taskId, actor, { recurrenciaPausada: pausada });
+}
+
+// Borra las tareas en una transacción junto con sus dependencias, registros de tiempo, comentarios, adjuntos y subtareas
+// (primero estos, debido a las claves foráneas) y después los archivos en disco de los adjuntos
+async function removeTasks(taskIds) {
+    const pool = await sql.connect(config);
+    const request = pool.request();
+    const ids = inputIds(request, taskIds);
+    const result = await request.query(`
+        SET XACT_ABORT ON;
+        BEGIN TRANSACTION;
+
+        -- Archivos de los adjuntos de las tareas y de sus subtareas
+        SELECT nombreArchivo FROM Adjuntos WHERE idTarea IN (${ids});
+
+        DELETE FROM DependenciasTareas WHERE idTarea IN (${ids}) OR idTareaBloqueante IN (${ids});
+        DELETE FROM RegistrosTiempo WHERE idTarea IN (${ids});
+        DELETE FROM Comentarios WHERE idTarea IN (${ids});
+        DELETE FROM Adjuntos WHERE idTarea IN (${ids});
+        DELETE FROM Subtareas WHERE idTarea IN (${ids});
+        DELETE FROM Tareas WHERE idTarea IN (${ids});
+
+        COMMIT TRANSACTION;
+    `);
+
+    await removeAttachmentFiles(result.recordset.map(a => a.nombreArchivo));
+}
+
+async function deleteTask(projectId, taskId, actor) {
+    const access = await getTaskAccess(projectId, taskId, actor.id);
+    if (!access.success) return access;
+
+    if (!can(actor, ACCIONES.ELIMINAR_TAREA, access.data)) {
+        return { success: false, error: 'No tienes permiso para eliminar esta tarea', code: 'FORBIDDEN' };
+    }
+
+    await removeTasks([Number(taskId)]);
+
+    await recordActivity({
+        idProyecto: Number(projectId),
+        idUsuarioActor: actor.id,
+        tipoEntidad: TIPOS_ENTIDAD.TAREA,
+        idEntidad: Number(taskId),
+        nombreEntidad: access.data.tarea.nombreTarea,
+        operacion: OPERACIONES.ELIMINAR,
+        antes: access.data.tarea
+    });
+
+    return { success: true, data: { idTarea: Number(taskId) } };
+}
+
+// --- Operaciones en lote (selección de varias tareas en project-details y POST /api/projects/:id/tasks/bulk) ---
+// Cada tarea se comprueba con las mismas reglas que updateTask y deleteTask; las que no las cumplen se devuelven
+// en fallidas ({ idTarea, nombreTarea, error, code }) y las demás se cambian o eliminan en una sola transacción.
+
+// Ids únicos del lote, o null si no es una lista de 1 a MAX_TAREAS_LOTE ids
+function normalizeTaskIds(taskIds) {
+    if (!Array.isArray(taskIds)) return null;
+    const ids = [...new Set(taskIds.map(Number))];
+    if (ids.length === 0 || ids.length > MAX_TAREAS_LOTE || !ids.every(id => Number.isInteger(id) && id > 0)) return null;
+    return ids;
+}
+
+// Reparte las tareas del lote entre las que el actor puede tocar con la acción (permitidas) y las que no (fallidas)
+async function checkBatch(projectId, taskIds, actor, accion, errorPermiso) {
+    const ids = normalizeTaskIds(taskIds);
+    if (!ids) {
+        return { success: false, error: `Selecciona entre 1 y ${MAX_TAREAS_LOTE} tareas`, code: 'VALIDATION_ERROR' };
+    }
+
+    const rolProyecto = await participantService.getProjectRole(projectId, actor.id);
+    if (!rolProyecto) {
+        return { success: false, error: 'No tienes acceso a este proyecto', code: 'FORBIDDEN' };
+    }
+
+    const permitidas = [];
+    const fallidas = [];
+    for (const idTarea of ids) {
+        const tarea = await getTask(projectId, idTarea);
+        if (!tarea) {
+            fallidas.push({ idTarea, nombreTarea: null, error: 'Tarea no encontrada o no pertenece a este proyecto', code: 'NOT_FOUND' });
+        } else if (!can(actor, accion, { rolProyecto, tarea })) {
+            fallidas.push({ idTarea, nombreTarea: tarea.nombreTarea, error: errorPermiso, code: 'FORBIDDEN' });
+        } else {
+            permitidas.push(tarea);
+        }
+    }
+    return { success: true, data: { ids, permitidas, fallidas } };
+}
+
+// Las fallidas en el orden en que llegaron las tareas
+function inBatchOrder(ids, fallidas) {
+    return fallidas.sort((a, b) => ids.indexOf(a.idTarea) - ids.indexOf(b.idTarea));
+}
+
+// Quita de permitidas las tareas que no se pueden completar por tener bloqueantes abiertas (ver updateTask).
+// Las bloqueantes que se completan en el mismo lote no cuentan, salvo que ellas mismas acaben fallando.
+async function rejectBlockedCompletions(permitidas, fallidas) {
+    const bloqueantesDe = new Map();
+    for (const tarea of permitidas.filter(t => t.estadoTarea !== 'Completada')) {
+        bloqueantesDe.set(tarea.idTarea, await getOpenBlockers(tarea.idTarea));
+    }
+
+    let restantes = permitidas;
+    let cambiado = true;
+    while (cambiado) {
+        cambiado = false;
+        const enLote = new Set(restantes.map(t => t.idTarea));
+        for (const tarea of restantes) {
+            const bloqueantes = (bloqueantesDe.get(tarea.idTarea) || []).filter(b => !enLote.has(b.idTarea));
+            if (bloqueantes.length > 0) {
+                const nombres = bloqueantes.map(t => `"${t.nombreTarea}"`).join(', ');
+                fallidas.push({
+                    idTarea: tarea.idTarea,
+                    nombreTarea: tarea.nombreTarea,
+                    error: `No se puede completar "${tarea.nombreTarea}" porque está bloqueada por ${nombres}. Completa esas tareas antes o quita la dependencia.`,
+                    code: 'CONFLICT'
+                });
+                restantes = restantes.filter(t => t !== tarea);
+                cambiado = true;
+            }
+        }
+    }
+    return restantes;
+}
+
+// cambios: { estadoTarea, prioridadTarea, idUsuarioAsignado, fechaEntrega }; los undefined no cambian (al menos uno).
+// Devuelve { actualizadas (cada una con siguienteOcurrencia, ver updateTask), fallidas, avisos }.
+// Después del UPDATE cada tarea sigue por separado: las notificaciones nunca fallan (createNotification solo registra
+// el error) y, si falla crear la siguiente repetición, la tarea sigue actualizada, sin siguienteOcurrencia y con el fallo en avisos.
+async function bulkUpdateTasks(projectId, taskIds, actor, cambios) {
+    const idUsuarioAsignado = normalizeAssignee(cambios.idUsuarioAsignado);
+    const campos = {
+        estadoTarea: { tipo: sql.NVarChar, valor: cambios.estadoTarea },
+        prioridadTarea: { tipo: sql.NVarChar, valor: cambios.prioridadTarea },
+        idUsuarioAsignado: { tipo: sql.Int, valor: idUsuarioAsignado },
+        fechaEntrega: { tipo: sql.DateTime, valor: cambios.fechaEntrega }
+    };
+    const cambiados = Object.keys(campos).filter(campo => campos[campo].valor !== undefined);
+    if (cambiados.length === 0) {
+        return { success: false, error: 'Indica qué cambiar: estado, prioridad, asignado o fecha de entrega', code: 'VALIDATION_ERROR' };
+    }
+
+    const validationError = await validateWorkItem(projectId, { estado: cambios.estadoTarea, prioridad: cambios.prioridadTarea, idUsuarioAsignado });
+    if (validationError) {
+        return { success: false, error: validationError, code: 'VALIDATION_ERROR' };
+    }
+
+    const lote = await checkBatch(projectId, taskIds, actor, ACCIONES.EDITAR_TAREA, 'No tienes permiso para editar esta tarea');
+    if (!lote.success) return lote;
+
+    const { ids, fallidas } = lote.data;
+    const permitidas = cambios.estadoTarea === 'Completada'
+        ? await rejectBlockedCompletions(lote.data.permitidas, fallidas)
+        : lote.data.permitidas;
+
+    const actualizadas = [];
+    const avisos = [];
+    if (permitidas.length > 0) {
+        // Un único UPDATE: o cambian todas las tareas permitidas o ninguna
+        const pool = await sql.connect(config);
+        const request = pool.request();
+        cambiados.forEach(campo => request.input(campo, campos[campo].tipo, campos[campo].valor));
+        const idsPermitidas = inputIds(request, permitidas.map(t => t.idTarea));
+        await request.query(`
+            UPDATE Tareas
+            SET ${cambiados.map(campo => `${campo} = @${campo}`).join(', ')}
+            WHERE idTarea IN (${idsPermitidas});
+        `);
+
+        for (const anterior of permitidas) {
+            const tarea = await getTask(projectId, anterior.idTarea);
+            await recordActivity({
+                idProyecto: Number(projectId),
+                idUsuarioActor: actor.id,
+                tipoEntidad: TIPOS_ENTIDAD.TAREA,
+                idEntidad: tarea.idTarea,
+                nombreEntidad: tarea.nombreTarea,
+                operacion: OPERACIONES.ACTUALIZAR,
+                antes: anterior,
+                despues: tarea
+            });
+            try {
+                actualizadas.push(await afterTaskUpdate(projectId, actor, anterior, tarea));
+            } catch (error) {
+                console.error(`Error al crear la siguiente repetición de la tarea ${tarea.idTarea} tras el cambio en lote:`, error);
+                actualizadas.push({ ...tarea, siguienteOcurrencia: null });
+                avisos.push({
+                    idTarea: tarea.idTarea,
+                    nombreTarea: tarea.nombreTarea,
+                    error: 'Se actualizó, pero no se pudo crear su siguiente repetición'
+                });
+            }
+        }
+    }
+
+    return { success: true, data: { actualizadas, fallidas: inBatchOrder(ids, fallidas), avisos } };
+}
+
+// Devuelve { eliminadas: [{ idTarea, nombreTarea }], fallidas }
+async function bulkDeleteTasks(projectId, taskIds, actor) {
+    const lote = await checkBatch(projectId, taskIds, actor, ACCIONES.ELIMINAR_TAREA, 'No tienes permiso para eliminar esta tarea');
+    if (!lote.success) return lote;
+
+    const { ids, permitidas, fallidas } = lote.data;
+    if (permitidas.length > 0) {
+        await removeTasks(permitidas.map(t => t.idTarea));
+    }
+
+    for (const tarea of permitidas) {
+        await recordActivity({
+            idProyecto: Number(projectId),
+            idUsuarioActor: actor.id,
+            tipoEntidad: TIPOS_ENTIDAD.TAREA,
+            idEntidad: tarea.idTarea,
+            nombreEntidad: tarea.nombreTarea,
+            operacion: OPERACIONES.ELIMINAR,
+            antes: tarea
+        });
+    }
+
+    return {
+        success: true,
+        data: {
+            eliminadas: permitidas.map(t => ({ idTarea: t.idTarea, nombreTarea: t.nombreTarea })),
+            fallidas: inBatchOrder(ids, fallidas)
+        }
+    };
+}
+
+module.exports = {
+    ESTADOS_TAREA,
+    PRIORIDADES_TAREA,
+    MAX_HORAS_ESTIMADAS,
+    MAX_TAREAS_LOTE,
+    getTasks,
+    getTask,
+    getTaskAccess,
+    getOpenBlockers,
+    getTaskForEdit,
+    validateWorkItem,
+    normalizeAssignee,
+    normalizeEstimate,
+    createTask,
+    updateTask,
+    createNextOccurrence,
+    setRecurrencePaused,
+    deleteTask,
+    bulkUpdateTasks,
+    bulkDeleteTasks
+};
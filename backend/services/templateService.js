@@ -0,0 +1,427 @@
+// backend/services/templateService.js
+// Plantillas de proyecto y clonado de proyectos.
+// Una plantilla guarda las tareas y subtareas (con su anidamiento) de un proyecto (nombre, descripción, prioridad y horas estimadas),
+// sus participantes y la entrega de cada tarea como días antes de la entrega del proyecto.
+// Al crear un proyecto con ella las fechas se recalculan a partir de la nueva fechaEntrega.
+// Clonar un proyecto hace lo mismo sin pasar por una plantilla guardada.
+const sql = require('mssql');
+const config = require('../db.js');
+const projectService = require('./projectService');
+const { buildSubtaskTree, flattenSubtaskTree } = require('./subtaskService');
+const { notifyUsers, TIPOS_NOTIFICACION } = require('./notificationService');
+const { recordActivity, TIPOS_ENTIDAD, OPERACIONES } = require('./activityService');
+const { can, ACCIONES } = require('../policies/projectPolicy');
+
+const MAX_PLANTILLAS_POR_USUARIO = 50;
+const MAX_LONGITUD_NOMBRE = 255;
+
+// De dónde se copian las tareas, las subtareas y los participantes (@idOrigen es el proyecto o la plantilla).
+// Las dos fuentes devuelven las mismas columnas, así guardar una plantilla, usarla y clonar un proyecto comparten las consultas.
+// idPadreOrigen es la subtarea de la que cuelga cada subtarea (NULL si cuelga de la tarea).
+// Del proyecto no se copian el estado, los asignados, la repetición, las dependencias, las etiquetas ni el tiempo registrado.
+const ORIGEN_PROYECTO = {
+    tareas: `
+        SELECT
+            T.idTarea AS idOrigen,
+            T.nombreTarea,
+            CAST(T.descripcionTarea AS NVARCHAR(MAX)) AS descripcionTarea,
+            T.prioridadTarea,
+            T.horasEstimadas,
+            ISNULL(DATEDIFF(DAY, T.fechaEntrega, P.fechaEntrega), 0) AS diasAntesEntrega
+        FROM Tareas T
+        JOIN Proyectos P ON T.idProyecto = P.idProyecto
+        WHERE T.idProyecto = @idOrigen`,
+    subtareas: `
+        SELECT
+            S.idSubtarea AS idOrigen,
+            S.idTarea AS idTareaOrigen,
+            S.idSubtareaPadre AS idPadreOrigen,
+            S.nombreSubtarea,
+            CAST(S.descripcionSubtarea AS NVARCHAR(MAX)) AS descripcionSubtarea,
+            S.prioridadSubtarea,
+            S.horasEstimadas,
+            ISNULL(DATEDIFF(DAY, S.fechaEntrega, P.fechaEntrega), 0) AS diasAntesEntrega
+        FROM Subtareas S
+        JOIN Tareas T ON S.idTarea = T.idTarea
+        JOIN Proyectos P ON T.idProyecto = P.idProyecto
+        WHERE T.idProyecto = @idOrigen`,
+    participantes: `
+        SELECT idUsuario, rolProyecto
+        FROM ParticipantesProyecto
+        WHERE idProyecto = @idOrigen AND estadoInvitacion = 'aceptada' AND rolProyecto <> 'admin'`
+};
+
+const ORIGEN_PLANTILLA = {
+    tareas: `
+        SELECT idPlantillaTarea AS idOrigen, nombreTarea, descripcionTarea, prioridadTarea, horasEstimadas, diasAntesEntrega
+        FROM PlantillasTareas
+        WHERE idPlantilla = @idOrigen`,
+    subtareas: `
+        SELECT PS.idPlantillaSubtarea AS idOrigen, PS.idPlantillaTarea AS idTareaOrigen, PS.idPlantillaSubtareaPadre AS idPadreOrigen, PS.nombreSubtarea, PS.descripcionSubtarea, PS.prioridadSubtarea, PS.horasEstimadas, PS.diasAntesEntrega
+        FROM PlantillasSubtareas PS
+        JOIN PlantillasTareas PT ON PS.idPlantillaTarea = PT.idPlantillaTarea
+        WHERE PT.idPlantilla = @idOrigen`,
+    participantes: `
+        SELECT idUsuario, rolProyecto
+        FROM PlantillasParticipantes
+        WHERE idPlantilla = @idOrigen`
+};
+
+// --- Consultas ---
+
+// Plantillas del usuario por nombre, con cuántas tareas, subtareas y participantes guardan
+async function getTemplatesForUser(userId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .query(`
+            SELECT
+                PL.idPlantilla,
+                PL.nombrePlantilla,
+                PL.descripcionProyecto,
+                PL.nombreProyectoOrigen,
+                PL.fechaCreacion,
+                (SELECT COUNT(*) FROM PlantillasTareas PT WHERE PT.idPlantilla = PL.idPlantilla) AS numTareas,
+                (SELECT COUNT(*) FROM PlantillasSubtareas PS
+                 JOIN PlantillasTareas PT ON PS.idPlantillaTarea = PT.idPlantillaTarea
+                 WHERE PT.idPlantilla = PL.idPlantilla) AS numSubtareas,
+                (SELECT COUNT(*) FROM PlantillasParticipantes PP WHERE PP.idPlantilla = PL.idPlantilla) AS numParticipantes
+            FROM Plantillas PL
+            WHERE PL.idUsuarioCreador = @idUsuario
+            ORDER BY PL.nombrePlantilla ASC;
+        `);
+    return result.recordset;
+}
+
+// Una plantilla del usuario con sus tareas y participantes, o undefined si no es suya.
+// Las subtareas de cada tarea van en orden de árbol, cada una con su nivel y sus hijas (ver subtaskService.buildSubtaskTree).
+async function getTemplate(templateId, userId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idPlantilla', sql.Int, templateId)
+        .input('idUsuario', sql.Int, userId)
+        .query(`
+            SELECT idPlantilla, nombrePlantilla, descripcionProyecto, nombreProyectoOrigen, fechaCreacion
+            FROM Plantillas
+            WHERE idPlantilla = @idPlantilla AND idUsuarioCreador = @idUsuario;
+
+            SELECT idPlantillaTarea, nombreTarea, descripcionTarea, prioridadTarea, horasEstimadas, diasAntesEntrega
+            FROM PlantillasTareas
+            WHERE idPlantilla = @idPlantilla
+            ORDER BY diasAntesEntrega DESC, idPlantillaTarea ASC;
+
+            SELECT PS.idPlantillaSubtarea, PS.idPlantillaTarea, PS.idPlantillaSubtareaPadre, PS.nombreSubtarea, PS.descripcionSubtarea, PS.prioridadSubtarea, PS.horasEstimadas, PS.diasAntesEntrega
+            FROM PlantillasSubtareas PS
+            JOIN PlantillasTareas PT ON PS.idPlantillaTarea = PT.idPlantillaTarea
+            WHERE PT.idPlantilla = @idPlantilla
+            ORDER BY PS.diasAntesEntrega DESC, PS.idPlantillaSubtarea ASC;
+
+            SELECT PP.idUsuario, U.nombreUsuario, PP.rolProyecto, U.cuentaActiva
+            FROM PlantillasParticipantes PP
+            JOIN Usuarios U ON PP.idUsuario = U.idUsuario
+            WHERE PP.idPlantilla = @idPlantilla
+            ORDER BY U.nombreUsuario ASC;
+        `);
+
+    const [plantilla] = result.recordsets[0];
+    if (!plantilla) return undefined;
+
+    const subtareas = result.recordsets[2];
+    return {
+        ...plantilla,
+        tareas: result.recordsets[1].map(tarea => ({
+            ...tarea,
+            subtareas: flattenSubtaskTree(buildSubtaskTree(
+                subtareas.filter(s => s.idPlantillaTarea === tarea.idPlantillaTarea), 'idPlantillaSubtarea', 'idPlantillaSubtareaPadre'
+            ))
+        })),
+        participantes: result.recordsets[3]
+    };
+}
+
+// --- Reglas ---
+
+// Proyecto que el usuario puede guardar como plantilla o clonar
+async function getCopyableProject(projectId, actor) {
+    const proyecto = await projectService.getProjectForUser(projectId, actor.id);
+    if (!proyecto) {
+        return { success: false, error: 'Proyecto no encontrado o no tienes acceso a él.', code: 'FORBIDDEN' };
+    }
+    if (!can(actor, ACCIONES.COPIAR_PROYECTO, { rolProyecto: proyecto.rolProyecto, proyecto })) {
+        return { success: false, error: 'Solo el administrador del proyecto puede guardarlo como plantilla o clonarlo', code: 'FORBIDDEN' };
+    }
+    return { success: true, data: proyecto };
+}
+
+function validateName(valor, campo) {
+    const nombre = String(valor || '').trim();
+    if (!nombre) {
+        return { success: false, error: `El nombre ${campo} es obligatorio`, code: 'VALIDATION_ERROR' };
+    }
+    if (nombre.length > MAX_LONGITUD_NOMBRE) {
+        return { success: false, error: `El nombre ${campo} no puede superar ${MAX_LONGITUD_NOMBRE} caracteres`, code: 'VALIDATION_ERROR' };
+    }
+    return { success: true, data: nombre };
+}
+
+// datos: { nombreProyecto, descripcionProyecto, fechaEntrega } del proyecto nuevo
+function validateNewProject(datos) {
+    const nombre = validateName(datos.nombreProyecto, 'del proyecto');
+    if (!nombre.success) return nombre;
+
+    const fechaEntrega = new Date(datos.fechaEntrega);
+    if (!datos.fechaEntrega || isNaN(fechaEntrega.getTime())) {
+        return { success: false, error: 'La fecha de entrega debe ser una fecha válida', code: 'VALIDATION_ERROR' };
+    }
+    return { success: true, data: { nombreProyecto: nombre.data, descripcionProyecto: datos.descripcionProyecto, fechaEntrega } };
+}
+
+// --- Copia ---
+
+/**
+ * Crea un proyecto (con el usuario como admin) y copia en él las tareas y subtareas del origen
+ * con las fechas desplazadas a la nueva fechaEntrega. Si copiarParticipantes, invita (pendientes de aceptar)
+ * a los participantes del origen con el mismo rol, salvo las cuentas desactivadas.
+ * Todo en una transacción; devuelve { idProyecto, numTareas, invitados }.
+ */
+async function copyIntoNewProject(origen, idOrigen, adminId, datos, copiarParticipantes) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idOrigen', sql.Int, idOrigen)
+        .input('idUsuarioAdmin', sql.Int, adminId)
+        .input('nombreProyecto', sql.NVarChar, datos.nombreProyecto)
+        .input('descripcionProyecto', sql.Text, datos.descripcionProyecto)
+        .input('fechaEntrega', sql.DateTime, datos.fechaEntrega)
+        .input('copiarParticipantes', sql.Bit, copiarParticipantes ? 1 : 0)
+        .query(`
+            SET XACT_ABORT ON;
+            BEGIN TRANSACTION;
+
+            DECLARE @idProyecto INT;
+            DECLARE @tareas TABLE (idOrigen INT, idTarea INT);
+            DECLARE @subtareas TABLE (idOrigen INT, idSubtarea INT);
+
+            INSERT INTO Proyectos (nombreProyecto, descripcionProyecto, fechaEntrega, fechaCreacion, estadoProyecto, idUsuarioAdmin)
+            VALUES (@nombreProyecto, @descripcionProyecto, @fechaEntrega, GETDATE(), 'Activo', @idUsuarioAdmin);
+            SET @idProyecto = SCOPE_IDENTITY();
+
+            INSERT INTO ParticipantesProyecto (idProyecto, idUsuario, rolProyecto, estadoInvitacion)
+            VALUES (@idProyecto, @idUsuarioAdmin, 'admin', 'aceptada');
+
+            -- MERGE en lugar de INSERT ... SELECT para guardar en @tareas qué tarea nueva sale de cada tarea del origen
+            MERGE INTO Tareas AS destino
+            USING (${origen.tareas}) AS O
+            ON 1 = 0
+            WHEN NOT MATCHED THEN
+                INSERT (idProyecto, nombreTarea, descripcionTarea, idUsuarioCreador, fechaCreacion, fechaEntrega, estadoTarea, prioridadTarea, horasEstimadas)
+                VALUES (@idProyecto, O.nombreTarea, O.descripcionTarea, @idUsuarioAdmin, GETDATE(), DATEADD(DAY, -O.diasAntesEntrega, @fechaEntrega), 'Pendiente', O.prioridadTarea, O.horasEstimadas)
+            OUTPUT O.idOrigen, inserted.idTarea INTO @tareas (idOrigen, idTarea);
+
+            MERGE INTO Subtareas AS destino
+            USING (
+                SELECT S.*, M.idTarea
+                FROM (${origen.subtareas}) AS S
+                JOIN @tareas M ON S.idTareaOrigen = M.idOrigen
+            ) AS O
+            ON 1 = 0
+            WHEN NOT MATCHED THEN
+                INSERT (idTarea, nombreSubtarea, descripcionSubtarea, idUsuarioCreador, fechaCreacion, fechaEntrega, estadoSubtarea, prioridadSubtarea, horasEstimadas)
+                VALUES (O.idTarea, O.nombreSubtarea, O.descripcionSubtarea, @idUsuarioAdmin, GETDATE(), DATEADD(DAY, -O.diasAntesEntrega, @fechaEntrega), 'Pendiente', O.prioridadSubtarea, O.horasEstimadas)
+            OUTPUT O.idOrigen, inserted.idSubtarea INTO @subtareas (idOrigen, idSubtarea);
+
+            -- Cada subtarea nueva cuelga de la copia de la subtarea de la que colgaba en el origen
+            UPDATE Subtareas
+            SET idSubtareaPadre = Padre.idSubtarea
+            FROM Subtareas
+            JOIN @subtareas M ON Subtareas.idSubtarea = M.idSubtarea
+            JOIN (${origen.subtareas}) AS S ON S.idOrigen = M.idOrigen
+            JOIN @subtareas Padre ON Padre.idOrigen = S.idPadreOrigen;
+
+            IF @copiarParticipantes = 1
+                INSERT INTO ParticipantesProyecto (idProyecto, idUsuario, rolProyecto, estadoInvitacion)
+                SELECT @idProyecto, P.idUsuario, P.rolProyecto, 'pendiente'
+                FROM (${origen.participantes}) AS P
+                JOIN Usuarios U ON P.idUsuario = U.idUsuario
+                WHERE U.cuentaActiva = 1 AND P.idUsuario <> @idUsuarioAdmin;
+
+            COMMIT TRANSACTION;
+
+            SELECT @idProyecto AS idProyecto, (SELECT COUNT(*) FROM @tareas) AS numTareas;
+
+            SELECT PP.idParticipante, PP.idUsuario, U.nombreUsuario, PP.rolProyecto
+            FROM ParticipantesProyecto PP
+            JOIN Usuarios U ON PP.idUsuario = U.idUsuario
+            WHERE PP.idProyecto = @idProyecto AND PP.estadoInvitacion = 'pendiente';
+        `);
+
+    const [{ idProyecto, numTareas }] = result.recordsets[0];
+    return { idProyecto, numTareas, invitados: result.recordsets[1] };
+}
+
+// Actividad y avisos del proyecto recién copiado; devuelve { proyecto, numTareas, numInvitados }
+async function finishCopy(copia, actor) {
+    const proyecto = await projectService.getProjectForUser(copia.idProyecto, actor.id);
+
+    await recordActivity({
+        idProyecto: proyecto.idProyecto,
+        idUsuarioActor: actor.id,
+        tipoEntidad: TIPOS_ENTIDAD.PROYECTO,
+        idEntidad: proyecto.idProyecto,
+        nombreEntidad: proyecto.nombreProyecto,
+        operacion: OPERACIONES.CREAR,
+        despues: proyecto
+    });
+    for (const invitado of copia.invitados) {
+        await recordActivity({
+            idProyecto: proyecto.idProyecto,
+            idUsuarioActor: actor.id,
+            tipoEntidad: TIPOS_ENTIDAD.PARTICIPANTE,
+            idEntidad: invitado.idParticipante,
+            nombreEntidad: invitado.nombreUsuario,
+            operacion: OPERACIONES.CREAR,
+            despues: { rolProyecto: invitado.rolProyecto, estadoInvitacion: 'pendiente' }
+        });
+    }
+    await notifyUsers(copia.invitados.map(i => i.idUsuario), {
+        tipoNotificacion: TIPOS_NOTIFICACION.INVITACION,
+        mensaje: `Has sido invitado al proyecto "${proyecto.nombreProyecto}".`,
+        idProyecto: proyecto.idProyecto,
+        idUsuarioEmisor: actor.id
+    });
+
+    return { success: true, data: { proyecto, numTareas: copia.numTareas, numInvitados: copia.invitados.length } };
+}
+
+// --- Operaciones ---
+
+// Guarda el proyecto como plantilla del usuario. datos: { nombrePlantilla }
+async function saveProjectAsTemplate(projectId, actor, datos) {
+    const copyable = await getCopyableProject(projectId, actor);
+    if (!copyable.success) return copyable;
+
+    const nombre = validateName(datos.nombrePlantilla, 'de la plantilla');
+    if (!nombre.success) return nombre;
+
+    const plantillas = await getTemplatesForUser(actor.id);
+    if (plantillas.some(p => p.nombrePlantilla.toLowerCase() === nombre.data.toLowerCase())) {
+        return { success: false, error: `Ya tienes una plantilla llamada "${nombre.data}"`, code: 'CONFLICT' };
+    }
+    if (plantillas.length >= MAX_PLANTILLAS_POR_USUARIO) {
+        return { success: false, error: `No puedes tener más de ${MAX_PLANTILLAS_POR_USUARIO} plantillas`, code: 'CONFLICT' };
+    }
+
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idOrigen', sql.Int, projectId)
+        .input('idUsuario', sql.Int, actor.id)
+        .input('nombrePlantilla', sql.NVarChar, nombre.data)
+        .query(`
+            SET XACT_ABORT ON;
+            BEGIN TRANSACTION;
+
+            DECLARE @idPlantilla INT;
+            DECLARE @tareas TABLE (idOrigen INT, idPlantillaTarea INT);
+            DECLARE @subtareas TABLE (idOrigen INT, idPlantillaSubtarea INT);
+
+            INSERT INTO Plantillas (idUsuarioCreador, nombrePlantilla, descripcionProyecto, nombreProyectoOrigen)
+            SELECT @idUsuario, @nombrePlantilla, CAST(descripcionProyecto AS NVARCHAR(MAX)), nombreProyecto
+            FROM Proyectos
+            WHERE idProyecto = @idOrigen;
+            SET @idPlantilla = SCOPE_IDENTITY();
+
+            MERGE INTO PlantillasTareas AS destino
+            USING (${ORIGEN_PROYECTO.tareas}) AS O
+            ON 1 = 0
+            WHEN NOT MATCHED THEN
+                INSERT (idPlantilla, nombreTarea, descripcionTarea, prioridadTarea, horasEstimadas, diasAntesEntrega)
+                VALUES (@idPlantilla, O.nombreTarea, O.descripcionTarea, O.prioridadTarea, O.horasEstimadas, O.diasAntesEntrega)
+            OUTPUT O.idOrigen, inserted.idPlantillaTarea INTO @tareas (idOrigen, idPlantillaTarea);
+
+            MERGE INTO PlantillasSubtareas AS destino
+            USING (
+                SELECT S.*, M.idPlantillaTarea
+                FROM (${ORIGEN_PROYECTO.subtareas}) AS S
+                JOIN @tareas M ON S.idTareaOrigen = M.idOrigen
+            ) AS O
+            ON 1 = 0
+            WHEN NOT MATCHED THEN
+                INSERT (idPlantillaTarea, nombreSubtarea, descripcionSubtarea, prioridadSubtarea, horasEstimadas, diasAntesEntrega)
+                VALUES (O.idPlantillaTarea, O.nombreSubtarea, O.descripcionSubtarea, O.prioridadSubtarea, O.horasEstimadas, O.diasAntesEntrega)
+            OUTPUT O.idOrigen, inserted.idPlantillaSubtarea INTO @subtareas (idOrigen, idPlantillaSubtarea);
+
+            UPDATE PlantillasSubtareas
+            SET idPlantillaSubtareaPadre = Padre.idPlantillaSubtarea
+            FROM PlantillasSubtareas
+            JOIN @subtareas M ON PlantillasSubtareas.idPlantillaSubtarea = M.idPlantillaSubtarea
+            JOIN (${ORIGEN_PROYECTO.subtareas}) AS S ON S.idOrigen = M.idOrigen
+            JOIN @subtareas Padre ON Padre.idOrigen = S.idPadreOrigen;
+
+            INSERT INTO PlantillasParticipantes (idPlantilla, idUsuario, rolProyecto)
+            SELECT @idPlantilla, idUsuario, rolProyecto
+            FROM (${ORIGEN_PROYECTO.participantes}) AS P;
+
+            COMMIT TRANSACTION;
+
+            SELECT @idPlantilla AS idPlantilla;
+        `);
+
+    return { success: true, data: await getTemplate(result.recordset[0].idPlantilla, actor.id) };
+}
+
+/**
+ * Crea un proyecto a partir de una plantilla del usuario.
+ * datos: { nombreProyecto, descripcionProyecto (la de la plantilla si no se indica), fechaEntrega, copiarParticipantes }
+ */
+async function createProjectFromTemplate(templateId, actor, datos) {
+    const plantilla = await getTemplate(templateId, actor.id);
+    if (!plantilla) {
+        return { success: false, error: 'Plantilla no encontrada', code: 'NOT_FOUND' };
+    }
+
+    const valid = validateNewProject({
+        ...datos,
+        descripcionProyecto: datos.descripcionProyecto || plantilla.descripcionProyecto
+    });
+    if (!valid.success) return valid;
+
+    const copia = await copyIntoNewProject(ORIGEN_PLANTILLA, plantilla.idPlantilla, actor.id, valid.data, datos.copiarParticipantes);
+    return finishCopy(copia, actor);
+}
+
+// Crea una copia del proyecto (misma descripción). datos: { nombreProyecto, fechaEntrega, copiarParticipantes }
+async function cloneProject(projectId, actor, datos) {
+    const copyable = await getCopyableProject(projectId, actor);
+    if (!copyable.success) return copyable;
+
+    const valid = validateNewProject({ ...datos, descripcionProyecto: copyable.data.descripcionProyecto });
+    if (!valid.success) return valid;
+
+    const copia = await copyIntoNewProject(ORIGEN_PROYECTO, copyable.data.idProyecto, actor.id, valid.data, datos.copiarParticipantes);
+    return finishCopy(copia, actor);
+}
+
+async function deleteTemplate(templateId, actor) {
+    const plantilla = await getTemplate(templateId, actor.id);
+    if (!plantilla) {
+        return { success: false, error: 'Plantilla no encontrada', code: 'NOT_FOUND' };
+    }
+
+    // Las tareas, subtareas y participantes de la plantilla se borran en cascada
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idPlantilla', sql.Int, plantilla.idPlantilla)
+        .query('DELETE FROM Plantillas WHERE idPlantilla = @idPlantilla;');
+
+    return { success: true, data: plantilla };
+}
+
+module.exports = {
+    MAX_PLANTILLAS_POR_USUARIO,
+    MAX_LONGITUD_NOMBRE,
+    getTemplatesForUser,
+    getTemplate,
+    saveProjectAsTemplate,
+    createProjectFromTemplate,
+    cloneProject,
+    deleteTemplate
+};
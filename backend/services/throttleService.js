@@ -0,0 +1,233 @@
+// backend/services/throttleService.js
+// Limita los intentos de login (contraseña y segundo factor), registro, recuperación de contraseña
+// y reenvío de la verificación por cuenta (correo) y por IP, con bloqueos que se duplican a cada intento extra.
+// Los contadores se guardan en un almacén intercambiable: la tabla BloqueosAcceso (por defecto)
+// o memoria (THROTTLE_STORE=memoria, para pruebas o desarrollo sin base de datos; no se comparte entre procesos).
+const sql = require('mssql');
+const config = require('../db.js');
+
+// Intentos permitidos por acción y tipo de identificador antes de bloquear
+const LIMITES = {
+    login: { cuenta: 5, ip: 20 },          // Solo cuentan los intentos fallidos
+    registro: { ip: 5 },                   // Cuenta cada envío del formulario
+    recuperacion: { cuenta: 3, ip: 10 },   // Cuenta cada solicitud de correo
+    verificacion: { cuenta: 3, ip: 10 },   // Reenvíos del correo de verificación
+    segundoFactor: { cuenta: 5, ip: 20 }   // Códigos TOTP o de recuperación incorrectos
+};
+
+const BLOQUEO_BASE_MS = 5 * 60 * 1000;     // 5 minutos al alcanzar el límite...
+const BLOQUEO_MAXIMO_MS = 60 * 60 * 1000;  // ...el doble por cada intento extra, hasta 1 hora
+const VENTANA_MS = 15 * 60 * 1000;         // Sin intentos ni bloqueo durante 15 minutos el contador vuelve a cero
+const PURGA_CADA_MS = 60 * 1000;
+
+// Momento a partir del cual empieza a contar la ventana de un registro
+function endOfRecord(registro) {
+    const bloqueo = registro.bloqueadoHasta ? registro.bloqueadoHasta.getTime() : 0;
+    return Math.max(registro.ultimoIntento.getTime(), bloqueo);
+}
+
+// --- Almacenes ---
+// Interfaz común: get(clave), save(registro), remove(clave), list(), purge(antesDe).
+// registro: { clave, accion, tipo, valor, intentos, ultimoIntento, bloqueadoHasta }
+
+function createMemoryStore() {
+    const registros = new Map();
+
+    return {
+        async get(clave) {
+            const registro = registros.get(clave);
+            return registro ? { ...registro } : null;
+        },
+        async save(registro) {
+            registros.set(registro.clave, { ...registro });
+        },
+        async remove(clave) {
+            return registros.delete(clave);
+        },
+        async list() {
+            return [...registros.values()]
+                .map(registro => ({ ...registro }))
+                .sort((a, b) => b.ultimoIntento - a.ultimoIntento);
+        },
+        async purge(antesDe) {
+            for (const [clave, registro] of registros) {
+                if (endOfRecord(registro) < antesDe.getTime()) registros.delete(clave);
+            }
+        }
+    };
+}
+
+function createSqlStore() {
+    const REGISTRO_SELECT = 'SELECT clave, accion, tipo, valor, intentos, ultimoIntento, bloqueadoHasta FROM BloqueosAcceso';
+
+    return {
+        async get(clave) {
+            const pool = await sql.connect(config);
+            const result = await pool.request()
+                .input('clave', sql.NVarChar, clave)
+                .query(`${REGISTRO_SELECT} WHERE clave = @clave;`);
+            return result.recordset[0] || null;
+        },
+        async save(registro) {
+            const pool = await sql.connect(config);
+            await pool.request()
+                .input('clave', sql.NVarChar, registro.clave)
+                .input('accion', sql.NVarChar, registro.accion)
+                .input('tipo', sql.NVarChar, registro.tipo)
+                .input('valor', sql.NVarChar, registro.valor)
+                .input('intentos', sql.Int, registro.intentos)
+                .input('ultimoIntento', sql.DateTime, registro.ultimoIntento)
+                .input('bloqueadoHasta', sql.DateTime, registro.bloqueadoHasta)
+                .query(`
+                    MERGE BloqueosAcceso AS destino
+                    USING (SELECT @clave AS clave) AS origen
+                    ON destino.clave = origen.clave
+                    WHEN MATCHED THEN
+                        UPDATE SET intentos = @intentos, ultimoIntento = @ultimoIntento, bloqueadoHasta = @bloqueadoHasta
+                    WHEN NOT MATCHED THEN
+                        INSERT (clave, accion, tipo, valor, intentos, ultimoIntento, bloqueadoHasta)
+                        VALUES (@clave, @accion, @tipo, @valor, @intentos, @ultimoIntento, @bloqueadoHasta);
+                `);
+        },
+        async remove(clave) {
+            const pool = await sql.connect(config);
+            const result = await pool.request()
+                .input('clave', sql.NVarChar, clave)
+                .query('DELETE FROM BloqueosAcceso WHERE clave = @clave;');
+            return result.rowsAffected[0] > 0;
+        },
+        async list() {
+            const pool = await sql.connect(config);
+            const result = await pool.request().query(`${REGISTRO_SELECT} ORDER BY ultimoIntento DESC;`);
+            return result.recordset;
+        },
+        async purge(antesDe) {
+            const pool = await sql.connect(config);
+            await pool.request()
+                .input('antesDe', sql.DateTime, antesDe)
+                .query(`
+                    DELETE FROM BloqueosAcceso
+                    WHERE ultimoIntento < @antesDe
+                    AND (bloqueadoHasta IS NULL OR bloqueadoHasta < @antesDe);
+                `);
+        }
+    };
+}
+
+let store = process.env.THROTTLE_STORE === 'memoria' ? createMemoryStore() : createSqlStore();
+let ultimaPurga = 0;
+
+// Cambia el almacén (por ejemplo createMemoryStore() en pruebas)
+function useStore(nuevoStore) {
+    store = nuevoStore;
+}
+
+// --- Lógica de límites ---
+
+// Una entrada por cada tipo de identificador con límite para la acción: { cuenta, ip } -> claves
+function buildEntries(accion, identificadores) {
+    const limites = LIMITES[accion];
+    if (!limites) throw new Error(`Acción sin límites definidos: ${accion}`);
+
+    return Object.keys(limites)
+        .filter(tipo => identificadores[tipo])
+        .map(tipo => {
+            const valor = String(identificadores[tipo]).toLowerCase().slice(0, 255);
+            return { clave: `${accion}:${tipo}:${valor}`, accion, tipo, valor, limite: limites[tipo] };
+        });
+}
+
+// Bloqueo que corresponde a un número de intentos (0 si aún no se alcanzó el límite)
+function lockoutDuration(intentos, limite) {
+    if (intentos < limite) return 0;
+    return Math.min(BLOQUEO_BASE_MS * 2 ** (intentos - limite), BLOQUEO_MAXIMO_MS);
+}
+
+// Los registros caducados se borran como mucho una vez por minuto, al comprobar un intento
+async function purgeExpired(ahora) {
+    if (ahora - ultimaPurga < PURGA_CADA_MS) return;
+    ultimaPurga = ahora;
+    try {
+        await store.purge(new Date(ahora - VENTANA_MS));
+    } catch (error) {
+        console.error("Error al limpiar bloqueos caducados:", error);
+    }
+}
+
+/**
+ * Comprueba si alguno de los identificadores está bloqueado para la acción.
+ * Devuelve { bloqueado, restanteMs } con el bloqueo vigente más largo.
+ */
+async function check(accion, identificadores) {
+    const ahora = Date.now();
+    await purgeExpired(ahora);
+
+    let restanteMs = 0;
+    for (const entrada of buildEntries(accion, identificadores)) {
+        const registro = await store.get(entrada.clave);
+        if (registro && registro.bloqueadoHasta && registro.bloqueadoHasta.getTime() > ahora) {
+            restanteMs = Math.max(restanteMs, registro.bloqueadoHasta.getTime() - ahora);
+        }
+    }
+    return { bloqueado: restanteMs > 0, restanteMs };
+}
+
+// Suma un intento a cada identificador y bloquea los que alcanzan su límite
+async function registerFailure(accion, identificadores) {
+    const ahora = new Date();
+
+    for (const entrada of buildEntries(accion, identificadores)) {
+        const registro = await store.get(entrada.clave);
+        const caducado = !registro || endOfRecord(registro) < ahora.getTime() - VENTANA_MS;
+        const intentos = caducado ? 1 : registro.intentos + 1;
+        const duracion = lockoutDuration(intentos, entrada.limite);
+
+        await store.save({
+            clave: entrada.clave,
+            accion: entrada.accion,
+            tipo: entrada.tipo,
+            valor: entrada.valor,
+            intentos,
+            ultimoIntento: ahora,
+            bloqueadoHasta: duracion ? new Date(ahora.getTime() + duracion) : (caducado ? null : registro.bloqueadoHasta)
+        });
+    }
+}
+
+// Borra los contadores de los identificadores (p. ej. la cuenta tras un login correcto)
+async function reset(accion, identificadores) {
+    for (const entrada of buildEntries(accion, identificadores)) {
+        await store.remove(entrada.clave);
+    }
+}
+
+// --- Administración ---
+
+// Todos los contadores activos, marcando los que están bloqueados ahora
+async function listLockouts() {
+    const ahora = Date.now();
+    const registros = await store.list();
+    return registros.map(registro => ({
+        ...registro,
+        bloqueado: Boolean(registro.bloqueadoHasta && registro.bloqueadoHasta.getTime() > ahora)
+    }));
+}
+
+async function clearLockout(clave) {
+    if (!(await store.remove(clave))) {
+        return { success: false, error: 'Bloqueo no encontrado', code: 'NOT_FOUND' };
+    }
+    return { success: true, data: { clave } };
+}
+
+module.exports = {
+    LIMITES,
+    createMemoryStore,
+    createSqlStore,
+    useStore,
+    check,
+    registerFailure,
+    reset,
+    listLockouts,
+    clearLockout
+};
@@ -0,0 +1,454 @@
+// backend/services/timeService.js
+// Registro del tiempo dedicado a tareas y subtareas (tabla RegistrosTiempo).
+// Cada usuario registra su propio tiempo con un temporizador (uno en marcha como mucho) o a mano.
+// Los totales se acumulan de la subtarea a su tarea y de las tareas al proyecto (ver attachTimeTracking y summarizeTime).
+const sql = require('mssql');
+const config = require('../db.js');
+const participantService = require('./participantService');
+const taskService = require('./taskService');
+const subtaskService = require('./subtaskService');
+const { can, ACCIONES } = require('../policies/projectPolicy');
+
+// Un registro no puede pasar de un día: es el máximo a mano y el tope de un temporizador olvidado
+const MAX_MINUTOS_REGISTRO = 24 * 60;
+const MAX_DIAS_HOJA_TIEMPOS = 366;
+const DIAS_HOJA_TIEMPOS_POR_DEFECTO = 7;
+
+// Minutos de un registro; los temporizadores en marcha cuentan hasta ahora
+const MINUTOS_REGISTRO = `
+    CASE WHEN R.fin IS NULL
+         THEN DATEDIFF(SECOND, R.inicio, GETDATE()) / 60
+         ELSE R.minutos
+    END
+`;
+
+const ENTRY_SELECT = `
+    SELECT
+        R.idRegistro,
+        T.idProyecto,
+        R.idTarea,
+        T.nombreTarea,
+        R.idSubtarea,
+        S.nombreSubtarea,
+        R.idUsuario,
+        U.nombreUsuario,
+        R.inicio,
+        R.fin,
+        ${MINUTOS_REGISTRO} AS minutos,
+        R.nota,
+        R.manual,
+        CAST(CASE WHEN R.fin IS NULL THEN 1 ELSE 0 END AS BIT) AS enMarcha
+    FROM RegistrosTiempo R
+    INNER JOIN Tareas T ON T.idTarea = R.idTarea
+    LEFT JOIN Subtareas S ON S.idSubtarea = R.idSubtarea
+    INNER JOIN Usuarios U ON U.idUsuario = R.idUsuario
+`;
+
+// --- Fechas ---
+
+// 'AAAA-MM-DD' de una fecha en hora local
+function toDateString(fecha) {
+    const mes = String(fecha.getMonth() + 1).padStart(2, '0');
+    const dia = String(fecha.getDate()).padStart(2, '0');
+    return `${fecha.getFullYear()}-${mes}-${dia}`;
+}
+
+// Fecha local de un texto 'AAAA-MM-DD', o null si no es una fecha válida
+function parseDateString(texto) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(texto || '').trim());
+    if (!match) return null;
+    const fecha = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return toDateString(fecha) === match[0] ? fecha : null;
+}
+
+// "1 h 30 min", "45 min", "0 min"
+function formatDuration(minutos) {
+    const total = Math.max(0, Math.round(Number(minutos) || 0));
+    const horas = Math.floor(total / 60);
+    const resto = total % 60;
+    if (horas === 0) return `${resto} min`;
+    return resto === 0 ? `${horas} h` : `${horas} h ${resto} min`;
+}
+
+// --- Consultas ---
+
+// Un registro del proyecto (undefined si no existe o es de otro proyecto)
+async function getEntry(projectId, entryId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('idRegistro', sql.Int, entryId)
+        .query(`${ENTRY_SELECT} WHERE T.idProyecto = @idProyecto AND R.idRegistro = @idRegistro;`);
+    return result.recordset[0];
+}
+
+// Rol del usuario y el registro, comprobando que pertenezca al proyecto (para authorize y deleteEntry)
+async function getEntryAccess(projectId, entryId, userId) {
+    const rolProyecto = await participantService.getProjectRole(projectId, userId);
+    if (!rolProyecto) {
+        return { success: false, error: 'No tienes acceso a este proyecto', code: 'FORBIDDEN' };
+    }
+
+    const registro = await getEntry(projectId, entryId);
+    if (!registro) {
+        return { success: false, error: 'Registro de tiempo no encontrado o no pertenece a este proyecto', code: 'NOT_FOUND' };
+    }
+
+    return { success: true, data: { rolProyecto, registro } };
+}
+
+// Registros de una tarea y de sus subtareas, los más recientes primero
+async function getTaskEntries(taskId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idTarea', sql.Int, taskId)
+        .query(`${ENTRY_SELECT} WHERE R.idTarea = @idTarea ORDER BY R.inicio DESC;`);
+    return result.recordset;
+}
+
+// Temporizador en marcha del usuario (con su proyecto), o null
+async function getActiveTimer(userId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .query(`${ENTRY_SELECT} WHERE R.idUsuario = @idUsuario AND R.fin IS NULL;`);
+    return result.recordset[0] || null;
+}
+
+// Minutos registrados por tarea y subtarea (idSubtarea NULL: tiempo de la propia tarea)
+async function getMinutesForTasks(taskIds) {
+    if (taskIds.length === 0) return [];
+
+    const pool = await sql.connect(config);
+    const request = pool.request();
+    const placeholders = taskIds.map((id, index) => {
+        request.input(`p${index}`, sql.Int, id);
+        return `@p${index}`;
+    }).join(',');
+
+    const result = await request.query(`
+        SELECT R.idTarea, R.idSubtarea, SUM(${MINUTOS_REGISTRO}) AS minutos
+        FROM RegistrosTiempo R
+        WHERE R.idTarea IN (${placeholders})
+        GROUP BY R.idTarea, R.idSubtarea;
+    `);
+    return result.recordset;
+}
+
+// Minutos registrados en una subtarea, o en una tarea sumando los de sus subtareas (para los formularios de edición)
+async function getTrackedMinutes(taskId, subtaskId = null) {
+    const minutos = await getMinutesForTasks([Number(taskId)]);
+    return minutos
+        .filter(m => subtaskId === null || m.idSubtarea === Number(subtaskId))
+        .reduce((suma, m) => suma + m.minutos, 0);
+}
+
+// La estimación propia o, si no tiene, la suma de las de sus hijas (null si ninguna tiene)
+function estimateWithChildren(horasEstimadas, hijas) {
+    if (horasEstimadas !== null && horasEstimadas !== undefined) return horasEstimadas;
+    const estimadas = hijas.filter(h => h.horasEstimadasTotal !== null);
+    return estimadas.length > 0 ? Math.round(estimadas.reduce((suma, h) => suma + h.horasEstimadasTotal, 0) * 100) / 100 : null;
+}
+
+/**
+ * Añade el tiempo real y estimado a tareas que ya tienen sus subtareas (ver subtaskService.attachSubtasks):
+ * - subtarea.minutosReales: tiempo registrado en la subtarea
+ * - subtarea.minutosTotales y subtarea.horasEstimadasTotal: lo mismo que en la tarea, acumulando sus subtareas anidadas
+ * - tarea.minutosReales: tiempo de la tarea más el de todas sus subtareas
+ * - tarea.horasEstimadasTotal: la estimación de la tarea o, si no tiene, la suma de las de sus subtareas de primer nivel
+ *   (cada una con su estimación o la de sus hijas); null si no hay ninguna
+ */
+async function attachTimeTracking(tareas) {
+    const minutos = await getMinutesForTasks(tareas.map(t => t.idTarea));
+    const minutosDe = (idTarea, idSubtarea) => minutos
+        .filter(m => m.idTarea === idTarea && m.idSubtarea === idSubtarea)
+        .reduce((suma, m) => suma + m.minutos, 0);
+
+    return tareas.map(tarea => {
+        const propias = (tarea.subtareas || []).map(subtarea => ({
+            ...subtarea,
+            minutosReales: minutosDe(tarea.idTarea, subtarea.idSubtarea)
+        }));
+        const hijasDe = idPadre => propias.filter(s => (s.idSubtareaPadre || null) === idPadre);
+
+        // Totales de cada subtarea con los de sus descendientes (las hijas antes que el padre)
+        const totales = new Map();
+        const acumular = subtarea => {
+            const hijas = hijasDe(subtarea.idSubtarea).map(acumular);
+            const total = {
+                minutosTotales: subtarea.minutosReales + hijas.reduce((suma, h) => suma + h.minutosTotales, 0),
+                horasEstimadasTotal: estimateWithChildren(subtarea.horasEstimadas, hijas)
+            };
+            totales.set(subtarea.idSubtarea, total);
+            return total;
+        };
+        const primerNivel = hijasDe(null).map(acumular);
+        const subtareas = propias.map(subtarea => ({ ...subtarea, ...totales.get(subtarea.idSubtarea) }));
+
+        return {
+            ...tarea,
+            subtareas,
+            minutosReales: minutosDe(tarea.idTarea, null) + subtareas.reduce((suma, s) => suma + s.minutosReales, 0),
+            horasEstimadasTotal: estimateWithChildren(tarea.horasEstimadas, primerNivel)
+        };
+    });
+}
+
+// Totales del proyecto a partir de las tareas de attachTimeTracking: { minutosReales, horasEstimadas }
+function summarizeTime(tareas) {
+    return {
+        minutosReales: tareas.reduce((suma, t) => suma + (t.minutosReales || 0), 0),
+        horasEstimadas: Math.round(tareas.reduce((suma, t) => suma + (t.horasEstimadasTotal || 0), 0) * 100) / 100
+    };
+}
+
+// --- Operaciones ---
+
+// Tarea o subtarea sobre la que se registra el tiempo, comprobando que el actor pueda hacerlo
+async function getTrackableItem(projectId, taskId, subtaskId, actor) {
+    const access = subtaskId
+        ? await subtaskService.getSubtaskAccess(projectId, taskId, subtaskId, actor.id)
+        : await taskService.getTaskAccess(projectId, taskId, actor.id);
+    if (!access.success) return access;
+
+    if (!can(actor, ACCIONES.REGISTRAR_TIEMPO, access.data)) {
+        return {
+            success: false,
+            error: `No tienes permiso para registrar tiempo en esta ${subtaskId ? 'subtarea' : 'tarea'}`,
+            code: 'FORBIDDEN'
+        };
+    }
+    return access;
+}
+
+/**
+ * Pone en marcha un temporizador del actor en la tarea (o en su subtarea subtaskId).
+ * Si ya tenía otro en marcha en otra tarea, se detiene primero.
+ * Devuelve { registro, detenido } donde detenido es el registro que se detuvo (o null).
+ */
+async function startTimer(projectId, taskId, subtaskId, actor, { nota } = {}) {
+    const item = await getTrackableItem(projectId, taskId, subtaskId, actor);
+    if (!item.success) return item;
+
+    const activo = await getActiveTimer(actor.id);
+    if (activo && activo.idTarea === Number(taskId) && activo.idSubtarea === (subtaskId ? Number(subtaskId) : null)) {
+        return { success: false, error: 'Ya tienes un temporizador en marcha aquí', code: 'CONFLICT' };
+    }
+
+    const detenido = activo ? await stopRunningEntry(actor.id) : null;
+
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idTarea', sql.Int, taskId)
+        .input('idSubtarea', sql.Int, subtaskId || null)
+        .input('idUsuario', sql.Int, actor.id)
+        .input('nota', sql.NVarChar, nota ? String(nota).trim().slice(0, 255) : null)
+        .query(`
+            INSERT INTO RegistrosTiempo (idTarea, idSubtarea, idUsuario, inicio, nota, manual)
+            VALUES (@idTarea, @idSubtarea, @idUsuario, GETDATE(), @nota, 0);
+            SELECT SCOPE_IDENTITY() AS idRegistro;
+        `);
+
+    const registro = await getEntry(projectId, result.recordset[0].idRegistro);
+    return { success: true, data: { registro, detenido } };
+}
+
+// Detiene el temporizador en marcha del usuario. Un temporizador olvidado cuenta como mucho MAX_MINUTOS_REGISTRO.
+async function stopRunningEntry(userId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .input('maxMinutos', sql.Int, MAX_MINUTOS_REGISTRO)
+        .query(`
+            DECLARE @detenido TABLE (idRegistro INT, idProyecto INT);
+
+            UPDATE R
+            SET fin = GETDATE(),
+                minutos = CASE WHEN DATEDIFF(SECOND, R.inicio, GETDATE()) / 60 > @maxMinutos
+                               THEN @maxMinutos
+                               ELSE DATEDIFF(SECOND, R.inicio, GETDATE()) / 60
+                          END
+            OUTPUT INSERTED.idRegistro, T.idProyecto INTO @detenido
+            FROM RegistrosTiempo R
+            INNER JOIN Tareas T ON T.idTarea = R.idTarea
+            WHERE R.idUsuario = @idUsuario AND R.fin IS NULL;
+
+            SELECT idRegistro, idProyecto FROM @detenido;
+        `);
+
+    const [detenido] = result.recordset;
+    return detenido ? getEntry(detenido.idProyecto, detenido.idRegistro) : null;
+}
+
+// Detiene el temporizador en marcha del actor, sea del proyecto que sea
+async function stopTimer(actor) {
+    const registro = await stopRunningEntry(actor.id);
+    if (!registro) {
+        return { success: false, error: 'No tienes ningún temporizador en marcha', code: 'NOT_FOUND' };
+    }
+    return { success: true, data: registro };
+}
+
+/**
+ * Registra tiempo a mano en la tarea (o en su subtarea subtaskId).
+ * datos: { fecha ('AAAA-MM-DD', hoy si no se indica), minutos (1 a MAX_MINUTOS_REGISTRO), nota }
+ */
+async function addManualEntry(projectId, taskId, subtaskId, actor, datos) {
+    const minutos = Number(datos.minutos);
+    if (!Number.isInteger(minutos) || minutos < 1 || minutos > MAX_MINUTOS_REGISTRO) {
+        return { success: false, error: `El tiempo debe estar entre 1 minuto y ${MAX_MINUTOS_REGISTRO / 60} horas`, code: 'VALIDATION_ERROR' };
+    }
+
+    const fecha = datos.fecha ? parseDateString(datos.fecha) : parseDateString(toDateString(new Date()));
+    if (!fecha) {
+        return { success: false, error: 'La fecha debe tener el formato AAAA-MM-DD', code: 'VALIDATION_ERROR' };
+    }
+    if (toDateString(fecha) > toDateString(new Date())) {
+        return { success: false, error: 'No se puede registrar tiempo en una fecha futura', code: 'VALIDATION_ERROR' };
+    }
+
+    const item = await getTrackableItem(projectId, taskId, subtaskId, actor);
+    if (!item.success) return item;
+
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idTarea', sql.Int, taskId)
+        .input('idSubtarea', sql.Int, subtaskId || null)
+        .input('idUsuario', sql.Int, actor.id)
+        .input('fecha', sql.NVarChar, toDateString(fecha))
+        .input('minutos', sql.Int, minutos)
+        .input('nota', sql.NVarChar, datos.nota ? String(datos.nota).trim().slice(0, 255) : null)
+        .query(`
+            DECLARE @inicio DATETIME = CONVERT(DATETIME, @fecha, 23);
+
+            INSERT INTO RegistrosTiempo (idTarea, idSubtarea, idUsuario, inicio, fin, minutos, nota, manual)
+            VALUES (@idTarea, @idSubtarea, @idUsuario, @inicio, DATEADD(MINUTE, @minutos, @inicio), @minutos, @nota, 1);
+            SELECT SCOPE_IDENTITY() AS idRegistro;
+        `);
+
+    const registro = await getEntry(projectId, result.recordset[0].idRegistro);
+    return { success: true, data: registro };
+}
+
+async function deleteEntry(projectId, entryId, actor) {
+    const access = await getEntryAccess(projectId, entryId, actor.id);
+    if (!access.success) return access;
+
+    if (!can(actor, ACCIONES.ELIMINAR_TIEMPO, access.data)) {
+        return { success: false, error: 'No tienes permiso para eliminar este registro de tiempo', code: 'FORBIDDEN' };
+    }
+
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idRegistro', sql.Int, entryId)
+        .query('DELETE FROM RegistrosTiempo WHERE idRegistro = @idRegistro;');
+
+    return { success: true, data: access.data.registro };
+}
+
+// --- Hoja de tiempos ---
+
+/**
+ * Tiempo registrado en el proyecto entre dos fechas (incluidas), agrupado por miembro y, dentro de cada uno, por tarea.
+ * filtros: { desde, hasta ('AAAA-MM-DD'; por defecto los últimos DIAS_HOJA_TIEMPOS_POR_DEFECTO días), idUsuario }
+ * Quien no tiene VER_TIEMPO_EQUIPO solo ve su propio tiempo.
+ * Devuelve { desde, hasta, idUsuario, verEquipo, participantes, miembros: [{ idUsuario, nombreUsuario, minutos, tareas, registros }], totalMinutos }
+ */
+async function getTimesheet(projectId, actor, filtros = {}) {
+    const rolProyecto = await participantService.getProjectRole(projectId, actor.id);
+    if (!rolProyecto) {
+        return { success: false, error: 'No tienes acceso a este proyecto', code: 'FORBIDDEN' };
+    }
+
+    const hoy = parseDateString(toDateString(new Date()));
+    const hasta = filtros.hasta ? parseDateString(filtros.hasta) : hoy;
+    const desde = filtros.desde
+        ? parseDateString(filtros.desde)
+        : hasta && new Date(hasta.getFullYear(), hasta.getMonth(), hasta.getDate() - (DIAS_HOJA_TIEMPOS_POR_DEFECTO - 1));
+    if (!desde || !hasta) {
+        return { success: false, error: 'Las fechas deben tener el formato AAAA-MM-DD', code: 'VALIDATION_ERROR' };
+    }
+    if (desde > hasta) {
+        return { success: false, error: 'La fecha de inicio no puede ser posterior a la de fin', code: 'VALIDATION_ERROR' };
+    }
+    if ((hasta - desde) / 86400000 >= MAX_DIAS_HOJA_TIEMPOS) {
+        return { success: false, error: `El periodo no puede superar los ${MAX_DIAS_HOJA_TIEMPOS} días`, code: 'VALIDATION_ERROR' };
+    }
+
+    const verEquipo = can(actor, ACCIONES.VER_TIEMPO_EQUIPO, { rolProyecto });
+    let idUsuario = filtros.idUsuario ? Number(filtros.idUsuario) : null;
+    if (idUsuario !== null && !Number.isInteger(idUsuario)) {
+        return { success: false, error: 'El miembro indicado no es válido', code: 'VALIDATION_ERROR' };
+    }
+    if (!verEquipo) {
+        if (idUsuario !== null && idUsuario !== actor.id) {
+            return { success: false, error: 'Solo puedes ver tu propio tiempo en este proyecto', code: 'FORBIDDEN' };
+        }
+        idUsuario = actor.id;
+    }
+
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idProyecto', sql.Int, projectId)
+        .input('desde', sql.NVarChar, toDateString(desde))
+        .input('hasta', sql.NVarChar, toDateString(hasta))
+        .input('idUsuario', sql.Int, idUsuario)
+        .query(`
+            ${ENTRY_SELECT}
+            WHERE T.idProyecto = @idProyecto
+              AND R.inicio >= CONVERT(DATETIME, @desde, 23)
+              AND R.inicio < DATEADD(DAY, 1, CONVERT(DATETIME, @hasta, 23))
+              AND (@idUsuario IS NULL OR R.idUsuario = @idUsuario)
+            ORDER BY U.nombreUsuario ASC, R.inicio ASC;
+        `);
+
+    const miembros = [];
+    for (const registro of result.recordset) {
+        let miembro = miembros.find(m => m.idUsuario === registro.idUsuario);
+        if (!miembro) {
+            miembro = { idUsuario: registro.idUsuario, nombreUsuario: registro.nombreUsuario, minutos: 0, tareas: [], registros: [] };
+            miembros.push(miembro);
+        }
+        let tarea = miembro.tareas.find(t => t.idTarea === registro.idTarea);
+        if (!tarea) {
+            tarea = { idTarea: registro.idTarea, nombreTarea: registro.nombreTarea, minutos: 0 };
+            miembro.tareas.push(tarea);
+        }
+        tarea.minutos += registro.minutos;
+        miembro.minutos += registro.minutos;
+        miembro.registros.push(registro);
+    }
+
+    const participantes = verEquipo ? await participantService.getAcceptedParticipants(projectId) : [];
+
+    return {
+        success: true,
+        data: {
+            desde: toDateString(desde),
+            hasta: toDateString(hasta),
+            idUsuario,
+            verEquipo,
+            participantes,
+            miembros,
+            totalMinutos: miembros.reduce((suma, m) => suma + m.minutos, 0)
+        }
+    };
+}
+
+module.exports = {
+    MAX_MINUTOS_REGISTRO,
+    MAX_DIAS_HOJA_TIEMPOS,
+    formatDuration,
+    getEntry,
+    getEntryAccess,
+    getTaskEntries,
+    getActiveTimer,
+    getTrackedMinutes,
+    attachTimeTracking,
+    summarizeTime,
+    startTimer,
+    stopTimer,
+    addManualEntry,
+    deleteEntry,
+    getTimesheet
+};
@@ -0,0 +1,117 @@
+// backend/services/totpService.js
+// Códigos de un solo uso basados en tiempo (TOTP, RFC 6238) compatibles con Google Authenticator,
+// Authy, etc.: HMAC-SHA1, 6 dígitos, pasos de 30 segundos y secreto en base32.
+// Funciones puras: el tiempo se puede fijar con el parámetro `ahora` (ms) para probarlas.
+const crypto = require('crypto');
+
+const ALFABETO_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PASO_SEGUNDOS = 30;
+const DIGITOS = 6;
+const VENTANA_PASOS = 1; // Se acepta el paso anterior y el siguiente por desfase de reloj
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let valor = 0;
+    let salida = '';
+
+    for (const byte of buffer) {
+        valor = (valor << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            salida += ALFABETO_BASE32[(valor >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        salida += ALFABETO_BASE32[(valor << (5 - bits)) & 31];
+    }
+    return salida;
+}
+
+// Acepta minúsculas, espacios y relleno '=' como los muestran algunas apps
+function base32Decode(texto) {
+    const limpio = String(texto).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let valor = 0;
+    const bytes = [];
+
+    for (const caracter of limpio) {
+        const indice = ALFABETO_BASE32.indexOf(caracter);
+        if (indice === -1) throw new Error('Secreto base32 inválido');
+        valor = (valor << 5) | indice;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((valor >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// Secreto nuevo de 160 bits (el tamaño recomendado para HMAC-SHA1)
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// Número de paso de 30 segundos para un instante
+function timeStep(ahora = Date.now()) {
+    return Math.floor(ahora / 1000 / PASO_SEGUNDOS);
+}
+
+// Código HOTP (RFC 4226) para un contador
+function hotp(secreto, contador) {
+    const mensaje = Buffer.alloc(8);
+    mensaje.writeBigUInt64BE(BigInt(contador));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secreto)).update(mensaje).digest();
+    const desplazamiento = hmac[hmac.length - 1] & 0x0f;
+    const binario = hmac.readUInt32BE(desplazamiento) & 0x7fffffff;
+    return String(binario % 10 ** DIGITOS).padStart(DIGITOS, '0');
+}
+
+function generateCode(secreto, ahora = Date.now()) {
+    return hotp(secreto, timeStep(ahora));
+}
+
+/**
+ * Comprueba un código dentro de la ventana de pasos permitida.
+ * Devuelve el paso que coincide (para impedir reutilizarlo) o null.
+ * ultimoPaso: último paso ya usado por el usuario; ese y los anteriores se rechazan.
+ */
+function verifyCode(secreto, codigo, { ahora = Date.now(), ultimoPaso = null } = {}) {
+    const normalizado = String(codigo || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITOS}}$`).test(normalizado)) return null;
+
+    const actual = timeStep(ahora);
+    for (let paso = actual - VENTANA_PASOS; paso <= actual + VENTANA_PASOS; paso++) {
+        if (ultimoPaso !== null && paso <= ultimoPaso) continue;
+        const esperado = Buffer.from(hotp(secreto, paso));
+        if (crypto.timingSafeEqual(esperado, Buffer.from(normalizado))) {
+            return paso;
+        }
+    }
+    return null;
+}
+
+// URI otpauth:// que las apps de autenticación leen como código QR o enlace
+function buildOtpauthUri(secreto, cuenta, emisor = process.env.TOTP_ISSUER || 'ProyectoToDo') {
+    const etiqueta = encodeURIComponent(`${emisor}:${cuenta}`);
+    const parametros = new URLSearchParams({
+        secret: secreto,
+        issuer: emisor,
+        algorithm: 'SHA1',
+        digits: String(DIGITOS),
+        period: String(PASO_SEGUNDOS)
+    });
+    return `otpauth://totp/${etiqueta}?${parametros.toString()}`;
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    timeStep,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri
+};
@@ -0,0 +1,194 @@
+// backend/services/twoFactorService.js
+// Segundo factor opcional del login: TOTP (services/totpService) y códigos de recuperación de un solo uso.
+const sql = require('mssql');
+const config = require('../db.js');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const totpService = require('./totpService');
+
+const NUMERO_CODIGOS_RECUPERACION = 10;
+
+// Los códigos de recuperación son aleatorios (80 bits), así que basta un SHA-256 para guardarlos
+function hashRecoveryCode(codigo) {
+    const normalizado = String(codigo).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalizado).digest('hex');
+}
+
+// Formato xxxxx-xxxxx para que sea fácil copiarlos a mano
+function generateRecoveryCodes() {
+    return Array.from({ length: NUMERO_CODIGOS_RECUPERACION }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+}
+
+async function getUserTwoFactor(userId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .query(`
+            SELECT idUsuario, correoUsuario, contrasenia, totpSecreto, totpActivado, totpUltimoPaso
+            FROM Usuarios
+            WHERE idUsuario = @idUsuario
+        `);
+    return result.recordset[0];
+}
+
+// Sustituye los códigos de recuperación del usuario y devuelve los nuevos en claro (solo se muestran una vez)
+async function replaceRecoveryCodes(userId) {
+    const codigos = generateRecoveryCodes();
+    const pool = await sql.connect(config);
+
+    await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .query('DELETE FROM CodigosRecuperacion WHERE idUsuario = @idUsuario;');
+    for (const codigo of codigos) {
+        await pool.request()
+            .input('idUsuario', sql.Int, userId)
+            .input('codigoHash', sql.NVarChar, hashRecoveryCode(codigo))
+            .query('INSERT INTO CodigosRecuperacion (idUsuario, codigoHash) VALUES (@idUsuario, @codigoHash);');
+    }
+    return codigos;
+}
+
+// Comprueba un código TOTP y guarda su paso para que no se pueda reutilizar
+async function checkTotp(usuario, codigo) {
+    const paso = totpService.verifyCode(usuario.totpSecreto, codigo, {
+        ultimoPaso: usuario.totpUltimoPaso === null ? null : Number(usuario.totpUltimoPaso)
+    });
+    if (paso === null) return false;
+
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idUsuario', sql.Int, usuario.idUsuario)
+        .input('totpUltimoPaso', sql.BigInt, paso)
+        .query('UPDATE Usuarios SET totpUltimoPaso = @totpUltimoPaso WHERE idUsuario = @idUsuario;');
+    return true;
+}
+
+// Consume un código de recuperación si existe y no se ha usado
+async function useRecoveryCode(userId, codigo) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .input('codigoHash', sql.NVarChar, hashRecoveryCode(codigo))
+        .query(`
+            UPDATE CodigosRecuperacion
+            SET fechaUso = GETDATE()
+            WHERE idUsuario = @idUsuario AND codigoHash = @codigoHash AND fechaUso IS NULL;
+        `);
+    return result.rowsAffected[0] > 0;
+}
+
+// --- Consultas ---
+
+// Estado para la página de seguridad: { correo, activado, codigosRestantes }
+async function getStatus(userId) {
+    const pool = await sql.connect(config);
+    const result = await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .query(`
+            SELECT U.correoUsuario, U.totpActivado,
+                (SELECT COUNT(*) FROM CodigosRecuperacion C WHERE C.idUsuario = U.idUsuario AND C.fechaUso IS NULL) AS codigosRestantes
+            FROM Usuarios U
+            WHERE U.idUsuario = @idUsuario
+        `);
+    const fila = result.recordset[0];
+    return {
+        correo: fila ? fila.correoUsuario : null,
+        activado: Boolean(fila && fila.totpActivado),
+        codigosRestantes: fila ? fila.codigosRestantes : 0
+    };
+}
+
+// Secreto y URI otpauth para empezar la configuración; el secreto no se guarda hasta confirmarlo con un código
+function startEnrollment(correo) {
+    const secreto = totpService.generateSecret();
+    return { secreto, otpauthUri: totpService.buildOtpauthUri(secreto, correo) };
+}
+
+// --- Operaciones ---
+
+// Activa el segundo factor si el código corresponde al secreto mostrado. Devuelve los códigos de recuperación.
+async function confirmEnrollment(userId, secreto, codigo) {
+    const usuario = await getUserTwoFactor(userId);
+    if (!usuario) {
+        return { success: false, error: 'Usuario no encontrado', code: 'NOT_FOUND' };
+    }
+    if (usuario.totpActivado) {
+        return { success: false, error: 'La verificación en dos pasos ya está activada', code: 'CONFLICT' };
+    }
+
+    const paso = secreto ? totpService.verifyCode(secreto, codigo) : null;
+    if (paso === null) {
+        return { success: false, error: 'El código no es válido. Comprueba la hora de tu dispositivo e inténtalo de nuevo.', code: 'VALIDATION_ERROR' };
+    }
+
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .input('totpSecreto', sql.NVarChar, secreto)
+        .input('totpUltimoPaso', sql.BigInt, paso)
+        .query(`
+            UPDATE Usuarios
+            SET totpSecreto = @totpSecreto, totpActivado = 1, totpUltimoPaso = @totpUltimoPaso
+            WHERE idUsuario = @idUsuario;
+        `);
+
+    return { success: true, data: { codigosRecuperacion: await replaceRecoveryCodes(userId) } };
+}
+
+// Desactiva el segundo factor; pide la contraseña actual
+async function disable(userId, contrasena) {
+    const usuario = await getUserTwoFactor(userId);
+    if (!usuario || !bcrypt.compareSync(String(contrasena || ''), usuario.contrasenia)) {
+        return { success: false, error: 'La contraseña no es correcta', code: 'FORBIDDEN' };
+    }
+
+    const pool = await sql.connect(config);
+    await pool.request()
+        .input('idUsuario', sql.Int, userId)
+        .query(`
+            UPDATE Usuarios SET totpSecreto = NULL, totpActivado = 0, totpUltimoPaso = NULL WHERE idUsuario = @idUsuario;
+            DELETE FROM CodigosRecuperacion WHERE idUsuario = @idUsuario;
+        `);
+    return { success: true, data: null };
+}
+
+// Genera códigos de recuperación nuevos (invalida los anteriores); pide un código TOTP actual
+async function regenerateRecoveryCodes(userId, codigo) {
+    const usuario = await getUserTwoFactor(userId);
+    if (!usuario || !usuario.totpActivado) {
+        return { success: false, error: 'La verificación en dos pasos no está activada', code: 'CONFLICT' };
+    }
+    if (!(await checkTotp(usuario, codigo))) {
+        return { success: false, error: 'El código no es válido', code: 'VALIDATION_ERROR' };
+    }
+    return { success: true, data: { codigosRecuperacion: await replaceRecoveryCodes(userId) } };
+}
+
+// Segundo paso del login: acepta un código TOTP o un código de recuperación
+async function verifyLogin(userId, codigo) {
+    const usuario = await getUserTwoFactor(userId);
+    if (!usuario || !usuario.totpActivado) {
+        return { success: false, error: 'La verificación en dos pasos no está activada', code: 'CONFLICT' };
+    }
+
+    if (await checkTotp(usuario, codigo)) {
+        return { success: true, data: { metodo: 'totp' } };
+    }
+    if (await useRecoveryCode(userId, codigo)) {
+        return { success: true, data: { metodo: 'recuperacion' } };
+    }
+    return { success: false, error: 'El código no es válido', code: 'VALIDATION_ERROR' };
+}
+
+module.exports = {
+    NUMERO_CODIGOS_RECUPERACION,
+    getStatus,
+    startEnrollment,
+    confirmEnrollment,
+    disable,
+    regenerateRecoveryCodes,
+    verifyLogin
+};
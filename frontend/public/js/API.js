@@ -205,6 +205,19 @@ class ProjectAPI {
                 // Realizar la petición
                 const response = await fetch(`${this.baseURL}${endpoint}`, config);
 
+                // Los errores 4xx del backend traen { success, error, code }: se devuelven sin reintentar
+                if (!response.ok && response.status >= 400 && response.status < 500) {
+                    const errorBody = await response.json().catch(() => null);
+                    if (errorBody && errorBody.error) {
+                        return {
+                            success: false,
+                            error: errorBody.error,
+                            code: errorBody.code || 'UNKNOWN_ERROR',
+                            status: response.status
+                        };
+                    }
+                }
+
                 // Verificar si la respuesta es exitosa
                 if (!response.ok) {
                     throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -478,6 +491,109 @@ class ProjectAPI {
         return result;
     }
 
+    /**
+     * INVITAR A UN USUARIO AL PROYECTO POR CORREO (SIN CACHÉ)
+     * @param {string} projectId - ID del proyecto
+     * @param {string} email - Correo del usuario a invitar
+     * @returns {Promise} Invitación creada
+     */
+    async inviteMember(projectId, email) {
+        if (!projectId || !email || email.trim().length === 0) {
+            return {
+                success: false,
+                error: 'ID de proyecto y correo requeridos',
+                code: 'VALIDATION_ERROR'
+            };
+        }
+
+        console.log(`✉️ Invitando a ${email} al proyecto ID: ${projectId}...`);
+        const result = await this.makeRequest(`/projects/${encodeURIComponent(projectId)}/invitations`, 'POST', { email: email.trim() }, { useCache: false, skipRetry: true });
+
+        if (result.success) {
+            this.clearProjectCache(projectId);
+        }
+
+        return result;
+    }
+
+    /**
+     * REVOCAR UNA INVITACIÓN PENDIENTE (SIN CACHÉ)
+     * @param {string} projectId - ID del proyecto
+     * @param {string} invitationId - ID de la invitación
+     * @returns {Promise} Confirmación de revocación
+     */
+    async revokeInvitation(projectId, invitationId) {
+        console.log(`🚫 Revocando invitación ${invitationId} del proyecto ID: ${projectId}...`);
+        const result = await this.makeRequest(`/projects/${encodeURIComponent(projectId)}/invitations/${encodeURIComponent(invitationId)}`, 'DELETE', null, { useCache: false, skipRetry: true });
+
+        if (result.success) {
+            this.clearProjectCache(projectId);
+        }
+
+        return result;
+    }
+
+    /**
+     * OBTENER INVITACIONES PENDIENTES DEL USUARIO (SIN CACHÉ)
+     * @returns {Promise} Lista de invitaciones pendientes
+     */
+    async getPendingInvitations() {
+        return await this.makeRequest('/invitations', 'GET', null, { useCache: false });
+    }
+
+    /**
+     * ACEPTAR O RECHAZAR UNA INVITACIÓN (SIN CACHÉ)
+     * @param {string} invitationId - ID de la invitación
+     * @param {boolean} accept - true para aceptar, false para rechazar
+     * @returns {Promise} Invitación actualizada
+     */
+    async respondToInvitation(invitationId, accept) {
+        const action = accept ? 'accept' : 'reject';
+        const result = await this.makeRequest(`/invitations/${encodeURIComponent(invitationId)}/${action}`, 'POST', {}, { useCache: false, skipRetry: true });
+
+        if (result.success && accept) {
+            this.clearProjectsCache();
+        }
+
+        return result;
+    }
+
+    /**
+     * OBTENER NOTIFICACIONES DEL USUARIO (SIN CACHÉ)
+     * @param {Object} options - { unread: solo no leídas, limit: máximo de resultados }
+     * @returns {Promise} Lista de notificaciones
+     */
+    async getNotifications(options = {}) {
+        const { unread = false, limit = 20 } = options;
+        const query = `?unread=${unread ? 'true' : 'false'}&limit=${encodeURIComponent(limit)}`;
+        return await this.makeRequest(`/notifications${query}`, 'GET', null, { useCache: false, skipRetry: true });
+    }
+
+    /**
+     * OBTENER NÚMERO DE NOTIFICACIONES SIN LEER (SIN CACHÉ)
+     * @returns {Promise} Objeto con el total de no leídas
+     */
+    async getUnreadNotificationCount() {
+        return await this.makeRequest('/notifications/unread-count', 'GET', null, { useCache: false, skipRetry: true });
+    }
+
+    /**
+     * MARCAR UNA NOTIFICACIÓN COMO LEÍDA (SIN CACHÉ)
+     * @param {string} notificationId - ID de la notificación
+     * @returns {Promise} Notificación actualizada
+     */
+    async markNotificationRead(notificationId) {
+        return await this.makeRequest(`/notifications/${encodeURIComponent(notificationId)}/read`, 'PATCH', {}, { useCache: false, skipRetry: true });
+    }
+
+    /**
+     * MARCAR TODAS LAS NOTIFICACIONES COMO LEÍDAS (SIN CACHÉ)
+     * @returns {Promise} Número de notificaciones actualizadas
+     */
+    async markAllNotificationsRead() {
+        return await this.makeRequest('/notifications/read-all', 'PATCH', {}, { useCache: false, skipRetry: true });
+    }
+
     /**
      * VALIDAR DATOS DE PROYECTO
      * @param {Object} projectData - Datos del proyecto a validar
@@ -1125,24 +1241,12 @@ console.log('API.js mejorado cargado completamente');
 console.log('Funciones de debug disponibles en window.apiDebug');
 window.mockApiResponse = mockApiResponse;
 
-const APP_CONFIG = {
-    searchDelay: 300,
-    animationDuration: 300,
-    tooltipDelay: 500,
-    retryAttempts: 3,
-    useMockData: false, // 🔥 CAMBIAR A FALSE para usar API real
-    cacheRefreshInterval: 30000,
-    maxSearchHistory: 10,
-    autoSaveInterval: 60000,
-    debugMode: false
-};
-
 /**
  * FUNCIONES ADICIONALES PARA MANEJO DE ERRORES
  */
 
 // Agregar esta función al objeto ProjectAPI:
-async handleApiError(error, endpoint) {
+async function handleApiError(error, endpoint) {
     console.error(`Error en ${endpoint}:`, error);
     
     // Si no hay conexión, usar datos mock como fallback
@@ -1193,9 +1297,9 @@ function addCsrfTokenToRequest(config, method) {
         }
     }
     return config;
+}
 
-    
-    function showElement(element) {
+function showElement(element) {
     if (element) {
         element.classList.remove('d-none');
     }
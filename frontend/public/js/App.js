@@ -1462,6 +1462,39 @@ function handleAddMember(projectId) {
     showAddMemberModal(projectId);
 }
 
+/**
+ * ENVIAR INVITACIÓN DESDE EL MODAL DE AGREGAR MIEMBRO
+ */
+async function handleSendInvitation(projectId) {
+    const emailInput = document.getElementById('inviteEmail');
+    const sendBtn = document.getElementById('sendInvitationBtn');
+    
+    if (!emailInput || !emailInput.checkValidity()) {
+        emailInput?.reportValidity();
+        return;
+    }
+    
+    sendBtn.disabled = true;
+    
+    try {
+        const response = await projectAPI.inviteMember(projectId, emailInput.value);
+        
+        if (response.success) {
+            showToast(`✉️ Invitación enviada a ${emailInput.value}`, 'success');
+            
+            const modal = bootstrap.Modal.getInstance(document.getElementById('addMemberModal'));
+            if (modal) modal.hide();
+        } else {
+            showToast(`❌ ${response.error}`, 'error');
+        }
+    } catch (error) {
+        console.error('Error al enviar invitación:', error);
+        showToast('❌ Error de conexión al enviar la invitación', 'error');
+    } finally {
+        sendBtn.disabled = false;
+    }
+}
+
 /**
  * MANEJAR VISTA RÁPIDA DE PROYECTO COMPLETADO
  */
@@ -1631,6 +1664,39 @@ function showAddMemberModal(projectId) {
     showModal('addMemberModal', modalHtml);
 }
 
+/**
+ * CREAR HTML DEL MODAL DE AGREGAR MIEMBRO
+ */
+function createAddMemberModalHtml(projectId) {
+    const project = findProjectById(projectId);
+    
+    return `
+        <div class="modal-dialog">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">
+                        <i class="bi bi-person-plus me-2"></i>
+                        Invitar a ${escapeHtml(project ? project.name : 'proyecto')}
+                    </h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                </div>
+                <div class="modal-body">
+                    <label for="inviteEmail" class="form-label">Correo del usuario *</label>
+                    <input type="email" class="form-control" id="inviteEmail" placeholder="usuario@correo.com" required>
+                    <small class="text-muted">El usuario debe estar registrado. Verá la invitación y podrá aceptarla o rechazarla.</small>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancelar</button>
+                    <button type="button" class="btn btn-primary" id="sendInvitationBtn" onclick="handleSendInvitation('${projectId}')">
+                        <i class="bi bi-send me-1"></i>
+                        Enviar Invitación
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
 /**
  * MOSTRAR MODAL GENÉRICO
  */
@@ -2100,6 +2166,122 @@ function toggleDebugMode() {
     }
 }
 
+/**
+ * ===============================================
+ * CENTRO DE NOTIFICACIONES
+ * ===============================================
+ */
+
+/**
+ * CONFIGURAR CAMPANA DE NOTIFICACIONES
+ */
+function setupNotificationCenter() {
+    const bell = document.getElementById('notificationBell');
+    const markAllBtn = document.getElementById('markAllNotificationsRead');
+    
+    if (!bell) return;
+    
+    // Cargar la lista completa solo al abrir el dropdown
+    bell.addEventListener('show.bs.dropdown', () => loadNotifications());
+    
+    if (markAllBtn) {
+        markAllBtn.addEventListener('click', handleMarkAllNotificationsRead);
+    }
+    
+    // El contador se consulta al iniciar y luego periódicamente
+    updateNotificationBadge();
+    setInterval(updateNotificationBadge, APP_CONFIG.cacheRefreshInterval);
+}
+
+/**
+ * ACTUALIZAR CONTADOR DE NO LEÍDAS
+ */
+async function updateNotificationBadge() {
+    const badge = document.getElementById('notificationCount');
+    if (!badge) return;
+    
+    const response = await projectAPI.getUnreadNotificationCount();
+    if (!response.success) return;
+    
+    const count = response.data.data.count;
+    badge.textContent = count > 99 ? '99+' : count;
+    badge.classList.toggle('d-none', count === 0);
+}
+
+/**
+ * CARGAR Y RENDERIZAR NOTIFICACIONES
+ */
+async function loadNotifications() {
+    const list = document.getElementById('notificationList');
+    if (!list) return;
+    
+    list.innerHTML = '<div class="text-center py-3"><div class="spinner-border spinner-border-sm text-primary" role="status"></div></div>';
+    
+    const response = await projectAPI.getNotifications({ limit: 20 });
+    
+    if (!response.success) {
+        list.innerHTML = `<div class="text-center text-danger py-3 small">${escapeHtml(response.error || 'Error al cargar notificaciones')}</div>`;
+        return;
+    }
+    
+    const notifications = response.data.data;
+    
+    if (notifications.length === 0) {
+        list.innerHTML = '<div class="text-center text-muted py-3 small">Sin notificaciones</div>';
+        return;
+    }
+    
+    list.innerHTML = notifications.map(notification => `
+        <a class="notification-item ${notification.isRead ? '' : 'unread'}"
+           data-notification-id="${notification.id}"
+           data-type="${escapeHtml(notification.type)}"
+           data-project-id="${notification.projectId || ''}"
+           data-task-id="${notification.taskId || ''}">
+            <div>${escapeHtml(notification.message)}</div>
+            <small>${formatDate(notification.createdAt, { includeTime: true })}</small>
+        </a>
+    `).join('');
+    
+    list.querySelectorAll('.notification-item').forEach(item => {
+        item.addEventListener('click', () => handleNotificationClick(item));
+    });
+}
+
+/**
+ * MANEJAR CLICK EN UNA NOTIFICACIÓN
+ */
+async function handleNotificationClick(item) {
+    const { notificationId, projectId, taskId, type } = item.dataset;
+    
+    if (item.classList.contains('unread')) {
+        await projectAPI.markNotificationRead(notificationId);
+        item.classList.remove('unread');
+        updateNotificationBadge();
+    }
+    
+    // Las invitaciones se responden desde "Mis Proyectos"; el resto abre el proyecto
+    // (en la tarea relacionada, si la hay) si aún existe
+    if (type === 'invitacion_proyecto') {
+        window.location.href = '/proyectos';
+    } else if (projectId) {
+        window.location.href = `/proyectos/${projectId}${taskId ? `#tarea-${taskId}` : ''}`;
+    }
+}
+
+/**
+ * MARCAR TODAS LAS NOTIFICACIONES COMO LEÍDAS
+ */
+async function handleMarkAllNotificationsRead() {
+    const response = await projectAPI.markAllNotificationsRead();
+    
+    if (response.success) {
+        document.querySelectorAll('.notification-item.unread').forEach(item => item.classList.remove('unread'));
+        updateNotificationBadge();
+    } else {
+        showToast(`❌ ${response.error}`, 'error');
+    }
+}
+
 /**
  * MANEJO DEL MODAL DE PROYECTO
  */
@@ -2221,6 +2403,9 @@ document.addEventListener('DOMContentLoaded', function() {
     // Configurar modal de proyecto
     setupProjectModal();
     
+    // Configurar campana de notificaciones
+    setupNotificationCenter();
+    
     // Verificar si hay mensajes del servidor
     const urlParams = new URLSearchParams(window.location.search);
     const message = urlParams.get('message');
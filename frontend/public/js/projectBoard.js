@@ -0,0 +1,82 @@
+// public/js/projectBoard.js
+// Arrastrar y soltar tarjetas en project-board.ejs.
+// El nuevo estado se guarda con PATCH /api/projects/:id/tasks/:taskId (mismos permisos que editar la tarea).
+document.addEventListener('DOMContentLoaded', function() {
+    const board = document.getElementById('board');
+    if (!board) return;
+
+    const projectId = board.dataset.projectId;
+    const errorBox = document.getElementById('boardError');
+    let draggedCard = null;
+
+    function showError(message) {
+        errorBox.textContent = message;
+        errorBox.hidden = false;
+    }
+
+    function updateCounts() {
+        board.querySelectorAll('.board-column').forEach(column => {
+            column.querySelector('.task-count').textContent = column.querySelectorAll('.board-card').length;
+        });
+    }
+
+    async function saveStatus(taskId, status) {
+        const response = await fetch(`/api/projects/${projectId}/tasks/${taskId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify({ status })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'No se pudo actualizar el estado de la tarea');
+        }
+        return result.data;
+    }
+
+    board.querySelectorAll('.board-card[draggable="true"]').forEach(card => {
+        card.addEventListener('dragstart', function(event) {
+            draggedCard = this;
+            this.classList.add('dragging');
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', this.dataset.taskId);
+        });
+        card.addEventListener('dragend', function() {
+            this.classList.remove('dragging');
+            draggedCard = null;
+        });
+    });
+
+    board.querySelectorAll('.board-column').forEach(column => {
+        column.addEventListener('dragover', function(event) {
+            if (!draggedCard) return;
+            event.preventDefault();
+            this.classList.add('drag-over');
+        });
+        column.addEventListener('dragleave', function() {
+            this.classList.remove('drag-over');
+        });
+        column.addEventListener('drop', async function(event) {
+            event.preventDefault();
+            this.classList.remove('drag-over');
+            if (!draggedCard) return;
+
+            const card = draggedCard;
+            const previousColumn = card.closest('.board-column');
+            if (previousColumn === this) return;
+
+            // Se mueve la tarjeta de inmediato y se devuelve a su columna si el servidor lo rechaza
+            this.querySelector('.board-column-body').appendChild(card);
+            updateCounts();
+            errorBox.hidden = true;
+
+            try {
+                await saveStatus(card.dataset.taskId, this.dataset.estado);
+            } catch (error) {
+                previousColumn.querySelector('.board-column-body').appendChild(card);
+                updateCounts();
+                showError(error.message);
+            }
+        });
+    });
+});
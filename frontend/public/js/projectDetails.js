@@ -5,10 +5,20 @@ document.addEventListener('DOMContentLoaded', function() {
     subtaskCreateButtons.forEach(button => {
         button.addEventListener('click', function() {
             const taskId = this.dataset.taskId;
+            const parentId = this.dataset.parentId;
             const form = document.getElementById('subtaskForm-' + taskId);
 
             if (form) {
-                if (form.style.display === 'none' || form.style.display === '') {
+                // "Añadir subtarea" en una subtarea del árbol: abre el formulario con esa subtarea como padre
+                if (parentId) {
+                    form.style.display = 'block';
+                    const parentSelect = document.getElementById('idSubtareaPadre-' + taskId);
+                    if (parentSelect) {
+                        parentSelect.value = parentId;
+                    }
+                    form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    document.getElementById('nombreSubtarea-' + taskId).focus();
+                } else if (form.style.display === 'none' || form.style.display === '') {
                     form.style.display = 'block';
                 } else {
                     form.style.display = 'none';
@@ -18,4 +28,56 @@ document.addEventListener('DOMContentLoaded', function() {
             }
         });
     });
+
+    // Desplegar o plegar todas las ramas del árbol de subtareas de una tarea
+    document.querySelectorAll('.subtask-tree-toggle').forEach(button => {
+        button.addEventListener('click', function() {
+            const tree = document.getElementById(this.dataset.treeId);
+            const open = this.dataset.open === 'true';
+            tree.querySelectorAll('details.subtask-branch').forEach(branch => {
+                branch.open = open;
+            });
+        });
+    });
+
+    // Acciones en lote: cuenta las tareas marcadas, muestra solo el campo de la acción elegida y pide confirmación para eliminar
+    const bulkForm = document.getElementById('bulkForm');
+    if (bulkForm) {
+        const checks = document.querySelectorAll('.bulk-check');
+        const selectAll = document.getElementById('bulkSelectAll');
+        const count = document.getElementById('bulkCount');
+        const action = document.getElementById('bulkAccion');
+        const selected = () => Array.from(checks).filter(check => check.checked).length;
+
+        const updateCount = () => {
+            const n = selected();
+            count.textContent = n === 1 ? '1 seleccionada' : n + ' seleccionadas';
+            selectAll.checked = n === checks.length;
+        };
+        checks.forEach(check => check.addEventListener('change', updateCount));
+        selectAll.addEventListener('change', function() {
+            checks.forEach(check => {
+                check.checked = this.checked;
+            });
+            updateCount();
+        });
+
+        const showValueField = () => {
+            bulkForm.querySelectorAll('.bulk-value').forEach(field => {
+                field.hidden = field.dataset.accion !== action.value;
+            });
+        };
+        action.addEventListener('change', showValueField);
+        showValueField();
+
+        bulkForm.addEventListener('submit', function(event) {
+            const n = selected();
+            if (n === 0) {
+                alert('Selecciona al menos una tarea.');
+                event.preventDefault();
+            } else if (action.value === 'eliminar' && !confirm('¿Estás seguro de que quieres eliminar ' + (n === 1 ? 'la tarea seleccionada' : 'las ' + n + ' tareas seleccionadas') + '? Se eliminarán también sus subtareas.')) {
+                event.preventDefault();
+            }
+        });
+    }
 });
\ No newline at end of file
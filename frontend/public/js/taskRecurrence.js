@@ -0,0 +1,18 @@
+// public/js/taskRecurrence.js
+// Muestra solo los campos de repetición que corresponden a la frecuencia elegida (ver views/_recurrencia.ejs)
+document.addEventListener('DOMContentLoaded', function() {
+    const fieldsets = document.querySelectorAll('[data-recurrence]');
+
+    fieldsets.forEach(fieldset => {
+        const select = fieldset.querySelector('[data-recurrence-frequency]');
+
+        function update() {
+            fieldset.querySelectorAll('[data-recurrence-show]').forEach(bloque => {
+                bloque.hidden = !bloque.dataset.recurrenceShow.split(' ').includes(select.value);
+            });
+        }
+
+        select.addEventListener('change', update);
+        update();
+    });
+});
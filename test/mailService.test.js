@@ -0,0 +1,111 @@
+// test/mailService.test.js
+// Plantillas de correo enviadas con el transporte 'archivo': cada correo se lee del JSON guardado
+// en un MAIL_DIR temporal y se comprueba que el enlace de la versión HTML y de texto apunte a su ruta.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MAIL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'correos-'));
+process.env.MAIL_DIR = MAIL_DIR;
+process.env.APP_URL = 'https://todo.example.com/';
+process.env.EMAIL_VERIFICATION_SECRET = 'secreto-de-prueba';
+
+const mailService = require('../backend/services/mailService');
+const emailVerificationService = require('../backend/services/emailVerificationService');
+const authRoutes = require('../backend/routes/auth');
+
+const USUARIO = { idUsuario: 7, nombreUsuario: 'Ana <Pruebas>', correoUsuario: 'ana@example.com' };
+
+mailService.useTransport(mailService.createTransport('archivo'));
+
+test.beforeEach(() => {
+    for (const archivo of fs.readdirSync(MAIL_DIR)) fs.rmSync(path.join(MAIL_DIR, archivo));
+});
+
+test.after(() => {
+    fs.rmSync(MAIL_DIR, { recursive: true, force: true });
+});
+
+// El único correo guardado por el transporte de archivo en la prueba actual
+function sentMail() {
+    const archivos = fs.readdirSync(MAIL_DIR);
+    assert.strictEqual(archivos.length, 1);
+    return JSON.parse(fs.readFileSync(path.join(MAIL_DIR, archivos[0]), 'utf8'));
+}
+
+// El enlace aparece en el botón, en el texto alternativo del HTML y en la versión de texto
+function assertLink(correo, enlace) {
+    assert.ok(correo.html.includes(`href="${enlace}"`), 'el botón enlaza a la ruta');
+    assert.ok(correo.html.includes(`<br>${enlace}</p>`), 'el HTML muestra el enlace por si el botón no funciona');
+    assert.ok(correo.text.split('\n').includes(enlace), 'la versión de texto tiene el enlace en su propia línea');
+}
+
+function hasGetRoute(ruta) {
+    return authRoutes.stack.some(capa => capa.route && capa.route.path === ruta && capa.route.methods.get);
+}
+
+test('appUrl une APP_URL y la ruta sin barras duplicadas', () => {
+    assert.strictEqual(mailService.appUrl('/verificar-correo/abc'), 'https://todo.example.com/verificar-correo/abc');
+    assert.strictEqual(mailService.appUrl('reset-password/abc'), 'https://todo.example.com/reset-password/abc');
+});
+
+test('correo de verificación con el enlace firmado', async () => {
+    await emailVerificationService.sendVerificationEmail(USUARIO);
+    const correo = sentMail();
+
+    assert.strictEqual(correo.subject, 'Verifica tu correo');
+    assert.deepStrictEqual(correo.to.map(destino => destino.address), [USUARIO.correoUsuario]);
+    assert.ok(correo.html.includes('Verificar correo'));
+    assert.ok(correo.html.includes('Ana &lt;Pruebas&gt;'), 'el nombre se escapa en el HTML');
+    assert.ok(correo.text.includes('24 horas'));
+
+    const enlace = correo.text.match(/^https:\/\/todo\.example\.com\/verificar-correo\/(\S+)$/m);
+    assert.ok(enlace, 'la versión de texto tiene el enlace de verificación');
+    assert.match(enlace[1], /^7\.\d+\.[\w-]+$/);
+    assertLink(correo, enlace[0]);
+    assert.ok(hasGetRoute('/verificar-correo/:token'));
+});
+
+test('correo de cambio de correo con el enlace firmado para la dirección nueva', async () => {
+    const nuevo = { ...USUARIO, correoUsuario: 'ana.nueva@example.com' };
+    await emailVerificationService.sendVerificationEmail(nuevo, { cambioCorreo: true });
+    const correo = sentMail();
+
+    assert.strictEqual(correo.subject, 'Confirma tu nuevo correo');
+    assert.deepStrictEqual(correo.to.map(destino => destino.address), [nuevo.correoUsuario]);
+    assert.ok(correo.html.includes('Confirmar nuevo correo'));
+    assert.ok(correo.text.includes('seguirás entrando con tu correo anterior'));
+
+    const enlace = correo.text.match(/^https:\/\/todo\.example\.com\/verificar-correo\/(7\.(\d+)\.[\w-]+)$/m);
+    assert.ok(enlace, 'la versión de texto tiene el enlace de confirmación');
+    // La firma corresponde al correo nuevo, no al anterior
+    const expira = Number(enlace[2]);
+    assert.strictEqual(enlace[1], emailVerificationService.createVerificationToken(nuevo, expira - 24 * 60 * 60 * 1000));
+    assert.notStrictEqual(enlace[1], emailVerificationService.createVerificationToken(USUARIO, expira - 24 * 60 * 60 * 1000));
+    assertLink(correo, enlace[0]);
+});
+
+test('correo de recuperación con el enlace para elegir contraseña', async () => {
+    const enlace = mailService.appUrl('/reset-password/abc123');
+    const info = await mailService.sendMail({
+        para: USUARIO.correoUsuario,
+        asunto: 'Recuperación de contraseña',
+        plantilla: 'recuperacion',
+        datos: { nombre: USUARIO.nombreUsuario, enlace, horas: 1 }
+    });
+    const correo = sentMail();
+
+    assert.strictEqual(path.dirname(info.archivo), MAIL_DIR);
+    assert.strictEqual(correo.subject, 'Recuperación de contraseña');
+    assert.ok(correo.html.includes('Cambiar contraseña'));
+    assert.ok(correo.text.includes('expirará en 1 hora.'), 'singular con una hora');
+    assertLink(correo, 'https://todo.example.com/reset-password/abc123');
+    assert.ok(hasGetRoute('/reset-password/:token'));
+});
+
+test('sendMail lanza si la plantilla no existe y no guarda nada', async () => {
+    await assert.rejects(mailService.sendMail({ para: 'ana@example.com', asunto: 'x', plantilla: 'no-existe' }));
+    assert.deepStrictEqual(fs.readdirSync(MAIL_DIR), []);
+});
@@ -0,0 +1,127 @@
+// test/throttleService.test.js
+// Límites y bloqueos de throttleService sobre el almacén en memoria (sin base de datos).
+// El paso del tiempo se simula retrasando las fechas de los registros guardados.
+const test = require('node:test');
+const assert = require('node:assert');
+const throttleService = require('../backend/services/throttleService');
+
+const MINUTO_MS = 60 * 1000;
+const CUENTA = { cuenta: 'ana@example.com', ip: '10.0.0.1' };
+const LIMITE_CUENTA = throttleService.LIMITES.login.cuenta;
+
+function newStore() {
+    const store = throttleService.createMemoryStore();
+    throttleService.useStore(store);
+    return store;
+}
+
+async function registerFailures(veces, identificadores = CUENTA) {
+    for (let i = 0; i < veces; i++) {
+        await throttleService.registerFailure('login', identificadores);
+    }
+}
+
+// Mueve al pasado el último intento y el bloqueo de todos los registros, como si pasaran `ms`
+async function advanceTime(store, ms) {
+    for (const registro of await store.list()) {
+        await store.save({
+            ...registro,
+            ultimoIntento: new Date(registro.ultimoIntento.getTime() - ms),
+            bloqueadoHasta: registro.bloqueadoHasta ? new Date(registro.bloqueadoHasta.getTime() - ms) : null
+        });
+    }
+}
+
+async function accountRecord(store) {
+    return store.get(`login:cuenta:${CUENTA.cuenta}`);
+}
+
+test('la cuenta se bloquea 5 minutos al llegar al límite de intentos', async () => {
+    const store = newStore();
+
+    await registerFailures(LIMITE_CUENTA - 1);
+    assert.strictEqual((await throttleService.check('login', CUENTA)).bloqueado, false);
+
+    await registerFailures(1);
+    const { bloqueado, restanteMs } = await throttleService.check('login', CUENTA);
+    assert.strictEqual(bloqueado, true);
+    assert.ok(restanteMs > 4 * MINUTO_MS && restanteMs <= 5 * MINUTO_MS, `restanteMs = ${restanteMs}`);
+    assert.strictEqual((await accountRecord(store)).intentos, LIMITE_CUENTA);
+});
+
+test('cada intento extra duplica el bloqueo hasta un máximo de una hora', async () => {
+    const store = newStore();
+    const duracion = async () => {
+        const registro = await accountRecord(store);
+        return registro.bloqueadoHasta.getTime() - registro.ultimoIntento.getTime();
+    };
+
+    await registerFailures(LIMITE_CUENTA + 1);
+    assert.strictEqual(await duracion(), 10 * MINUTO_MS);
+
+    await registerFailures(1);
+    assert.strictEqual(await duracion(), 20 * MINUTO_MS);
+
+    await registerFailures(5);
+    assert.strictEqual(await duracion(), 60 * MINUTO_MS);
+});
+
+test('el bloqueo caduca pero el contador sigue hasta que pasa la ventana', async () => {
+    const store = newStore();
+
+    await registerFailures(LIMITE_CUENTA);
+    await advanceTime(store, 5 * MINUTO_MS + 1000);
+    assert.strictEqual((await throttleService.check('login', CUENTA)).bloqueado, false);
+
+    // Dentro de la ventana el siguiente fallo vuelve a bloquear, ya con el doble
+    await registerFailures(1);
+    const registro = await accountRecord(store);
+    assert.strictEqual(registro.intentos, LIMITE_CUENTA + 1);
+    assert.strictEqual(registro.bloqueadoHasta.getTime() - registro.ultimoIntento.getTime(), 10 * MINUTO_MS);
+
+    // 15 minutos sin intentos después del bloqueo: el contador vuelve a empezar
+    await advanceTime(store, 25 * MINUTO_MS + 1000);
+    await registerFailures(1);
+    const reiniciado = await accountRecord(store);
+    assert.strictEqual(reiniciado.intentos, 1);
+    assert.strictEqual(reiniciado.bloqueadoHasta, null);
+    assert.strictEqual((await throttleService.check('login', CUENTA)).bloqueado, false);
+});
+
+test('reset tras un login correcto borra el contador de la cuenta y no el de la IP', async () => {
+    const store = newStore();
+
+    await registerFailures(LIMITE_CUENTA);
+    await throttleService.reset('login', { cuenta: CUENTA.cuenta });
+
+    assert.strictEqual(await accountRecord(store), null);
+    assert.strictEqual((await store.get(`login:ip:${CUENTA.ip}`)).intentos, LIMITE_CUENTA);
+    assert.strictEqual((await throttleService.check('login', CUENTA)).bloqueado, false);
+
+    await registerFailures(1);
+    assert.strictEqual((await accountRecord(store)).intentos, 1);
+});
+
+test('la IP se bloquea con su propio límite aunque cada cuenta esté por debajo del suyo', async () => {
+    newStore();
+    const limiteIp = throttleService.LIMITES.login.ip;
+
+    for (let i = 0; i < limiteIp; i++) {
+        await throttleService.registerFailure('login', { cuenta: `usuario${i}@example.com`, ip: CUENTA.ip });
+    }
+
+    assert.strictEqual((await throttleService.check('login', { cuenta: 'otra@example.com', ip: CUENTA.ip })).bloqueado, true);
+    assert.strictEqual((await throttleService.check('login', { cuenta: 'otra@example.com', ip: '10.0.0.2' })).bloqueado, false);
+});
+
+test('clearLockout quita un bloqueo desde la administración', async () => {
+    newStore();
+    await registerFailures(LIMITE_CUENTA);
+
+    const bloqueados = (await throttleService.listLockouts()).filter(registro => registro.bloqueado);
+    assert.deepStrictEqual(bloqueados.map(registro => registro.tipo).sort(), ['cuenta']);
+
+    assert.strictEqual((await throttleService.clearLockout(bloqueados[0].clave)).success, true);
+    assert.strictEqual((await throttleService.check('login', CUENTA)).bloqueado, false);
+    assert.strictEqual((await throttleService.clearLockout(bloqueados[0].clave)).code, 'NOT_FOUND');
+});
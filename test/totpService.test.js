@@ -0,0 +1,75 @@
+// test/totpService.test.js
+// Vectores de prueba del RFC 6238 (apéndice B, HMAC-SHA1) con el tiempo fijado por el parámetro `ahora`.
+// El RFC da códigos de 8 dígitos; con 6 dígitos son sus últimos 6.
+const test = require('node:test');
+const assert = require('node:assert');
+const totpService = require('../backend/services/totpService');
+
+// Secreto del RFC: "12345678901234567890" en ASCII
+const SECRETO_RFC = totpService.base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+const VECTORES_RFC = [
+    { segundos: 59, codigo: '287082' },
+    { segundos: 1111111109, codigo: '081804' },
+    { segundos: 1111111111, codigo: '050471' },
+    { segundos: 1234567890, codigo: '005924' },
+    { segundos: 2000000000, codigo: '279037' },
+    { segundos: 20000000000, codigo: '353130' }
+];
+
+test('base32 del secreto del RFC', () => {
+    assert.strictEqual(SECRETO_RFC, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.strictEqual(totpService.base32Decode(SECRETO_RFC.toLowerCase()).toString('ascii'), '12345678901234567890');
+});
+
+test('generateCode reproduce los vectores del RFC 6238', () => {
+    for (const { segundos, codigo } of VECTORES_RFC) {
+        assert.strictEqual(totpService.generateCode(SECRETO_RFC, segundos * 1000), codigo, `T = ${segundos}`);
+    }
+});
+
+test('verifyCode acepta los vectores del RFC y devuelve su paso', () => {
+    for (const { segundos, codigo } of VECTORES_RFC) {
+        const ahora = segundos * 1000;
+        assert.strictEqual(totpService.verifyCode(SECRETO_RFC, codigo, { ahora }), totpService.timeStep(ahora), `T = ${segundos}`);
+    }
+});
+
+test('verifyCode admite un paso de desfase en cada sentido y nada más', () => {
+    const ahora = 1111111111 * 1000;
+    const paso = totpService.timeStep(ahora);
+    const codigoEnPaso = desfase => totpService.generateCode(SECRETO_RFC, (paso + desfase) * 30 * 1000);
+
+    assert.strictEqual(totpService.verifyCode(SECRETO_RFC, codigoEnPaso(-1), { ahora }), paso - 1);
+    assert.strictEqual(totpService.verifyCode(SECRETO_RFC, codigoEnPaso(1), { ahora }), paso + 1);
+    assert.strictEqual(totpService.verifyCode(SECRETO_RFC, codigoEnPaso(-2), { ahora }), null);
+    assert.strictEqual(totpService.verifyCode(SECRETO_RFC, codigoEnPaso(2), { ahora }), null);
+});
+
+test('el mismo código deja de valer al salir de la ventana por desfase de reloj', () => {
+    const generadoEn = 1111111109 * 1000;
+    const codigo = totpService.generateCode(SECRETO_RFC, generadoEn);
+
+    assert.notStrictEqual(totpService.verifyCode(SECRETO_RFC, codigo, { ahora: generadoEn + 30 * 1000 }), null);
+    assert.notStrictEqual(totpService.verifyCode(SECRETO_RFC, codigo, { ahora: generadoEn - 30 * 1000 }), null);
+    assert.strictEqual(totpService.verifyCode(SECRETO_RFC, codigo, { ahora: generadoEn + 60 * 1000 }), null);
+    assert.strictEqual(totpService.verifyCode(SECRETO_RFC, codigo, { ahora: generadoEn - 60 * 1000 }), null);
+});
+
+test('verifyCode rechaza el paso ya usado y los anteriores', () => {
+    const ahora = 1234567890 * 1000;
+    const paso = totpService.timeStep(ahora);
+    const codigo = totpService.generateCode(SECRETO_RFC, ahora);
+
+    assert.strictEqual(totpService.verifyCode(SECRETO_RFC, codigo, { ahora, ultimoPaso: paso - 1 }), paso);
+    assert.strictEqual(totpService.verifyCode(SECRETO_RFC, codigo, { ahora, ultimoPaso: paso }), null);
+    assert.strictEqual(totpService.verifyCode(SECRETO_RFC, codigo, { ahora, ultimoPaso: paso + 1 }), null);
+});
+
+test('verifyCode ignora espacios y rechaza formatos que no son de 6 dígitos', () => {
+    const ahora = 59 * 1000;
+    assert.strictEqual(totpService.verifyCode(SECRETO_RFC, '287 082', { ahora }), totpService.timeStep(ahora));
+    assert.strictEqual(totpService.verifyCode(SECRETO_RFC, '94287082', { ahora }), null);
+    assert.strictEqual(totpService.verifyCode(SECRETO_RFC, 'abcdef', { ahora }), null);
+    assert.strictEqual(totpService.verifyCode(SECRETO_RFC, '', { ahora }), null);
+});